@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+// Пакетный анализ карт без веб-сервера:
+//   q2mapinfo analyze <пути...> [--format json|csv|text] [--import]
+//   q2mapinfo user add|remove|list ...
+// Каталоги обходятся рекурсивно, берутся .bsp и архивы (.pak/.zip/.pkz).
+// --import дополнительно сохраняет результаты в базу (STORAGE, как загрузка через сайт).
+// user — учётные записи для входа на сайт (AUTH_USERS_FILE, см. lib/auth.js).
+
+// quiet — иначе dotenv пишет в stdout и портит JSON/CSV
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+const path = require('path');
+const {
+  analyzeUpload,
+  isArchiveFileName,
+  isStockResource,
+  resourceKeysFor
+} = require('../lib/analyzer');
+
+const FORMATS = ['json', 'csv', 'text'];
+const USER_ACTIONS = ['add', 'remove', 'list'];
+
+const USAGE = `Использование:
+  q2mapinfo analyze <файл или каталог>... [--format json|csv|text] [--import]
+  q2mapinfo user add <имя> --role viewer|uploader|admin
+  q2mapinfo user remove <имя>
+  q2mapinfo user list
+
+  --format   json — полный результат анализа (без плана карты),
+             csv  — строка на каждый ресурс карты,
+             text — сводка для чтения (по умолчанию)
+  --import   сохранить результаты в базу (STORAGE)
+  --role     роль учётной записи; пароль читается из stdin (первая строка)`;
+
+function parseArgs(argv) {
+  const args = { command: null, paths: [], format: 'text', import: false, role: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format' || arg === '-f') {
+      args.format = argv[++i];
+    } else if (arg.startsWith('--format=')) {
+      args.format = arg.slice('--format='.length);
+    } else if (arg === '--role') {
+      args.role = argv[++i];
+    } else if (arg.startsWith('--role=')) {
+      args.role = arg.slice('--role='.length);
+    } else if (arg === '--import') {
+      args.import = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Неизвестный параметр ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.paths.push(arg);
+    }
+  }
+  return args;
+}
+
+function isMapFileName(fileName) {
+  return /\.bsp$/i.test(fileName) || isArchiveFileName(fileName);
+}
+
+// Файлы для анализа: явно указанные берутся как есть, в каталогах — только карты и архивы
+function collectFiles(inputPaths) {
+  const files = [];
+  const walk = dir => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const dirent of entries) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        walk(full);
+      } else if (dirent.isFile() && isMapFileName(dirent.name)) {
+        files.push(full);
+      }
+    }
+  };
+
+  for (const p of inputPaths) {
+    if (fs.statSync(p).isDirectory()) {
+      walk(p);
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function formatCsv(results) {
+  const lines = ['source,file,map_name,kind,path,stock'];
+  for (const r of results) {
+    for (const kind of ['textures', 'skies', 'sounds', 'models']) {
+      for (const resPath of r[kind] || []) {
+        // небо остаётся маской env/<имя>*, остальное — путь от каталога игры
+        const filePath = kind === 'skies' ? resPath : resourceKeysFor(kind, resPath)[0] || resPath;
+        const row = [r.source, r.file, r.mapName, kind, filePath, isStockResource(kind, resPath) ? 'yes' : 'no'];
+        lines.push(row.map(csvField).join(','));
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatText(results) {
+  const labels = { textures: 'Текстуры', skies: 'Небо', sounds: 'Звуки', models: 'Модели' };
+  return results.map(r => {
+    const lines = [`${r.source}${r.archive ? ` → ${r.archive.path}` : ''}`];
+    if (r.mapName) lines.push(`  Название: ${r.mapName.replace(/\s+/g, ' ').trim()}`);
+    if (r.format) lines.push(`  Формат: ${r.format.label}`);
+    if (r.mod) lines.push(`  Игра / мод: ${r.mod.name}`);
+    if (r.sha256) lines.push(`  SHA-256: ${r.sha256}`);
+    for (const kind of Object.keys(labels)) {
+      const list = r[kind] || [];
+      if (!list.length) continue;
+      lines.push(`  ${labels[kind]} (${list.length}):`);
+      for (const item of list) lines.push(`    ${item}`);
+    }
+    const monsters = Object.values((r.entityStats && r.entityStats.monsters) || {}).reduce((sum, n) => sum + n, 0);
+    if (monsters) lines.push(`  Монстров: ${monsters}`);
+    for (const w of r.warnings || []) lines.push(`  Предупреждение: ${w}`);
+    for (const f of r.lint || []) lines.push(`  Проверка сущностей: ${f.message}`);
+    for (const e of r.errors || []) lines.push(`  Ошибка: ${e}`);
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// Кто загрузил — для журнала изменений
+function importActor() {
+  return process.env.USER ? `${process.env.USER} (cli)` : 'cli';
+}
+
+async function analyzeCommand(args) {
+  const files = collectFiles(args.paths);
+  const db = args.import ? require('../lib/db') : null;
+  const results = [];
+  let failed = 0;
+  let saved = 0;
+
+  for (const file of files) {
+    let items;
+    try {
+      items = analyzeUpload(fs.readFileSync(file), path.basename(file));
+    } catch (err) {
+      failed++;
+      console.error(`${file}: ${err.message || err}`);
+      continue;
+    }
+
+    for (const item of items) {
+      if (db && item.save) {
+        if (await db.saveUploadItem(item, importActor())) saved++;
+        else failed++;
+      }
+      // план карты (геометрия) нужен только для SVG на сайте
+      const { overview, ...analysis } = item.analysis;
+      if (analysis.errors.length) failed++;
+      results.push({ source: file, file: item.file, ...analysis });
+    }
+  }
+
+  if (db) await db.closeStorage();
+
+  if (args.format === 'json') {
+    process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+  } else if (args.format === 'csv') {
+    process.stdout.write(formatCsv(results));
+  } else {
+    process.stdout.write(formatText(results));
+  }
+
+  if (db) {
+    console.error(`Сохранено в базу: ${saved} из ${results.length}`);
+  }
+  return failed ? 1 : 0;
+}
+
+// Первая строка stdin (пароль), без перевода строки
+async function readFirstLine(stream) {
+  let data = '';
+  for await (const chunk of stream) {
+    data += chunk;
+    if (data.includes('\n')) break;
+  }
+  return data.split(/\r?\n/)[0];
+}
+
+async function userCommand(args) {
+  const auth = require('../lib/auth');
+  const [action, name] = args.paths;
+
+  if (action === 'list') {
+    for (const account of auth.listAccounts()) {
+      console.log(`${account.name}\t${account.role}`);
+    }
+    return 0;
+  }
+  if (!name) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (action === 'remove') {
+    if (!auth.removeAccount(name)) {
+      console.error(`Пользователь ${name} не найден в ${auth.AUTH_USERS_FILE}`);
+      return 1;
+    }
+    console.error(`Пользователь ${name} удалён`);
+    return 0;
+  }
+
+  if (!args.role) {
+    console.error(`Укажите роль: --role ${auth.ROLES.join('|')}`);
+    return 2;
+  }
+  if (process.stdin.isTTY) {
+    process.stderr.write(`Пароль для ${name} (ввод виден на экране): `);
+  }
+  process.stdin.setEncoding('utf8');
+  const password = await readFirstLine(process.stdin);
+  await auth.saveAccount(name, args.role, password);
+  console.error(`Пользователь ${name} (${args.role}) сохранён в ${auth.AUTH_USERS_FILE}`);
+  return 0;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.command === 'user') {
+    if (!USER_ACTIONS.includes(args.paths[0])) {
+      console.error(USAGE);
+      return 2;
+    }
+    try {
+      return await userCommand(args);
+    } catch (err) {
+      console.error(`Ошибка: ${err.message || err}`);
+      return 1;
+    }
+  }
+  if (args.command !== 'analyze' || !args.paths.length) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (!FORMATS.includes(args.format)) {
+    console.error(`Неизвестный формат "${args.format}". Допустимые: ${FORMATS.join(', ')}`);
+    return 2;
+  }
+  try {
+    return await analyzeCommand(args);
+  } catch (err) {
+    console.error(`Ошибка: ${err.message || err}`);
+    return 1;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,15 @@
+// Рабочий поток для lib/jobs.js: разбирает один загруженный файл (BSP или архив)
+// и возвращает элементы analyzeUpload. Сохранение — в основном потоке.
+
+const { parentPort } = require('worker_threads');
+const { analyzeUpload } = require('./analyzer');
+
+parentPort.on('message', ({ buffer, name }) => {
+  try {
+    // при передаче между потоками Buffer приходит как Uint8Array
+    const buf = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    parentPort.postMessage({ items: analyzeUpload(buf, name) });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message || String(err) });
+  }
+});
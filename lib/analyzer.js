@@ -0,0 +1,1876 @@
+// Разбор BSP-карт и архивов, проверка ресурсов. Общий для сервера (server.js)
+// и пакетного анализатора (bin/q2mapinfo.js); ни Express, ни MongoDB здесь не нужны.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { lintEntities } = require('./lint');
+const { lookupClassname, detectMod } = require('./classnames');
+
+// ---- BSP parsing (Quake 2 IBSP v38 и родственные форматы) ----
+
+// Увеличивать при изменениях разбора, влияющих на сохраняемый результат:
+// документы со старой версией попадают в повторный анализ (/admin/reanalyze)
+const PARSER_VERSION = 2;
+
+const Q2_MAGIC = 'IBSP';
+const Q2_VERSION = 38;
+const LUMP = {
+  ENTITIES: 0,
+  TEXINFO: 5
+};
+// dtexinfo_t size in bytes for Quake 2: 32 (vecs) + 4 (flags) + 4 (value) + 32 (texture) + 4 (nexttexinfo) = 76
+const DTEXINFO_SIZE = 76;
+// dplane_t: normal(12) + dist(4) + type(4)
+const DPLANE_SIZE = 20;
+// dvertex_t: float[3]
+const DVERTEX_SIZE = 12;
+// dface_t: planenum(2) + side(2) + firstedge(4) + numedges(2) + texinfo(2) + styles(4) + lightofs(4)
+const DFACE_SIZE = 20;
+// то же с 32-битными индексами (QBSP, BSP2): planenum(4) + side(4) + firstedge(4) + numedges(4) + texinfo(4) + styles(4) + lightofs(4)
+const DFACE_WIDE_SIZE = 28;
+// dedge_t: uint16 v[2] (в QBSP/BSP2 — uint32 v[2])
+const DEDGE_SIZE = 4;
+const DEDGE_WIDE_SIZE = 8;
+// dmodel_t: mins(12) + maxs(12) + origin(12) + headnode(4) + firstface(4) + numfaces(4)
+const DMODEL_SIZE = 48;
+// Quake 1 dmodel_t: mins(12) + maxs(12) + origin(12) + headnode[4](16) + visleafs(4) + firstface(4) + numfaces(4)
+const Q1_DMODEL_SIZE = 64;
+// Quake 1 texinfo_t: vecs(32) + miptex(4) + flags(4)
+const Q1_TEXINFO_SIZE = 40;
+// Quake 3 dshader_t: shader[64] + surfaceFlags(4) + contentFlags(4)
+const Q3_DSHADER_SIZE = 72;
+
+// Все 19 лумпов Quake 2 в порядке заголовка; size — размер записи (null — данные переменной длины)
+const Q2_LUMPS = [
+  { name: 'ENTITIES', size: null },
+  { name: 'PLANES', size: DPLANE_SIZE },
+  { name: 'VERTEXES', size: DVERTEX_SIZE },
+  { name: 'VISIBILITY', size: null },
+  { name: 'NODES', size: 28 },
+  { name: 'TEXINFO', size: DTEXINFO_SIZE },
+  { name: 'FACES', size: DFACE_SIZE },
+  { name: 'LIGHTING', size: null },
+  { name: 'LEAFS', size: 28 },
+  { name: 'LEAFFACES', size: 2 },
+  { name: 'LEAFBRUSHES', size: 2 },
+  { name: 'EDGES', size: DEDGE_SIZE },
+  { name: 'SURFEDGES', size: 4 },
+  { name: 'MODELS', size: DMODEL_SIZE },
+  { name: 'BRUSHES', size: 12 },
+  { name: 'BRUSHSIDES', size: 4 },
+  { name: 'POP', size: null },
+  { name: 'AREAS', size: 8 },
+  { name: 'AREAPORTALS', size: 8 }
+];
+
+// QBSP (Quake 2 Remaster, он же Qbism): те же лумпы, но индексы 32-битные
+const QBSP_LUMP_SIZES = {
+  NODES: 44,
+  FACES: DFACE_WIDE_SIZE,
+  LEAFS: 52,
+  LEAFFACES: 4,
+  LEAFBRUSHES: 4,
+  EDGES: DEDGE_WIDE_SIZE,
+  BRUSHSIDES: 8
+};
+const QBSP_LUMPS = Q2_LUMPS.map(l => ({ name: l.name, size: QBSP_LUMP_SIZES[l.name] || l.size }));
+
+// Quake 1 BSP29: 15 лумпов, текстуры лежат прямо в BSP (лумп TEXTURES)
+const Q1_LUMPS = [
+  { name: 'ENTITIES', size: null },
+  { name: 'PLANES', size: DPLANE_SIZE },
+  { name: 'TEXTURES', size: null },
+  { name: 'VERTEXES', size: DVERTEX_SIZE },
+  { name: 'VISIBILITY', size: null },
+  { name: 'NODES', size: 24 },
+  { name: 'TEXINFO', size: Q1_TEXINFO_SIZE },
+  { name: 'FACES', size: DFACE_SIZE },
+  { name: 'LIGHTING', size: null },
+  { name: 'CLIPNODES', size: 8 },
+  { name: 'LEAFS', size: 28 },
+  { name: 'MARKSURFACES', size: 2 },
+  { name: 'EDGES', size: DEDGE_SIZE },
+  { name: 'SURFEDGES', size: 4 },
+  { name: 'MODELS', size: Q1_DMODEL_SIZE }
+];
+
+// BSP2 (и ранний вариант 2PSB): Quake 1 с 32-битными индексами
+const BSP2_LUMP_SIZES = {
+  NODES: 44,
+  FACES: DFACE_WIDE_SIZE,
+  CLIPNODES: 12,
+  LEAFS: 44,
+  MARKSURFACES: 4,
+  EDGES: DEDGE_WIDE_SIZE
+};
+const BSP2_LUMPS = Q1_LUMPS.map(l => ({ name: l.name, size: BSP2_LUMP_SIZES[l.name] || l.size }));
+// в 2PSB габариты узлов и листьев ещё 16-битные
+const BSP2RMQ_LUMPS = BSP2_LUMPS.map(l => ({
+  name: l.name,
+  size: l.name === 'NODES' || l.name === 'LEAFS' ? 32 : l.size
+}));
+
+// Quake 3 IBSP v46 (и Quake Live v47): 17 лумпов
+const Q3_LUMPS = [
+  { name: 'ENTITIES', size: null },
+  { name: 'SHADERS', size: Q3_DSHADER_SIZE },
+  { name: 'PLANES', size: 16 },
+  { name: 'NODES', size: 36 },
+  { name: 'LEAFS', size: 48 },
+  { name: 'LEAFSURFACES', size: 4 },
+  { name: 'LEAFBRUSHES', size: 4 },
+  { name: 'MODELS', size: 40 },
+  { name: 'BRUSHES', size: 12 },
+  { name: 'BRUSHSIDES', size: 8 },
+  { name: 'DRAWVERTS', size: 44 },
+  { name: 'DRAWINDEXES', size: 4 },
+  { name: 'FOGS', size: 72 },
+  { name: 'SURFACES', size: 104 },
+  { name: 'LIGHTMAPS', size: 128 * 128 * 3 },
+  { name: 'LIGHTGRID', size: 8 },
+  { name: 'VISIBILITY', size: null }
+];
+
+// Поддерживаемые варианты. family определяет парсер:
+// quake2 — TEXINFO с именами текстур, quake1 — встроенные miptex, quake3 — SHADERS.
+// headerSize — где начинается таблица лумпов, wide — 32-битные индексы в FACES/EDGES.
+const BSP_FORMATS = {
+  quake2: {
+    label: 'Quake 2 (IBSP v38)', family: 'quake2', headerSize: 8, lumps: Q2_LUMPS, wide: false,
+    lightLump: 'LIGHTING', modelSize: DMODEL_SIZE
+  },
+  kingpin: {
+    label: 'Kingpin (IBSP v38)', family: 'quake2', headerSize: 8, lumps: Q2_LUMPS, wide: false,
+    lightLump: 'LIGHTING', modelSize: DMODEL_SIZE
+  },
+  daikatana: {
+    label: 'Daikatana (IBSP v41)', family: 'quake2', headerSize: 8, lumps: Q2_LUMPS, wide: false,
+    lightLump: 'LIGHTING', modelSize: DMODEL_SIZE
+  },
+  qbsp: {
+    label: 'Quake 2 Remaster (QBSP)', family: 'quake2', headerSize: 8, lumps: QBSP_LUMPS, wide: true,
+    lightLump: 'LIGHTING', modelSize: DMODEL_SIZE
+  },
+  quake1: {
+    label: 'Quake (BSP29)', family: 'quake1', headerSize: 4, lumps: Q1_LUMPS, wide: false,
+    lightLump: 'LIGHTING', modelSize: Q1_DMODEL_SIZE
+  },
+  bsp2: {
+    label: 'Quake (BSP2)', family: 'quake1', headerSize: 4, lumps: BSP2_LUMPS, wide: true,
+    lightLump: 'LIGHTING', modelSize: Q1_DMODEL_SIZE
+  },
+  bsp2rmq: {
+    label: 'Quake (2PSB)', family: 'quake1', headerSize: 4, lumps: BSP2RMQ_LUMPS, wide: true,
+    lightLump: 'LIGHTING', modelSize: Q1_DMODEL_SIZE
+  },
+  quake3: {
+    label: 'Quake 3 (IBSP v46)', family: 'quake3', headerSize: 8, lumps: Q3_LUMPS, wide: false,
+    lightLump: 'LIGHTMAPS', modelSize: 40
+  },
+  quakelive: {
+    label: 'Quake Live (IBSP v47)', family: 'quake3', headerSize: 8, lumps: Q3_LUMPS, wide: false,
+    lightLump: 'LIGHTMAPS', modelSize: 40
+  }
+};
+
+// Kingpin использует тот же IBSP v38, отличаем его по сущностям
+const KINGPIN_CLASSNAMES = new Set([
+  'weapon_crowbar',
+  'weapon_pistol',
+  'weapon_spistol',
+  'weapon_tommygun',
+  'weapon_heavymachinegun',
+  'weapon_flamethrower',
+  'weapon_bazooka'
+]);
+
+function isKingpinEntities(entities) {
+  return entities.some(e => e.classname &&
+    (e.classname.startsWith('cast_') || KINGPIN_CLASSNAMES.has(e.classname)));
+}
+
+// Определение формата по заголовку -> { id, magic, version }; id = null, если формат не распознан
+function detectBspFormat(buf) {
+  const magic = buf.toString('ascii', 0, 4);
+  const version = buf.readInt32LE(4);
+
+  if (magic === 'IBSP') {
+    const byVersion = { 38: 'quake2', 41: 'daikatana', 46: 'quake3', 47: 'quakelive' };
+    return { id: byVersion[version] || null, magic, version };
+  }
+  if (magic === 'QBSP') return { id: 'qbsp', magic, version };
+  if (magic === 'BSP2') return { id: 'bsp2', magic, version: null };
+  if (magic === '2PSB') return { id: 'bsp2rmq', magic, version: null };
+  if (buf.readInt32LE(0) === 29) return { id: 'quake1', magic: null, version: 29 };
+  return { id: null, magic, version };
+}
+
+function findLumpIndex(format, name) {
+  return format.lumps.findIndex(l => l.name === name);
+}
+
+function lumpRecordSize(format, name) {
+  const l = format.lumps.find(x => x.name === name);
+  return l ? l.size : null;
+}
+
+const SURF_LIGHT = 0x1;
+const SURF_SKY = 0x4;
+const SURF_NODRAW = 0x80;
+
+function createEmptyEntityStats() {
+  return {
+    weapons: {},        // weapon_* -> count
+    armors: {},         // item_armor_* -> count
+    spawnPoints: {      // info_player_* counters
+      deathmatch: 0,
+      coop: 0,
+      start: 0,
+      intermission: 0
+    },
+    items: {},          // здоровье, усилители и прочие полезные предметы
+    monsters: {},       // monster_* -> count
+    ctf: {
+      flags: { team1: 0, team2: 0 },
+      spawns: { team1: 0, team2: 0 }, // info_player_team1/2
+      techs: {}
+    }
+  };
+}
+
+function inc(map, key) {
+  map[key] = (map[key] || 0) + 1;
+}
+
+// Категории словаря, которые идут в entityStats.items
+const ITEM_CATEGORIES = new Set(['health', 'powerup', 'item']);
+
+// Категория сущности по classname — из словарей (lib/classnames), для прочих игр
+// по префиксам: 'weapon' | 'armor' | 'spawn' | 'monster' | ... | null
+function entityCategory(cls) {
+  const entry = lookupClassname(cls);
+  if (entry) return entry.category;
+  if (cls.startsWith('weapon_')) return 'weapon';
+  // item_armor_* в Quake 2/3, item_armor1/2/Inv в Quake 1
+  if (cls.startsWith('item_armor')) return 'armor';
+  if (cls.startsWith('info_player_') || cls === 'info_intermission') return 'spawn';
+  if (cls.startsWith('monster_')) return 'monster';
+  return null;
+}
+
+function classifyClassname(cls, entityStats) {
+  const entry = lookupClassname(cls);
+  const category = entityCategory(cls);
+  switch (category) {
+    case 'weapon':
+      inc(entityStats.weapons, cls);
+      break;
+    case 'armor':
+      inc(entityStats.armors, cls);
+      break;
+    case 'spawn':
+      if (cls === 'info_player_deathmatch') {
+        entityStats.spawnPoints.deathmatch++;
+      } else if (cls === 'info_player_start') {
+        entityStats.spawnPoints.start++;
+      } else if (cls === 'info_player_coop' || cls === 'info_player_coop_lava') {
+        entityStats.spawnPoints.coop++;
+      } else if (cls === 'info_player_intermission' || cls === 'info_intermission') {
+        entityStats.spawnPoints.intermission++;
+      } else if (entry && entry.team) {
+        inc(entityStats.ctf.spawns, `team${entry.team}`);
+      }
+      break;
+    case 'monster':
+      inc(entityStats.monsters, cls);
+      break;
+    case 'flag':
+      if (entry && entry.team) inc(entityStats.ctf.flags, `team${entry.team}`);
+      break;
+    case 'tech':
+      inc(entityStats.ctf.techs, cls);
+      break;
+    default:
+      if (ITEM_CATEGORIES.has(category)) inc(entityStats.items, cls);
+  }
+}
+
+function analyzeBspBuffer(buf) {
+  const errors = [];
+  const warnings = [];
+
+  if (buf.length < 8) {
+    throw new Error('Файл слишком мал для BSP заголовка');
+  }
+
+  const detected = detectBspFormat(buf);
+  let formatId = detected.id;
+  if (!formatId) {
+    // неизвестный вариант — как и раньше, пробуем разобрать как Quake 2
+    if (detected.magic !== Q2_MAGIC) {
+      errors.push(`Неверная сигнатура: ожидается "${Q2_MAGIC}", получено "${detected.magic}"`);
+    }
+    if (detected.version !== Q2_VERSION) {
+      warnings.push(`Версия BSP ${detected.version}. Ожидалась ${Q2_VERSION} (Quake 2). Попытаюсь разобрать дальше.`);
+    }
+    formatId = 'quake2';
+  }
+  let format = BSP_FORMATS[formatId];
+
+  // Лумпы (offset/length) идут сразу за заголовком, каждая запись: int32 offset + int32 length
+  const lumps = [];
+  let off = format.headerSize;
+  for (let i = 0; i < format.lumps.length; i++) {
+    if (off + 8 > buf.length) {
+      errors.push('Неожиданный конец файла в таблице лумпов');
+      break;
+    }
+    const lo = buf.readInt32LE(off);
+    const ll = buf.readInt32LE(off + 4);
+    lumps.push({ offset: lo, length: ll });
+    off += 8;
+  }
+
+  const textures = new Set();
+  const skies = new Set();
+  const sounds = new Set();
+  const models = new Set();
+  const others = new Set();
+  const entityStats = createEmptyEntityStats();
+  const worldInfo = { name: null, version: null };
+  let entities = [];
+
+  // ENTITIES — во всех форматах лумп 0 с одинаковым текстовым синтаксисом
+  const ent = lumps[LUMP.ENTITIES];
+  if (ent && ent.length > 0 && ent.offset >= 0 && ent.offset + ent.length <= buf.length) {
+    const entsTxt = buf.toString('ascii', ent.offset, ent.offset + ent.length);
+    const out = { skies, sounds, models, others, entityStats, worldInfo, warnings };
+    extractFromEntities(entsTxt, out);
+    entities = out.entities;
+  } else {
+    warnings.push('ENTITIES лумп отсутствует или поврежден');
+  }
+
+  if (formatId === 'quake2' && isKingpinEntities(entities)) {
+    formatId = 'kingpin';
+    format = BSP_FORMATS.kingpin;
+  }
+
+  let textureInfo = [];
+  let overview = null;
+
+  if (format.family === 'quake2') {
+    const texinfos = readQuake2Texinfo(buf, lumps, textures, warnings);
+    textureInfo = extractTextureInfo(buf, lumps, format, texinfos);
+    // Геометрия мира -> план сверху (только если все нужные лумпы целы)
+    overview = extractOverview(buf, lumps, format, warnings,
+      texNum => texNum < texinfos.length && (texinfos[texNum].flags & (SURF_SKY | SURF_NODRAW)) !== 0);
+  } else if (format.family === 'quake1') {
+    const texinfoNames = readQuake1Textures(buf, lumps, format, textures, warnings);
+    overview = extractOverview(buf, lumps, format, warnings,
+      texNum => /^sky|^clip$/i.test(texinfoNames[texNum] || ''));
+  } else if (format.family === 'quake3') {
+    readQuake3Shaders(buf, lumps, format, textures, warnings);
+  }
+
+  const bspStructure = extractBspStructure(buf, lumps, format);
+  const layout = analyzeDmLayout(entities);
+  const lint = lintEntities(entities, { id: formatId });
+  // словари classname есть только для Quake 2 и его модов
+  const mod = format.family === 'quake2' ? detectMod(entities) : null;
+
+  const mapName = worldInfo.name || null;
+  const mapVersion = worldInfo.version || null;
+
+  return {
+    errors,
+    warnings,
+    mapName,
+    mapVersion,
+    sha256: crypto.createHash('sha256').update(buf).digest('hex'),
+    mapChecksum: computeMapChecksum(buf),
+    format: {
+      id: formatId,
+      label: format.label,
+      family: format.family,
+      magic: detected.magic,
+      version: detected.version
+    },
+    textures: Array.from(textures).sort(),
+    skies: Array.from(skies).sort(),
+    sounds: Array.from(sounds).sort(),
+    models: Array.from(models).sort(),
+    others: Array.from(others).sort(),
+    entityStats,
+    mod,
+    entities,
+    overview,
+    bspStructure,
+    textureInfo,
+    layout,
+    lint
+  };
+}
+
+// TEXINFO -> texture names (char[32]) => textures/<name>.wal
+function readQuake2Texinfo(buf, lumps, textures, warnings) {
+  const texinfos = [];
+  const tix = lumps[LUMP.TEXINFO];
+  if (tix && tix.length > 0 && tix.offset >= 0 && tix.offset + tix.length <= buf.length) {
+    const count = Math.floor(tix.length / DTEXINFO_SIZE);
+    for (let i = 0; i < count; i++) {
+      const base = tix.offset + i * DTEXINFO_SIZE;
+      const name = readCString(buf, base + 32 + 4 + 4, 32); // vecs(32) + flags(4) + value(4) = 40 -> name at +40
+      const texPath = name ? texturePathFromName(name) : null;
+      if (texPath) {
+        textures.add(texPath);
+      }
+      texinfos.push({
+        path: texPath,
+        flags: buf.readInt32LE(base + 32),
+        value: buf.readInt32LE(base + 36),
+        next: buf.readInt32LE(base + 72)
+      });
+    }
+  } else {
+    warnings.push('TEXINFO лумп отсутствует или поврежден — текстуры могут быть не найдены');
+  }
+  return texinfos;
+}
+
+// Quake 1: имена встроенных miptex (char[16]) из лумпа TEXTURES.
+// Возвращает имя текстуры для каждого texinfo — нужно плану, чтобы скрыть небо.
+function readQuake1Textures(buf, lumps, format, textures, warnings) {
+  const miptexNames = [];
+  const tex = lumps[findLumpIndex(format, 'TEXTURES')];
+  if (tex && tex.length >= 4 && tex.offset >= 0 && tex.offset + tex.length <= buf.length) {
+    const count = buf.readInt32LE(tex.offset);
+    for (let i = 0; i < count && 4 + i * 4 + 4 <= tex.length; i++) {
+      const dataOfs = buf.readInt32LE(tex.offset + 4 + i * 4);
+      // -1 — текстура не включена в BSP (берётся из WAD)
+      if (dataOfs < 0 || dataOfs + 16 > tex.length) {
+        miptexNames.push(null);
+        continue;
+      }
+      const name = readCString(buf, tex.offset + dataOfs, 16);
+      miptexNames.push(name || null);
+      if (name) textures.add(name);
+    }
+  } else {
+    warnings.push('TEXTURES лумп отсутствует или поврежден — текстуры могут быть не найдены');
+  }
+
+  const texinfoNames = [];
+  const tix = getLumpRecords(buf, lumps, findLumpIndex(format, 'TEXINFO'), Q1_TEXINFO_SIZE);
+  if (tix) {
+    for (let i = 0; i < tix.count; i++) {
+      const miptex = buf.readInt32LE(tix.offset + i * Q1_TEXINFO_SIZE + 32);
+      texinfoNames.push(miptexNames[miptex] || null);
+    }
+  }
+  return texinfoNames;
+}
+
+// Quake 3: имена шейдеров (char[64]) из лумпа SHADERS — это и есть текстуры карты
+function readQuake3Shaders(buf, lumps, format, textures, warnings) {
+  const shaders = getLumpRecords(buf, lumps, findLumpIndex(format, 'SHADERS'), Q3_DSHADER_SIZE);
+  if (!shaders) {
+    warnings.push('SHADERS лумп отсутствует или поврежден — текстуры могут быть не найдены');
+    return;
+  }
+  for (let i = 0; i < shaders.count; i++) {
+    const name = readCString(buf, shaders.offset + i * Q3_DSHADER_SIZE, 64);
+    if (name && name !== 'noshader') textures.add(name.replace(/\\/g, '/'));
+  }
+}
+
+// dface_t: в QBSP/BSP2 все поля 32-битные
+function readBspFace(buf, off, wide) {
+  if (wide) {
+    return {
+      planeNum: buf.readUInt32LE(off),
+      side: buf.readInt32LE(off + 4),
+      firstEdge: buf.readInt32LE(off + 8),
+      numEdges: buf.readInt32LE(off + 12),
+      texNum: buf.readInt32LE(off + 16)
+    };
+  }
+  return {
+    planeNum: buf.readUInt16LE(off),
+    side: buf.readUInt16LE(off + 2),
+    firstEdge: buf.readInt32LE(off + 4),
+    numEdges: buf.readUInt16LE(off + 8),
+    texNum: buf.readUInt16LE(off + 10)
+  };
+}
+
+function texturePathFromName(name) {
+  const normalized = name.replace(/^textures[\\/]+/i, '').replace(/\\/g, '/');
+  return `textures/${normalized}.wal`;
+}
+
+// Флаги поверхностей (SURF_*) из q_shared.h
+const SURFACE_FLAGS = [
+  { bit: 0x1, name: 'LIGHT' },
+  { bit: 0x2, name: 'SLICK' },
+  { bit: 0x4, name: 'SKY' },
+  { bit: 0x8, name: 'WARP' },
+  { bit: 0x10, name: 'TRANS33' },
+  { bit: 0x20, name: 'TRANS66' },
+  { bit: 0x40, name: 'FLOWING' },
+  { bit: 0x80, name: 'NODRAW' },
+  { bit: 0x100, name: 'HINT' },
+  { bit: 0x200, name: 'SKIP' }
+];
+
+function decodeSurfaceFlags(flags) {
+  return SURFACE_FLAGS.filter(f => flags & f.bit).map(f => f.name);
+}
+
+// Сводка по каждой текстуре: флаги (объединение по всем texinfo с этой текстурой),
+// яркость LIGHT, цепочка анимации по nexttexinfo и число граней из FACES.
+// -> [{ path, flags: ['LIGHT', ...], lightValues: [300], animation: [path, ...] | null, faces }]
+function extractTextureInfo(buf, lumps, format, texinfos) {
+  if (!texinfos.length) return [];
+
+  const faceSize = lumpRecordSize(format, 'FACES');
+  const faceCounts = new Array(texinfos.length).fill(0);
+  const faces = getLumpRecords(buf, lumps, findLumpIndex(format, 'FACES'), faceSize);
+  if (faces) {
+    for (let f = 0; f < faces.count; f++) {
+      const { texNum } = readBspFace(buf, faces.offset + f * faceSize, format.wide);
+      if (texNum >= 0 && texNum < faceCounts.length) faceCounts[texNum]++;
+    }
+  }
+
+  const byPath = new Map();
+  texinfos.forEach((ti, index) => {
+    if (!ti.path) return;
+    let info = byPath.get(ti.path);
+    if (!info) {
+      info = { path: ti.path, flagBits: 0, lightValues: new Set(), animation: null, faces: 0 };
+      byPath.set(ti.path, info);
+    }
+    info.flagBits |= ti.flags;
+    if (ti.flags & SURF_LIGHT) info.lightValues.add(ti.value);
+    info.faces += faceCounts[index];
+
+    // анимация: идём по nexttexinfo, пока не вернёмся в начало (или не зациклимся)
+    if (!info.animation && ti.next >= 0 && ti.next < texinfos.length) {
+      const frames = [];
+      const seen = new Set();
+      let cur = index;
+      while (cur >= 0 && cur < texinfos.length && !seen.has(cur)) {
+        seen.add(cur);
+        if (texinfos[cur].path) frames.push(texinfos[cur].path);
+        cur = texinfos[cur].next;
+      }
+      if (frames.length > 1) info.animation = frames;
+    }
+  });
+
+  return Array.from(byPath.values())
+    .map(info => ({
+      path: info.path,
+      flags: decodeSurfaceFlags(info.flagBits),
+      lightValues: Array.from(info.lightValues).sort((a, b) => a - b),
+      animation: info.animation,
+      faces: info.faces
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Сводка по таблице лумпов: размеры и число записей, наличие VIS/LIGHTING,
+// габариты мира из MODELS[0] и число встроенных brush-моделей (*1, *2, ...)
+function extractBspStructure(buf, lumps, format) {
+  const lumpStats = format.lumps.map((info, i) => {
+    const l = lumps[i];
+    if (!l) return { name: info.name, offset: null, length: null, count: null, valid: false };
+    const valid = l.offset >= 0 && l.length >= 0 && l.offset + l.length <= buf.length;
+    return {
+      name: info.name,
+      offset: l.offset,
+      length: l.length,
+      count: valid && info.size ? Math.floor(l.length / info.size) : null,
+      valid
+    };
+  });
+
+  const byName = name => lumpStats.find(l => l.name === name);
+  const vis = byName('VISIBILITY');
+  const lighting = byName(format.lightLump);
+
+  // dvis_t в Quake 2/3 начинается с numclusters; в Quake 1 VIS — просто сжатые данные
+  let visClusters = null;
+  if (format.family !== 'quake1' && vis.valid && vis.length >= 4) {
+    visClusters = buf.readInt32LE(vis.offset);
+  }
+
+  let worldBounds = null;
+  let inlineModels = null;
+  const models = getLumpRecords(buf, lumps, findLumpIndex(format, 'MODELS'), format.modelSize);
+  if (models && models.count > 0) {
+    const readVec = off => [0, 4, 8].map(d => Math.round(buf.readFloatLE(off + d)));
+    const mins = readVec(models.offset);
+    const maxs = readVec(models.offset + 12);
+    worldBounds = { mins, maxs, size: maxs.map((v, i) => v - mins[i]) };
+    inlineModels = models.count - 1;
+  }
+
+  return {
+    fileSize: buf.length,
+    lumps: lumpStats,
+    hasVis: !!(vis.valid && vis.length > 0),
+    visClusters,
+    hasLighting: !!(lighting.valid && lighting.length > 0),
+    worldBounds,
+    inlineModels
+  };
+}
+
+// Лумп как массив записей фиксированного размера; null, если он пуст или выходит за пределы файла
+function getLumpRecords(buf, lumps, index, recordSize) {
+  const l = lumps[index];
+  if (!l || l.length <= 0 || l.offset < 0 || l.offset + l.length > buf.length) return null;
+  return { offset: l.offset, count: Math.floor(l.length / recordSize) };
+}
+
+// Максимум полигонов в плане: больше не нужно для картинки, а документ в базе не раздувается
+const MAX_OVERVIEW_FACES = 20000;
+
+// План сверху: грани мировой модели (MODELS[0]), смотрящие вверх (пол, склоны),
+// спроецированные на плоскость XY. Формат компактный, т.к. хранится в базе:
+// { mins: [x,y,z], maxs: [x,y,z], faces: [[z, x1, y1, x2, y2, ...], ...] },
+// z — средняя высота грани, координаты округлены до целых.
+// Работает для Quake 2 и Quake 1 (геометрия у них устроена одинаково);
+// isHiddenFace(texinfo) — грани неба и служебные, которые на плане не нужны.
+function extractOverview(buf, lumps, format, warnings, isHiddenFace) {
+  const faceSize = lumpRecordSize(format, 'FACES');
+  const edgeSize = lumpRecordSize(format, 'EDGES');
+  const records = name => getLumpRecords(buf, lumps, findLumpIndex(format, name), lumpRecordSize(format, name));
+  const planes = records('PLANES');
+  const verts = records('VERTEXES');
+  const faces = records('FACES');
+  const edges = records('EDGES');
+  const surfedges = records('SURFEDGES');
+  const models = records('MODELS');
+
+  if (!planes || !verts || !faces || !edges || !surfedges || !models) {
+    warnings.push('Лумпы геометрии (PLANES/VERTEXES/FACES/EDGES/SURFEDGES/MODELS) отсутствуют или повреждены — план карты не построен');
+    return null;
+  }
+
+  const readVec = off => [buf.readFloatLE(off), buf.readFloatLE(off + 4), buf.readFloatLE(off + 8)];
+
+  // firstface/numfaces — последние два поля dmodel_t в обоих форматах
+  const world = models.offset;
+  const mins = readVec(world);
+  const maxs = readVec(world + 12);
+  const firstFace = buf.readInt32LE(world + format.modelSize - 8);
+  const numFaces = buf.readInt32LE(world + format.modelSize - 4);
+
+  const result = [];
+  let broken = 0;
+  const lastFace = Math.min(firstFace + numFaces, faces.count);
+
+  for (let f = Math.max(0, firstFace); f < lastFace; f++) {
+    const { planeNum, side, firstEdge, numEdges, texNum } = readBspFace(buf, faces.offset + f * faceSize, format.wide);
+
+    if (planeNum >= planes.count || numEdges < 3 || firstEdge < 0 || firstEdge + numEdges > surfedges.count) {
+      broken++;
+      continue;
+    }
+
+    if (isHiddenFace(texNum)) continue;
+
+    // нормаль плоскости; side != 0 — грань смотрит в обратную сторону
+    let nz = buf.readFloatLE(planes.offset + planeNum * DPLANE_SIZE + 8);
+    if (side) nz = -nz;
+    if (nz < 0.3) continue; // стены и потолки на плане не нужны
+
+    const poly = [0];
+    let zSum = 0;
+    let ok = true;
+    for (let e = 0; e < numEdges; e++) {
+      const se = buf.readInt32LE(surfedges.offset + (firstEdge + e) * 4);
+      const edgeIndex = Math.abs(se);
+      if (edgeIndex >= edges.count) {
+        ok = false;
+        break;
+      }
+      const eo = edges.offset + edgeIndex * edgeSize;
+      const v = format.wide
+        ? buf.readUInt32LE(se >= 0 ? eo : eo + 4)
+        : buf.readUInt16LE(se >= 0 ? eo : eo + 2);
+      if (v >= verts.count) {
+        ok = false;
+        break;
+      }
+      const [x, y, z] = readVec(verts.offset + v * DVERTEX_SIZE);
+      poly.push(Math.round(x), Math.round(y));
+      zSum += z;
+    }
+    if (!ok) {
+      broken++;
+      continue;
+    }
+    poly[0] = Math.round(zSum / numEdges);
+    result.push(poly);
+  }
+
+  if (broken) {
+    warnings.push(`План карты: пропущено повреждённых граней: ${broken}`);
+  }
+
+  if (result.length > MAX_OVERVIEW_FACES) {
+    // оставляем самые крупные грани
+    const area = p => {
+      let a = 0;
+      for (let i = 1; i < p.length; i += 2) {
+        const j = i + 2 < p.length ? i + 2 : 1;
+        a += p[i] * p[j + 1] - p[j] * p[i + 1];
+      }
+      return Math.abs(a);
+    };
+    result.sort((a, b) => area(b) - area(a));
+    result.length = MAX_OVERVIEW_FACES;
+  }
+
+  return {
+    mins: mins.map(Math.round),
+    maxs: maxs.map(Math.round),
+    faces: result
+  };
+}
+
+// Контрольная сумма карты как у движка (Com_BlockChecksum в CM_LoadMap): MD4 всего файла,
+// четыре 32-битных слова дайджеста через XOR. Сервер отдаёт её клиенту в CS_MAPCHECKSUM
+// как знаковое int32 — в таком же виде и храним, чтобы можно было сверить с логами.
+function computeMapChecksum(buf) {
+  const digest = md4(buf);
+  return (digest.readUInt32LE(0) ^ digest.readUInt32LE(4) ^ digest.readUInt32LE(8) ^ digest.readUInt32LE(12)) | 0;
+}
+
+// MD4 (RFC 1320). В сборках Node с OpenSSL 3 алгоритм отключён, поэтому считаем сами.
+function md4(data) {
+  const bitLen = data.length * 8;
+  const padLen = ((data.length + 8) >> 6) + 1 << 6;
+  const msg = Buffer.alloc(padLen);
+  data.copy(msg);
+  msg[data.length] = 0x80;
+  msg.writeUInt32LE(bitLen >>> 0, padLen - 8);
+  msg.writeUInt32LE(Math.floor(bitLen / 0x100000000), padLen - 4);
+
+  const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+  const F = (x, y, z) => (x & y) | (~x & z);
+  const G = (x, y, z) => (x & y) | (x & z) | (y & z);
+  const H = (x, y, z) => x ^ y ^ z;
+
+  let a = 0x67452301;
+  let b = 0xefcdab89;
+  let c = 0x98badcfe;
+  let d = 0x10325476;
+  const X = new Array(16);
+
+  for (let off = 0; off < padLen; off += 64) {
+    for (let i = 0; i < 16; i++) X[i] = msg.readInt32LE(off + i * 4);
+    const aa = a, bb = b, cc = c, dd = d;
+
+    for (const i of [0, 4, 8, 12]) {
+      a = rotl((a + F(b, c, d) + X[i]) | 0, 3);
+      d = rotl((d + F(a, b, c) + X[i + 1]) | 0, 7);
+      c = rotl((c + F(d, a, b) + X[i + 2]) | 0, 11);
+      b = rotl((b + F(c, d, a) + X[i + 3]) | 0, 19);
+    }
+    for (const i of [0, 1, 2, 3]) {
+      a = rotl((a + G(b, c, d) + X[i] + 0x5a827999) | 0, 3);
+      d = rotl((d + G(a, b, c) + X[i + 4] + 0x5a827999) | 0, 5);
+      c = rotl((c + G(d, a, b) + X[i + 8] + 0x5a827999) | 0, 9);
+      b = rotl((b + G(c, d, a) + X[i + 12] + 0x5a827999) | 0, 13);
+    }
+    for (const i of [0, 2, 1, 3]) {
+      a = rotl((a + H(b, c, d) + X[i] + 0x6ed9eba1) | 0, 3);
+      d = rotl((d + H(a, b, c) + X[i + 8] + 0x6ed9eba1) | 0, 9);
+      c = rotl((c + H(d, a, b) + X[i + 4] + 0x6ed9eba1) | 0, 11);
+      b = rotl((b + H(c, d, a) + X[i + 12] + 0x6ed9eba1) | 0, 15);
+    }
+
+    a = (a + aa) | 0;
+    b = (b + bb) | 0;
+    c = (c + cc) | 0;
+    d = (d + dd) | 0;
+  }
+
+  const out = Buffer.alloc(16);
+  out.writeInt32LE(a, 0);
+  out.writeInt32LE(b, 4);
+  out.writeInt32LE(c, 8);
+  out.writeInt32LE(d, 12);
+  return out;
+}
+
+function readCString(buf, start, maxLen) {
+  const end = Math.min(start + maxLen, buf.length);
+  let i = start;
+  for (; i < end; i++) {
+    if (buf[i] === 0) break;
+  }
+  return buf.toString('ascii', start, i).replace(/\0/g, '').trim();
+}
+
+// ---- Парсер лумпа ENTITIES ----
+//
+// Разбирает текст вида { "key" "value" ... } { ... } в упорядоченный список сущностей.
+// Понимает комментарии //, экранированные кавычки \" и значения без кавычек;
+// на битых блоках не падает, а пишет предупреждения.
+
+const MAX_ENTITY_WARNINGS = 20;
+
+function tokenizeEntities(txt, warn) {
+  const tokens = [];
+  const len = txt.length;
+  let i = 0;
+  let line = 1;
+
+  while (i < len) {
+    const c = txt[i];
+
+    if (c === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+    // любые пробельные символы (и \v, \f из битых файлов), иначе ниже получится
+    // пустое значение без сдвига позиции и бесконечный цикл
+    if (c === '\0' || /\s/.test(c)) {
+      i++;
+      continue;
+    }
+    if (c === '/' && txt[i + 1] === '/') {
+      while (i < len && txt[i] !== '\n') i++;
+      continue;
+    }
+    if (c === '{' || c === '}') {
+      tokens.push({ type: c, line });
+      i++;
+      continue;
+    }
+    if (c === '"') {
+      const startLine = line;
+      let value = '';
+      i++;
+      while (i < len && txt[i] !== '"') {
+        if (txt[i] === '\\' && txt[i + 1] === '"') {
+          value += '"';
+          i += 2;
+          continue;
+        }
+        if (txt[i] === '\n') break;
+        value += txt[i];
+        i++;
+      }
+      if (txt[i] === '"') {
+        i++;
+      } else {
+        warn(`Строка ${startLine}: незакрытая кавычка`);
+      }
+      tokens.push({ type: 'string', value, line: startLine });
+      continue;
+    }
+
+    // значение без кавычек — до пробела или скобки
+    let value = '';
+    while (i < len && !/[\s{}"\0]/.test(txt[i])) {
+      value += txt[i];
+      i++;
+    }
+    tokens.push({ type: 'string', value, line });
+  }
+
+  return tokens;
+}
+
+function parseOrigin(value) {
+  if (typeof value !== 'string') return null;
+  const parts = value.trim().split(/\s+/);
+  if (parts.length !== 3) return null;
+  const nums = parts.map(Number);
+  return nums.every(Number.isFinite) ? nums : null;
+}
+
+function makeEntity(keys, line) {
+  return {
+    classname: keys.classname ? keys.classname.toLowerCase() : null,
+    origin: parseOrigin(keys.origin),
+    line,
+    keys
+  };
+}
+
+// -> { entities: [{ classname, origin, line, keys: { key: value } }], warnings: [] }
+function parseEntities(txt) {
+  const warnings = [];
+  let skipped = 0;
+  const warn = msg => {
+    if (warnings.length < MAX_ENTITY_WARNINGS) warnings.push(msg);
+    else skipped++;
+  };
+
+  const tokens = tokenizeEntities(String(txt || ''), warn);
+  const entities = [];
+  let current = null;  // ключи открытой сущности
+  let currentLine = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+
+    if (!current) {
+      if (t.type === '{') {
+        current = {};
+        currentLine = t.line;
+      } else if (t.type === '}') {
+        warn(`Строка ${t.line}: лишняя закрывающая скобка`);
+      } else {
+        warn(`Строка ${t.line}: данные вне сущности ("${t.value}")`);
+      }
+      continue;
+    }
+
+    if (t.type === '}') {
+      entities.push(makeEntity(current, currentLine));
+      current = null;
+      continue;
+    }
+    if (t.type === '{') {
+      warn(`Строка ${t.line}: сущность со строки ${currentLine} не закрыта`);
+      entities.push(makeEntity(current, currentLine));
+      current = {};
+      currentLine = t.line;
+      continue;
+    }
+
+    const next = tokens[i + 1];
+    if (!next || next.type !== 'string') {
+      warn(`Строка ${t.line}: ключ "${t.value}" без значения`);
+      continue;
+    }
+    i++;
+
+    const key = t.value.toLowerCase();
+    if (!key) {
+      warn(`Строка ${t.line}: пустой ключ`);
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(current, key)) {
+      // как и в движке, побеждает последнее значение
+      warn(`Строка ${t.line}: ключ "${key}" повторяется`);
+    }
+    current[key] = next.value;
+  }
+
+  if (current) {
+    warn(`Сущность со строки ${currentLine} не закрыта до конца лумпа`);
+    entities.push(makeEntity(current, currentLine));
+  }
+  if (skipped) {
+    warnings.push(`…и ещё ${skipped} предупреждений разбора ENTITIES`);
+  }
+
+  return { entities, warnings };
+}
+
+// Ресурсы, статистика и название карты из лумпа ENTITIES
+function extractFromEntities(txt, out) {
+  const { entities, warnings } = parseEntities(txt);
+
+  out.entities = entities;
+  if (out.warnings) {
+    out.warnings.push(...warnings.map(w => `ENTITIES: ${w}`));
+  }
+  if (!out.worldInfo) {
+    out.worldInfo = { name: null, version: null };
+  }
+
+  // Название карты / версия — только из worldspawn
+  const world = entities.find(e => e.classname === 'worldspawn');
+  if (world) {
+    const wk = world.keys;
+    out.worldInfo.name = out.worldInfo.name || wk.message || wk.map || wk.mapname || null;
+    out.worldInfo.version = out.worldInfo.version || wk.mapversion || wk.version || null;
+  }
+
+  for (const entity of entities) {
+    // Классы сущностей — считаем оружие/броню/спавны/предметы
+    if (entity.classname && out.entityStats) {
+      classifyClassname(entity.classname, out.entityStats);
+    }
+
+    for (const [k, v] of Object.entries(entity.keys)) {
+      if (!v) continue;
+      const vv = v.replace(/\\/g, '/');
+
+      if (k === 'sky') {
+        out.skies.add(`env/${vv}*`);
+      } else if (k === 'sound' || k === 'noise' || k === 'snd' || /^sound/.test(k)) {
+        if (/^sound\//i.test(vv) || /\.(wav|ogg|mp3)$/i.test(vv)) out.sounds.add(vv);
+        else out.others.add(`${k}=${vv}`);
+      } else if (k === 'model') {
+        if (/^(models|progs)\//i.test(vv) || /\.(md2|sp2|iqm|md3|mdl|spr)$/i.test(vv)) out.models.add(vv);
+        else out.others.add(`${k}=${vv}`);
+      } else if (k === 'music' || k === 'cdtrack' || k === 'wav') {
+        out.sounds.add(vv);
+      } else if (k === 'wad') {
+        out.others.add(`wad=${vv}`);
+      } else if (/^path|file|script|shader$/i.test(k)) {
+        out.others.add(`${k}=${vv}`);
+      }
+    }
+  }
+}
+
+// ---- Расстановка для DM ----
+//
+// По origin сущностей: расстояние от каждого info_player_deathmatch до ближайшего
+// оружия и брони, спавны слишком близко друг к другу, разброс усилителей
+// и распределение по высоте. Расстояния — в единицах карты (игрок ~32 в ширину).
+
+// Спавны ближе этого считаются "кучей": игроки появляются на виду друг у друга
+const SPAWN_CLUSTER_DISTANCE = 256;
+// Высота одного "этажа" в распределении по вертикали
+const LAYOUT_LEVEL_HEIGHT = 128;
+// Пустые этажи между занятыми показываем, только пока их не больше этого (8192 единицы —
+// весь мир Quake 2 по высоте); origin вроде "0 0 1e12" иначе дал бы миллиарды строк
+const LAYOUT_MAX_LEVELS = 64;
+
+const POWERUP_CLASSNAMES = new Set([
+  'item_quad',
+  'item_invulnerability',
+  'item_silencer',
+  'item_breather',
+  'item_enviro',
+  'item_adrenaline',
+  'item_power_screen',
+  'item_power_shield',
+  'item_health_mega',
+  // The Reckoning / Ground Zero
+  'item_quadfire',
+  'item_double',
+  'item_sphere_vengeance',
+  'item_sphere_hunter',
+  'item_sphere_defender'
+]);
+
+function distance(a, b) {
+  return Math.round(Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]));
+}
+
+// ближайшая из points к origin: { classname, origin, distance } или null
+function nearestEntity(origin, points, skip) {
+  let best = null;
+  for (const p of points) {
+    if (p === skip) continue;
+    const d = distance(origin, p.origin);
+    if (!best || d < best.distance) {
+      best = { classname: p.classname, origin: p.origin, distance: d };
+    }
+  }
+  return best;
+}
+
+// -> null, если на карте нет DM-спавнов с координатами
+function analyzeDmLayout(entities) {
+  const placed = (entities || []).filter(e => e.classname && e.origin);
+  const spawns = placed.filter(e => e.classname === 'info_player_deathmatch');
+  if (!spawns.length) return null;
+
+  const weapons = placed.filter(e => entityCategory(e.classname) === 'weapon');
+  const armors = placed.filter(e => entityCategory(e.classname) === 'armor');
+  const powerups = placed.filter(e => POWERUP_CLASSNAMES.has(e.classname));
+
+  const spawnRows = spawns.map((e, i) => {
+    const nearestSpawn = nearestEntity(e.origin, spawns, e);
+    return {
+      index: i + 1,
+      line: e.line,
+      origin: e.origin,
+      targetname: e.keys.targetname || null,
+      nearestWeapon: nearestEntity(e.origin, weapons),
+      nearestArmor: nearestEntity(e.origin, armors),
+      nearestSpawn: nearestSpawn ? nearestSpawn.distance : null
+    };
+  });
+
+  // группы спавнов, связанных цепочкой расстояний < SPAWN_CLUSTER_DISTANCE
+  const group = spawns.map((_, i) => i);
+  const root = i => (group[i] === i ? i : (group[i] = root(group[i])));
+  for (let i = 0; i < spawns.length; i++) {
+    for (let j = i + 1; j < spawns.length; j++) {
+      if (distance(spawns[i].origin, spawns[j].origin) < SPAWN_CLUSTER_DISTANCE) {
+        group[root(j)] = root(i);
+      }
+    }
+  }
+  const groups = new Map();
+  spawns.forEach((_, i) => {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(i + 1);
+  });
+  const spawnClusters = Array.from(groups.values()).filter(g => g.length > 1);
+
+  const powerupRows = powerups.map(e => ({
+    classname: e.classname,
+    origin: e.origin,
+    nearestSpawn: nearestEntity(e.origin, spawns).distance
+  }));
+  const powerupDistances = [];
+  for (let i = 0; i < powerups.length; i++) {
+    for (let j = i + 1; j < powerups.length; j++) {
+      powerupDistances.push(distance(powerups[i].origin, powerups[j].origin));
+    }
+  }
+
+  // этажи от самой нижней точки: номер этажа -> счётчики, только занятые
+  const all = [...spawns, ...weapons, ...armors, ...powerups];
+  const minZ = all.reduce((min, e) => Math.min(min, e.origin[2]), Infinity);
+  const byLevel = new Map();
+  const level = n => {
+    if (!byLevel.has(n)) {
+      const from = minZ + n * LAYOUT_LEVEL_HEIGHT;
+      byLevel.set(n, { from, to: from + LAYOUT_LEVEL_HEIGHT, spawns: 0, weapons: 0, armors: 0, powerups: 0 });
+    }
+    return byLevel.get(n);
+  };
+  const countLevel = (list, key) => {
+    for (const e of list) {
+      level(Math.floor((e.origin[2] - minZ) / LAYOUT_LEVEL_HEIGHT))[key]++;
+    }
+  };
+  countLevel(spawns, 'spawns');
+  countLevel(weapons, 'weapons');
+  countLevel(armors, 'armors');
+  countLevel(powerups, 'powerups');
+  // пустые промежутки между этажами тоже показываем, если карта обычной высоты
+  const topLevel = Math.max(...byLevel.keys());
+  if (topLevel < LAYOUT_MAX_LEVELS) {
+    for (let n = 0; n < topLevel; n++) level(n);
+  }
+  const levels = Array.from(byLevel.keys()).sort((a, b) => a - b).map(n => byLevel.get(n));
+
+  const nearestWeaponDistances = spawnRows.filter(s => s.nearestWeapon).map(s => s.nearestWeapon.distance);
+
+  return {
+    clusterDistance: SPAWN_CLUSTER_DISTANCE,
+    levelHeight: LAYOUT_LEVEL_HEIGHT,
+    spawns: spawnRows,
+    spawnClusters,
+    avgNearestWeapon: nearestWeaponDistances.length
+      ? Math.round(nearestWeaponDistances.reduce((a, b) => a + b, 0) / nearestWeaponDistances.length)
+      : null,
+    powerups: powerupRows,
+    powerupSpread: powerupDistances.length
+      ? { min: Math.min(...powerupDistances), max: Math.max(...powerupDistances) }
+      : null,
+    levels
+  };
+}
+
+// ---- Архивы (.pak / .zip / .pkz) ----
+
+const PAK_MAGIC = 'PACK';
+const PAK_DIR_ENTRY_SIZE = 64; // name[56] + filepos(4) + filelen(4)
+
+const ZIP_EOCD_SIG = 0x06054b50;
+const ZIP_CDIR_SIG = 0x02014b50;
+const ZIP_LOCAL_SIG = 0x04034b50;
+// Больше из одного файла архива не распаковываем: карта и так не длиннее лимита
+// загрузки, а размер в каталоге zip-бомбы может быть любым
+const MAX_ZIP_ENTRY_SIZE = 128 * 1024 * 1024;
+
+function isArchiveFileName(fileName) {
+  return /\.(pak|zip|pkz)$/i.test(fileName || '');
+}
+
+function normalizeArchivePath(name) {
+  return String(name).replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+}
+
+// Открывает .pak или .zip/.pkz (тип определяется по сигнатуре, а не по расширению).
+// Возвращает { type, entries: Map<нормализованный путь, entry>, read(entry) -> Buffer }
+function openArchive(buf) {
+  if (buf.length >= 4 && buf.toString('ascii', 0, 4) === PAK_MAGIC) {
+    return openPakArchive(buf);
+  }
+  if (buf.length >= 4 && buf.readUInt32LE(0) === ZIP_LOCAL_SIG) {
+    return openZipArchive(buf);
+  }
+  // zip может начинаться с пустого архива или самораспаковщика — ищем конец центрального каталога
+  if (findZipEocd(buf) >= 0) {
+    return openZipArchive(buf);
+  }
+  throw new Error('Неизвестный формат архива: ожидается PACK (.pak) или ZIP (.zip/.pkz)');
+}
+
+function openPakArchive(buf) {
+  if (buf.length < 12) {
+    throw new Error('PAK: файл слишком мал для заголовка');
+  }
+  const dirOffset = buf.readInt32LE(4);
+  const dirLength = buf.readInt32LE(8);
+  if (dirOffset < 0 || dirLength < 0 || dirOffset + dirLength > buf.length) {
+    throw new Error('PAK: каталог файлов выходит за пределы архива');
+  }
+
+  const entries = new Map();
+  const count = Math.floor(dirLength / PAK_DIR_ENTRY_SIZE);
+  for (let i = 0; i < count; i++) {
+    const base = dirOffset + i * PAK_DIR_ENTRY_SIZE;
+    const name = readCString(buf, base, 56);
+    const offset = buf.readInt32LE(base + 56);
+    const length = buf.readInt32LE(base + 60);
+    if (!name || offset < 0 || length < 0 || offset + length > buf.length) continue;
+    entries.set(normalizeArchivePath(name), { name, offset, length });
+  }
+
+  return {
+    type: 'pak',
+    entries,
+    read: entry => buf.subarray(entry.offset, entry.offset + entry.length)
+  };
+}
+
+function findZipEocd(buf) {
+  // EOCD (22 байта) + комментарий до 65535 байт
+  const min = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === ZIP_EOCD_SIG) return i;
+  }
+  return -1;
+}
+
+function openZipArchive(buf) {
+  const eocd = findZipEocd(buf);
+  if (eocd < 0) {
+    throw new Error('ZIP: не найден конец центрального каталога');
+  }
+  const total = buf.readUInt16LE(eocd + 10);
+  const cdirOffset = buf.readUInt32LE(eocd + 16);
+  if (cdirOffset === 0xffffffff || total === 0xffff) {
+    throw new Error('ZIP64-архивы не поддерживаются');
+  }
+
+  return {
+    type: 'zip',
+    entries: parseZipDirectory(buf.subarray(Math.min(cdirOffset, buf.length)), total),
+    read: entry => readZipEntry(buf, entry)
+  };
+}
+
+// cdir — центральный каталог с начала (дальше может идти что угодно), total — число записей
+function parseZipDirectory(cdir, total) {
+  const entries = new Map();
+  let off = 0;
+  for (let i = 0; i < total; i++) {
+    if (off + 46 > cdir.length || cdir.readUInt32LE(off) !== ZIP_CDIR_SIG) {
+      throw new Error('ZIP: повреждён центральный каталог');
+    }
+    const flags = cdir.readUInt16LE(off + 8);
+    const method = cdir.readUInt16LE(off + 10);
+    const crc = cdir.readUInt32LE(off + 16);
+    const compressedSize = cdir.readUInt32LE(off + 20);
+    const size = cdir.readUInt32LE(off + 24);
+    const nameLen = cdir.readUInt16LE(off + 28);
+    const extraLen = cdir.readUInt16LE(off + 30);
+    const commentLen = cdir.readUInt16LE(off + 32);
+    const localOffset = cdir.readUInt32LE(off + 42);
+    const name = cdir.toString(flags & 0x800 ? 'utf8' : 'latin1', off + 46, off + 46 + nameLen);
+    off += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/')) continue; // каталог
+    entries.set(normalizeArchivePath(name), {
+      name, flags, method, crc, compressedSize, size, localOffset
+    });
+  }
+  return entries;
+}
+
+function readZipEntry(buf, entry) {
+  const lo = entry.localOffset;
+  if (lo + 30 > buf.length) {
+    throw new Error(`ZIP: повреждён локальный заголовок ${entry.name}`);
+  }
+  const start = lo + zipLocalHeaderSize(buf.subarray(lo, lo + 30), entry);
+  const end = start + entry.compressedSize;
+  if (end > buf.length) {
+    throw new Error(`ZIP: данные ${entry.name} выходят за пределы архива`);
+  }
+  return unpackZipEntry(entry, buf.subarray(start, end));
+}
+
+// header — 30 байт локального заголовка; длина заголовка вместе с именем и extra
+function zipLocalHeaderSize(header, entry) {
+  if (entry.flags & 0x1) {
+    throw new Error(`ZIP: файл ${entry.name} зашифрован`);
+  }
+  if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_SIG) {
+    throw new Error(`ZIP: повреждён локальный заголовок ${entry.name}`);
+  }
+  return 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+}
+
+function unpackZipEntry(entry, data) {
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`ZIP: метод сжатия ${entry.method} (${entry.name}) не поддерживается`);
+  }
+  if (entry.size > MAX_ZIP_ENTRY_SIZE) {
+    throw new Error(`ZIP: файл ${entry.name} слишком большой (${entry.size} байт)`);
+  }
+  let out = data;
+  if (entry.method === 8) {
+    try {
+      // на байт больше заявленного размера — чтобы заметить, что данные длиннее
+      out = zlib.inflateRawSync(data, { maxOutputLength: entry.size + 1 });
+    } catch (e) {
+      if (e.code !== 'ERR_BUFFER_TOO_LARGE') throw e;
+      out = null;
+    }
+  }
+  if (!out || out.length !== entry.size) {
+    throw new Error(`ZIP: размер ${entry.name} не совпадает с указанным в каталоге`);
+  }
+  if (crc32(out) !== entry.crc) {
+    throw new Error(`ZIP: неверная контрольная сумма ${entry.name}`);
+  }
+  return out;
+}
+
+let crc32Table = null;
+
+// CRC-32 (как в zip и gzip)
+function crc32(buf) {
+  if (!crc32Table) {
+    crc32Table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = crc32Table[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+// Карта в архиве: maps/<имя>.bsp в корне или под каталогом игры (baseq2/maps/...,
+// как при упаковке из папки игры); группа 1 — этот каталог со слэшем
+const ARCHIVE_MAP_RE = /^((?:[^/]+\/)*)maps\/[^/]+\.bsp$/;
+
+// Анализ одного загруженного файла: .bsp даёт один результат, архив — по результату
+// на каждую maps/*.bsp внутри. save=false — результат не сохраняется в базу.
+function analyzeUpload(buffer, originalName) {
+  if (!isArchiveFileName(originalName)) {
+    const analysis = analyzeBspBuffer(buffer);
+    if (isQuake2Family(analysis)) {
+      analysis.stockCheck = splitStockResources(analysis);
+    }
+    return [{ file: originalName, analysis, bsp: buffer, save: true }];
+  }
+
+  const archive = openArchive(buffer);
+  const bspPaths = Array.from(archive.entries.keys())
+    .filter(p => ARCHIVE_MAP_RE.test(p))
+    .sort();
+
+  if (!bspPaths.length) {
+    return [{
+      file: originalName,
+      analysis: {
+        ...createEmptyAnalysis(),
+        errors: ['В архиве нет карт (maps/*.bsp)']
+      },
+      save: false
+    }];
+  }
+
+  return bspPaths.map(p => {
+    const entry = archive.entries.get(p);
+    const file = entry.name.replace(/^.*[\\/]/, '');
+    // ресурсы карты ищутся от того же каталога, что и её maps/
+    const root = ARCHIVE_MAP_RE.exec(p)[1];
+    let analysis;
+    let bsp;
+    try {
+      bsp = archive.read(entry);
+      analysis = analyzeBspBuffer(bsp);
+    } catch (err) {
+      return {
+        file,
+        analysis: {
+          ...createEmptyAnalysis(),
+          archive: { name: originalName, type: archive.type, path: entry.name },
+          errors: [err.message || String(err)]
+        },
+        save: false
+      };
+    }
+    analysis.archive = { name: originalName, type: archive.type, path: entry.name };
+    // сверка с архивом и baseq2 имеет смысл только для ресурсов Quake 2
+    if (isQuake2Family(analysis)) {
+      analysis.resourceCheck = checkResourcesInArchive(analysis, archive, root);
+      analysis.stockCheck = splitStockResources(analysis);
+    }
+    return { file, analysis, bsp, save: true };
+  });
+}
+
+// Документы, сохранённые до определения формата, — всегда Quake 2
+function isQuake2Family(analysis) {
+  return !analysis.format || analysis.format.family === 'quake2';
+}
+
+function createEmptyAnalysis() {
+  return {
+    errors: [],
+    warnings: [],
+    mapName: null,
+    mapVersion: null,
+    textures: [],
+    skies: [],
+    sounds: [],
+    models: [],
+    others: [],
+    entityStats: createEmptyEntityStats(),
+    mod: null,
+    entities: [],
+    overview: null,
+    bspStructure: null,
+    textureInfo: [],
+    layout: null,
+    lint: []
+  };
+}
+
+// ---- Проверка ресурсов: в архиве / стандартные baseq2 / отсутствуют ----
+
+const SKY_SIDES = ['rt', 'bk', 'lf', 'ft', 'up', 'dn'];
+
+// Приблизительное содержимое pak0.pak: каталоги и имена, которые есть в стандартной игре.
+// Используется, только если манифест стандартного контента не настроен.
+const STOCK_PREFIXES = {
+  textures: ['textures/e1u1/', 'textures/e1u2/', 'textures/e1u3/',
+    'textures/e2u1/', 'textures/e2u2/', 'textures/e2u3/',
+    'textures/e3u1/', 'textures/e3u2/', 'textures/e3u3/'],
+  skies: ['env/unit1_', 'env/unit2_', 'env/unit3_', 'env/unit4_', 'env/unit5_',
+    'env/unit6_', 'env/unit7_', 'env/unit8_', 'env/unit9_', 'env/unit10_', 'env/space1'],
+  sounds: ['sound/world/', 'sound/doors/', 'sound/plats/', 'sound/misc/', 'sound/items/',
+    'sound/weapons/', 'sound/player/', 'sound/buttons/', 'sound/switches/'],
+  models: ['models/objects/', 'models/items/', 'models/weapons/', 'models/monsters/',
+    'models/ships/', 'models/deadbods/']
+};
+
+// ---- Манифест стандартного контента (pak0/pak1/pak2 + миссион-паки) ----
+//
+// STOCK_MANIFEST    — путь к JSON: массив путей или { "sets": { "baseq2": [...], "xatrix": [...] } }
+// BASEQ2_DIR        — каталог baseq2: берутся свободные файлы и содержимое *.pak/*.pkz/*.zip
+// STOCK_EXTRA_DIRS  — дополнительные игровые каталоги (xatrix, rogue...), через path.delimiter
+// STOCK_SETS        — какие наборы учитывать (через запятую), по умолчанию все загруженные
+
+const STOCK_MANIFEST = process.env.STOCK_MANIFEST;
+const BASEQ2_DIR = process.env.BASEQ2_DIR;
+const STOCK_EXTRA_DIRS = process.env.STOCK_EXTRA_DIRS;
+const STOCK_SETS = process.env.STOCK_SETS;
+
+let stockManifest; // undefined — ещё не загружали, null — не настроен
+
+function getStockManifest() {
+  if (stockManifest === undefined) {
+    try {
+      stockManifest = loadStockManifest();
+      if (stockManifest) {
+        // в stderr: stdout у CLI занят JSON/CSV
+        console.error(`Манифест стандартного контента: ${stockManifest.files.size} файлов (${stockManifest.sets.join(', ')})`);
+      }
+    } catch (err) {
+      console.error('Не удалось загрузить манифест стандартного контента:', err);
+      stockManifest = null;
+    }
+  }
+  return stockManifest;
+}
+
+function loadStockManifest() {
+  const sets = new Map(); // имя набора -> Set путей
+
+  const addToSet = (name, paths) => {
+    if (!sets.has(name)) sets.set(name, new Set());
+    const set = sets.get(name);
+    for (const p of paths) set.add(normalizeArchivePath(p));
+  };
+
+  if (STOCK_MANIFEST) {
+    const json = JSON.parse(fs.readFileSync(STOCK_MANIFEST, 'utf8'));
+    if (Array.isArray(json)) {
+      addToSet('manifest', json);
+    } else if (json && json.sets && typeof json.sets === 'object') {
+      for (const [name, paths] of Object.entries(json.sets)) {
+        if (Array.isArray(paths)) addToSet(name, paths);
+      }
+    } else {
+      throw new Error(`${STOCK_MANIFEST}: ожидается массив путей или объект { sets }`);
+    }
+  }
+
+  const dirs = [];
+  if (BASEQ2_DIR) dirs.push(BASEQ2_DIR);
+  if (STOCK_EXTRA_DIRS) {
+    dirs.push(...STOCK_EXTRA_DIRS.split(path.delimiter).map(d => d.trim()).filter(Boolean));
+  }
+  for (const dir of dirs) {
+    addToSet(path.basename(path.resolve(dir)).toLowerCase(), scanGameDirectory(dir));
+  }
+
+  if (!sets.size) return null;
+
+  let enabled = Array.from(sets.keys());
+  if (STOCK_SETS) {
+    const wanted = STOCK_SETS.split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
+    enabled = enabled.filter(name => wanted.includes(name.toLowerCase()));
+  }
+
+  const files = new Set();
+  for (const name of enabled) {
+    for (const p of sets.get(name)) files.add(p);
+  }
+  return { sets: enabled, files };
+}
+
+// Все пути игрового каталога: свободные файлы + содержимое архивов в его корне
+function scanGameDirectory(dir) {
+  const result = [];
+  walkGameDirectory(dir,
+    rel => result.push(rel),
+    abs => result.push(...listArchiveFile(abs)));
+  return result;
+}
+
+// Обход игрового каталога: onFile(rel, abs) для свободных файлов, onArchive(abs) для
+// .pak/.pkz/.zip в корне (архивы во вложенных каталогах движок не монтирует)
+function walkGameDirectory(dir, onFile, onArchive) {
+  const walk = (abs, rel) => {
+    for (const dirent of fs.readdirSync(abs, { withFileTypes: true })) {
+      const childAbs = path.join(abs, dirent.name);
+      const childRel = rel ? `${rel}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) {
+        walk(childAbs, childRel);
+      } else if (dirent.isFile()) {
+        if (!rel && isArchiveFileName(dirent.name)) {
+          onArchive(childAbs);
+        } else {
+          onFile(childRel, childAbs);
+        }
+      }
+    }
+  };
+  walk(dir, '');
+}
+
+function listArchiveFile(filePath) {
+  return Array.from(openArchiveFile(filePath).entries.values()).map(e => e.name);
+}
+
+// Архив на диске. Читаем только заголовок и каталог, данные — по запросу,
+// чтобы не держать в памяти pak0.pak или большой zip целиком.
+function openArchiveFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  let entries = null;
+  let type = 'pak';
+  try {
+    const header = Buffer.alloc(12);
+    fs.readSync(fd, header, 0, 12, 0);
+    if (header.toString('ascii', 0, 4) !== PAK_MAGIC) {
+      type = 'zip';
+      entries = readZipDirectoryFromFile(fd, header);
+    } else {
+      const dirOffset = header.readInt32LE(4);
+      const dirLength = header.readInt32LE(8);
+      const dir = Buffer.alloc(Math.max(0, dirLength));
+      fs.readSync(fd, dir, 0, dir.length, dirOffset);
+      entries = new Map();
+      for (let off = 0; off + PAK_DIR_ENTRY_SIZE <= dir.length; off += PAK_DIR_ENTRY_SIZE) {
+        const name = readCString(dir, off, 56);
+        const offset = dir.readInt32LE(off + 56);
+        const length = dir.readInt32LE(off + 60);
+        if (!name || offset < 0 || length < 0) continue;
+        entries.set(normalizeArchivePath(name), { name, offset, length });
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const readAt = (position, length) => {
+    const data = Buffer.alloc(length);
+    const entryFd = fs.openSync(filePath, 'r');
+    try {
+      return data.subarray(0, fs.readSync(entryFd, data, 0, length, position));
+    } finally {
+      fs.closeSync(entryFd);
+    }
+  };
+
+  if (type === 'pak') {
+    return { type, entries, read: entry => readAt(entry.offset, entry.length) };
+  }
+  return {
+    type,
+    entries,
+    read: entry => {
+      const start = entry.localOffset + zipLocalHeaderSize(readAt(entry.localOffset, 30), entry);
+      const data = readAt(start, entry.compressedSize);
+      if (data.length < entry.compressedSize) {
+        throw new Error(`ZIP: данные ${entry.name} выходят за пределы архива`);
+      }
+      return unpackZipEntry(entry, data);
+    }
+  };
+}
+
+// Центральный каталог zip-файла: ищется в хвосте (EOCD + комментарий), читается только он
+function readZipDirectoryFromFile(fd, header) {
+  const size = fs.fstatSync(fd).size;
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tail = Buffer.alloc(tailLength);
+  fs.readSync(fd, tail, 0, tailLength, size - tailLength);
+
+  const eocd = tailLength >= 22 ? findZipEocd(tail) : -1;
+  if (eocd < 0) {
+    throw new Error(header.length >= 4 && header.readUInt32LE(0) === ZIP_LOCAL_SIG
+      ? 'ZIP: не найден конец центрального каталога'
+      : 'Неизвестный формат архива: ожидается PACK (.pak) или ZIP (.zip/.pkz)');
+  }
+  const total = tail.readUInt16LE(eocd + 10);
+  const cdirSize = tail.readUInt32LE(eocd + 12);
+  const cdirOffset = tail.readUInt32LE(eocd + 16);
+  if (cdirOffset === 0xffffffff || total === 0xffff) {
+    throw new Error('ZIP64-архивы не поддерживаются');
+  }
+  if (cdirOffset + cdirSize > size) {
+    throw new Error('ZIP: повреждён центральный каталог');
+  }
+  const cdir = Buffer.alloc(cdirSize);
+  fs.readSync(fd, cdir, 0, cdirSize, cdirOffset);
+  return parseZipDirectory(cdir, total);
+}
+
+function isStockResource(kind, resPath) {
+  const manifest = getStockManifest();
+
+  if (kind === 'skies') {
+    const faces = skyFacePaths(resPath);
+    if (manifest) return faces.every(variants => variants.some(p => manifest.files.has(p)));
+    const base = normalizeArchivePath(resPath).replace(/\*$/, '');
+    return STOCK_PREFIXES.skies.some(prefix => base.startsWith(prefix));
+  }
+
+  const candidates = resourceCandidatePaths(kind, resPath);
+  if (!candidates) return false;
+  if (manifest) return candidates.some(p => manifest.files.has(p));
+  return (STOCK_PREFIXES[kind] || []).some(prefix => candidates[0].startsWith(prefix));
+}
+
+// Делит ресурсы карты на стандартные (есть в манифесте) и свои (custom).
+// Значения, не похожие на файлы (cdtrack и т.п.), пропускаются.
+function splitStockResources(analysis) {
+  const manifest = getStockManifest();
+  const result = {
+    source: manifest ? 'manifest' : 'builtin',
+    sets: manifest ? manifest.sets : [],
+    summary: { stock: 0, custom: 0 }
+  };
+
+  for (const kind of ['textures', 'skies', 'sounds', 'models']) {
+    const bucket = { stock: [], custom: [] };
+    for (const resPath of analysis[kind] || []) {
+      if (kind !== 'skies' && !resourceCandidatePaths(kind, resPath)) continue;
+      const status = isStockResource(kind, resPath) ? 'stock' : 'custom';
+      bucket[status].push(resPath);
+      result.summary[status]++;
+    }
+    result[kind] = bucket;
+  }
+
+  return result;
+}
+
+// Пути, под которыми ресурс может лежать в архиве (первый — основной).
+// null — значение не похоже на файл (например, cdtrack "2"), проверять нечего.
+function resourceCandidatePaths(kind, resPath) {
+  const p = normalizeArchivePath(resPath);
+  if (kind === 'textures') {
+    const base = p.replace(/\.wal$/, '');
+    return [`${base}.wal`, `${base}.tga`, `${base}.png`, `${base}.jpg`];
+  }
+  if (kind === 'sounds') {
+    if (!/\.[a-z0-9]+$/.test(p)) return null;
+    return p.startsWith('sound/') || p.startsWith('music/') ? [p] : [`sound/${p}`, p];
+  }
+  if (kind === 'models') {
+    return [p];
+  }
+  return null;
+}
+
+function skyFacePaths(sky) {
+  const base = normalizeArchivePath(sky).replace(/\*$/, '');
+  return SKY_SIDES.map(side => [`${base}${side}.tga`, `${base}${side}.pcx`]);
+}
+
+// root — каталог внутри архива, от которого лежат пути игры ('' или 'baseq2/')
+function checkResourcesInArchive(analysis, archive, root = '') {
+  const has = p => archive.entries.has(root + p);
+  const summary = { bundled: 0, stock: 0, missing: 0 };
+  const result = { textures: [], skies: [], sounds: [], models: [], summary };
+
+  const push = (kind, resPath, status, extra) => {
+    summary[status]++;
+    result[kind].push({ path: resPath, status, ...extra });
+  };
+
+  for (const kind of ['textures', 'sounds', 'models']) {
+    for (const resPath of analysis[kind] || []) {
+      const candidates = resourceCandidatePaths(kind, resPath);
+      if (!candidates) continue;
+      const found = candidates.find(has);
+      if (found) {
+        push(kind, resPath, 'bundled', { archivePath: root + found });
+      } else if (isStockResource(kind, resPath)) {
+        push(kind, resPath, 'stock');
+      } else {
+        push(kind, resPath, 'missing');
+      }
+    }
+  }
+
+  for (const sky of analysis.skies || []) {
+    const faces = skyFacePaths(sky);
+    const missingFaces = faces.filter(variants => !variants.some(has)).map(variants => variants[0]);
+    if (!missingFaces.length) {
+      push('skies', sky, 'bundled');
+    } else if (isStockResource('skies', sky)) {
+      push('skies', sky, 'stock');
+    } else {
+      push('skies', sky, 'missing', { missingFaces });
+    }
+  }
+
+  return result;
+}
+
+// ---- Обратный индекс ресурсов ----
+//
+// В документе карты хранится resourceKeys — нормализованные пути всех ресурсов
+// (нижний регистр, прямые слэши, звуки с префиксом sound/, небо — шесть граней .tga/.pcx).
+// По нему строится индекс, а поиск "какие карты используют ресурс" идёт без учёта регистра.
+
+function resourceKeysFor(kind, resPath) {
+  if (kind === 'skies') {
+    return skyFacePaths(resPath).flat();
+  }
+  if (kind === 'sounds') {
+    const candidates = resourceCandidatePaths(kind, resPath);
+    return candidates ? [candidates[0]] : [];
+  }
+  return [normalizeArchivePath(resPath)];
+}
+
+function buildResourceKeys(analysis) {
+  const keys = new Set();
+  for (const kind of ['textures', 'skies', 'sounds', 'models']) {
+    for (const resPath of analysis[kind] || []) {
+      for (const key of resourceKeysFor(kind, resPath)) keys.add(key);
+    }
+  }
+  return Array.from(keys).sort();
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// -> { query, mode: 'exact' | 'prefix' | 'wildcard', test(key), mongo } или null для пустого запроса.
+// Точный путь и префикс дают якорный regex/равенство — они используют индекс resourceKeys.
+function parseResourceQuery(query) {
+  const q = normalizeArchivePath(String(query || '').trim());
+  if (!q) return null;
+
+  if (/[*?]/.test(q)) {
+    const body = q.split('').map(c => c === '*' ? '.*' : c === '?' ? '.' : escapeRegExp(c)).join('');
+    const isPrefix = /^[^*?]+\*$/.test(q);
+    const re = new RegExp('^' + body + '$');
+    return {
+      query: q,
+      mode: isPrefix ? 'prefix' : 'wildcard',
+      test: key => re.test(key),
+      mongo: isPrefix ? { $regex: '^' + escapeRegExp(q.slice(0, -1)) } : { $regex: re.source }
+    };
+  }
+  if (q.endsWith('/')) {
+    return {
+      query: q,
+      mode: 'prefix',
+      test: key => key.startsWith(q),
+      mongo: { $regex: '^' + escapeRegExp(q) }
+    };
+  }
+  return { query: q, mode: 'exact', test: key => key === q, mongo: q };
+}
+
+// Какие ресурсы карты подошли под запрос: [{ kind, path }]
+function matchResources(doc, matcher) {
+  const matches = [];
+  for (const kind of ['textures', 'skies', 'sounds', 'models']) {
+    for (const resPath of doc[kind] || []) {
+      if (resourceKeysFor(kind, resPath).some(matcher.test)) {
+        matches.push({ kind, path: resPath });
+      }
+    }
+  }
+  return matches;
+}
+
+module.exports = {
+  PARSER_VERSION,
+  PAK_MAGIC,
+  PAK_DIR_ENTRY_SIZE,
+  ZIP_EOCD_SIG,
+  ZIP_CDIR_SIG,
+  ZIP_LOCAL_SIG,
+  BSP_FORMATS,
+  analyzeBspBuffer,
+  analyzeUpload,
+  crc32,
+  parseEntities,
+  extractFromEntities,
+  createEmptyEntityStats,
+  entityCategory,
+  classifyClassname,
+  analyzeDmLayout,
+  isQuake2Family,
+  isArchiveFileName,
+  normalizeArchivePath,
+  openArchive,
+  openArchiveFile,
+  walkGameDirectory,
+  getStockManifest,
+  isStockResource,
+  splitStockResources,
+  resourceCandidatePaths,
+  skyFacePaths,
+  resourceKeysFor,
+  buildResourceKeys,
+  parseResourceQuery,
+  matchResources,
+  escapeRegExp
+};
@@ -0,0 +1,266 @@
+// Вход на сайт и роли. Два способа, можно вместе:
+//   — локальные учётные записи в JSON-файле, которые заводятся командой q2mapinfo user;
+//     вход через /login, сессия — подписанная cookie;
+//   — общие секреты (AUTH_TOKENS): заголовок Authorization: Bearer <токен> для API
+//     или тот же токен вместо пароля на /login.
+// Если не настроено ни то, ни другое, вход выключен и всем разрешено всё, как раньше.
+//
+// Роли по возрастанию прав: viewer — просмотр, uploader — ещё загрузка карт и правка
+// каталога, admin — ещё удаление карт, повторный анализ и журнал изменений.
+//
+// AUTH_USERS_FILE     — файл учётных записей (по умолчанию data/users.json)
+// AUTH_TOKENS         — токены через запятую: <имя>:<роль>:<токен>
+// AUTH_SECRET         — ключ подписи cookie; без него случайный, и после перезапуска
+//                       придётся войти заново
+// AUTH_ANONYMOUS_ROLE — роль посетителя без входа: viewer (по умолчанию) или none
+// AUTH_SESSION_HOURS  — срок сессии в часах (по умолчанию неделя)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'uploader', 'admin'];
+const ROLE_LABELS = { viewer: 'просмотр', uploader: 'загрузка', admin: 'администратор' };
+
+const AUTH_USERS_FILE = path.resolve(process.env.AUTH_USERS_FILE || path.join(__dirname, '..', 'data', 'users.json'));
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const AUTH_ANONYMOUS_ROLE = (process.env.AUTH_ANONYMOUS_ROLE || 'viewer').toLowerCase();
+const SESSION_TTL_MS = (Number(process.env.AUTH_SESSION_HOURS) || 24 * 7) * 3600 * 1000;
+
+const SESSION_COOKIE = 'q2mapinfo_session';
+const SCRYPT_KEYLEN = 32;
+const USER_NAME_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+if (AUTH_ANONYMOUS_ROLE !== 'none' && !ROLES.includes(AUTH_ANONYMOUS_ROLE)) {
+  throw new Error(`AUTH_ANONYMOUS_ROLE=${AUTH_ANONYMOUS_ROLE}: ожидается ${ROLES.join(', ')} или none`);
+}
+
+// ---- Роли ----
+
+// user — { name, role } или null (посетитель без входа)
+function hasRole(user, role) {
+  const current = user ? user.role : AUTH_ANONYMOUS_ROLE;
+  return ROLES.indexOf(current) >= ROLES.indexOf(role);
+}
+
+// ---- Токены (AUTH_TOKENS) ----
+
+function parseTokens(spec) {
+  if (!spec) return [];
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(item => {
+    const [name, role, ...rest] = item.split(':');
+    const token = rest.join(':');
+    if (!USER_NAME_RE.test(name || '') || !ROLES.includes(role) || token.length < 16) {
+      throw new Error(`AUTH_TOKENS: "${name}:${role}:…" — ожидается <имя>:<роль>:<токен не короче 16 символов>`);
+    }
+    return { name, role, token };
+  });
+}
+
+const tokens = parseTokens(process.env.AUTH_TOKENS);
+
+// Сравнение без утечки по времени: сравниваются хэши, они одной длины
+function safeEqual(a, b) {
+  const hash = s => crypto.createHash('sha256').update(String(s)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function findToken(value) {
+  if (!value) return null;
+  const found = tokens.find(t => safeEqual(t.token, value));
+  return found ? { name: found.name, role: found.role, via: 'token' } : null;
+}
+
+// ---- Учётные записи (AUTH_USERS_FILE) ----
+//
+// { "users": [{ "name": "admin", "role": "admin", "password": "scrypt$<соль>$<хэш>" }] }
+
+// Файл читается при каждом запросе (isAuthEnabled), поэтому проверяем его не чаще раза
+// в USERS_RECHECK_MS; правки из q2mapinfo user видны сайту через пару секунд
+const USERS_RECHECK_MS = 2000;
+
+let usersCache = null; // { mtimeMs, users, checkedAt }; mtimeMs = null — файла нет
+
+function readUsers() {
+  const now = Date.now();
+  if (usersCache && now - usersCache.checkedAt < USERS_RECHECK_MS) {
+    return usersCache.users;
+  }
+  let stat;
+  try {
+    stat = fs.statSync(AUTH_USERS_FILE);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    usersCache = { mtimeMs: null, users: [], checkedAt: now };
+    return usersCache.users;
+  }
+  if (!usersCache || usersCache.mtimeMs !== stat.mtimeMs) {
+    const json = JSON.parse(fs.readFileSync(AUTH_USERS_FILE, 'utf8'));
+    usersCache = { mtimeMs: stat.mtimeMs, users: Array.isArray(json.users) ? json.users : [], checkedAt: now };
+  }
+  usersCache.checkedAt = now;
+  return usersCache.users;
+}
+
+function writeUsers(users) {
+  fs.mkdirSync(path.dirname(AUTH_USERS_FILE), { recursive: true });
+  const tmp = `${AUTH_USERS_FILE}.${process.pid}.tmp`;
+  // пароли в файле только хэшами, но и их посторонним читать незачем
+  fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, AUTH_USERS_FILE);
+  usersCache = null;
+}
+
+function findAccount(name) {
+  const account = readUsers().find(u => u.name === name);
+  return account && ROLES.includes(account.role) ? { name: account.name, role: account.role, via: 'account' } : null;
+}
+
+function isAuthEnabled() {
+  return tokens.length > 0 || readUsers().length > 0;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Испорченная запись в файле — просто неверный пароль, а не ошибка сервера
+const HEX_RE = /^(?:[0-9a-f]{2})+$/i;
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !HEX_RE.test(salt || '') || !HEX_RE.test(hash || '')) return false;
+  const expected = Buffer.from(hash, 'hex');
+  if (expected.length !== SCRYPT_KEYLEN) return false;
+  const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Добавить учётную запись или сменить роль и пароль существующей
+async function saveAccount(name, role, password) {
+  if (!USER_NAME_RE.test(name)) {
+    throw new Error('Имя пользователя: латиница, цифры и _.@- (до 64 символов)');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Неизвестная роль "${role}". Допустимые: ${ROLES.join(', ')}`);
+  }
+  if (String(password).length < 8) {
+    throw new Error('Пароль — не короче 8 символов');
+  }
+  const users = readUsers().filter(u => u.name !== name);
+  users.push({ name, role, password: await hashPassword(password) });
+  users.sort((a, b) => a.name.localeCompare(b.name));
+  writeUsers(users);
+}
+
+function removeAccount(name) {
+  const users = readUsers();
+  const rest = users.filter(u => u.name !== name);
+  if (rest.length === users.length) return false;
+  writeUsers(rest);
+  return true;
+}
+
+function listAccounts() {
+  return readUsers().map(u => ({ name: u.name, role: u.role }));
+}
+
+// Вход по форме: имя и пароль учётной записи или токен вместо пароля (имя тогда можно не указывать)
+async function login(name, password) {
+  const trimmed = String(name || '').trim();
+  const stored = trimmed && readUsers().find(u => u.name === trimmed);
+  if (stored) {
+    return await verifyPassword(password, stored.password) ? findAccount(trimmed) : null;
+  }
+  const user = findToken(password);
+  return user && (!trimmed || trimmed === user.name) ? user : null;
+}
+
+// ---- Сессии ----
+//
+// Cookie: <base64url JSON { n: имя, v: account|token, e: истекает }>.<HMAC>.
+// Роль не хранится в cookie, а берётся из файла учётных записей или AUTH_TOKENS при каждом
+// запросе, так что смена роли или удаление пользователя действуют сразу.
+// SameSite=Lax: браузер не пришлёт cookie с POST-формы чужого сайта.
+
+const sign = payload => crypto.createHmac('sha256', AUTH_SECRET).update(payload).digest('base64url');
+
+function sessionCookie(user, { secure = false } = {}) {
+  const payload = Buffer.from(JSON.stringify({ n: user.name, v: user.via, e: Date.now() + SESSION_TTL_MS }))
+    .toString('base64url');
+  return `${SESSION_COOKIE}=${payload}.${sign(payload)}; Path=/; HttpOnly; SameSite=Lax; ` +
+    `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}${secure ? '; Secure' : ''}`;
+}
+
+function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i !== -1 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+  }
+  return null;
+}
+
+function userFromSession(value) {
+  if (!value) return null;
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!session || typeof session.e !== 'number' || session.e < Date.now()) return null;
+  if (session.v === 'token') {
+    const found = tokens.find(t => t.name === session.n);
+    return found ? { name: found.name, role: found.role, via: 'token' } : null;
+  }
+  return findAccount(session.n);
+}
+
+// Пользователь запроса: Bearer-токен, затем cookie сессии; null — без входа
+function authenticateRequest(req) {
+  const header = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(header);
+  if (bearer) return findToken(bearer[1].trim());
+  return userFromSession(readCookie(req.get('cookie'), SESSION_COOKIE));
+}
+
+// Если вход выключен — все действуют как администратор без имени
+const NOBODY_ADMIN = Object.freeze({ name: null, role: 'admin', via: null });
+
+// Express middleware: req.user — { name, role, via } или null
+function authenticate(req, res, next) {
+  try {
+    req.user = isAuthEnabled() ? authenticateRequest(req) : NOBODY_ADMIN;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  AUTH_USERS_FILE,
+  hasRole,
+  isAuthEnabled,
+  hashPassword,
+  verifyPassword,
+  saveAccount,
+  removeAccount,
+  listAccounts,
+  login,
+  sessionCookie,
+  clearSessionCookie,
+  authenticate
+};
@@ -0,0 +1,153 @@
+// Словари classname по играм и модам: категория, отображаемое имя и значок
+// (картинка HUD из pics/, как в itemlist игры). Встроенные словари лежат рядом
+// в JSON; свои можно добавить через CLASSNAME_DICTIONARIES — список JSON-файлов
+// того же вида, через path.delimiter. Словарь с уже известным id дополняет встроенный.
+//
+// {
+//   "id": "xatrix", "name": "The Reckoning (Xatrix)", "includes": ["baseq2"],
+//   "classnames": { "weapon_boomer": { "category": "weapon", "name": "Ion Ripper", "icon": "w_ripper" } }
+// }
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_DICTIONARIES = ['baseq2', 'xatrix', 'rogue', 'ctf', 'rerelease'];
+const BASE_DICTIONARY = 'baseq2';
+const CLASSNAME_DICTIONARIES = process.env.CLASSNAME_DICTIONARIES;
+
+// Категории в порядке показа
+const CLASSNAME_CATEGORIES = [
+  'weapon', 'ammo', 'armor', 'health', 'powerup', 'item', 'key',
+  'spawn', 'monster', 'flag', 'tech', 'world'
+];
+
+let dictionaries; // Map id -> словарь, загружается при первом обращении
+let byClassname; // classname -> { ...запись, dictionary }
+
+function readDictionary(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!json || typeof json.id !== 'string' || !json.classnames || typeof json.classnames !== 'object') {
+    throw new Error(`${file}: ожидается объект { id, name, includes, classnames }`);
+  }
+  for (const [cls, entry] of Object.entries(json.classnames)) {
+    if (!entry || !CLASSNAME_CATEGORIES.includes(entry.category)) {
+      throw new Error(`${file}: у "${cls}" неизвестная категория ${JSON.stringify(entry && entry.category)}`);
+    }
+  }
+  return {
+    id: json.id,
+    name: json.name || json.id,
+    includes: Array.isArray(json.includes) ? json.includes : [],
+    classnames: json.classnames
+  };
+}
+
+function loadDictionaries() {
+  if (dictionaries) return dictionaries;
+
+  const result = new Map();
+  const files = BUILTIN_DICTIONARIES.map(id => path.join(__dirname, `${id}.json`));
+  if (CLASSNAME_DICTIONARIES) {
+    files.push(...CLASSNAME_DICTIONARIES.split(path.delimiter).map(f => f.trim()).filter(Boolean));
+  }
+  for (const file of files) {
+    const dict = readDictionary(file);
+    const existing = result.get(dict.id);
+    if (existing) {
+      existing.name = dict.name;
+      existing.includes = Array.from(new Set([...existing.includes, ...dict.includes]));
+      Object.assign(existing.classnames, dict.classnames);
+    } else {
+      result.set(dict.id, dict);
+    }
+  }
+
+  // первый словарь, где встретился classname, задаёт его описание
+  const index = new Map();
+  for (const dict of result.values()) {
+    for (const [cls, entry] of Object.entries(dict.classnames)) {
+      if (!index.has(cls)) index.set(cls, { ...entry, dictionary: dict.id });
+    }
+  }
+
+  dictionaries = result;
+  byClassname = index;
+  return dictionaries;
+}
+
+// Описание classname: { category, name, icon, team, dictionary } или null
+function lookupClassname(cls) {
+  loadDictionaries();
+  return byClassname.get(cls) || null;
+}
+
+// Все classname, которые знает игра с этим словарём, вместе с включёнными словарями
+function knownClassnames(id) {
+  const dicts = loadDictionaries();
+  const known = new Set();
+  const visit = (dictId, seen) => {
+    const dict = dicts.get(dictId);
+    if (!dict || seen.has(dictId)) return;
+    seen.add(dictId);
+    for (const cls of Object.keys(dict.classnames)) known.add(cls);
+    for (const inc of dict.includes) visit(inc, seen);
+  };
+  visit(id, new Set());
+  return known;
+}
+
+// Вероятный мод по сущностям: { id, name, evidence: [classname] }.
+// Уликами считаются classname, которые есть ровно в одном словаре (кроме базового).
+// Если подошло несколько модов, выбирается тот, что включает остальные
+// (ремастер знает и Ground Zero, и The Reckoning), иначе — с большим числом улик.
+function detectMod(entities) {
+  const dicts = loadDictionaries();
+  const owners = new Map(); // classname -> [dictId]
+  for (const dict of dicts.values()) {
+    for (const cls of Object.keys(dict.classnames)) {
+      if (!owners.has(cls)) owners.set(cls, []);
+      owners.get(cls).push(dict.id);
+    }
+  }
+
+  const hits = new Map(); // dictId -> Set(classname)
+  for (const e of entities || []) {
+    const ids = e.classname && owners.get(e.classname);
+    if (!ids || ids.length !== 1 || ids[0] === BASE_DICTIONARY) continue;
+    if (!hits.has(ids[0])) hits.set(ids[0], new Set());
+    hits.get(ids[0]).add(e.classname);
+  }
+
+  if (!hits.size) {
+    const base = dicts.get(BASE_DICTIONARY);
+    return { id: base.id, name: base.name, evidence: [] };
+  }
+
+  const candidates = Array.from(hits.keys())
+    .sort((a, b) => hits.get(b).size - hits.get(a).size || a.localeCompare(b));
+  const covering = candidates.find(id => {
+    const known = knownClassnames(id);
+    return candidates.every(other => Array.from(hits.get(other)).every(cls => known.has(cls)));
+  });
+  const chosen = covering || candidates[0];
+  const known = knownClassnames(chosen);
+  const evidence = candidates
+    .flatMap(id => Array.from(hits.get(id)))
+    .filter(cls => known.has(cls))
+    .sort();
+
+  return { id: chosen, name: dicts.get(chosen).name, evidence };
+}
+
+// Словари для API: [{ id, name, includes, classnames }]
+function listDictionaries() {
+  return Array.from(loadDictionaries().values());
+}
+
+module.exports = {
+  CLASSNAME_CATEGORIES,
+  lookupClassname,
+  knownClassnames,
+  detectMod,
+  listDictionaries
+};
@@ -0,0 +1,110 @@
+// Данные каталога, которые вносят люди, а не анализатор: автор, теги режима игры,
+// рекомендуемое число игроков, заметки и оценка. Лежат в поле curation документа карты
+// и не входят в то, что пишет saveAnalysisToDb, поэтому переживают повторный анализ.
+//
+// curation: { author, tags: [тег], players: { min, max }, notes, rating }
+// (пустые значения — null, у tags — [])
+
+// Теги режима игры в порядке показа
+const CURATION_TAGS = ['dm', 'tdm', 'ctf', 'coop', 'sp'];
+const CURATION_TAG_LABELS = {
+  dm: 'Deathmatch',
+  tdm: 'Team DM',
+  ctf: 'CTF',
+  coop: 'Кооператив',
+  sp: 'Одиночная игра'
+};
+
+const MAX_AUTHOR_LENGTH = 200;
+const MAX_NOTES_LENGTH = 10000;
+const MAX_PLAYERS = 256;
+const MAX_RATING = 5;
+
+function createEmptyCuration() {
+  return { author: null, tags: [], players: null, notes: null, rating: null };
+}
+
+const trimmedOrNull = value => {
+  const s = value == null ? '' : String(value).trim();
+  return s || null;
+};
+
+// "8", "4-8", "4–8" или { min, max } -> { min, max }; null — не задано; undefined — ошибка
+function parsePlayers(value) {
+  if (value == null || value === '') return null;
+  let min;
+  let max;
+  if (typeof value === 'object') {
+    min = Number(value.min);
+    max = Number(value.max !== undefined ? value.max : value.min);
+  } else {
+    const m = /^\s*(\d+)\s*(?:[-–]\s*(\d+)\s*)?$/.exec(String(value));
+    if (!m) return undefined;
+    min = Number(m[1]);
+    max = Number(m[2] !== undefined ? m[2] : m[1]);
+  }
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min || max > MAX_PLAYERS) {
+    return undefined;
+  }
+  return { min, max };
+}
+
+// Из формы или JSON: { curation, errors: [{ field, message }] }.
+// Теги — массив или строка через запятую; поля, которых нет во входных данных, очищаются.
+function normalizeCuration(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const curation = createEmptyCuration();
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  curation.author = trimmedOrNull(src.author);
+  if (curation.author && curation.author.length > MAX_AUTHOR_LENGTH) {
+    fail('author', `Автор — не длиннее ${MAX_AUTHOR_LENGTH} символов`);
+  }
+
+  const rawTags = Array.isArray(src.tags) ? src.tags : String(src.tags || '').split(',');
+  const tags = rawTags.map(t => String(t).trim().toLowerCase()).filter(Boolean);
+  const unknownTags = tags.filter(t => !CURATION_TAGS.includes(t));
+  if (unknownTags.length) {
+    fail('tags', `Неизвестные теги: ${unknownTags.join(', ')} (допустимы ${CURATION_TAGS.join(', ')})`);
+  }
+  curation.tags = CURATION_TAGS.filter(t => tags.includes(t));
+
+  const players = parsePlayers(src.players);
+  if (players === undefined) {
+    fail('players', `Число игроков — целое от 1 до ${MAX_PLAYERS} или диапазон вида 4-8`);
+  } else {
+    curation.players = players;
+  }
+
+  curation.notes = trimmedOrNull(src.notes);
+  if (curation.notes && curation.notes.length > MAX_NOTES_LENGTH) {
+    fail('notes', `Заметки — не длиннее ${MAX_NOTES_LENGTH} символов`);
+  }
+
+  if (src.rating != null && src.rating !== '') {
+    const rating = Number(src.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > MAX_RATING) {
+      fail('rating', `Оценка — целое от 1 до ${MAX_RATING}`);
+    } else {
+      curation.rating = rating;
+    }
+  }
+
+  return { curation, errors };
+}
+
+// { min, max } -> "4–8" или "8"
+function formatPlayers(players) {
+  if (!players) return '';
+  return players.min === players.max ? String(players.min) : `${players.min}–${players.max}`;
+}
+
+module.exports = {
+  CURATION_TAGS,
+  CURATION_TAG_LABELS,
+  MAX_RATING,
+  createEmptyCuration,
+  normalizeCuration,
+  formatPlayers
+};
@@ -0,0 +1,384 @@
+// Хранение результатов анализа и исходных BSP на диске.
+// Используется сервером и пакетным анализатором (bin/q2mapinfo.js --import).
+//
+// Сами документы лежат в одном из хранилищ (lib/storage): MongoDB, каталог с JSON-файлами
+// или память процесса (для тестов). Все дают одинаковый набор операций над картами:
+//   findMap(filter, { sort, projection })              -> документ или null
+//   listMaps(filter, { sort, skip, limit, projection }) -> [документ]
+//   countMaps(filter)                                   -> число
+//   insertMap(doc)                                      -> id
+//   updateMap(id, { set, addAlias })
+//   deleteMaps(filter)                                  -> сколько удалено
+//   insertAuditEntry(entry)                             — запись в журнал изменений
+//   listAuditEntries({ sha256 }, { limit })             -> [запись], новые первыми
+//   close()
+// filter — объект с любыми из полей (все условия через "и"):
+//   id, sha256, hasSha256, name (точное имя файла или псевдоним, без учёта регистра),
+//   fileNameContains, mapNameContains, text (подстрока имени файла или названия),
+//   format (id формата), hasErrors, hasWarnings, resource (результат parseResourceQuery),
+//   staleFor (версия разборщика — документы с другой версией), originalStored,
+//   mod (id словаря classname), customSky и customResources (по stockCheck),
+//   dmSpawns ({ min, max } — число info_player_deathmatch, границы включительно),
+//   weapons ([classname] — есть каждое из оружий; только [a-z0-9_]),
+//   по данным каталога (lib/curation.js): tags ([тег] — все), authorContains, notesContains,
+//   minRating, players (число игроков, входящее в рекомендуемый диапазон).
+// sort и projection — в записи MongoDB: { mapName: 1, fileName: 1 }, { entities: 0 };
+// в sort допустим путь через точку ('bspStructure.fileSize').
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  PARSER_VERSION,
+  buildResourceKeys,
+  parseResourceQuery,
+  matchResources
+} = require('./analyzer');
+const { createMongoStorage } = require('./storage/mongo');
+const { createFileStorage } = require('./storage/file');
+const { createMemoryStorage } = require('./storage/memory');
+
+// ----- Выбор хранилища -----
+//
+// STORAGE           — mongo, file или memory; по умолчанию mongo, если задан MONGODB_URI, иначе file
+// MONGODB_URI       — строка подключения для mongo
+// FILE_STORAGE_DIR  — каталог для file (по умолчанию data/maps)
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const STORAGE = (process.env.STORAGE || (MONGODB_URI ? 'mongo' : 'file')).toLowerCase();
+const FILE_STORAGE_DIR = path.resolve(process.env.FILE_STORAGE_DIR || path.join(__dirname, '..', 'data', 'maps'));
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    if (STORAGE === 'mongo') {
+      if (!MONGODB_URI) {
+        throw new Error('Переменная окружения MONGODB_URI не задана');
+      }
+      storage = createMongoStorage(MONGODB_URI);
+    } else if (STORAGE === 'file') {
+      storage = createFileStorage(FILE_STORAGE_DIR);
+    } else if (STORAGE === 'memory') {
+      storage = createMemoryStorage();
+    } else {
+      throw new Error(`Неизвестное хранилище STORAGE=${STORAGE}: ожидается mongo, file или memory`);
+    }
+  }
+  return storage;
+}
+
+// Нужно только утилитам командной строки: сервер держит хранилище открытым всё время работы
+async function closeStorage() {
+  if (storage) {
+    const current = storage;
+    storage = null;
+    await current.close();
+  }
+}
+
+function getBaseMapName(fileName) {
+  return fileName ? fileName.replace(/\.bsp$/i, '') : '';
+}
+
+async function getSavedMapsList() {
+  return getStorage().listMaps({}, {
+    sort: { mapName: 1, mapVersion: 1, fileName: 1 },
+    projection: { mapName: 1, mapVersion: 1, fileName: 1 }
+  });
+}
+
+// --- поиск карты по подстроке имени файла ---
+
+async function searchMapsByFileSubstring(fileQuery) {
+  if (!fileQuery) return [];
+  const term = fileQuery.trim();
+  if (!term) return [];
+
+  return getStorage().listMaps({ fileNameContains: term }, {
+    sort: { updatedAt: -1, createdAt: -1 },
+    projection: { entities: 0, overview: 0 }
+  });
+}
+
+// поиск по точному имени файла или псевдониму (для /view?map=...)
+async function findMapByExactFileName(fileName) {
+  if (!fileName) return null;
+  const term = fileName.trim();
+  if (!term) return null;
+
+  return getStorage().findMap({ name: term }, { sort: { updatedAt: -1, createdAt: -1 } });
+}
+
+async function findMapBySha256(sha256) {
+  const term = String(sha256 || '').trim().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(term)) return null;
+  return getStorage().findMap({ sha256: term });
+}
+
+// legacy: /view?id=...
+async function findMapById(id) {
+  return getStorage().findMap({ id });
+}
+
+// Удаление карты (документ из find*) с записью в журнал от имени user.
+// Исходный BSP остаётся в хранилище: повторная загрузка того же файла его подхватит.
+async function deleteMap(doc, user = null) {
+  const deleted = await getStorage().deleteMaps({ id: doc._id });
+  if (deleted) {
+    await recordAudit({
+      user,
+      action: 'delete',
+      sha256: doc.sha256 || null,
+      fileName: doc.fileName || null,
+      details: { aliases: doc.aliases || [] }
+    });
+  }
+  return deleted;
+}
+
+const RESOURCE_SEARCH_LIMIT = 500;
+
+// Карты, ссылающиеся на ресурс. query — путь, префикс (.../ или ...*) или маска с * и ?
+async function findMapsByResource(query, limit) {
+  const matcher = parseResourceQuery(query);
+  if (!matcher) return { matcher: null, items: [], total: 0 };
+
+  const filter = { resource: matcher };
+  const [docs, total] = await Promise.all([
+    getStorage().listMaps(filter, {
+      sort: { mapName: 1, fileName: 1 },
+      limit,
+      projection: { fileName: 1, mapName: 1, mapVersion: 1, textures: 1, skies: 1, sounds: 1, models: 1 }
+    }),
+    getStorage().countMaps(filter)
+  ]);
+
+  const items = docs.map(doc => ({
+    fileName: doc.fileName || null,
+    mapName: doc.mapName || null,
+    mapVersion: doc.mapVersion || null,
+    matches: matchResources(doc, matcher)
+  }));
+  return { matcher, items, total };
+}
+
+// Для повторного анализа: документы, разобранные другой версией разборщика
+async function countStaleMaps() {
+  const [stale, withoutOriginal] = await Promise.all([
+    getStorage().countMaps({ staleFor: PARSER_VERSION, originalStored: true }),
+    getStorage().countMaps({ staleFor: PARSER_VERSION, originalStored: false })
+  ]);
+  return { stale, withoutOriginal };
+}
+
+async function listStaleMaps() {
+  return getStorage().listMaps(
+    { staleFor: PARSER_VERSION, originalStored: true },
+    { projection: { sha256: 1, fileName: 1 } }
+  );
+}
+
+// ----- Журнал изменений -----
+//
+// Запись: { at, user, action, sha256, fileName, details }
+//   user   — имя пользователя (lib/auth.js) или null, если вход не настроен
+//   action — upload, reanalyze, curation или delete
+
+const AUDIT_ACTIONS = ['upload', 'reanalyze', 'curation', 'delete'];
+
+// Ошибка записи в журнал не отменяет само действие — только попадает в лог сервера
+async function recordAudit({ user = null, action, sha256 = null, fileName = null, details = null }) {
+  try {
+    await getStorage().insertAuditEntry({ at: new Date(), user, action, sha256, fileName, details });
+  } catch (err) {
+    console.error('Audit log error:', err);
+  }
+}
+
+// История одной карты (по SHA-256) или всей коллекции
+async function listAuditLog({ sha256, limit = 0 } = {}) {
+  return getStorage().listAuditEntries(sha256 ? { sha256 } : {}, { limit });
+}
+
+// Данные каталога (автор, теги, заметки...) — отдельным полем, разбор их не трогает
+async function updateMapCuration(id, curation) {
+  await getStorage().updateMap(id, { set: { curation } });
+}
+
+// Сохранения одной карты идут по очереди: иначе две одновременные загрузки одного файла
+// обе не найдут документ и вставят два. У mongo от дублей есть уникальный индекс по sha256,
+// у file и memory — только эта очередь. sha256 -> промис последнего сохранения.
+const saveQueues = new Map();
+
+function withSha256Lock(sha256, fn) {
+  const task = (saveQueues.get(sha256) || Promise.resolve()).then(fn);
+  const tail = task.catch(() => {});
+  saveQueues.set(sha256, tail);
+  tail.then(() => {
+    if (saveQueues.get(sha256) === tail) saveQueues.delete(sha256);
+  });
+  return task;
+}
+
+// Карта идентифицируется содержимым (SHA-256 файла). Повторная загрузка того же файла
+// обновляет документ; под другим именем — имя добавляется в aliases, а основное
+// fileName не меняется, чтобы не ломать ссылки. Документы, сохранённые до появления
+// sha256, подхватываются по точному имени файла. Поле curation (данные каталога)
+// в doc не входит, поэтому при повторном анализе остаётся как было.
+async function saveAnalysisToDb(analysis, fileName) {
+  return withSha256Lock(analysis.sha256, () => writeAnalysis(analysis, fileName));
+}
+
+async function writeAnalysis(analysis, fileName) {
+  const maps = getStorage();
+
+  const baseName = getBaseMapName(fileName);
+  const mapName = analysis.mapName || baseName || null;
+  const mapVersion = analysis.mapVersion || null;
+
+  const now = new Date();
+
+  const doc = {
+    sha256: analysis.sha256,
+    mapChecksum: analysis.mapChecksum,
+    mapName,
+    mapVersion,
+    format: analysis.format || null,
+    textures: analysis.textures,
+    skies: analysis.skies,
+    sounds: analysis.sounds,
+    models: analysis.models,
+    others: analysis.others,
+    entityStats: analysis.entityStats,
+    mod: analysis.mod || null,
+    entities: analysis.entities || [],
+    overview: analysis.overview || null,
+    bspStructure: analysis.bspStructure || null,
+    textureInfo: analysis.textureInfo || [],
+    layout: analysis.layout || null,
+    lint: analysis.lint || [],
+    stockCheck: analysis.stockCheck || null,
+    errors: analysis.errors,
+    warnings: analysis.warnings,
+    parserVersion: PARSER_VERSION,
+    updatedAt: now
+  };
+
+  doc.resourceKeys = buildResourceKeys(analysis);
+  // флаг не снимаем: исходник по этому хэшу мог быть сохранён раньше
+  if (analysis.originalStored) doc.originalStored = true;
+
+  // Данные из архива пишем только если карта пришла в архиве,
+  // чтобы повторная загрузка голого .bsp их не затирала
+  if (analysis.archive) doc.archive = analysis.archive;
+  if (analysis.resourceCheck) doc.resourceCheck = analysis.resourceCheck;
+
+  const idProjection = { projection: { fileName: 1 } };
+  let existing = await maps.findMap({ sha256: analysis.sha256 }, idProjection);
+  if (!existing && fileName) {
+    existing = await maps.findMap({ hasSha256: false, name: fileName }, idProjection);
+  }
+
+  let duplicateOf = null;
+  let primaryFileName = fileName || null;
+
+  if (existing) {
+    let addAlias = null;
+    primaryFileName = existing.fileName || primaryFileName;
+    if (!existing.fileName) {
+      doc.fileName = fileName || null;
+    } else if (fileName && existing.fileName.toLowerCase() !== fileName.toLowerCase()) {
+      duplicateOf = existing.fileName;
+      addAlias = fileName;
+    }
+    await maps.updateMap(existing._id, { set: doc, addAlias });
+  } else {
+    await maps.insertMap({ ...doc, fileName: fileName || null, aliases: [], createdAt: now });
+  }
+
+  return { mapName, mapVersion, fileName: primaryFileName, duplicateOf, created: !existing };
+}
+
+// Сохраняет один результат analyzeUpload: исходный BSP в хранилище, анализ в базу
+// (upsert по SHA-256 содержимого) и запись в журнал от имени user. Ошибки сохранения
+// не роняют анализ, а попадают в warnings результата. -> true, если анализ записан в базу.
+async function saveUploadItem(item, user = null) {
+  const { file, analysis } = item;
+  if (!item.save) return false;
+
+  try {
+    await storeOriginalBsp(analysis.sha256, item.bsp);
+    analysis.originalStored = true;
+  } catch (err) {
+    analysis.warnings.push(`Не удалось сохранить исходный файл: ${err.message}`);
+  }
+  try {
+    const { mapName, mapVersion, fileName, duplicateOf, created } = await saveAnalysisToDb(analysis, file);
+    await recordAudit({
+      user,
+      action: 'upload',
+      sha256: analysis.sha256,
+      fileName,
+      details: { file, created, archive: analysis.archive ? analysis.archive.name : null }
+    });
+    analysis.mapName = mapName;
+    analysis.mapVersion = mapVersion;
+    if (duplicateOf) {
+      analysis.duplicateOf = duplicateOf;
+      analysis.warnings.push(`Точная копия (тот же SHA-256) уже есть в базе как ${duplicateOf} — имя ${file} добавлено в псевдонимы`);
+    }
+    return true;
+  } catch (err) {
+    analysis.warnings = analysis.warnings || [];
+    analysis.warnings.push(`Не удалось сохранить в базу: ${err.message}`);
+    return false;
+  }
+}
+
+// ----- Хранилище исходных BSP -----
+//
+// Файлы раскладываются по SHA-256: <BSP_STORAGE_DIR>/ab/ab12…ef.bsp,
+// так что одинаковые карты под разными именами хранятся один раз.
+
+const BSP_STORAGE_DIR = path.resolve(process.env.BSP_STORAGE_DIR || path.join(__dirname, '..', 'data', 'bsp'));
+
+// sha256 должен быть уже проверен (приходит из анализа или из документа в базе)
+function originalBspPath(sha256) {
+  return path.join(BSP_STORAGE_DIR, sha256.slice(0, 2), sha256 + '.bsp');
+}
+
+async function storeOriginalBsp(sha256, buf) {
+  const file = originalBspPath(sha256);
+  if (fs.existsSync(file)) return;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  // через временный файл, чтобы при сбое не остался обрезанный .bsp; имя случайное —
+  // одну карту могут сохранять одновременно две загрузки
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tmp, buf);
+  await fs.promises.rename(tmp, file);
+}
+
+module.exports = {
+  getStorage,
+  closeStorage,
+  getBaseMapName,
+  getSavedMapsList,
+  searchMapsByFileSubstring,
+  findMapByExactFileName,
+  findMapBySha256,
+  findMapById,
+  deleteMap,
+  RESOURCE_SEARCH_LIMIT,
+  findMapsByResource,
+  countStaleMaps,
+  listStaleMaps,
+  AUDIT_ACTIONS,
+  recordAudit,
+  listAuditLog,
+  updateMapCuration,
+  saveAnalysisToDb,
+  saveUploadItem,
+  originalBspPath,
+  storeOriginalBsp
+};
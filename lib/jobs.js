@@ -0,0 +1,293 @@
+// Очередь загрузок. Файлы разбираются в рабочих потоках (lib/analyze-worker.js),
+// чтобы большой пакет не занимал цикл событий; сохранение в базу — в основном потоке.
+// Задачи выполняются по одной в порядке поступления, состояние — в памяти процесса.
+// За ходом задачи можно следить подпиской: страница /jobs/:id получает события через SSE.
+//
+// JOB_WORKERS — число рабочих потоков (по умолчанию на одно меньше числа ядер, минимум 1)
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const { saveUploadItem } = require('./db');
+
+const JOB_WORKERS = Math.max(1, parseInt(process.env.JOB_WORKERS, 10) || os.cpus().length - 1);
+const WORKER_FILE = path.join(__dirname, 'analyze-worker.js');
+
+// Сколько завершённых задач помнить; более старые забываются
+const MAX_FINISHED_JOBS = 50;
+// Сколько ошибок разбора одной карты хранить в сводке
+const MAX_MAP_ERRORS = 5;
+
+// ---- Пул рабочих потоков ----
+
+function createWorkerPool(size, file) {
+  const workers = new Set();
+  const idle = [];
+  const queue = []; // { message, resolve, reject }
+
+  function spawn() {
+    const worker = new Worker(file);
+    worker.task = null;
+    // простаивающий поток не держит процесс
+    worker.unref();
+    worker.on('message', result => finish(worker, null, result));
+    worker.on('error', err => {
+      worker.dead = true;
+      finish(worker, err);
+    });
+    worker.on('exit', code => {
+      worker.dead = true;
+      workers.delete(worker);
+      const i = idle.indexOf(worker);
+      if (i !== -1) idle.splice(i, 1);
+      if (worker.task) {
+        finish(worker, new Error(`Рабочий поток завершился с кодом ${code}`));
+      } else {
+        pump();
+      }
+    });
+    workers.add(worker);
+    return worker;
+  }
+
+  function pump() {
+    while (queue.length) {
+      let worker = idle.pop();
+      if (!worker) {
+        if (workers.size >= size) return;
+        worker = spawn();
+      }
+      const task = queue.shift();
+      worker.task = task;
+      worker.ref();
+      worker.postMessage(task.message);
+    }
+  }
+
+  function finish(worker, err, result) {
+    const task = worker.task;
+    worker.task = null;
+    if (worker.dead) {
+      workers.delete(worker);
+    } else {
+      worker.unref();
+      idle.push(worker);
+    }
+    if (task) {
+      if (err) task.reject(err);
+      else task.resolve(result);
+    }
+    pump();
+  }
+
+  return {
+    run(message) {
+      return new Promise((resolve, reject) => {
+        queue.push({ message, resolve, reject });
+        pump();
+      });
+    },
+
+    async close() {
+      await Promise.all(Array.from(workers).map(w => w.terminate()));
+    }
+  };
+}
+
+let pool = null;
+
+function getPool() {
+  if (!pool) pool = createWorkerPool(JOB_WORKERS, WORKER_FILE);
+  return pool;
+}
+
+// То же, что analyzeUpload, но в рабочем потоке
+async function analyzeUploadInWorker(buffer, originalName) {
+  const { items, error } = await getPool().run({ buffer, name: originalName });
+  if (error) throw new Error(error);
+  for (const item of items) {
+    if (item.bsp) item.bsp = Buffer.from(item.bsp.buffer, item.bsp.byteOffset, item.bsp.byteLength);
+  }
+  return items;
+}
+
+// Разобрать загруженный файл и сохранить найденные карты: [{ file, ...analysis }].
+// user — кто загрузил (для журнала изменений)
+async function analyzeAndSaveUpload(buffer, originalName, user = null) {
+  const results = [];
+  for (const item of await analyzeUploadInWorker(buffer, originalName)) {
+    await saveUploadItem(item, user);
+    results.push({ file: item.file, ...item.analysis });
+  }
+  return results;
+}
+
+// ---- Задачи ----
+
+const jobs = new Map(); // id -> { job, buffers, listeners }
+const pending = []; // записи задач в очереди
+
+function summarizeItem(item, saved) {
+  const a = item.analysis;
+  return {
+    file: item.file,
+    saved,
+    mapName: a.mapName || null,
+    format: a.format ? a.format.label : null,
+    mod: a.mod ? a.mod.name : null,
+    textures: (a.textures || []).length,
+    errors: (a.errors || []).slice(0, MAX_MAP_ERRORS),
+    errorCount: (a.errors || []).length,
+    warnings: (a.warnings || []).length,
+    lint: (a.lint || []).length,
+    duplicateOf: a.duplicateOf || null
+  };
+}
+
+function progressOf(job) {
+  const { id, status, total, done, failed } = job;
+  return { id, status, total, done, failed };
+}
+
+function emit(record, event, data) {
+  for (const listener of record.listeners) {
+    try {
+      listener(event, data);
+    } catch (err) {
+      console.error('Job listener error:', err);
+    }
+  }
+}
+
+function forgetOldJobs() {
+  const finished = Array.from(jobs.values())
+    .filter(r => r.job.status === 'done' || r.job.status === 'failed');
+  for (const record of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(record.job.id);
+  }
+}
+
+// files — [{ originalname, buffer }] из multer, user — кто загрузил.
+// Возвращает задачу (её состояние меняется по ходу)
+function createUploadJob(files, { user = null } = {}) {
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    status: 'queued',
+    user,
+    total: files.length,
+    done: 0,
+    failed: 0,
+    files: files.map(f => ({ name: f.originalname, status: 'pending', maps: [], error: null })),
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null
+  };
+  const record = { job, buffers: files.map(f => f.buffer), listeners: new Set() };
+
+  jobs.set(job.id, record);
+  pending.push(record);
+  forgetOldJobs();
+  runNextJob();
+  return job;
+}
+
+let running = null;
+
+function runNextJob() {
+  if (running || !pending.length) return;
+  running = pending.shift();
+  const record = running;
+
+  runUploadJob(record)
+    .catch(err => {
+      record.job.status = 'failed';
+      record.job.error = err.message || String(err);
+    })
+    .finally(() => {
+      record.job.finishedAt = new Date();
+      record.buffers = null;
+      emit(record, 'end', progressOf(record.job));
+      record.listeners.clear();
+      running = null;
+      runNextJob();
+    });
+}
+
+async function runUploadJob(record) {
+  const { job } = record;
+  job.status = 'running';
+  job.startedAt = new Date();
+  emit(record, 'progress', progressOf(job));
+
+  // файлов в работе одновременно — по числу потоков, чтобы пул не простаивал
+  let next = 0;
+  const lane = async () => {
+    while (next < job.total) {
+      const index = next++;
+      await processJobFile(record, index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(JOB_WORKERS, job.total) }, lane));
+
+  job.status = 'done';
+}
+
+async function processJobFile(record, index) {
+  const { job } = record;
+  const entry = job.files[index];
+  entry.status = 'running';
+
+  try {
+    const items = await analyzeUploadInWorker(record.buffers[index], entry.name);
+    for (const item of items) {
+      const saved = await saveUploadItem(item, job.user);
+      entry.maps.push(summarizeItem(item, saved));
+    }
+    // файл без единой сохранённой карты (например, архив без maps/*.bsp) — неудача
+    if (entry.maps.some(m => m.saved)) {
+      entry.status = 'done';
+    } else {
+      entry.status = 'failed';
+      entry.error = entry.maps.flatMap(m => m.errors)[0] || 'Карта не сохранена';
+    }
+  } catch (err) {
+    entry.status = 'failed';
+    entry.error = err.message || String(err);
+  }
+
+  record.buffers[index] = null;
+  job.done++;
+  if (entry.status === 'failed') job.failed++;
+  emit(record, 'file', { index, file: entry });
+  emit(record, 'progress', progressOf(job));
+}
+
+function getJob(id) {
+  const record = jobs.get(id);
+  return record ? record.job : null;
+}
+
+// Место в очереди: 0 — выполняется или уже завершена
+function queuePosition(id) {
+  return pending.findIndex(r => r.job.id === id) + 1;
+}
+
+// listener(event, data): 'progress' и 'file' по ходу, 'end' — в конце.
+// Возвращает функцию отписки или null, если задачи нет.
+function subscribeToJob(id, listener) {
+  const record = jobs.get(id);
+  if (!record) return null;
+  record.listeners.add(listener);
+  return () => record.listeners.delete(listener);
+}
+
+module.exports = {
+  createWorkerPool,
+  analyzeUploadInWorker,
+  analyzeAndSaveUpload,
+  createUploadJob,
+  getJob,
+  queuePosition,
+  subscribeToJob
+};
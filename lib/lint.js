@@ -0,0 +1,145 @@
+// Проверка сущностей карты: битые связи target/targetname, недостающие точки появления,
+// неизвестные classname, дубликаты в одной точке и испорченные origin.
+// Работает по списку из parseEntities; результат — список замечаний
+// [{ category, message, line }], который показывается рядом с warnings/errors.
+
+const { detectMod, knownClassnames } = require('./classnames');
+
+// Категории в порядке показа
+const LINT_CATEGORIES = ['targets', 'spawns', 'classnames', 'duplicates', 'origins'];
+
+// Больше замечаний одной категории не пишем — у карт под мод неизвестным будет всё подряд
+const MAX_LINT_PER_CATEGORY = 100;
+
+// Ключи, значение которых — targetname другой сущности
+const TARGET_KEYS = ['target', 'killtarget', 'pathtarget', 'combattarget', 'deathtarget'];
+
+// Сущности, на которые ссылаются не из карты: info_player_start/coop с targetname —
+// точки входа при переходе с другого уровня (target_changelevel в соседней карте)
+const EXTERNALLY_TARGETED = new Set(['info_player_start', 'info_player_coop']);
+
+// Точечные сущности, которым без origin место в 0 0 0
+const POINT_ENTITY_RE = /^(info_player_|weapon_|ammo_|item_|key_|monster_|misc_teleporter_dest$)/;
+
+// entities — из parseEntities; format — { id } из анализа: список классов известен
+// только для Quake 2 (словарь вероятного мода из lib/classnames), для остальных
+// форматов classname не проверяются
+function lintEntities(entities, format) {
+  const findings = [];
+  const add = (category, message, line) => findings.push({ category, message, line: line || null });
+  const list = entities || [];
+  const where = e => `${e.classname || 'без classname'}, строка ${e.line}`;
+
+  // --- target / targetname ---
+  const targetnames = new Map(); // targetname -> [entity]
+  const referenced = new Set();
+  for (const e of list) {
+    const name = e.keys.targetname;
+    if (name) {
+      if (!targetnames.has(name)) targetnames.set(name, []);
+      targetnames.get(name).push(e);
+    }
+  }
+  for (const e of list) {
+    for (const key of TARGET_KEYS) {
+      const value = e.keys[key];
+      if (!value) continue;
+      referenced.add(value);
+      if (!targetnames.has(value)) {
+        add('targets', `${key} "${value}" (${where(e)}): нет сущности с таким targetname`, e.line);
+      }
+    }
+  }
+  for (const [name, owners] of targetnames) {
+    if (referenced.has(name)) continue;
+    for (const e of owners) {
+      if (EXTERNALLY_TARGETED.has(e.classname)) continue;
+      add('targets', `targetname "${name}" (${where(e)}): на эту сущность никто не ссылается`, e.line);
+    }
+  }
+
+  // --- точки появления ---
+  const count = cls => list.filter(e => e.classname === cls).length;
+  const dm = count('info_player_deathmatch');
+  const start = count('info_player_start');
+  const singlePlayer = list.some(e => e.classname && (
+    e.classname.startsWith('monster_') ||
+    e.classname === 'info_player_coop' ||
+    e.classname === 'target_changelevel'
+  ));
+  // info_intermission — то же в Quake 1
+  if (dm && !count('info_player_intermission') && !count('info_intermission')) {
+    add('spawns', 'Карта для deathmatch без info_player_intermission: камера между раундами встанет в точку появления');
+  }
+  if (singlePlayer && !start) {
+    add('spawns', 'Одиночная карта (есть монстры, coop-спавны или переход на другой уровень) без info_player_start');
+  }
+  if (!dm && !start && !singlePlayer) {
+    add('spawns', 'Нет ни info_player_start, ни info_player_deathmatch');
+  }
+
+  // --- classname ---
+  const checkClassnames = format && (format.id === 'quake2' || format.id === 'qbsp');
+  const mod = checkClassnames ? detectMod(list) : null;
+  const known = mod ? knownClassnames(mod.id) : null;
+  const unknown = new Map(); // classname -> [entity]
+  for (const e of list) {
+    if (!e.classname) {
+      add('classnames', `Сущность без classname (строка ${e.line})`, e.line);
+    } else if (checkClassnames && !known.has(e.classname)) {
+      if (!unknown.has(e.classname)) unknown.set(e.classname, []);
+      unknown.get(e.classname).push(e);
+    }
+  }
+  for (const [cls, owners] of unknown) {
+    const lines = owners.map(e => e.line);
+    add('classnames',
+      `Неизвестный classname "${cls}" (${owners.length} шт., ${lines.length === 1 ? 'строка' : 'строки'} ${lines.slice(0, 5).join(', ')}${lines.length > 5 ? ', …' : ''}) — ${mod.name} его не создаст`,
+      lines[0]);
+  }
+
+  // --- дубликаты: тот же classname в той же точке ---
+  const byPoint = new Map();
+  for (const e of list) {
+    if (!e.classname || !e.origin || e.classname === 'worldspawn') continue;
+    const key = `${e.classname} ${e.origin.join(' ')}`;
+    if (!byPoint.has(key)) byPoint.set(key, []);
+    byPoint.get(key).push(e);
+  }
+  for (const owners of byPoint.values()) {
+    if (owners.length < 2) continue;
+    const [first] = owners;
+    add('duplicates',
+      `${owners.length} × ${first.classname} в точке ${first.origin.join(' ')} (строки ${owners.map(e => e.line).join(', ')})`,
+      first.line);
+  }
+
+  // --- origin ---
+  for (const e of list) {
+    if (e.keys.origin !== undefined && !e.origin) {
+      add('origins', `origin "${e.keys.origin}" (${where(e)}): ожидаются три числа`, e.line);
+    } else if (e.keys.origin === undefined && e.classname && POINT_ENTITY_RE.test(e.classname)) {
+      add('origins', `${where(e)}: нет origin — сущность окажется в точке 0 0 0`, e.line);
+    }
+  }
+
+  return limitFindings(findings);
+}
+
+function limitFindings(findings) {
+  const result = [];
+  for (const category of LINT_CATEGORIES) {
+    const items = findings.filter(f => f.category === category);
+    result.push(...items.slice(0, MAX_LINT_PER_CATEGORY));
+    if (items.length > MAX_LINT_PER_CATEGORY) {
+      result.push({ category, message: `…и ещё ${items.length - MAX_LINT_PER_CATEGORY} замечаний`, line: null });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  LINT_CATEGORIES,
+  TARGET_KEYS,
+  lintEntities
+};
@@ -0,0 +1,200 @@
+// Логика карты: граф связей target → targetname между сущностями.
+// Вершины — сущности, у которых есть хотя бы одна связь; рёбра — ключи из TARGET_KEYS.
+// Дополнительно ищутся циклы (сильно связные компоненты) и цепочки, которые
+// ничто не запускает: сущность с targetname ждёт вызова, и если её никто не вызывает,
+// всё, что она запускает, тоже не сработает.
+
+const { TARGET_KEYS } = require('./lint');
+
+// Срабатывают только по вызову (use) от другой сущности
+const USE_ONLY_CLASSNAMES = new Set([
+  'trigger_relay', 'trigger_counter', 'trigger_key', 'trigger_elevator',
+  'func_areaportal', 'func_wall', 'func_object', 'func_killbox', 'func_clock',
+  'path_corner', 'point_combat', 'light', 'info_null', 'info_notnull', 'misc_teleporter_dest'
+]);
+
+// С targetname перестают открываться от касания/выстрела и ждут вызова (g_func.c)
+const NAMED_USE_ONLY_CLASSNAMES = new Set(['func_door', 'func_door_rotating', 'func_door_secret']);
+
+// Флаги из spawnflags, меняющие способ запуска
+const SF_START_ON = 1; // func_timer, func_train
+const SF_MONSTER_TRIGGER_SPAWN = 2;
+const SF_TRIGGER_TRIGGERED = 4; // trigger_once / trigger_multiple
+
+// Может ли сущность сработать сама: касание, выстрел, смерть монстра, подбор предмета, старт уровня
+function isSelfActivated(e) {
+  const cls = e.classname || '';
+  const named = Boolean(e.keys.targetname);
+  const flags = parseInt(e.keys.spawnflags, 10) || 0;
+
+  if (cls.startsWith('target_')) return cls === 'target_crosslevel_target';
+  if (USE_ONLY_CLASSNAMES.has(cls)) return false;
+  if (NAMED_USE_ONLY_CLASSNAMES.has(cls)) return !named;
+  if (cls === 'func_timer') return (flags & SF_START_ON) !== 0;
+  // поезд без targetname трогается сам
+  if (cls === 'func_train') return !named || (flags & SF_START_ON) !== 0;
+  if (cls === 'trigger_once' || cls === 'trigger_multiple') return (flags & SF_TRIGGER_TRIGGERED) === 0;
+  if (cls.startsWith('monster_')) return (flags & SF_MONSTER_TRIGGER_SPAWN) === 0;
+  return true;
+}
+
+// killtarget удаляет сущность, а не запускает её — для достижимости и циклов не считается
+const activates = edge => edge.key !== 'killtarget';
+
+// entities — из parseEntities. Возвращает
+// { nodes: [{ id, classname, targetname, line, keys, source, reached, cycle }],
+//   edges: [{ from, to, key, cycle }], cycles: [{ nodes, trainRoute }],
+//   unreachable: [id], missing: [{ from, key, value }] }
+// id вершины — индекс сущности в списке.
+function buildLogicGraph(entities) {
+  const list = entities || [];
+  const byName = new Map(); // targetname -> [index]
+  list.forEach((e, index) => {
+    const name = e.keys.targetname;
+    if (!name) return;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(index);
+  });
+
+  const used = new Set();
+  const edges = [];
+  const missing = [];
+  list.forEach((e, index) => {
+    for (const key of TARGET_KEYS) {
+      const value = e.keys[key];
+      if (!value) continue;
+      const targets = byName.get(value);
+      used.add(index);
+      if (!targets) {
+        missing.push({ from: index, key, value });
+        continue;
+      }
+      for (const to of targets) {
+        used.add(to);
+        edges.push({ from: index, to, key, cycle: false });
+      }
+    }
+  });
+
+  const ids = Array.from(used).sort((a, b) => a - b);
+  const outgoing = new Map(ids.map(id => [id, []]));
+  const incoming = new Map(ids.map(id => [id, []]));
+  for (const edge of edges) {
+    outgoing.get(edge.from).push(edge);
+    incoming.get(edge.to).push(edge);
+  }
+
+  const nodes = ids.map(id => {
+    const e = list[id];
+    return {
+      id,
+      classname: e.classname || null,
+      targetname: e.keys.targetname || null,
+      line: e.line,
+      keys: e.keys,
+      source: isSelfActivated(e),
+      reached: false,
+      cycle: null
+    };
+  });
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+
+  // --- достижимость от сущностей, срабатывающих самостоятельно ---
+  const queue = nodes.filter(n => n.source);
+  for (const n of queue) n.reached = true;
+  for (let head = 0; head < queue.length; head++) {
+    const n = queue[head];
+    for (const edge of outgoing.get(n.id)) {
+      const next = nodeById.get(edge.to);
+      if (!activates(edge) || next.reached) continue;
+      next.reached = true;
+      queue.push(next);
+    }
+  }
+
+  // Несработавшая сущность, которую только удаляют и которая сама ничего не запускает, —
+  // обычная деталь уровня, а не мёртвая цепочка
+  const unreachable = nodes
+    .filter(n => !n.reached && (outgoing.get(n.id).length || incoming.get(n.id).some(activates)))
+    .map(n => n.id);
+
+  // --- циклы: сильно связные компоненты (Тарьян) ---
+  const cycles = [];
+  const order = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  let counter = 0;
+
+  // Обход в глубину без рекурсии: цепочка из десятков тысяч target -> targetname
+  // переполнила бы стек вызовов. Кадр — вершина и её исходящие рёбра с номером следующего.
+  const enter = id => {
+    order.set(id, counter);
+    low.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+    return { id, edges: outgoing.get(id).filter(activates), next: 0 };
+  };
+
+  // id обойдена целиком: если она корень компоненты, снимаем компоненту со стека
+  const leave = id => {
+    if (low.get(id) !== order.get(id)) return;
+
+    const component = [];
+    let top;
+    do {
+      top = stack.pop();
+      onStack.delete(top);
+      component.push(top);
+    } while (top !== id);
+
+    const selfLoop = outgoing.get(id).some(edge => activates(edge) && edge.to === id);
+    if (component.length > 1 || selfLoop) {
+      component.sort((a, b) => a - b);
+      cycles.push({
+        nodes: component,
+        // замкнутый маршрут func_train по path_corner — так и задумано
+        trainRoute: component.every(c => nodeById.get(c).classname === 'path_corner')
+      });
+    }
+  };
+  for (const root of ids) {
+    if (order.has(root)) continue;
+    const frames = [enter(root)];
+    while (frames.length) {
+      const frame = frames[frames.length - 1];
+      if (frame.next < frame.edges.length) {
+        const to = frame.edges[frame.next++].to;
+        if (!order.has(to)) {
+          frames.push(enter(to));
+        } else if (onStack.has(to)) {
+          low.set(frame.id, Math.min(low.get(frame.id), order.get(to)));
+        }
+        continue;
+      }
+      frames.pop();
+      leave(frame.id);
+      if (frames.length) {
+        const parent = frames[frames.length - 1].id;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.id)));
+      }
+    }
+  }
+
+  cycles.sort((a, b) => a.nodes[0] - b.nodes[0]);
+  cycles.forEach((cycle, index) => {
+    for (const id of cycle.nodes) nodeById.get(id).cycle = index;
+  });
+  for (const edge of edges) {
+    const from = nodeById.get(edge.from).cycle;
+    edge.cycle = activates(edge) && from !== null && from === nodeById.get(edge.to).cycle;
+  }
+
+  return { nodes, edges, cycles, unreachable, missing };
+}
+
+module.exports = {
+  buildLogicGraph,
+  isSelfActivated
+};
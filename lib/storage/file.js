@@ -0,0 +1,169 @@
+// Хранилище карт в каталоге, без внешних сервисов: по JSON-файлу на карту (<id>.json).
+// Для небольших установок и тестов. Все документы держатся в памяти без тяжёлых полей
+// (entities, overview, textureInfo) — они читаются с диска, только когда нужны.
+// Журнал изменений — audit.jsonl в том же каталоге, по записи в строке.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { applyProjection, compareBySort, matchesFilter, matchesAuditFilter } = require('./query');
+
+const HEAVY_FIELDS = ['entities', 'overview', 'textureInfo'];
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+const DOC_FILE_RE = /^[0-9a-f]{24}\.json$/;
+const AUDIT_FILE = 'audit.jsonl';
+
+function createFileStorage(dir) {
+  const docs = new Map(); // id -> документ без тяжёлых полей
+  let loadPromise = null;
+  let writeQueue = Promise.resolve();
+
+  const docPath = id => path.join(dir, `${id}.json`);
+
+  function load() {
+    if (!loadPromise) {
+      loadPromise = (async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        for (const name of await fs.promises.readdir(dir)) {
+          if (!DOC_FILE_RE.test(name)) continue;
+          const doc = await readDoc(name.slice(0, -'.json'.length));
+          docs.set(doc._id, withoutHeavyFields(doc));
+        }
+      })();
+    }
+    return loadPromise;
+  }
+
+  async function readDoc(id) {
+    const doc = JSON.parse(await fs.promises.readFile(docPath(id), 'utf8'));
+    for (const field of DATE_FIELDS) {
+      if (doc[field]) doc[field] = new Date(doc[field]);
+    }
+    return doc;
+  }
+
+  // Изменения идут строго по очереди: чтение-изменение-запись одной карты не перемешается
+  // с другой такой же операцией
+  function enqueue(fn) {
+    const task = writeQueue.then(fn);
+    writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  // через временный файл, чтобы файл карты всегда был целым
+  async function writeDoc(doc) {
+    const file = docPath(doc._id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(doc));
+    await fs.promises.rename(tmp, file);
+    docs.set(doc._id, withoutHeavyFields(doc));
+  }
+
+  async function fullDoc(light, projection) {
+    const doc = needsHeavyFields(projection) ? await readDoc(light._id) : light;
+    return applyProjection(doc, projection);
+  }
+
+  async function select(filter, sort) {
+    await load();
+    const found = Array.from(docs.values()).filter(doc => matchesFilter(doc, filter));
+    if (sort) found.sort(compareBySort(sort));
+    return found;
+  }
+
+  return {
+    name: 'file',
+
+    async findMap(filter, { sort, projection } = {}) {
+      const [doc] = await select(filter, sort);
+      return doc ? fullDoc(doc, projection) : null;
+    },
+
+    async listMaps(filter, { sort, skip = 0, limit = 0, projection } = {}) {
+      let found = await select(filter, sort);
+      found = found.slice(skip, limit ? skip + limit : undefined);
+      return Promise.all(found.map(doc => fullDoc(doc, projection)));
+    },
+
+    async countMaps(filter) {
+      return (await select(filter)).length;
+    },
+
+    async insertMap(doc) {
+      await load();
+      const stored = { _id: crypto.randomBytes(12).toString('hex'), ...doc };
+      await enqueue(() => writeDoc(stored));
+      return stored._id;
+    },
+
+    async updateMap(id, { set, addAlias }) {
+      await load();
+      await enqueue(async () => {
+        if (!docs.has(id)) return;
+        const doc = { ...await readDoc(id), ...set };
+        if (addAlias) {
+          const aliases = doc.aliases || [];
+          if (!aliases.includes(addAlias)) aliases.push(addAlias);
+          doc.aliases = aliases;
+        }
+        await writeDoc(doc);
+      });
+    },
+
+    async deleteMaps(filter) {
+      const found = await select(filter);
+      await enqueue(async () => {
+        for (const doc of found) {
+          docs.delete(doc._id);
+          await fs.promises.rm(docPath(doc._id), { force: true });
+        }
+      });
+      return found.length;
+    },
+
+    async insertAuditEntry(entry) {
+      await load();
+      await enqueue(() => fs.promises.appendFile(path.join(dir, AUDIT_FILE), JSON.stringify(entry) + '\n'));
+    },
+
+    async listAuditEntries(filter, { limit = 0 } = {}) {
+      await load();
+      await writeQueue;
+      let text;
+      try {
+        text = await fs.promises.readFile(path.join(dir, AUDIT_FILE), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const found = text.split('\n').filter(Boolean)
+        .map(line => {
+          const entry = JSON.parse(line);
+          entry.at = new Date(entry.at);
+          return entry;
+        })
+        .filter(entry => matchesAuditFilter(entry, filter))
+        .reverse();
+      return limit ? found.slice(0, limit) : found;
+    },
+
+    async close() {
+      await writeQueue;
+    }
+  };
+}
+
+function withoutHeavyFields(doc) {
+  const light = { ...doc };
+  for (const field of HEAVY_FIELDS) delete light[field];
+  return light;
+}
+
+function needsHeavyFields(projection) {
+  if (!projection) return true;
+  const included = Object.keys(projection).filter(f => projection[f]);
+  if (included.length) return included.some(f => HEAVY_FIELDS.includes(f));
+  return HEAVY_FIELDS.some(f => !(f in projection));
+}
+
+module.exports = { createFileStorage };
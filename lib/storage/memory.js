@@ -0,0 +1,73 @@
+// Хранилище карт в памяти процесса: ничего не пишет на диск и пропадает при перезапуске.
+// Для тестов и разовых запусков.
+
+const crypto = require('crypto');
+const { applyProjection, compareBySort, matchesFilter, matchesAuditFilter } = require('./query');
+
+function createMemoryStorage() {
+  const docs = new Map(); // id -> документ
+  const audit = []; // журнал изменений, по порядку записи
+
+  function select(filter, sort) {
+    const found = Array.from(docs.values()).filter(doc => matchesFilter(doc, filter));
+    if (sort) found.sort(compareBySort(sort));
+    return found;
+  }
+
+  // наружу — копии, чтобы изменения документа у вызывающего не попадали в хранилище
+  const output = (doc, projection) => structuredClone(applyProjection(doc, projection));
+
+  return {
+    name: 'memory',
+
+    async findMap(filter, { sort, projection } = {}) {
+      const [doc] = select(filter, sort);
+      return doc ? output(doc, projection) : null;
+    },
+
+    async listMaps(filter, { sort, skip = 0, limit = 0, projection } = {}) {
+      return select(filter, sort)
+        .slice(skip, limit ? skip + limit : undefined)
+        .map(doc => output(doc, projection));
+    },
+
+    async countMaps(filter) {
+      return select(filter).length;
+    },
+
+    async insertMap(doc) {
+      const stored = { _id: crypto.randomBytes(12).toString('hex'), ...structuredClone(doc) };
+      docs.set(stored._id, stored);
+      return stored._id;
+    },
+
+    async updateMap(id, { set, addAlias }) {
+      const doc = docs.get(String(id));
+      if (!doc) return;
+      Object.assign(doc, structuredClone(set));
+      if (addAlias) {
+        doc.aliases = doc.aliases || [];
+        if (!doc.aliases.includes(addAlias)) doc.aliases.push(addAlias);
+      }
+    },
+
+    async deleteMaps(filter) {
+      const found = select(filter);
+      for (const doc of found) docs.delete(doc._id);
+      return found.length;
+    },
+
+    async insertAuditEntry(entry) {
+      audit.push(structuredClone(entry));
+    },
+
+    async listAuditEntries(filter, { limit = 0 } = {}) {
+      const found = audit.filter(entry => matchesAuditFilter(entry, filter)).reverse();
+      return structuredClone(limit ? found.slice(0, limit) : found);
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,187 @@
+// Хранилище карт в MongoDB (коллекция maps). Драйвер подключается только при выборе
+// этого хранилища, поэтому без MONGODB_URI пакет mongodb не нужен.
+
+const { buildResourceKeys, escapeRegExp } = require('../analyzer');
+
+function createMongoStorage(uri) {
+  const { MongoClient, ObjectId } = require('mongodb');
+  const client = new MongoClient(uri);
+  let collectionPromise = null;
+  let auditPromise = null;
+
+  function getCollection() {
+    if (!collectionPromise) {
+      collectionPromise = client.connect()
+        .then(c => c.db().collection('maps'))
+        .then(async maps => {
+          await ensureIndexes(maps);
+          return maps;
+        })
+        .catch(err => {
+          // следующий запрос попробует подключиться заново
+          collectionPromise = null;
+          throw err;
+        });
+    }
+    return collectionPromise;
+  }
+
+  // журнал изменений — отдельная коллекция audit
+  function getAuditCollection() {
+    if (!auditPromise) {
+      auditPromise = getCollection()
+        .then(() => client.db().collection('audit'))
+        .then(async audit => {
+          await audit.createIndex({ sha256: 1, at: -1 });
+          return audit;
+        })
+        .catch(err => {
+          auditPromise = null;
+          throw err;
+        });
+    }
+    return auditPromise;
+  }
+
+  const toId = id => {
+    if (id instanceof ObjectId) return id;
+    return ObjectId.isValid(String(id)) ? new ObjectId(String(id)) : null;
+  };
+
+  return {
+    name: 'mongo',
+
+    async findMap(filter, { sort, projection } = {}) {
+      const maps = await getCollection();
+      return maps.findOne(toMongoFilter(filter, toId), { sort, projection });
+    },
+
+    async listMaps(filter, { sort, skip = 0, limit = 0, projection } = {}) {
+      const maps = await getCollection();
+      let cursor = maps.find(toMongoFilter(filter, toId), { projection });
+      if (sort) cursor = cursor.sort(sort);
+      if (skip) cursor = cursor.skip(skip);
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.toArray();
+    },
+
+    async countMaps(filter) {
+      const maps = await getCollection();
+      return maps.countDocuments(toMongoFilter(filter, toId));
+    },
+
+    async insertMap(doc) {
+      const maps = await getCollection();
+      const result = await maps.insertOne(doc);
+      return result.insertedId;
+    },
+
+    async updateMap(id, { set, addAlias }) {
+      const maps = await getCollection();
+      const update = { $set: set };
+      if (addAlias) update.$addToSet = { aliases: addAlias };
+      await maps.updateOne({ _id: toId(id) }, update);
+    },
+
+    async deleteMaps(filter) {
+      const maps = await getCollection();
+      const result = await maps.deleteMany(toMongoFilter(filter, toId));
+      return result.deletedCount;
+    },
+
+    async insertAuditEntry(entry) {
+      const audit = await getAuditCollection();
+      await audit.insertOne({ ...entry });
+    },
+
+    async listAuditEntries(filter = {}, { limit = 0 } = {}) {
+      const audit = await getAuditCollection();
+      const query = filter.sha256 !== undefined ? { sha256: filter.sha256 } : {};
+      let cursor = audit.find(query, { projection: { _id: 0 } }).sort({ at: -1, _id: -1 });
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.toArray();
+    },
+
+    async close() {
+      collectionPromise = null;
+      auditPromise = null;
+      await client.close();
+    }
+  };
+}
+
+// Индексы создаются при первом подключении; заодно дозаполняем resourceKeys
+// у документов, сохранённых до появления обратного индекса ресурсов.
+async function ensureIndexes(maps) {
+  await maps.createIndex({ resourceKeys: 1 });
+  // у старых документов sha256 нет — уникальность только среди тех, где он есть
+  await maps.createIndex(
+    { sha256: 1 },
+    { unique: true, partialFilterExpression: { sha256: { $exists: true } } }
+  );
+  await maps.createIndex({ aliases: 1 });
+
+  const stale = await maps
+    .find({ resourceKeys: { $exists: false } }, { projection: { textures: 1, skies: 1, sounds: 1, models: 1 } })
+    .toArray();
+  for (const doc of stale) {
+    await maps.updateOne({ _id: doc._id }, { $set: { resourceKeys: buildResourceKeys(doc) } });
+  }
+}
+
+// Фильтр хранилища (см. lib/db.js) -> запрос MongoDB
+function toMongoFilter(filter = {}, toId) {
+  const and = [];
+  const exact = s => ({ $regex: '^' + escapeRegExp(String(s).trim()) + '$', $options: 'i' });
+  const contains = s => ({ $regex: escapeRegExp(String(s)), $options: 'i' });
+
+  if (filter.id !== undefined) and.push({ _id: toId(filter.id) });
+  if (filter.sha256 !== undefined) and.push({ sha256: filter.sha256 });
+  if (filter.hasSha256 !== undefined) and.push({ sha256: { $exists: filter.hasSha256 } });
+  if (filter.name !== undefined) {
+    and.push({ $or: [{ fileName: exact(filter.name) }, { aliases: exact(filter.name) }] });
+  }
+  if (filter.fileNameContains !== undefined) and.push({ fileName: contains(filter.fileNameContains) });
+  if (filter.mapNameContains !== undefined) and.push({ mapName: contains(filter.mapNameContains) });
+  if (filter.text !== undefined) {
+    and.push({ $or: [{ fileName: contains(filter.text) }, { mapName: contains(filter.text) }] });
+  }
+  if (filter.format !== undefined) and.push({ 'format.id': filter.format });
+  if (filter.hasErrors !== undefined) and.push({ 'errors.0': { $exists: filter.hasErrors } });
+  if (filter.hasWarnings !== undefined) and.push({ 'warnings.0': { $exists: filter.hasWarnings } });
+  if (filter.mod !== undefined) and.push({ 'mod.id': filter.mod });
+  if (filter.customSky !== undefined) {
+    and.push({ 'stockCheck.skies.custom.0': { $exists: filter.customSky } });
+  }
+  if (filter.customResources !== undefined) {
+    and.push(filter.customResources
+      ? { 'stockCheck.summary.custom': { $gt: 0 } }
+      : { 'stockCheck.summary.custom': { $not: { $gt: 0 } } });
+  }
+  if (filter.dmSpawns) {
+    // у карты без спавнов поля может не быть — это 0
+    const { min, max } = filter.dmSpawns;
+    if (min !== undefined && min > 0) and.push({ 'entityStats.spawnPoints.deathmatch': { $gte: min } });
+    if (max !== undefined) and.push({ 'entityStats.spawnPoints.deathmatch': { $not: { $gt: max } } });
+  }
+  for (const cls of filter.weapons || []) {
+    and.push({ ['entityStats.weapons.' + cls]: { $gt: 0 } });
+  }
+  if (filter.tags) and.push({ 'curation.tags': { $all: filter.tags } });
+  if (filter.authorContains !== undefined) and.push({ 'curation.author': contains(filter.authorContains) });
+  if (filter.notesContains !== undefined) and.push({ 'curation.notes': contains(filter.notesContains) });
+  if (filter.minRating !== undefined) and.push({ 'curation.rating': { $gte: filter.minRating } });
+  if (filter.players !== undefined) {
+    and.push({ 'curation.players.min': { $lte: filter.players }, 'curation.players.max': { $gte: filter.players } });
+  }
+  if (filter.resource) and.push({ resourceKeys: filter.resource.mongo });
+  if (filter.staleFor !== undefined) and.push({ parserVersion: { $ne: filter.staleFor } });
+  if (filter.originalStored !== undefined) {
+    and.push({ originalStored: filter.originalStored ? true : { $ne: true } });
+  }
+
+  if (!and.length) return {};
+  return and.length === 1 ? and[0] : { $and: and };
+}
+
+module.exports = { createMongoStorage };
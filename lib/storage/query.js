@@ -0,0 +1,96 @@
+// Общая часть хранилищ без СУБД (file, memory): фильтр, сортировка и проекция
+// в той же записи, что и у MongoDB (см. lib/db.js).
+
+// Проекция в стиле MongoDB: { a: 1, b: 1 } — только эти поля, { c: 0 } — все, кроме
+function applyProjection(doc, projection) {
+  if (!projection) return doc;
+  const fields = Object.keys(projection);
+  if (fields.some(f => projection[f])) {
+    const out = { _id: doc._id };
+    for (const f of fields) {
+      if (projection[f] && f in doc) out[f] = doc[f];
+    }
+    return out;
+  }
+  const out = { ...doc };
+  for (const f of fields) delete out[f];
+  return out;
+}
+
+// Порядок как у MongoDB для используемых полей: отсутствующее значение меньше любого
+function compareValues(a, b) {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Значение по пути через точку, как в MongoDB: 'bspStructure.fileSize'
+function getPath(doc, path) {
+  let value = doc;
+  for (const key of path.split('.')) {
+    if (value == null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function compareBySort(sort) {
+  const fields = Object.entries(sort);
+  return (a, b) => {
+    for (const [field, dir] of fields) {
+      const cmp = compareValues(getPath(a, field), getPath(b, field));
+      if (cmp) return cmp * dir;
+    }
+    return 0;
+  };
+}
+
+// Фильтр хранилища (см. lib/db.js) -> проверка документа
+function matchesFilter(doc, filter = {}) {
+  const lower = s => String(s).toLowerCase();
+  const equals = (value, s) => value != null && lower(value) === lower(String(s).trim());
+  const contains = (value, s) => value != null && lower(value).includes(lower(s));
+
+  if (filter.id !== undefined && doc._id !== String(filter.id)) return false;
+  if (filter.sha256 !== undefined && doc.sha256 !== filter.sha256) return false;
+  if (filter.hasSha256 !== undefined && !!doc.sha256 !== filter.hasSha256) return false;
+  if (filter.name !== undefined &&
+    !equals(doc.fileName, filter.name) && !(doc.aliases || []).some(a => equals(a, filter.name))) return false;
+  if (filter.fileNameContains !== undefined && !contains(doc.fileName, filter.fileNameContains)) return false;
+  if (filter.mapNameContains !== undefined && !contains(doc.mapName, filter.mapNameContains)) return false;
+  if (filter.text !== undefined && !contains(doc.fileName, filter.text) && !contains(doc.mapName, filter.text)) return false;
+  if (filter.format !== undefined && (doc.format && doc.format.id) !== filter.format) return false;
+  if (filter.hasErrors !== undefined && ((doc.errors || []).length > 0) !== filter.hasErrors) return false;
+  if (filter.hasWarnings !== undefined && ((doc.warnings || []).length > 0) !== filter.hasWarnings) return false;
+  if (filter.mod !== undefined && (doc.mod && doc.mod.id) !== filter.mod) return false;
+  if (filter.customSky !== undefined &&
+    ((getPath(doc, 'stockCheck.skies.custom') || []).length > 0) !== filter.customSky) return false;
+  if (filter.customResources !== undefined &&
+    ((getPath(doc, 'stockCheck.summary.custom') || 0) > 0) !== filter.customResources) return false;
+  if (filter.dmSpawns) {
+    const dm = getPath(doc, 'entityStats.spawnPoints.deathmatch') || 0;
+    if (filter.dmSpawns.min !== undefined && dm < filter.dmSpawns.min) return false;
+    if (filter.dmSpawns.max !== undefined && dm > filter.dmSpawns.max) return false;
+  }
+  if (filter.weapons && !filter.weapons.every(cls => getPath(doc, 'entityStats.weapons.' + cls) > 0)) return false;
+  if (filter.tags && !filter.tags.every(tag => (getPath(doc, 'curation.tags') || []).includes(tag))) return false;
+  if (filter.authorContains !== undefined && !contains(getPath(doc, 'curation.author'), filter.authorContains)) return false;
+  if (filter.notesContains !== undefined && !contains(getPath(doc, 'curation.notes'), filter.notesContains)) return false;
+  if (filter.minRating !== undefined && !(getPath(doc, 'curation.rating') >= filter.minRating)) return false;
+  if (filter.players !== undefined) {
+    const players = getPath(doc, 'curation.players');
+    if (!players || players.min > filter.players || players.max < filter.players) return false;
+  }
+  if (filter.resource && !(doc.resourceKeys || []).some(filter.resource.test)) return false;
+  if (filter.staleFor !== undefined && doc.parserVersion === filter.staleFor) return false;
+  if (filter.originalStored !== undefined && !!doc.originalStored !== filter.originalStored) return false;
+  return true;
+}
+
+// Фильтр журнала изменений: { sha256 } — записи одной карты, {} — все
+function matchesAuditFilter(entry, filter = {}) {
+  return filter.sha256 === undefined || entry.sha256 === filter.sha256;
+}
+
+module.exports = { applyProjection, compareBySort, matchesFilter, matchesAuditFilter };
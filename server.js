@@ -1,8 +1,83 @@
 require('dotenv').config();
 
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
 const express = require('express');
 const multer = require('multer');
-const { MongoClient, ObjectId } = require('mongodb');
+const {
+  PARSER_VERSION,
+  PAK_MAGIC,
+  PAK_DIR_ENTRY_SIZE,
+  ZIP_EOCD_SIG,
+  ZIP_CDIR_SIG,
+  ZIP_LOCAL_SIG,
+  BSP_FORMATS,
+  crc32,
+  createEmptyEntityStats,
+  entityCategory,
+  analyzeDmLayout,
+  isQuake2Family,
+  isArchiveFileName,
+  normalizeArchivePath,
+  openArchiveFile,
+  walkGameDirectory,
+  getStockManifest,
+  isStockResource,
+  splitStockResources,
+  resourceCandidatePaths,
+  skyFacePaths,
+  resourceKeysFor
+} = require('./lib/analyzer');
+const { LINT_CATEGORIES, lintEntities } = require('./lib/lint');
+const { buildLogicGraph } = require('./lib/logic');
+const { CLASSNAME_CATEGORIES, lookupClassname, detectMod, listDictionaries } = require('./lib/classnames');
+const {
+  ROLES,
+  ROLE_LABELS,
+  hasRole,
+  isAuthEnabled,
+  login,
+  sessionCookie,
+  clearSessionCookie,
+  authenticate
+} = require('./lib/auth');
+const {
+  CURATION_TAGS,
+  CURATION_TAG_LABELS,
+  MAX_RATING,
+  createEmptyCuration,
+  normalizeCuration,
+  formatPlayers
+} = require('./lib/curation');
+const {
+  getStorage,
+  getBaseMapName,
+  getSavedMapsList,
+  searchMapsByFileSubstring,
+  findMapByExactFileName,
+  findMapBySha256,
+  findMapById,
+  deleteMap,
+  RESOURCE_SEARCH_LIMIT,
+  findMapsByResource,
+  countStaleMaps,
+  listStaleMaps,
+  AUDIT_ACTIONS,
+  recordAudit,
+  listAuditLog,
+  updateMapCuration,
+  saveAnalysisToDb,
+  originalBspPath
+} = require('./lib/db');
+const {
+  analyzeUploadInWorker,
+  analyzeAndSaveUpload,
+  createUploadJob,
+  getJob,
+  queuePosition,
+  subscribeToJob
+} = require('./lib/jobs');
 
 const app = express();
 const upload = multer({
@@ -12,116 +87,122 @@ const upload = multer({
     files: 5000          // можно до 5000 файлов за один раз
   },
   fileFilter: (req, file, cb) => {
-    if (!/\.bsp$/i.test(file.originalname)) {
-      return cb(new Error('Разрешены только .bsp'));
+    if (!/\.(bsp|pak|zip|pkz)$/i.test(file.originalname)) {
+      return cb(new Error('Разрешены только .bsp, .pak, .zip и .pkz'));
     }
     cb(null, true);
   }
 });
 
 app.use(express.urlencoded({ extended: true }));
+app.use(authenticate);
 
-// ----- MongoDB -----
+// ----- Права доступа (lib/auth.js) -----
 
-const MONGODB_URI = process.env.MONGODB_URI;
-let dbPromise = null;
-
-function getDb() {
-  if (!MONGODB_URI) {
-    throw new Error('Переменная окружения MONGODB_URI не задана');
-  }
-  if (!dbPromise) {
-    const client = new MongoClient(MONGODB_URI);
-    dbPromise = client.connect().then(c => c.db());
-  }
-  return dbPromise;
+// Для страниц: без входа — переход на /login, без нужной роли — 403.
+// После входа вернёмся на ту же страницу; после POST — на главную.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    if (!req.user) {
+      const back = req.method === 'GET' ? req.originalUrl : '/';
+      return res.redirect(303, '/login?next=' + encodeURIComponent(back));
+    }
+    res.status(403).send(`Недостаточно прав: нужна роль ${role} (${ROLE_LABELS[role]})`);
+  };
 }
 
-function getBaseMapName(fileName) {
-  return fileName ? fileName.replace(/\.bsp$/i, '') : '';
-}
+// Кто действует — для журнала изменений (null, если вход не настроен)
+const actorName = req => (req.user ? req.user.name : null);
 
-async function getSavedMapsList() {
-  const db = await getDb();
-  const docs = await db.collection('maps')
-    .find({}, { projection: { mapName: 1, mapVersion: 1, fileName: 1 } })
-    .sort({ mapName: 1, mapVersion: 1, fileName: 1 })
-    .toArray();
-  return docs;
-}
+// AUTH_ANONYMOUS_ROLE=none: без входа доступна только страница входа (API проверяет сам)
+app.use((req, res, next) => {
+  if (req.path === '/login' || req.path.startsWith('/api/')) return next();
+  requireRole('viewer')(req, res, next);
+});
 
-// --- поиск карты по подстроке имени файла ---
+// ----- Повторный анализ коллекции -----
+//
+// Запускается вручную со страницы /admin/reanalyze (или через API), проходит по документам
+// с parserVersion меньше текущей и заново разбирает сохранённые исходники.
+// Одна задача на процесс, состояние — в памяти.
 
-function escapeRegExp(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+const MAX_JOB_ERRORS = 50;
 
-async function searchMapsByFileSubstring(fileQuery) {
-  if (!fileQuery) return [];
-  const term = fileQuery.trim();
-  if (!term) return [];
+let reanalyzeJob = null;
 
-  const pattern = escapeRegExp(term); // подстрока
-  const db = await getDb();
-  const docs = await db.collection('maps')
-    .find(
-      { fileName: { $regex: pattern, $options: 'i' } },
-      { sort: { updatedAt: -1, createdAt: -1 } }
-    )
-    .toArray();
-  return docs;
+async function getReanalyzeStatus() {
+  const { stale, withoutOriginal } = await countStaleMaps();
+  return { parserVersion: PARSER_VERSION, stale, withoutOriginal, job: reanalyzeJob };
 }
 
-// поиск по точному имени файла (для /view?map=...)
-async function findMapByExactFileName(fileName) {
-  if (!fileName) return null;
-  const term = fileName.trim();
-  if (!term) return null;
-
-  const pattern = '^' + escapeRegExp(term) + '$';
+// user — кто запустил (для журнала изменений)
+function startReanalyzeJob(user = null) {
+  if (reanalyzeJob && reanalyzeJob.status === 'running') {
+    return reanalyzeJob;
+  }
 
-  const db = await getDb();
-  const doc = await db.collection('maps').findOne(
-    { fileName: { $regex: pattern, $options: 'i' } },
-    { sort: { updatedAt: -1, createdAt: -1 } }
-  );
-  return doc;
-}
-
-async function saveAnalysisToDb(analysis, fileName) {
-  const db = await getDb();
-
-  const baseName = getBaseMapName(fileName);
-  const mapName = analysis.mapName || baseName || null;
-  const mapVersion = analysis.mapVersion || null;
-
-  const now = new Date();
-
-  const doc = {
-    fileName: fileName || null,
-    mapName,
-    mapVersion,
-    textures: analysis.textures,
-    skies: analysis.skies,
-    sounds: analysis.sounds,
-    models: analysis.models,
-    others: analysis.others,
-    entityStats: analysis.entityStats,
-    errors: analysis.errors,
-    warnings: analysis.warnings,
-    updatedAt: now
+  const job = {
+    status: 'running',
+    user,
+    parserVersion: PARSER_VERSION,
+    total: 0,
+    done: 0,
+    failed: 0,
+    errors: [],
+    startedAt: new Date(),
+    finishedAt: null
   };
+  reanalyzeJob = job;
 
-  await db.collection('maps').updateOne(
-    { mapName, mapVersion },
-    {
-      $set: doc,
-      $setOnInsert: { createdAt: now }
-    },
-    { upsert: true }
-  );
+  runReanalyzeJob(job).catch(err => {
+    job.status = 'failed';
+    job.errors.push(err.message || String(err));
+    job.finishedAt = new Date();
+  });
+  return job;
+}
 
-  return { mapName, mapVersion };
+async function runReanalyzeJob(job) {
+  const docs = await listStaleMaps();
+  job.total = docs.length;
+
+  for (const doc of docs) {
+    try {
+      await reanalyzeStoredMap(doc, job.user);
+    } catch (err) {
+      job.failed++;
+      if (job.errors.length < MAX_JOB_ERRORS) {
+        job.errors.push(`${doc.fileName || doc.sha256}: ${err.message || err}`);
+      }
+    }
+    job.done++;
+    // отдаём управление, чтобы сервер отвечал на запросы во время задачи
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  job.status = 'done';
+  job.finishedAt = new Date();
+}
+
+// Разбор — в рабочем потоке, как у загрузок. archive и resourceCheck не трогаем:
+// содержимого архива у нас нет, а saveAnalysisToDb без них оставляет прежние значения.
+// Имя в базе — всегда имя .bsp, так что analyzeUpload разбирает файл как карту.
+async function reanalyzeStoredMap(doc, user) {
+  const buf = await fs.promises.readFile(originalBspPath(doc.sha256));
+  const [{ analysis }] = await analyzeUploadInWorker(buf, doc.fileName);
+  if (analysis.sha256 !== doc.sha256) {
+    throw new Error('исходный файл повреждён: SHA-256 не совпадает');
+  }
+  analysis.originalStored = true;
+  await saveAnalysisToDb(analysis, doc.fileName);
+  await recordAudit({
+    user,
+    action: 'reanalyze',
+    sha256: doc.sha256,
+    fileName: doc.fileName,
+    details: { parserVersion: PARSER_VERSION }
+  });
 }
 
 // ----- HTTP маршруты -----
@@ -165,7 +246,8 @@ app.get('/', async (req, res) => {
       renderHomeHtml(savedMaps, {
         searchQuery: mapQuery || '',
         notFoundMessage,
-        searchResults
+        searchResults,
+        user: req.user
       })
     );
   } catch (e) {
@@ -179,8 +261,8 @@ app.get('/view', async (req, res) => {
   try {
     const mapParam = req.query.map;
     const id = req.query.id;
+    const sha256 = req.query.sha256;
 
-    const db = await getDb();
     let doc = null;
 
     if (mapParam) {
@@ -188,9 +270,14 @@ app.get('/view', async (req, res) => {
       if (!doc) {
         return res.status(404).send('Карта с таким именем файла не найдена в базе');
       }
+    } else if (sha256) {
+      doc = await findMapBySha256(sha256);
+      if (!doc) {
+        return res.status(404).send('Карта с таким SHA-256 не найдена в базе');
+      }
     } else if (id) {
       // legacy: /view?id=... => найдём, потом редирект на /view?map=
-      doc = await db.collection('maps').findOne({ _id: new ObjectId(id) });
+      doc = await findMapById(id);
       if (!doc) {
         return res.status(404).send('Карта не найдена в базе');
       }
@@ -211,209 +298,1719 @@ app.get('/view', async (req, res) => {
       file: doc.fileName || (doc.mapName || 'map') + '.bsp',
       mapName: doc.mapName || null,
       mapVersion: doc.mapVersion || null,
+      sha256: doc.sha256 || null,
+      mapChecksum: doc.mapChecksum != null ? doc.mapChecksum : null,
+      aliases: doc.aliases || [],
+      originalStored: !!doc.originalStored,
+      parserVersion: doc.parserVersion || null,
       textures: doc.textures || [],
       skies: doc.skies || [],
       sounds: doc.sounds || [],
       models: doc.models || [],
       others: doc.others || [],
       entityStats: doc.entityStats || createEmptyEntityStats(),
+      mod: doc.mod || (isQuake2Family(doc) ? detectMod(doc.entities) : null),
+      entities: doc.entities || [],
+      overview: doc.overview || null,
+      bspStructure: doc.bspStructure || null,
+      textureInfo: doc.textureInfo || [],
+      // сохранённые до появления расстановки считаем по entities
+      layout: doc.layout || analyzeDmLayout(doc.entities),
+      lint: doc.lint || lintEntities(doc.entities, doc.format),
+      format: doc.format || null,
+      archive: doc.archive || null,
+      resourceCheck: doc.resourceCheck || null,
+      // у документов, сохранённых до появления манифеста, делим на лету
+      stockCheck: doc.stockCheck || (isQuake2Family(doc) ? splitStockResources(doc) : null),
       errors: doc.errors || [],
-      warnings: doc.warnings || []
+      warnings: doc.warnings || [],
+      curation: doc.curation || createEmptyCuration()
     };
 
+    // журнал, как и /admin/audit, только для администраторов
+    const history = doc.sha256 && hasRole(req.user, 'admin')
+      ? await listAuditLog({ sha256: doc.sha256, limit: MAP_HISTORY_LIMIT })
+      : [];
+
     res.type('html').send(
-      renderResultsHtml([result], savedMaps, { currentFileName: doc.fileName || null })
+      renderResultsHtml([result], savedMaps, { currentFileName: doc.fileName || null, user: req.user, history })
     );
   } catch (e) {
     res.status(500).send(`Ошибка: ${e.message || e}`);
   }
 });
 
-// Анализ загруженных файлов
-app.post('/analyze', upload.array('maps'), async (req, res) => {
+// Сколько последних записей журнала показывать на странице карты
+const MAP_HISTORY_LIMIT = 20;
+
+// Правка данных каталога со страницы карты: POST /view/curation?map=<fileName>
+app.post('/view/curation', requireRole('uploader'), async (req, res) => {
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).send('Файлы не загружены');
+    const doc = await findMapByExactFileName(String(req.query.map || ''));
+    if (!doc) {
+      return res.status(404).send('Карта с таким именем файла не найдена в базе');
+    }
+    const { curation, errors } = normalizeCuration(req.body);
+    if (errors.length) {
+      return res.status(400).send(errors.map(e => e.message).join('\n'));
     }
+    await updateMapCuration(doc._id, curation);
+    await recordAudit({ user: actorName(req), action: 'curation', sha256: doc.sha256, fileName: doc.fileName, details: curation });
+    res.redirect(303, `/view?map=${encodeURIComponent(doc.fileName)}#map0-curation`);
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
 
-    const results = [];
-    for (const f of req.files) {
-      const analysis = analyzeBspBuffer(f.buffer);
+// Удаление карты со страницы карты: POST /view/delete?map=<fileName>
+app.post('/view/delete', requireRole('admin'), async (req, res) => {
+  try {
+    const doc = await findMapByExactFileName(String(req.query.map || ''));
+    if (!doc) {
+      return res.status(404).send('Карта с таким именем файла не найдена в базе');
+    }
+    await deleteMap(doc, actorName(req));
+    res.redirect(303, '/');
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
 
-      // Сохраняем в MongoDB (upsert по mapName + mapVersion)
-      try {
-        const { mapName, mapVersion } = await saveAnalysisToDb(analysis, f.originalname);
-        analysis.mapName = mapName;
-        analysis.mapVersion = mapVersion;
-      } catch (err) {
-        analysis.warnings = analysis.warnings || [];
-        analysis.warnings.push(`Не удалось сохранить в MongoDB: ${err.message}`);
-      }
+// Браузер сущностей карты: /view/entities?map=<fileName>&classname=<classname или префикс*>
+app.get('/view/entities', async (req, res) => {
+  try {
+    const mapParam = req.query.map;
+    if (!mapParam) {
+      return res.redirect('/');
+    }
 
-      results.push({ file: f.originalname, ...analysis });
+    const doc = await findMapByExactFileName(mapParam);
+    if (!doc) {
+      return res.status(404).send('Карта с таким именем файла не найдена в базе');
     }
 
-    const savedMaps = await getSavedMapsList();
+    res.type('html').send(
+      renderEntitiesHtml(doc, { classnameFilter: String(req.query.classname || '').trim() })
+    );
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
 
-    // Если просят JSON
-    if ((req.headers.accept || '').includes('application/json') || req.query.json === '1') {
-      return res.json({ results });
+// Граф связей target → targetname: /view/logic?map=<fileName>
+app.get('/view/logic', async (req, res) => {
+  try {
+    const mapParam = req.query.map;
+    if (!mapParam) {
+      return res.redirect('/');
+    }
+
+    const doc = await findMapByExactFileName(mapParam);
+    if (!doc) {
+      return res.status(404).send('Карта с таким именем файла не найдена в базе');
     }
 
-    // HTML
-    res.type('html').send(renderResultsHtml(results, savedMaps));
+    res.type('html').send(renderLogicHtml(doc, buildLogicGraph(doc.entities)));
   } catch (e) {
-    res.status(400).send(`Ошибка: ${e.message || e}`);
+    res.status(500).send(`Ошибка: ${e.message || e}`);
   }
 });
 
-// ----- HTML рендеры -----
+// Сравнение двух карт: /diff?a=<fileName>&b=<fileName> (JSON: ?json=1 или Accept: application/json)
+app.get('/diff', async (req, res) => {
+  try {
+    const a = String(req.query.a || '').trim();
+    const b = String(req.query.b || '').trim();
+    if (!a || !b) {
+      return res.status(400).send('Укажите обе карты: /diff?a=<файл>&b=<файл>');
+    }
 
-// Удаляем управляющие символы, лишние пробелы и т.п. только для отображения
-function cleanMapTitle(name) {
-  if (!name) return '';
-  let s = String(name);
+    const [docA, docB] = await Promise.all([findMapByExactFileName(a), findMapByExactFileName(b)]);
+    const missing = [[a, docA], [b, docB]].filter(([, doc]) => !doc).map(([name]) => name);
+    if (missing.length) {
+      return res.status(404).send(`Карта не найдена в базе: ${htmlEscape(missing.join(', '))}`);
+    }
 
-  // 1) буквальные последовательности "\n", "\r", "\t" -> пробел
-  s = s.replace(/\\[nrt]/g, ' ');
+    const diff = computeMapDiff(docA, docB);
 
-  // 2) реальные управляющие символы ASCII (0x00-0x1F, 0x7F) -> пробел
-  s = s.replace(/[\x00-\x1F\x7F]+/g, ' ');
+    if ((req.headers.accept || '').includes('application/json') || req.query.json === '1') {
+      return res.json(diff);
+    }
 
-  // 3) типичный юникод-мусор: неразрывные / нулевой ширины и т.п. -> пробел
-  s = s.replace(/[\u00A0\u200B-\u200F\u2028\u2029]+/g, ' ');
+    const savedMaps = await getSavedMapsList();
+    res.type('html').send(renderDiffHtml(diff, savedMaps));
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
 
-  // 4) схлопываем пробелы
-  s = s.replace(/\s+/g, ' ').trim();
+// Поиск карт по ресурсу: /resources?q=<путь | префикс/ | маска с *>
+app.get('/resources', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    let result = null;
+    let errorMessage = null;
+    if (q) {
+      try {
+        result = await findMapsByResource(q, RESOURCE_SEARCH_LIMIT);
+      } catch (err) {
+        console.error('Resource search error:', err);
+        errorMessage = 'Ошибка при поиске по ресурсам';
+      }
+    }
+    res.type('html').send(renderResourceSearchHtml(q, result, { errorMessage }));
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
 
-  return s;
+// Обзор коллекции с фильтрами, сортировкой и страницами: /browse?format=&weapon=weapon_bfg&sort=fileSize&order=desc
+// Параметры те же, что у GET /api/v1/maps, поэтому адресом страницы можно поделиться
+app.get('/browse', async (req, res) => {
+  try {
+    const { sort: requestedSort, order } = parseMapsSort(req.query);
+    const sort = API_SORT_FIELDS.includes(requestedSort) ? requestedSort : 'mapName';
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = Math.min(parsePositiveInt(req.query.limit, BROWSE_PAGE_SIZE), API_MAX_LIMIT);
+    const { items, total } = await listMaps({ filter: buildMapsFilter(req.query), sort, order, page, limit });
+    res.type('html').send(renderBrowseHtml(req.query, { items, total, sort, order, page, limit }));
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
+
+// Разбор и сохранение загруженных файлов для ответа JSON (/analyze?json=1 и POST /api/v1/analyze):
+// по результату на карту. Ошибка одного файла (например, битый архив) не отменяет остальные —
+// вместо полей анализа у него { file, error: { code: 'analysis_failed', message } }
+async function analyzeUploadedFiles(files, user) {
+  const results = [];
+  for (const f of files) {
+    try {
+      results.push(...await analyzeAndSaveUpload(f.buffer, f.originalname, user));
+    } catch (err) {
+      results.push({ file: f.originalname, error: { code: 'analysis_failed', message: err.message || String(err) } });
+    }
+  }
+  return results;
 }
 
+// Анализ загруженных файлов
+app.post('/analyze', requireRole('uploader'), upload.array('maps'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).send('Файлы не загружены');
+    }
 
-function renderHomeHtml(
-  savedMaps,
-  { searchQuery = '', notFoundMessage = null, searchResults = [] } = {}
-) {
-  const esc = htmlEscape;
+    // Если просят JSON — отвечаем, когда всё разобрано (разбор всё равно в рабочих потоках)
+    if ((req.headers.accept || '').includes('application/json') || req.query.json === '1') {
+      return res.json({ results: await analyzeUploadedFiles(req.files, actorName(req)) });
+    }
 
-  const options = savedMaps.map(m => {
-    const fileName = m.fileName || '';
-    const rawNamePart = m.mapName || getBaseMapName(fileName) || 'Без имени';
-    const namePart = cleanMapTitle(rawNamePart) || 'Без имени';
-    const filePart = fileName ? ` (${fileName})` : '';
-    const label = namePart + filePart;
-    const value = fileName || namePart; // value для select — имя файла, если есть
-    return `<option value="${esc(value)}">${esc(label)}</option>`;
-  }).join('');
+    // HTML — задача в очереди, ход и итог на странице задачи
+    const job = createUploadJob(req.files, { user: actorName(req) });
+    res.redirect(303, '/jobs/' + encodeURIComponent(job.id));
+  } catch (e) {
+    res.status(400).send(`Ошибка: ${htmlEscape(e.message || String(e))}`);
+  }
+});
 
-  const haveMaps = savedMaps.length > 0;
+// Задача загрузки: /jobs/<id> — ход и итог (JSON: ?json=1 или Accept: application/json)
+app.get('/jobs/:id', (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).send('Задача не найдена: завершённые задачи хранятся в памяти до перезапуска сервера');
+    }
 
-  const searchResultsHtml = searchResults.length > 1
-    ? `
-      <div class="panel">
-        <div><strong>Найдено карт: ${searchResults.length}</strong></div>
-        <ul>
-          ${searchResults.map(m => {
-            const fileName = m.fileName || '';
-            const rawNamePart = m.mapName || getBaseMapName(fileName) || 'Без имени';
-            const namePart = cleanMapTitle(rawNamePart) || 'Без имени';
-            const filePart = fileName ? ` (${fileName})` : '';
-            const label = namePart + filePart;
-            const href = '/view?map=' + encodeURIComponent(fileName || namePart);
-            return `<li><a href="${href}">${esc(label)}</a></li>`;
-          }).join('')}
-        </ul>
-      </div>
-    `
-    : '';
+    if ((req.headers.accept || '').includes('application/json') || req.query.json === '1') {
+      return res.json(job);
+    }
+    res.type('html').send(renderJobHtml(job, { position: queuePosition(job.id) }));
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
 
-  return `
-<!doctype html>
-<html lang="ru">
-<head>
-<meta charset="utf-8" />
-<title>Quake 2 BSP Resource Inspector</title>
-<style>
-  body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
-  pre{background:#f6f8fa;padding:1rem;overflow:auto}
-  .panel{border:1px solid #ddd;padding:1rem;margin:1rem 0;border-radius:4px}
-  .top-bar{display:flex;flex-wrap:wrap;gap:1rem;align-items:center;margin-bottom:1rem}
-  .top-bar form{margin:0}
-  label{font-size:0.95rem}
-  select,input[type="text"]{padding:0.2rem 0.4rem}
-  button{padding:0.3rem 0.8rem;cursor:pointer}
-  .search-msg{margin-top:0.3rem;font-size:0.85rem;color:#b00020}
-  .stats{margin-top:0.5rem;font-size:0.9rem;color:#555}
-</style>
-</head>
-<body>
-  <h1>Quake 2 BSP Resource Inspector</h1>
+// Ход задачи через Server-Sent Events: file (строка таблицы), progress, end (итог).
+// Файлы, разобранные до подключения, отправляются сразу.
+app.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).send('Задача не найдена');
+  }
 
-  <p class="stats">
-    Всего загруженных карт в базе: <strong>${savedMaps.length}</strong>
-  </p>
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
 
-  <div class="top-bar">
-    <form action="/analyze" method="post" enctype="multipart/form-data">
-      <label>
-        Загрузить BSP:
-        <input type="file" name="maps" multiple accept=".bsp" />
-      </label>
-      <button type="submit">Анализировать</button>
-    </form>
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const progress = () => ({ id: job.id, status: job.status, total: job.total, done: job.done, failed: job.failed });
+  const sendFile = index => send('file', { index, file: job.files[index], html: renderJobFileRow(job.files[index], index) });
+  const sendEnd = () => {
+    send('end', { ...progress(), summaryHtml: renderJobSummary(job), redirect: jobRedirectHref(job) });
+    res.end();
+  };
 
-    ${haveMaps ? `
-      <form action="/view" method="get" id="savedMapForm">
-        <label>
-          Сохранённые карты:
-          <select name="map" onchange="if(this.value) document.getElementById('savedMapForm').submit();">
-            <option value="">— выбрать карту —</option>
-            ${options}
-          </select>
-        </label>
-        <noscript><button type="submit">Открыть</button></noscript>
-      </form>
-    ` : ''}
-  </div>
+  job.files.forEach((file, index) => {
+    if (file.status === 'done' || file.status === 'failed') sendFile(index);
+  });
+  if (isJobFinished(job)) {
+    return sendEnd();
+  }
+  send('progress', progress());
 
-  <div class="panel">
-    <form action="/" method="get">
-      <label>
-        Поиск по имени файла карты (по подстроке, без учёта регистра):
-        <input type="text" name="map" value="${esc(searchQuery || '')}" placeholder="например, dm1 или q2dm1" />
-      </label>
-      <button type="submit">Найти</button>
-    </form>
-    ${notFoundMessage ? `<div class="search-msg">${esc(notFoundMessage)}</div>` : ''}
-  </div>
+  const unsubscribe = subscribeToJob(job.id, (event, data) => {
+    if (event === 'file') sendFile(data.index);
+    else if (event === 'progress') send('progress', progress());
+    else if (event === 'end') sendEnd();
+  });
+  // комментарий раз в 15 с не даёт прокси закрыть простаивающее соединение
+  const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+});
 
-  ${searchResultsHtml}
+// Скачать исходный BSP: /download?sha256=...
+app.get('/download', async (req, res) => {
+  try {
+    const doc = await findMapBySha256(req.query.sha256);
+    if (!doc || !doc.originalStored) {
+      return res.status(404).send('Исходный файл этой карты не сохранён');
+    }
 
-  <p>Поддерживается Quake 2 BSP (IBSP v38). Текстуры берутся из TEXINFO, а sky/sound/model и игровые объекты (оружие, броня, спавны, полезные предметы) — из ENTITIES.</p>
-  <p>Program support: ly (@QuakeJourney)<p>
-</body>
-</html>
-  `;
-}
+    res.download(originalBspPath(doc.sha256), doc.fileName || doc.sha256 + '.bsp', err => {
+      if (err && !res.headersSent) {
+        res.status(404).send('Исходный файл этой карты не найден в хранилище');
+      }
+    });
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
 
+// Пакет карты для распространения: /package?map=<fileName> — что войдёт и чего не хватает,
+// &format=pak|zip — скачать архив, &json=1 — то же, что на странице, в JSON
+app.get('/package', async (req, res) => {
+  try {
+    const mapParam = req.query.map;
+    if (!mapParam) {
+      return res.redirect('/');
+    }
 
-function renderResultsHtml(results, savedMaps = [], { currentFileName = null } = {}) {
-  const esc = htmlEscape;
+    const doc = await findMapByExactFileName(mapParam);
+    if (!doc) {
+      return res.status(404).send('Карта с таким именем файла не найдена в базе');
+    }
 
-  const renderCountsList = map => {
-    const entries = Object.entries(map || {});
-    if (!entries.length) return '<p>—</p>';
-    entries.sort((a, b) => a[0].localeCompare(b[0]));
-    return `<ul>${entries.map(([name, count]) =>
-      `<li><code>${esc(name)}</code>: <strong>${count}</strong></li>`).join('')}</ul>`;
-  };
+    const plan = planMapPackage(doc);
+    const format = req.query.format;
 
-  const renderSpawnPoints = sp => {
-    if (!sp) return '<p>—</p>';
-    const items = [];
-    if (sp.deathmatch) items.push(
-      `<li>Deathmatch (<code>info_player_deathmatch</code>): <strong>${sp.deathmatch}</strong></li>`
-    );
+    if (format === 'pak' || format === 'zip') {
+      const entries = plan.files.map(f => ({ path: f.path, data: f.read() }));
+      const data = format === 'pak' ? writePak(entries) : writeZip(entries);
+      res.attachment(`${getBaseMapName(doc.fileName) || 'map'}.${format}`);
+      res.type('application/octet-stream');
+      return res.send(data);
+    }
+
+    if ((req.headers.accept || '').includes('application/json') || req.query.json === '1') {
+      return res.json({
+        map: doc.fileName,
+        dirs: plan.dirs,
+        files: plan.files.map(({ path: filePath, kind, source }) => ({ path: filePath, kind, source })),
+        missing: plan.missing
+      });
+    }
+
+    res.type('html').send(renderPackageHtml(doc, plan));
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
+
+app.get('/admin/reanalyze', requireRole('admin'), async (req, res) => {
+  try {
+    const status = await getReanalyzeStatus();
+    res.type('html').send(renderReanalyzeHtml(status));
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
+
+app.post('/admin/reanalyze', requireRole('admin'), (req, res) => {
+  startReanalyzeJob(actorName(req));
+  res.redirect(303, '/admin/reanalyze');
+});
+
+// Журнал изменений всей коллекции: /admin/audit?limit=
+app.get('/admin/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parsePositiveInt(req.query.limit, AUDIT_PAGE_LIMIT), AUDIT_MAX_LIMIT);
+    const entries = await listAuditLog({ limit });
+    res.type('html').send(renderAuditHtml(entries, { limit }));
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
+
+// ----- Вход и выход -----
+
+// Куда вернуться после входа: только путь на этом сайте
+function safeNextPath(value) {
+  const next = String(value || '');
+  return next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\') ? next : '/';
+}
+
+app.get('/login', (req, res) => {
+  if (!isAuthEnabled()) {
+    return res.redirect('/');
+  }
+  res.type('html').send(renderLoginHtml({ next: safeNextPath(req.query.next), user: req.user }));
+});
+
+app.post('/login', async (req, res) => {
+  try {
+    const next = safeNextPath(req.body.next);
+    const user = isAuthEnabled() ? await login(req.body.name, String(req.body.password || '')) : null;
+    if (!user) {
+      return res.status(401).type('html').send(renderLoginHtml({
+        next,
+        name: String(req.body.name || ''),
+        error: 'Неверное имя пользователя, пароль или токен'
+      }));
+    }
+    res.set('Set-Cookie', sessionCookie(user, { secure: req.secure }));
+    res.redirect(303, next);
+  } catch (e) {
+    res.status(500).send(`Ошибка: ${e.message || e}`);
+  }
+});
+
+app.post('/logout', (req, res) => {
+  res.set('Set-Cookie', clearSessionCookie());
+  res.redirect(303, '/');
+});
+
+// ----- JSON API (v1) -----
+//
+// /api/v1/... — стабильный адрес; /api/... — псевдоним последней версии.
+// Ошибки всегда в виде { error: { code, message } }.
+
+const API_VERSION = '1.0.0';
+const API_MAX_LIMIT = 200;
+// записей журнала изменений за раз
+const AUDIT_PAGE_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 1000;
+const API_SORT_FIELDS = ['fileName', 'mapName', 'mapVersion', 'createdAt', 'updatedAt', 'fileSize'];
+// поля сортировки, которые лежат не в корне документа
+const SORT_FIELD_PATHS = { fileSize: 'bspStructure.fileSize' };
+// classname в фильтре ?weapon= (идёт в путь поля в запросе к хранилищу)
+const WEAPON_PARAM_RE = /^[a-z0-9_]+$/;
+// тяжёлые поля, которые не нужны в списках
+const API_LIST_PROJECTION = { entities: 0, overview: 0, textureInfo: 0 };
+
+const api = express.Router();
+
+// Express 4 не ловит отклонённые промисы — передаём ошибку в обработчик API
+const asyncRoute = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+// Для API: 401 без входа (или с неизвестным токеном), 403 — если роли не хватает
+function apiRequireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    if (!req.user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return apiError(res, 401, 'unauthorized', `Authentication required (role "${role}"): send Authorization: Bearer <token>`);
+    }
+    apiError(res, 403, 'forbidden', `Role "${role}" required, current role is "${req.user.role}"`);
+  };
+}
+
+api.use(apiRequireRole('viewer'));
+
+function serializeMap(doc) {
+  const { _id, ...rest } = doc;
+  return { id: _id ? String(_id) : null, ...rest };
+}
+
+function parsePositiveInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// ?hasErrors=true|false -> true / false / undefined
+function parseBoolParam(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+function parseNonNegativeInt(value) {
+  if (value === undefined || value === '') return undefined;
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+// Параметр, который может повторяться (?weapon=a&weapon=b) или идти через запятую
+function queryList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Фильтры списка (API и /browse):
+//   ?q= (подстрока имени файла или названия), ?fileName=, ?mapName= (подстрока),
+//   ?format= (id формата), ?mod= (id словаря classname),
+//   ?hasErrors=, ?hasWarnings=, ?customSky=, ?customResources= (true|false),
+//   ?dmMin=&dmMax= (число info_player_deathmatch), ?weapon= (classname, можно несколько),
+//   по данным каталога: ?tag= (можно несколько), ?author=, ?notes= (подстрока),
+//   ?minRating=, ?players= (число игроков в рекомендуемом диапазоне)
+// Значения, которые не удалось разобрать, пропускаются.
+function buildMapsFilter(query) {
+  const filter = {};
+  if (query.q && String(query.q).trim()) {
+    filter.text = String(query.q).trim();
+  }
+  if (query.fileName) {
+    filter.fileNameContains = String(query.fileName);
+  }
+  if (query.mapName) {
+    filter.mapNameContains = String(query.mapName);
+  }
+  if (query.format) {
+    filter.format = String(query.format);
+  }
+  if (query.mod) {
+    filter.mod = String(query.mod);
+  }
+  for (const key of ['hasErrors', 'hasWarnings', 'customSky', 'customResources']) {
+    const value = parseBoolParam(query[key]);
+    if (value !== undefined) filter[key] = value;
+  }
+  const dmMin = parseNonNegativeInt(query.dmMin);
+  const dmMax = parseNonNegativeInt(query.dmMax);
+  if (dmMin !== undefined || dmMax !== undefined) {
+    filter.dmSpawns = {};
+    if (dmMin !== undefined) filter.dmSpawns.min = dmMin;
+    if (dmMax !== undefined) filter.dmSpawns.max = dmMax;
+  }
+  const weapons = queryList(query.weapon).filter(cls => WEAPON_PARAM_RE.test(cls));
+  if (weapons.length) {
+    filter.weapons = Array.from(new Set(weapons));
+  }
+  const tags = queryList(query.tag);
+  if (tags.length) {
+    filter.tags = Array.from(new Set(tags));
+  }
+  if (query.author && String(query.author).trim()) {
+    filter.authorContains = String(query.author).trim();
+  }
+  if (query.notes && String(query.notes).trim()) {
+    filter.notesContains = String(query.notes).trim();
+  }
+  const minRating = parseNonNegativeInt(query.minRating);
+  if (minRating) {
+    filter.minRating = minRating;
+  }
+  const players = parseNonNegativeInt(query.players);
+  if (players) {
+    filter.players = players;
+  }
+  return filter;
+}
+
+// ?sort=mapName&order=desc или ?sort=-mapName -> { sort, order: 1 | -1 }; поле не проверяется
+function parseMapsSort(query) {
+  let sort = String(query.sort || 'mapName');
+  let order = query.order === 'desc' ? -1 : 1;
+  if (sort.startsWith('-')) {
+    sort = sort.slice(1);
+    order = -1;
+  }
+  return { sort, order };
+}
+
+async function listMaps({ filter = {}, sort = 'mapName', order = 1, page = 1, limit = 50 } = {}) {
+  const storage = getStorage();
+  const [items, total] = await Promise.all([
+    storage.listMaps(filter, {
+      sort: { [SORT_FIELD_PATHS[sort] || sort]: order, fileName: 1 },
+      skip: (page - 1) * limit,
+      limit,
+      projection: API_LIST_PROJECTION
+    }),
+    storage.countMaps(filter)
+  ]);
+  return { items, total };
+}
+
+async function searchMaps(query, limit) {
+  return getStorage().listMaps({ text: query }, {
+    sort: { updatedAt: -1 },
+    limit,
+    projection: API_LIST_PROJECTION
+  });
+}
+
+// GET /api/v1/maps?page=&limit=&sort=&order=asc|desc и фильтры из buildMapsFilter
+api.get('/maps', asyncRoute(async (req, res) => {
+  const badWeapon = queryList(req.query.weapon).find(cls => !WEAPON_PARAM_RE.test(cls));
+  if (badWeapon) {
+    return apiError(res, 400, 'invalid_filter', `Invalid weapon classname "${badWeapon}"`);
+  }
+
+  const { sort, order } = parseMapsSort(req.query);
+  if (!API_SORT_FIELDS.includes(sort)) {
+    return apiError(res, 400, 'invalid_sort', `Unsupported sort field "${sort}". Allowed: ${API_SORT_FIELDS.join(', ')}`);
+  }
+
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = Math.min(parsePositiveInt(req.query.limit, 50), API_MAX_LIMIT);
+
+  const { items, total } = await listMaps({ filter: buildMapsFilter(req.query), sort, order, page, limit });
+  res.json({
+    items: items.map(serializeMap),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+  });
+}));
+
+api.get('/maps/:fileName', asyncRoute(async (req, res) => {
+  const doc = await findMapByExactFileName(req.params.fileName);
+  if (!doc) {
+    return apiError(res, 404, 'map_not_found', `Map "${req.params.fileName}" not found`);
+  }
+  res.json(serializeMap(doc));
+}));
+
+api.get('/maps/by-hash/:sha256', asyncRoute(async (req, res) => {
+  const doc = await findMapBySha256(req.params.sha256);
+  if (!doc) {
+    return apiError(res, 404, 'map_not_found', `Map with SHA-256 "${req.params.sha256}" not found`);
+  }
+  res.json(serializeMap(doc));
+}));
+
+api.delete('/maps/:fileName', apiRequireRole('admin'), asyncRoute(async (req, res) => {
+  const doc = await findMapByExactFileName(req.params.fileName);
+  if (!doc) {
+    return apiError(res, 404, 'map_not_found', `Map "${req.params.fileName}" not found`);
+  }
+  res.json({ deleted: await deleteMap(doc, actorName(req)) });
+}));
+
+// PUT /api/v1/maps/<fileName>/curation — данные каталога целиком: { author, tags, players, notes, rating }
+api.put('/maps/:fileName/curation', apiRequireRole('uploader'), express.json(), asyncRoute(async (req, res) => {
+  const doc = await findMapByExactFileName(req.params.fileName);
+  if (!doc) {
+    return apiError(res, 404, 'map_not_found', `Map "${req.params.fileName}" not found`);
+  }
+  const { curation, errors } = normalizeCuration(req.body);
+  if (errors.length) {
+    return apiError(res, 400, 'invalid_curation', `Invalid fields: ${errors.map(e => e.field).join(', ')}`);
+  }
+  await updateMapCuration(doc._id, curation);
+  await recordAudit({ user: actorName(req), action: 'curation', sha256: doc.sha256, fileName: doc.fileName, details: curation });
+  res.json(curation);
+}));
+
+// GET /api/v1/search?q=<подстрока имени файла или названия карты>&limit=
+api.get('/search', asyncRoute(async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) {
+    return apiError(res, 400, 'missing_query', 'Query parameter "q" is required');
+  }
+  const limit = Math.min(parsePositiveInt(req.query.limit, 50), API_MAX_LIMIT);
+  const docs = await searchMaps(q, limit);
+  res.json({ query: q, items: docs.map(serializeMap) });
+}));
+
+// GET /api/v1/resources?q=<путь | префикс/ | маска с *>&limit=
+api.get('/resources', asyncRoute(async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) {
+    return apiError(res, 400, 'missing_query', 'Query parameter "q" is required');
+  }
+  const limit = Math.min(parsePositiveInt(req.query.limit, RESOURCE_SEARCH_LIMIT), RESOURCE_SEARCH_LIMIT);
+  const { matcher, items, total } = await findMapsByResource(q, limit);
+  res.json({ query: matcher.query, mode: matcher.mode, total, items });
+}));
+
+// POST /api/v1/analyze (multipart/form-data, поле "maps").
+// Ошибка разбора одного файла не прерывает остальные — она попадает в его элемент results.
+api.post('/analyze', apiRequireRole('uploader'), (req, res, next) => {
+  upload.array('maps')(req, res, err => {
+    if (err) {
+      return apiError(res, 400, 'invalid_upload', err.message || String(err));
+    }
+    next();
+  });
+}, asyncRoute(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return apiError(res, 400, 'no_files', 'No files uploaded (multipart field "maps")');
+  }
+
+  res.json({ results: await analyzeUploadedFiles(req.files, actorName(req)) });
+}));
+
+// POST /api/v1/jobs (multipart/form-data, поле "maps") — поставить загрузку в очередь.
+// Ответ 202 сразу; ход — GET /api/v1/jobs/:id или SSE /jobs/:id/events
+api.post('/jobs', apiRequireRole('uploader'), (req, res, next) => {
+  upload.array('maps')(req, res, err => {
+    if (err) {
+      return apiError(res, 400, 'invalid_upload', err.message || String(err));
+    }
+    next();
+  });
+}, (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return apiError(res, 400, 'no_files', 'No files uploaded (multipart field "maps")');
+  }
+  const job = createUploadJob(req.files, { user: actorName(req) });
+  res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json(job);
+});
+
+api.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return apiError(res, 404, 'job_not_found', `Job not found: ${req.params.id}`);
+  }
+  res.json(job);
+});
+
+// GET /api/v1/maps/:fileName/export?format=txt|csv|json|filelist&stock=0
+api.get('/maps/:fileName/export', asyncRoute(async (req, res) => {
+  const format = String(req.query.format || 'txt');
+  if (!EXPORT_FORMATS[format]) {
+    return apiError(res, 400, 'invalid_format', `Unsupported format "${format}". Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const doc = await findMapByExactFileName(req.params.fileName);
+  if (!doc) {
+    return apiError(res, 404, 'map_not_found', `Map "${req.params.fileName}" not found`);
+  }
+  sendExport(res, [doc], format, {
+    includeStock: req.query.stock !== '0',
+    baseName: getBaseMapName(doc.fileName) || 'map'
+  });
+}));
+
+// GET /api/v1/export?map=a.bsp&map=b.bsp (или map=a.bsp,b.bsp)&format=...&stock=0 — общий список для нескольких карт
+api.get('/export', asyncRoute(async (req, res) => {
+  const format = String(req.query.format || 'txt');
+  if (!EXPORT_FORMATS[format]) {
+    return apiError(res, 400, 'invalid_format', `Unsupported format "${format}". Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const names = [].concat(req.query.map || [])
+    .flatMap(m => String(m).split(','))
+    .map(m => m.trim())
+    .filter(Boolean);
+  if (!names.length) {
+    return apiError(res, 400, 'missing_map', 'Query parameter "map" is required');
+  }
+
+  const docs = [];
+  const missing = [];
+  for (const name of names) {
+    const doc = await findMapByExactFileName(name);
+    if (doc) docs.push(doc);
+    else missing.push(name);
+  }
+  if (missing.length) {
+    return apiError(res, 404, 'map_not_found', `Maps not found: ${missing.join(', ')}`);
+  }
+
+  sendExport(res, docs, format, { includeStock: req.query.stock !== '0', baseName: 'maps' });
+}));
+
+// GET  /api/v1/admin/reanalyze — сколько документов устарело и ход текущей задачи
+// POST /api/v1/admin/reanalyze — запустить повторный анализ (если ещё не идёт)
+api.get('/admin/reanalyze', apiRequireRole('admin'), asyncRoute(async (req, res) => {
+  res.json(await getReanalyzeStatus());
+}));
+
+api.post('/admin/reanalyze', apiRequireRole('admin'), asyncRoute(async (req, res) => {
+  startReanalyzeJob(actorName(req));
+  res.status(202).json(await getReanalyzeStatus());
+}));
+
+// GET /api/v1/audit?map=<fileName>|sha256=&limit= — журнал изменений, новые записи первыми
+api.get('/audit', apiRequireRole('admin'), asyncRoute(async (req, res) => {
+  let sha256;
+  if (req.query.map) {
+    const doc = await findMapByExactFileName(String(req.query.map));
+    if (!doc) {
+      return apiError(res, 404, 'map_not_found', `Map "${req.query.map}" not found`);
+    }
+    // у документов, сохранённых до появления sha256, истории нет
+    sha256 = doc.sha256 || '';
+  } else if (req.query.sha256) {
+    sha256 = String(req.query.sha256).trim().toLowerCase();
+  }
+  const limit = Math.min(parsePositiveInt(req.query.limit, AUDIT_PAGE_LIMIT), AUDIT_MAX_LIMIT);
+  const items = sha256 === '' ? [] : await listAuditLog({ sha256, limit });
+  res.json({ items });
+}));
+
+// GET /api/v1/me — кто выполняет запрос
+api.get('/me', (req, res) => {
+  res.json({
+    authEnabled: isAuthEnabled(),
+    user: req.user && req.user.name ? { name: req.user.name, role: req.user.role } : null
+  });
+});
+
+// GET /api/v1/classnames — словари classname по играм и модам
+api.get('/classnames', (req, res) => {
+  res.json({ categories: CLASSNAME_CATEGORIES, dictionaries: listDictionaries() });
+});
+
+api.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec());
+});
+
+api.use((req, res) => {
+  apiError(res, 404, 'not_found', `Unknown API endpoint: ${req.method} ${req.originalUrl}`);
+});
+
+// четыре аргумента — так Express отличает обработчик ошибок
+api.use((err, req, res, next) => {
+  console.error('API error:', err);
+  apiError(res, 500, 'internal_error', err.message || String(err));
+});
+
+function buildOpenApiSpec() {
+  const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+  // 401/403 у операций, которым нужна роль выше viewer
+  const roleResponses = role => ({
+    401: errorResponse('Authentication required'),
+    403: errorResponse(`Role "${role}" required`)
+  });
+  const fileNameParam = {
+    name: 'fileName', in: 'path', required: true,
+    description: 'BSP file name or one of its aliases (case-insensitive), e.g. q2dm1.bsp',
+    schema: { type: 'string' }
+  };
+  const exportFormatParam = {
+    name: 'format', in: 'query',
+    schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'txt' }
+  };
+  const exportStockParam = {
+    name: 'stock', in: 'query',
+    description: '0 leaves out files that ship with the game',
+    schema: { type: 'string', enum: ['0', '1'], default: '1' }
+  };
+  const exportDescription = 'Game-relative paths: the BSP itself, textures as .wal, each sky as its six ' +
+    'rt/bk/lf/ft/up/dn faces in .tga and .pcx, sounds under sound/, and models. ' +
+    'txt is one path per line (suitable for rsync --files-from); csv and json add the kind, ' +
+    'whether the file is stock and which maps use it; filelist is a q2pro/r1q2 HTTP download ' +
+    '.filelist and never lists stock files.';
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Quake 2 BSP Resource Inspector API',
+      version: API_VERSION,
+      description: 'When accounts or API tokens are configured, requests are authorized by role: viewer reads, ' +
+        'uploader also uploads maps and edits catalog data, admin also deletes maps, starts re-analysis ' +
+        'and reads the audit log. Anonymous requests get the viewer role unless AUTH_ANONYMOUS_ROLE=none.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, {}],
+    paths: {
+      '/maps': {
+        get: {
+          summary: 'List stored maps',
+          parameters: [
+            { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: API_MAX_LIMIT, default: 50 } },
+            { name: 'sort', in: 'query', description: 'Sort field; prefix with "-" for descending', schema: { type: 'string', enum: API_SORT_FIELDS, default: 'mapName' } },
+            { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' } },
+            { name: 'fileName', in: 'query', description: 'File name substring', schema: { type: 'string' } },
+            { name: 'mapName', in: 'query', description: 'Map title substring', schema: { type: 'string' } },
+            { name: 'format', in: 'query', description: 'BSP format id (quake2, qbsp, quake1, quake3, ...)', schema: { type: 'string' } },
+            { name: 'q', in: 'query', description: 'File name or map title substring', schema: { type: 'string' } },
+            { name: 'mod', in: 'query', description: 'Detected mod: classname dictionary id (baseq2, xatrix, rogue, ctf, rerelease, ...)', schema: { type: 'string' } },
+            { name: 'hasErrors', in: 'query', schema: { type: 'boolean' } },
+            { name: 'hasWarnings', in: 'query', schema: { type: 'boolean' } },
+            { name: 'customSky', in: 'query', description: 'Sky is not part of the stock game', schema: { type: 'boolean' } },
+            { name: 'customResources', in: 'query', description: 'Uses at least one non-stock texture, sky, sound or model', schema: { type: 'boolean' } },
+            { name: 'dmMin', in: 'query', description: 'Minimum number of info_player_deathmatch', schema: { type: 'integer', minimum: 0 } },
+            { name: 'dmMax', in: 'query', description: 'Maximum number of info_player_deathmatch', schema: { type: 'integer', minimum: 0 } },
+            {
+              name: 'weapon', in: 'query', style: 'form', explode: true,
+              description: 'Weapon classname the map must contain (e.g. weapon_bfg); repeat for several, all must be present',
+              schema: { type: 'array', items: { type: 'string', pattern: '^[a-z0-9_]+$' } }
+            },
+            {
+              name: 'tag', in: 'query', style: 'form', explode: true,
+              description: 'Gametype tag from the catalog data; repeat for several, all must be present',
+              schema: { type: 'array', items: { type: 'string', enum: CURATION_TAGS } }
+            },
+            { name: 'author', in: 'query', description: 'Author substring (catalog data)', schema: { type: 'string' } },
+            { name: 'notes', in: 'query', description: 'Notes substring (catalog data)', schema: { type: 'string' } },
+            { name: 'minRating', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_RATING } },
+            { name: 'players', in: 'query', description: 'Player count that fits the recommended range', schema: { type: 'integer', minimum: 1 } }
+          ],
+          responses: {
+            200: {
+              description: 'Page of maps (heavy fields such as entities and overview are omitted)',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/MapPage' } } }
+            },
+            400: errorResponse('Invalid parameters')
+          }
+        }
+      },
+      '/maps/{fileName}': {
+        get: {
+          summary: 'Get a stored map by file name',
+          parameters: [fileNameParam],
+          responses: {
+            200: { description: 'Map document', content: { 'application/json': { schema: { $ref: '#/components/schemas/Map' } } } },
+            404: errorResponse('Map not found')
+          }
+        },
+        delete: {
+          summary: 'Delete a stored map by file name',
+          parameters: [fileNameParam],
+          responses: {
+            200: {
+              description: 'Number of deleted documents',
+              content: { 'application/json': { schema: { type: 'object', properties: { deleted: { type: 'integer' } } } } }
+            },
+            ...roleResponses('admin'),
+            404: errorResponse('Map not found')
+          }
+        }
+      },
+      '/maps/{fileName}/curation': {
+        put: {
+          summary: 'Replace the catalog data of a map (author, tags, players, notes, rating)',
+          description: 'Catalog data is kept when the same map is uploaded or re-analyzed again. Omitted fields are cleared.',
+          parameters: [fileNameParam],
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Curation' } } }
+          },
+          responses: {
+            200: { description: 'Stored catalog data', content: { 'application/json': { schema: { $ref: '#/components/schemas/Curation' } } } },
+            400: errorResponse('Invalid fields'),
+            ...roleResponses('uploader'),
+            404: errorResponse('Map not found')
+          }
+        }
+      },
+      '/maps/by-hash/{sha256}': {
+        get: {
+          summary: 'Get a stored map by SHA-256 of the BSP file',
+          parameters: [
+            { name: 'sha256', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' } }
+          ],
+          responses: {
+            200: { description: 'Map document', content: { 'application/json': { schema: { $ref: '#/components/schemas/Map' } } } },
+            404: errorResponse('Map not found')
+          }
+        }
+      },
+      '/maps/{fileName}/export': {
+        get: {
+          summary: 'Export the files a map needs as a download list',
+          description: exportDescription,
+          parameters: [fileNameParam, exportFormatParam, exportStockParam],
+          responses: {
+            200: { description: 'File list in the requested format (sent as an attachment)' },
+            400: errorResponse('Unsupported format'),
+            404: errorResponse('Map not found')
+          }
+        }
+      },
+      '/export': {
+        get: {
+          summary: 'Export a merged download list for several maps',
+          description: exportDescription,
+          parameters: [
+            {
+              name: 'map', in: 'query', required: true,
+              description: 'File name; repeat the parameter or separate names with commas',
+              schema: { type: 'array', items: { type: 'string' } }, style: 'form', explode: true
+            },
+            exportFormatParam,
+            exportStockParam
+          ],
+          responses: {
+            200: { description: 'File list in the requested format (sent as an attachment)' },
+            400: errorResponse('Missing map or unsupported format'),
+            404: errorResponse('One or more maps not found')
+          }
+        }
+      },
+      '/admin/reanalyze': {
+        get: {
+          summary: 'Re-analysis status: stale documents and progress of the current job',
+          responses: {
+            200: { description: 'Status', content: { 'application/json': { schema: { $ref: '#/components/schemas/ReanalyzeStatus' } } } },
+            ...roleResponses('admin')
+          }
+        },
+        post: {
+          summary: 'Start re-analysis of documents saved by an older parser version',
+          description: 'Does nothing if a job is already running. Only maps whose original BSP is stored can be re-analyzed.',
+          responses: {
+            202: { description: 'Job started', content: { 'application/json': { schema: { $ref: '#/components/schemas/ReanalyzeStatus' } } } },
+            ...roleResponses('admin')
+          }
+        }
+      },
+      '/audit': {
+        get: {
+          summary: 'Audit log: who uploaded, re-analyzed, edited or deleted maps, newest first',
+          parameters: [
+            { name: 'map', in: 'query', description: 'Only entries for this stored map (file name or alias)', schema: { type: 'string' } },
+            { name: 'sha256', in: 'query', description: 'Only entries for this BSP hash; also works for deleted maps', schema: { type: 'string' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: AUDIT_MAX_LIMIT, default: AUDIT_PAGE_LIMIT } }
+          ],
+          responses: {
+            200: {
+              description: 'Audit entries',
+              content: {
+                'application/json': {
+                  schema: { type: 'object', properties: { items: { type: 'array', items: { $ref: '#/components/schemas/AuditEntry' } } } }
+                }
+              }
+            },
+            ...roleResponses('admin'),
+            404: errorResponse('Map not found')
+          }
+        }
+      },
+      '/me': {
+        get: {
+          summary: 'Who is making the request',
+          responses: {
+            200: {
+              description: 'authEnabled is false when no accounts or tokens are configured; user is null for anonymous requests',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      authEnabled: { type: 'boolean' },
+                      user: {
+                        type: 'object',
+                        nullable: true,
+                        properties: { name: { type: 'string' }, role: { type: 'string', enum: ROLES } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/search': {
+        get: {
+          summary: 'Search maps by file name or title substring',
+          parameters: [
+            { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: API_MAX_LIMIT, default: 50 } }
+          ],
+          responses: {
+            200: {
+              description: 'Matching maps',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      query: { type: 'string' },
+                      items: { type: 'array', items: { $ref: '#/components/schemas/Map' } }
+                    }
+                  }
+                }
+              }
+            },
+            400: errorResponse('Missing query')
+          }
+        }
+      },
+      '/resources': {
+        get: {
+          summary: 'Find maps that reference a texture, sky, sound or model',
+          description: 'q is matched case-insensitively against normalized resource paths ' +
+            '(sounds with the sound/ prefix, skies as their six env/ face files). ' +
+            'A trailing "/" or "*" means prefix; "*" and "?" elsewhere are wildcards.',
+          parameters: [
+            { name: 'q', in: 'query', required: true, schema: { type: 'string' }, example: 'textures/e1u1/floor1_3.wal' },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: RESOURCE_SEARCH_LIMIT, default: RESOURCE_SEARCH_LIMIT } }
+          ],
+          responses: {
+            200: {
+              description: 'Maps referencing the resource, with the matched resource paths',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      query: { type: 'string' },
+                      mode: { type: 'string', enum: ['exact', 'prefix', 'wildcard'] },
+                      total: { type: 'integer' },
+                      items: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            fileName: { type: 'string' },
+                            mapName: { type: 'string', nullable: true },
+                            mapVersion: { type: 'string', nullable: true },
+                            matches: {
+                              type: 'array',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  kind: { type: 'string', enum: ['textures', 'skies', 'sounds', 'models'] },
+                                  path: { type: 'string' }
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            400: errorResponse('Missing query')
+          }
+        }
+      },
+      '/analyze': {
+        post: {
+          summary: 'Analyze and store uploaded .bsp files or .pak/.zip/.pkz archives',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  properties: { maps: { type: 'array', items: { type: 'string', format: 'binary' } } }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'One result per map; a file that could not be read at all has an "error" object with code "analysis_failed" instead of the analysis fields',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: { results: { type: 'array', items: { $ref: '#/components/schemas/AnalysisResult' } } }
+                  }
+                }
+              }
+            },
+            400: errorResponse('Invalid or missing upload'),
+            ...roleResponses('uploader')
+          }
+        }
+      },
+      '/jobs': {
+        post: {
+          summary: 'Queue uploaded .bsp files or archives for analysis',
+          description: 'Files are parsed in worker threads one job at a time. Progress is available from ' +
+            'GET /jobs/{id}, as Server-Sent Events at /jobs/{id}/events (outside /api) and as a page at /jobs/{id}.',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  properties: { maps: { type: 'array', items: { type: 'string', format: 'binary' } } }
+                }
+              }
+            }
+          },
+          responses: {
+            202: { description: 'Job queued', content: { 'application/json': { schema: { $ref: '#/components/schemas/Job' } } } },
+            400: errorResponse('Invalid or missing upload'),
+            ...roleResponses('uploader')
+          }
+        }
+      },
+      '/jobs/{id}': {
+        get: {
+          summary: 'Upload job progress and per-file results',
+          description: 'Finished jobs are kept in memory until the server restarts.',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'Job', content: { 'application/json': { schema: { $ref: '#/components/schemas/Job' } } } },
+            404: errorResponse('Job not found')
+          }
+        }
+      },
+      '/classnames': {
+        get: {
+          summary: 'Classname dictionaries per game and mod',
+          description: 'Each dictionary lists the classnames a game or mod spawns, with a category, ' +
+            'a display name and, for items, the HUD icon from pics/. Used to detect the mod a map was made for.',
+          responses: {
+            200: {
+              description: 'Categories and dictionaries',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      categories: { type: 'array', items: { type: 'string' } },
+                      dictionaries: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            includes: { type: 'array', items: { type: 'string' } },
+                            classnames: {
+                              type: 'object',
+                              additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                  category: { type: 'string' },
+                                  name: { type: 'string' },
+                                  icon: { type: 'string' },
+                                  team: { type: 'integer' }
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          responses: { 200: { description: 'OpenAPI 3 document' } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'A token from AUTH_TOKENS' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: { code: { type: 'string' }, message: { type: 'string' } },
+              required: ['code', 'message']
+            }
+          }
+        },
+        EntityStats: {
+          type: 'object',
+          properties: {
+            weapons: { type: 'object', additionalProperties: { type: 'integer' } },
+            armors: { type: 'object', additionalProperties: { type: 'integer' } },
+            items: { type: 'object', additionalProperties: { type: 'integer' } },
+            spawnPoints: {
+              type: 'object',
+              properties: {
+                deathmatch: { type: 'integer' },
+                coop: { type: 'integer' },
+                start: { type: 'integer' },
+                intermission: { type: 'integer' }
+              }
+            },
+            monsters: { type: 'object', additionalProperties: { type: 'integer' } },
+            ctf: {
+              type: 'object',
+              properties: {
+                flags: { type: 'object', properties: { team1: { type: 'integer' }, team2: { type: 'integer' } } },
+                spawns: { type: 'object', properties: { team1: { type: 'integer' }, team2: { type: 'integer' } } },
+                techs: { type: 'object', additionalProperties: { type: 'integer' } }
+              }
+            }
+          }
+        },
+        Curation: {
+          type: 'object',
+          nullable: true,
+          description: 'Catalog data entered by people; absent until first edited',
+          properties: {
+            author: { type: 'string', nullable: true, maxLength: 200 },
+            tags: { type: 'array', items: { type: 'string', enum: CURATION_TAGS } },
+            players: {
+              description: 'Recommended player count; "4-8" or a single number is also accepted on input',
+              nullable: true,
+              type: 'object',
+              properties: { min: { type: 'integer', minimum: 1 }, max: { type: 'integer' } }
+            },
+            notes: { type: 'string', nullable: true, maxLength: 10000 },
+            rating: { type: 'integer', nullable: true, minimum: 1, maximum: MAX_RATING }
+          }
+        },
+        Map: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            fileName: { type: 'string' },
+            aliases: { type: 'array', items: { type: 'string' }, description: 'Other file names the same BSP was uploaded under' },
+            sha256: { type: 'string', description: 'SHA-256 of the BSP file; identifies the map' },
+            mapChecksum: { type: 'integer', description: 'Engine map checksum (CS_MAPCHECKSUM), signed int32' },
+            parserVersion: { type: 'integer', description: 'Parser version that produced this document' },
+            originalStored: { type: 'boolean', description: 'Whether the original BSP is kept and can be downloaded' },
+            mapName: { type: 'string', nullable: true },
+            mapVersion: { type: 'string', nullable: true },
+            format: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'string' },
+                label: { type: 'string' },
+                family: { type: 'string' }
+              }
+            },
+            textures: { type: 'array', items: { type: 'string' } },
+            skies: { type: 'array', items: { type: 'string' } },
+            sounds: { type: 'array', items: { type: 'string' } },
+            models: { type: 'array', items: { type: 'string' } },
+            others: { type: 'array', items: { type: 'string' } },
+            entityStats: { $ref: '#/components/schemas/EntityStats' },
+            curation: { $ref: '#/components/schemas/Curation' },
+            mod: {
+              type: 'object',
+              nullable: true,
+              description: 'Game or mod the map was most likely made for, detected from its classnames (Quake 2 family only)',
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                evidence: { type: 'array', items: { type: 'string' }, description: 'Mod-specific classnames found on the map' }
+              }
+            },
+            layout: {
+              type: 'object',
+              nullable: true,
+              description: 'Deathmatch item layout by entity origins (null without info_player_deathmatch)',
+              properties: {
+                clusterDistance: { type: 'integer' },
+                levelHeight: { type: 'integer' },
+                spawns: { type: 'array', items: { type: 'object' }, description: 'Per spawn: origin, nearestWeapon, nearestArmor, nearestSpawn' },
+                spawnClusters: { type: 'array', items: { type: 'array', items: { type: 'integer' } }, description: 'Groups of spawn numbers closer than clusterDistance' },
+                avgNearestWeapon: { type: 'integer', nullable: true },
+                powerups: { type: 'array', items: { type: 'object' } },
+                powerupSpread: { type: 'object', nullable: true, properties: { min: { type: 'integer' }, max: { type: 'integer' } } },
+                levels: { type: 'array', items: { type: 'object' }, description: 'Entity counts per height band of levelHeight units' }
+              }
+            },
+            lint: {
+              type: 'array',
+              description: 'Entity validation findings',
+              items: {
+                type: 'object',
+                properties: {
+                  category: { type: 'string', enum: ['targets', 'spawns', 'classnames', 'duplicates', 'origins'] },
+                  message: { type: 'string' },
+                  line: { type: 'integer', nullable: true, description: 'Line in the ENTITIES lump' }
+                }
+              }
+            },
+            errors: { type: 'array', items: { type: 'string' } },
+            warnings: { type: 'array', items: { type: 'string' } },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          },
+          additionalProperties: true
+        },
+        MapPage: {
+          type: 'object',
+          properties: {
+            items: { type: 'array', items: { $ref: '#/components/schemas/Map' } },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            pages: { type: 'integer' }
+          }
+        },
+        AnalysisResult: {
+          type: 'object',
+          properties: {
+            file: { type: 'string' },
+            errors: { type: 'array', items: { type: 'string' }, description: 'Problems found while parsing a readable map' },
+            error: { $ref: '#/components/schemas/Error/properties/error' }
+          },
+          additionalProperties: true
+        },
+        ReanalyzeStatus: {
+          type: 'object',
+          properties: {
+            parserVersion: { type: 'integer' },
+            stale: { type: 'integer', description: 'Stale documents that have a stored original' },
+            withoutOriginal: { type: 'integer', description: 'Stale documents that must be uploaded again' },
+            job: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                status: { type: 'string', enum: ['running', 'done', 'failed'] },
+                user: { type: 'string', nullable: true, description: 'Who started the job' },
+                parserVersion: { type: 'integer' },
+                total: { type: 'integer' },
+                done: { type: 'integer' },
+                failed: { type: 'integer' },
+                errors: { type: 'array', items: { type: 'string' } },
+                startedAt: { type: 'string', format: 'date-time' },
+                finishedAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
+        },
+        AuditEntry: {
+          type: 'object',
+          properties: {
+            at: { type: 'string', format: 'date-time' },
+            user: { type: 'string', nullable: true, description: 'null when sign-in is not configured' },
+            action: { type: 'string', enum: AUDIT_ACTIONS },
+            sha256: { type: 'string', nullable: true },
+            fileName: { type: 'string', nullable: true },
+            details: { type: 'object', additionalProperties: true }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+            user: { type: 'string', nullable: true, description: 'Who uploaded the files' },
+            total: { type: 'integer' },
+            done: { type: 'integer' },
+            failed: { type: 'integer', description: 'Files that could not be parsed or had no map to save' },
+            error: { type: 'string', description: 'Why the whole job failed' },
+            files: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  status: { type: 'string', enum: ['pending', 'running', 'done', 'failed'] },
+                  error: { type: 'string', nullable: true },
+                  maps: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        file: { type: 'string' },
+                        saved: { type: 'boolean' },
+                        mapName: { type: 'string', nullable: true },
+                        format: { type: 'string', nullable: true },
+                        mod: { type: 'string', nullable: true },
+                        textures: { type: 'integer' },
+                        errors: { type: 'array', items: { type: 'string' }, description: 'First parse errors' },
+                        errorCount: { type: 'integer' },
+                        warnings: { type: 'integer' },
+                        lint: { type: 'integer' },
+                        duplicateOf: { type: 'string', nullable: true }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        }
+      }
+    }
+  };
+}
+
+app.use('/api/v1', api);
+app.use('/api', api);
+
+// ----- HTML рендеры -----
+
+// Удаляем управляющие символы, лишние пробелы и т.п. только для отображения
+function cleanMapTitle(name) {
+  if (!name) return '';
+  let s = String(name);
+
+  // 1) буквальные последовательности "\n", "\r", "\t" -> пробел
+  s = s.replace(/\\[nrt]/g, ' ');
+
+  // 2) реальные управляющие символы ASCII (0x00-0x1F, 0x7F) -> пробел
+  s = s.replace(/[\x00-\x1F\x7F]+/g, ' ');
+
+  // 3) типичный юникод-мусор: неразрывные / нулевой ширины и т.п. -> пробел
+  s = s.replace(/[\u00A0\u200B-\u200F\u2028\u2029]+/g, ' ');
+
+  // 4) схлопываем пробелы
+  s = s.replace(/\s+/g, ' ').trim();
+
+  return s;
+}
+
+// Оценка звёздочками: 4 -> ★★★★☆
+function renderRating(rating) {
+  return '★'.repeat(rating) + '☆'.repeat(MAX_RATING - rating);
+}
+
+// Кто вошёл и кнопка выхода; без настроенного входа — ничего
+function renderAccountBar(user) {
+  if (!isAuthEnabled()) return '';
+  const style = 'float:right;font-size:0.9rem';
+  if (!user) {
+    return `<div style="${style}"><a href="/login">Войти</a></div>`;
+  }
+  return `<div style="${style}">
+    ${htmlEscape(user.name)} <span style="color:#777">(${ROLE_LABELS[user.role]})</span>
+    <form action="/logout" method="post" style="display:inline"><button type="submit">Выйти</button></form>
+  </div>`;
+}
+
+const AUDIT_ACTION_LABELS = {
+  upload: 'загрузка',
+  reanalyze: 'повторный анализ',
+  curation: 'правка каталога',
+  delete: 'удаление'
+};
+
+// Строки таблицы журнала; withMap — со столбцом карты (для общего журнала)
+function renderAuditRows(entries, { withMap = false } = {}) {
+  const esc = htmlEscape;
+  const describe = e => {
+    const d = e.details || {};
+    if (e.action === 'upload') {
+      const parts = [d.created ? 'новая карта' : 'повторная загрузка'];
+      if (d.file && d.file !== e.fileName) parts.push(`как ${esc(d.file)}`);
+      if (d.archive) parts.push(`из ${esc(d.archive)}`);
+      return parts.join(', ');
+    }
+    if (e.action === 'reanalyze') return `версия анализатора ${esc(d.parserVersion)}`;
+    if (e.action === 'curation') {
+      return [
+        d.author ? `автор: ${esc(d.author)}` : '',
+        d.tags && d.tags.length ? `режимы: ${d.tags.map(esc).join(', ')}` : '',
+        d.players ? `игроков: ${formatPlayers(d.players)}` : '',
+        d.rating ? `оценка: ${d.rating}` : '',
+        d.notes ? 'заметки' : ''
+      ].filter(Boolean).join('; ') || 'очищено';
+    }
+    if (e.action === 'delete') return d.aliases && d.aliases.length ? `псевдонимы: ${d.aliases.map(esc).join(', ')}` : '';
+    return '';
+  };
+  return entries.map(e => `
+      <tr>
+        <td>${esc(new Date(e.at).toISOString().replace('T', ' ').slice(0, 19))}</td>
+        <td>${e.user ? esc(e.user) : '<span class="muted">—</span>'}</td>
+        <td>${esc(AUDIT_ACTION_LABELS[e.action] || e.action)}</td>
+        ${withMap ? `<td>${e.fileName && e.action !== 'delete'
+          ? `<a href="/view?map=${encodeURIComponent(e.fileName)}">${esc(e.fileName)}</a>`
+          : esc(e.fileName || '—')}</td>` : ''}
+        <td>${describe(e)}</td>
+      </tr>`).join('');
+}
+
+function renderHomeHtml(
+  savedMaps,
+  { searchQuery = '', notFoundMessage = null, searchResults = [], user = null } = {}
+) {
+  const esc = htmlEscape;
+
+  const options = savedMaps.map(m => {
+    const fileName = m.fileName || '';
+    const rawNamePart = m.mapName || getBaseMapName(fileName) || 'Без имени';
+    const namePart = cleanMapTitle(rawNamePart) || 'Без имени';
+    const filePart = fileName ? ` (${fileName})` : '';
+    const label = namePart + filePart;
+    const value = fileName || namePart; // value для select — имя файла, если есть
+    return `<option value="${esc(value)}">${esc(label)}</option>`;
+  }).join('');
+
+  const haveMaps = savedMaps.length > 0;
+
+  const searchResultsHtml = searchResults.length > 1
+    ? `
+      <div class="panel">
+        <div><strong>Найдено карт: ${searchResults.length}</strong></div>
+        <ul>
+          ${searchResults.map(m => {
+            const fileName = m.fileName || '';
+            const rawNamePart = m.mapName || getBaseMapName(fileName) || 'Без имени';
+            const namePart = cleanMapTitle(rawNamePart) || 'Без имени';
+            const filePart = fileName ? ` (${fileName})` : '';
+            const label = namePart + filePart;
+            const href = '/view?map=' + encodeURIComponent(fileName || namePart);
+            return `<li><a href="${href}">${esc(label)}</a></li>`;
+          }).join('')}
+        </ul>
+      </div>
+    `
+    : '';
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+<meta charset="utf-8" />
+<title>Quake 2 BSP Resource Inspector</title>
+<style>
+  body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
+  pre{background:#f6f8fa;padding:1rem;overflow:auto}
+  .panel{border:1px solid #ddd;padding:1rem;margin:1rem 0;border-radius:4px}
+  .top-bar{display:flex;flex-wrap:wrap;gap:1rem;align-items:center;margin-bottom:1rem}
+  .top-bar form{margin:0}
+  label{font-size:0.95rem}
+  select,input[type="text"]{padding:0.2rem 0.4rem}
+  button{padding:0.3rem 0.8rem;cursor:pointer}
+  .search-msg{margin-top:0.3rem;font-size:0.85rem;color:#b00020}
+  .stats{margin-top:0.5rem;font-size:0.9rem;color:#555}
+</style>
+</head>
+<body>
+  ${renderAccountBar(user)}
+  <h1>Quake 2 BSP Resource Inspector</h1>
+
+  <p class="stats">
+    Всего загруженных карт в базе: <strong>${savedMaps.length}</strong>
+  </p>
+
+  <div class="top-bar">
+    <form action="/analyze" method="post" enctype="multipart/form-data">
+      <label>
+        Загрузить BSP / архив:
+        <input type="file" name="maps" multiple accept=".bsp,.pak,.zip,.pkz" />
+      </label>
+      <button type="submit">Анализировать</button>
+    </form>
+
+    ${haveMaps ? `
+      <form action="/view" method="get" id="savedMapForm">
+        <label>
+          Сохранённые карты:
+          <select name="map" onchange="if(this.value) document.getElementById('savedMapForm').submit();">
+            <option value="">— выбрать карту —</option>
+            ${options}
+          </select>
+        </label>
+        <noscript><button type="submit">Открыть</button></noscript>
+      </form>
+    ` : ''}
+  </div>
+
+  <div class="panel">
+    <form action="/" method="get">
+      <label>
+        Поиск по имени файла карты (по подстроке, без учёта регистра):
+        <input type="text" name="map" value="${esc(searchQuery || '')}" placeholder="например, dm1 или q2dm1" />
+      </label>
+      <button type="submit">Найти</button>
+    </form>
+    ${notFoundMessage ? `<div class="search-msg">${esc(notFoundMessage)}</div>` : ''}
+  </div>
+
+  ${searchResultsHtml}
+
+  <p><a href="/browse">Все карты с фильтрами</a> — формат, мод, число DM-спавнов, оружие, своё небо и ресурсы, ошибки, режимы, автор и оценка из каталога; сортировка и страницы.</p>
+  <p><a href="/resources">Поиск карт по ресурсу</a> — какие карты используют текстуру, звук, модель или небо.</p>
+  <p><a href="/admin/reanalyze">Повторный анализ</a> сохранённых карт новой версией анализатора.</p>
+  ${hasRole(user, 'admin') ? '<p><a href="/admin/audit">Журнал изменений</a> — кто загружал, правил и удалял карты.</p>' : ''}
+
+  <p>Поддерживается Quake 2 BSP (IBSP v38), а также Kingpin, Daikatana (IBSP v41), Quake 2 Remaster (QBSP), Quake 1 (BSP29/BSP2) и Quake 3 (IBSP v46/47). Текстуры берутся из TEXINFO (в Quake 1 — из встроенных miptex, в Quake 3 — из SHADERS), а sky/sound/model и игровые объекты (оружие, броня, спавны, полезные предметы) — из ENTITIES.</p>
+  <p>Можно загружать архивы .pak / .zip / .pkz: будут разобраны все <code>maps/*.bsp</code> внутри (в том числе под папкой игры, например <code>baseq2/maps/</code>), а ресурсы карт сверены с содержимым архива (в архиве / стандартные baseq2 / отсутствуют).</p>
+  <p>Program support: ly (@QuakeJourney)<p>
+</body>
+</html>
+  `;
+}
+
+
+function renderResultsHtml(results, savedMaps = [], { currentFileName = null, user = null, history = null } = {}) {
+  const esc = htmlEscape;
+
+  // ресурс со ссылкой на поиск "какие ещё карты его используют"
+  const resLink = (kind, resPath) =>
+    `<a class="res-link" href="${esc(resourceSearchHref(kind, resPath))}"><code>${esc(resPath)}</code></a>`;
+
+  const renderCountsList = map => {
+    const entries = Object.entries(map || {});
+    if (!entries.length) return '<p>—</p>';
+    entries.sort((a, b) => a[0].localeCompare(b[0]));
+    return `<ul>${entries.map(([name, count]) => {
+      const info = lookupClassname(name);
+      const label = info ? ` <span class="muted"${info.icon ? ` title="pics/${esc(info.icon)}.pcx"` : ''}>${esc(info.name)}</span>` : '';
+      return `<li><code>${esc(name)}</code>${label}: <strong>${count}</strong></li>`;
+    }).join('')}</ul>`;
+  };
+
+  const countTotal = map => Object.values(map || {}).reduce((sum, n) => sum + n, 0);
+
+  const renderCurationSummary = c => {
+    const parts = [];
+    if (c.author) parts.push(`<span class="muted">Автор:</span> ${esc(c.author)}`);
+    if (c.tags.length) parts.push(`<span class="muted">Режимы:</span> ${c.tags.map(t => esc(CURATION_TAG_LABELS[t])).join(', ')}`);
+    if (c.players) parts.push(`<span class="muted">Игроков:</span> ${formatPlayers(c.players)}`);
+    if (c.rating) parts.push(`<span class="muted">Оценка:</span> ${renderRating(c.rating)}`);
+    return parts.length ? `<br>${parts.join(' · ')}` : '';
+  };
+
+  const hasCtfStats = ctf => !!ctf && (
+    countTotal(ctf.flags) > 0 || countTotal(ctf.spawns) > 0 || countTotal(ctf.techs) > 0
+  );
+
+  const renderCtfStats = ctf => {
+    if (!hasCtfStats(ctf)) return '<p>—</p>';
+    const teams = [['team1', 'Красные'], ['team2', 'Синие']];
+    const rows = teams.map(([team, label]) => `
+      <tr><td>${label}</td><td>${ctf.flags[team] || 0}</td><td>${ctf.spawns[team] || 0}</td></tr>`).join('');
+    const warnings = [];
+    if (teams.some(([team]) => (ctf.flags[team] || 0) !== 1)) {
+      warnings.push('у каждой команды должно быть ровно по одному флагу');
+    }
+    if ((ctf.spawns.team1 || 0) !== (ctf.spawns.team2 || 0)) {
+      warnings.push('у команд разное число точек появления');
+    }
+    return `
+      <table class="lump-table ctf-table">
+        <thead><tr><th>Команда</th><th>Флаги</th><th>Точки появления</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${warnings.length ? `<p class="ctf-warning">${warnings.map(esc).join('; ')}</p>` : ''}
+      <p><strong>Техи:</strong></p>
+      ${renderCountsList(ctf.techs)}`;
+  };
+
+  const renderSpawnPoints = sp => {
+    if (!sp) return '<p>—</p>';
+    const items = [];
+    if (sp.deathmatch) items.push(
+      `<li>Deathmatch (<code>info_player_deathmatch</code>): <strong>${sp.deathmatch}</strong></li>`
+    );
     if (sp.start) items.push(
       `<li>Start / single (<code>info_player_start</code>): <strong>${sp.start}</strong></li>`
     );
@@ -427,544 +2024,2368 @@ function renderResultsHtml(results, savedMaps = [], { currentFileName = null } =
     return `<ul>${items.join('')}</ul>`;
   };
 
-  // Навигационное меню по секциям (якорям)
-  const navItems = [];
-  const sections = [
-    { key: 'textures', label: 'Текстуры' },
-    { key: 'skies', label: 'Небо' },
-    { key: 'sounds', label: 'Звуки' },
-    { key: 'models', label: 'Модели' },
-    { key: 'weapons', label: 'Оружие' },
-    { key: 'armors', label: 'Броня' },
-    { key: 'spawns', label: 'Спавны' },
-    { key: 'items', label: 'Предметы' }
-  ];
+  const resourceStatusLabels = {
+    bundled: 'в архиве',
+    stock: 'стандартный baseq2',
+    missing: 'отсутствует'
+  };
+
+  const renderResourceCheck = rc => {
+    const groups = [
+      { key: 'textures', label: 'Текстуры' },
+      { key: 'skies', label: 'Небо' },
+      { key: 'sounds', label: 'Звуки' },
+      { key: 'models', label: 'Модели' }
+    ];
+    const s = rc.summary || {};
+    const summaryHtml = `<p>
+      В архиве: <strong>${s.bundled || 0}</strong>,
+      стандартные baseq2: <strong>${s.stock || 0}</strong>,
+      отсутствуют: <strong class="${s.missing ? 'status-missing' : ''}">${s.missing || 0}</strong>
+    </p>`;
+    const groupsHtml = groups.map(g => {
+      const list = rc[g.key] || [];
+      if (!list.length) return '';
+      return `<div><strong>${g.label}</strong>
+        <ul>${list.map(item => `<li><code>${esc(item.path)}</code> —
+          <span class="status-${item.status}">${resourceStatusLabels[item.status] || esc(item.status)}</span>
+          ${item.missingFaces && item.missingFaces.length
+            ? `<span class="muted">(нет: ${item.missingFaces.map(f => `<code>${esc(f)}</code>`).join(', ')})</span>`
+            : ''}
+        </li>`).join('')}</ul>
+      </div>`;
+    }).join('');
+    return summaryHtml + groupsHtml;
+  };
+
+  const renderStockCheck = sc => {
+    const groups = [
+      { key: 'textures', label: 'Текстуры' },
+      { key: 'skies', label: 'Небо' },
+      { key: 'sounds', label: 'Звуки' },
+      { key: 'models', label: 'Модели' }
+    ];
+    const sourceLabel = sc.source === 'manifest'
+      ? `манифест (${(sc.sets || []).map(esc).join(', ') || '—'})`
+      : 'встроенный список каталогов pak0.pak (манифест не настроен)';
+    const renderList = list => list.length
+      ? `<ul>${list.map(x => `<li><code>${esc(x)}</code></li>`).join('')}</ul>`
+      : '<p>—</p>';
+    const s = sc.summary || {};
+    return `<p>
+        Стандартные: <strong>${s.stock || 0}</strong>,
+        свои (клиенту придётся скачать): <strong>${s.custom || 0}</strong><br>
+        <span class="muted">Источник: ${sourceLabel}</span>
+      </p>
+      ${groups.map(g => {
+        const bucket = sc[g.key] || { stock: [], custom: [] };
+        if (!bucket.stock.length && !bucket.custom.length) return '';
+        return `<div><strong>${g.label}</strong>
+          <div class="muted">Свои (${bucket.custom.length}):</div>
+          ${renderList(bucket.custom)}
+          <div class="muted">Стандартные (${bucket.stock.length}):</div>
+          ${renderList(bucket.stock)}
+        </div>`;
+      }).join('')}`;
+  };
+
+  const yesNo = v => v ? 'да' : '<span class="status-missing">нет</span>';
+  const formatBytes = n => n == null ? '—' : n.toLocaleString('ru-RU');
+
+  const renderBspStructure = st => {
+    const wb = st.worldBounds;
+    return `<ul>
+        <li>Размер файла: <strong>${formatBytes(st.fileSize)}</strong> байт</li>
+        <li>VIS (qvis): ${yesNo(st.hasVis)}${st.visClusters != null ? `, кластеров: <strong>${st.visClusters}</strong>` : ''}</li>
+        <li>LIGHTING (qrad): ${yesNo(st.hasLighting)}</li>
+        <li>Габариты мира (MODELS[0]): ${wb
+          ? `<code>${wb.mins.join(' ')}</code> … <code>${wb.maxs.join(' ')}</code>, размер <code>${wb.size.join(' × ')}</code>`
+          : '—'}</li>
+        <li>Встроенных brush-моделей: <strong>${st.inlineModels != null ? st.inlineModels : '—'}</strong></li>
+      </ul>
+      <table class="lump-table">
+        <thead><tr><th>#</th><th>Лумп</th><th>Смещение</th><th>Байт</th><th>Записей</th></tr></thead>
+        <tbody>${(st.lumps || []).map((l, i) => `
+          <tr${l.valid ? '' : ' class="status-missing"'}>
+            <td>${i}</td>
+            <td><code>${esc(l.name)}</code></td>
+            <td>${l.offset != null ? l.offset : '—'}</td>
+            <td>${formatBytes(l.length)}</td>
+            <td>${l.count != null ? l.count : (l.valid ? '—' : 'повреждён')}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  };
+
+  const renderTextureInfo = list => {
+    const has = flag => t => t.flags.includes(flag);
+    const emissive = list.filter(has('LIGHT')).length;
+    const animated = list.filter(t => t.animation).length;
+    const translucent = list.filter(t => t.flags.includes('TRANS33') || t.flags.includes('TRANS66')).length;
+    const sorted = list.slice().sort((a, b) => b.faces - a.faces || a.path.localeCompare(b.path));
+    return `<p>
+        Всего: <strong>${list.length}</strong>,
+        светящиеся: <strong>${emissive}</strong>,
+        анимированные: <strong>${animated}</strong>,
+        прозрачные: <strong>${translucent}</strong>
+      </p>
+      <table class="lump-table texture-table">
+        <thead><tr><th>Текстура</th><th>Граней</th><th>Флаги</th><th>Анимация</th></tr></thead>
+        <tbody>${sorted.map(t => `
+          <tr>
+            <td>${resLink('textures', t.path)}</td>
+            <td>${t.faces}</td>
+            <td>${t.flags.map(f => `<span class="flag flag-${f.toLowerCase()}">${f}${
+              f === 'LIGHT' && t.lightValues.length ? ` ${t.lightValues.join('/')}` : ''}</span>`).join(' ') || '—'}</td>
+            <td>${t.animation ? t.animation.map(a => `<code>${esc(a)}</code>`).join(' → ') : '—'}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  };
+
+  const lintLabels = {
+    targets: 'Связи target / targetname',
+    spawns: 'Точки появления',
+    classnames: 'Классы сущностей',
+    duplicates: 'Дубликаты в одной точке',
+    origins: 'Координаты (origin)'
+  };
+
+  // Замечания по категориям; номер строки ведёт к сущности на странице /view/entities
+  const renderLint = (lint, fileName) => LINT_CATEGORIES.map(category => {
+    const items = lint.filter(f => f.category === category);
+    if (!items.length) return '';
+    return `<div><span class="muted">${esc(lintLabels[category])}:</span>
+      <ul>${items.map(f => `<li>${esc(f.message)}${f.line && fileName
+        ? ` <a href="/view/entities?map=${encodeURIComponent(fileName)}#line-${f.line}">→</a>`
+        : ''}</li>`).join('')}</ul>
+    </div>`;
+  }).join('');
+
+  // Данные каталога: сводка и форма правки (только у сохранённой карты и с ролью uploader)
+  const renderCuration = (curation, fileName) => {
+    const checked = tag => curation.tags.includes(tag) ? ' checked' : '';
+    const notes = curation.notes ? `<div class="notes">${esc(curation.notes)}</div>` : '';
+    if (!hasRole(user, 'uploader')) {
+      return `${notes || '<p class="muted">Заметок нет.</p>'}
+      <p class="muted">Править каталог могут пользователи с ролью uploader${user ? '' : ' — <a href="/login">войти</a>'}.</p>`;
+    }
+    return `
+      ${notes}
+      <form method="post" action="/view/curation?map=${encodeURIComponent(fileName)}" class="curation-form">
+        <label>Автор: <input type="text" name="author" value="${esc(curation.author || '')}" maxlength="200"></label>
+        <div>Режимы: ${CURATION_TAGS.map(tag => `
+          <label><input type="checkbox" name="tags" value="${tag}"${checked(tag)}> ${esc(CURATION_TAG_LABELS[tag])}</label>`).join('')}
+        </div>
+        <label>Игроков: <input type="text" name="players" value="${esc(formatPlayers(curation.players))}" placeholder="например, 4-8" size="8"></label>
+        <label>Оценка:
+          <select name="rating">
+            <option value="">—</option>
+            ${Array.from({ length: MAX_RATING }, (_, i) => i + 1).map(n =>
+              `<option value="${n}"${curation.rating === n ? ' selected' : ''}>${renderRating(n)}</option>`).join('')}
+          </select>
+        </label>
+        <label>Заметки:<br><textarea name="notes" rows="4" cols="70">${esc(curation.notes || '')}</textarea></label>
+        <div><button type="submit">Сохранить</button>
+          <span class="muted">Сохраняется при повторной загрузке и повторном анализе карты.</span></div>
+      </form>`;
+  };
+
+  // Расстановка для DM: сводка, таблица спавнов (сортируется по клику на заголовок),
+  // усилители и распределение по высоте
+  const renderLayout = layout => {
+    const origin = o => `<code>${o.map(Math.round).join(' ')}</code>`;
+    const nearest = n => n
+      ? `<td data-value="${n.distance}">${n.distance} <span class="muted">${esc(n.classname)}</span></td>`
+      : '<td data-value="">—</td>';
+    const clusters = layout.spawnClusters.length
+      ? `<p class="status-missing">Спавны ближе ${layout.clusterDistance} друг к другу: ${
+        layout.spawnClusters.map(g => g.map(n => `#${n}`).join(', ')).join('; ')}</p>`
+      : `<p>Спавнов ближе ${layout.clusterDistance} друг к другу нет.</p>`;
+    const spread = layout.powerupSpread;
+
+    return `<p>
+        Спавнов: <strong>${layout.spawns.length}</strong>,
+        среднее расстояние до ближайшего оружия: <strong>${layout.avgNearestWeapon != null ? layout.avgNearestWeapon : '—'}</strong>
+      </p>
+      ${clusters}
+      <table class="lump-table layout-table sortable">
+        <thead><tr>
+          <th data-sort="num">#</th>
+          <th>Origin</th>
+          <th data-sort="num">Ближайшее оружие</th>
+          <th data-sort="num">Ближайшая броня</th>
+          <th data-sort="num">Ближайший спавн</th>
+          <th data-sort="num">Z</th>
+        </tr></thead>
+        <tbody>${layout.spawns.map(sp => `
+          <tr>
+            <td data-value="${sp.index}">${sp.index}</td>
+            <td>${origin(sp.origin)}</td>
+            ${nearest(sp.nearestWeapon)}
+            ${nearest(sp.nearestArmor)}
+            <td data-value="${sp.nearestSpawn != null ? sp.nearestSpawn : ''}"${
+              sp.nearestSpawn != null && sp.nearestSpawn < layout.clusterDistance ? ' class="status-missing"' : ''}>${
+              sp.nearestSpawn != null ? sp.nearestSpawn : '—'}</td>
+            <td data-value="${sp.origin[2]}">${Math.round(sp.origin[2])}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+
+      <p><strong>Усилители (${layout.powerups.length})</strong>${spread
+        ? ` — расстояние между ними от <strong>${spread.min}</strong> до <strong>${spread.max}</strong>`
+        : ''}</p>
+      ${layout.powerups.length
+        ? `<ul>${layout.powerups.map(p =>
+          `<li><code>${esc(p.classname)}</code> ${origin(p.origin)} — до ближайшего спавна ${p.nearestSpawn}</li>`).join('')}</ul>`
+        : '<p>—</p>'}
+
+      <p><strong>По высоте</strong> <span class="muted">(слои по ${layout.levelHeight})</span></p>
+      <table class="lump-table">
+        <thead><tr><th>Z</th><th>Спавны</th><th>Оружие</th><th>Броня</th><th>Усилители</th></tr></thead>
+        <tbody>${layout.levels.slice().reverse().map(l => `
+          <tr>
+            <td>${Math.round(l.from)}…${Math.round(l.to)}</td>
+            <td>${l.spawns || ''}</td>
+            <td>${l.weapons || ''}</td>
+            <td>${l.armors || ''}</td>
+            <td>${l.powerups || ''}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  };
+
+  // Навигационное меню по секциям (якорям)
+  const navItems = [];
+  const sections = [
+    { key: 'curation', label: 'Каталог', when: r => !!r.curation },
+    { key: 'history', label: 'История', when: () => !!(history && history.length) },
+    { key: 'textures', label: 'Текстуры' },
+    { key: 'skies', label: 'Небо' },
+    { key: 'sounds', label: 'Звуки' },
+    { key: 'models', label: 'Модели' },
+    { key: 'weapons', label: 'Оружие' },
+    { key: 'armors', label: 'Броня' },
+    { key: 'spawns', label: 'Спавны' },
+    { key: 'items', label: 'Предметы' },
+    { key: 'monsters', label: 'Монстры', when: r => !!r.entityStats && countTotal(r.entityStats.monsters) > 0 },
+    { key: 'ctf', label: 'CTF', when: r => !!r.entityStats && hasCtfStats(r.entityStats.ctf) },
+    { key: 'layout', label: 'Расстановка (DM)', when: r => !!r.layout },
+    { key: 'structure', label: 'Структура BSP', when: r => !!r.bspStructure },
+    { key: 'overview', label: 'План', when: r => !!r.overview },
+    { key: 'stock', label: 'Стандартные / свои', when: r => !!r.stockCheck },
+    { key: 'resources', label: 'Ресурсы архива', when: r => !!r.resourceCheck }
+  ];
+
+  results.forEach((r, idx) => {
+    const rawTitle = r.mapName || getBaseMapName(r.file || '') || r.file || `Map ${idx + 1}`;
+    const title = cleanMapTitle(rawTitle) || rawTitle;
+    const prefix = `map${idx}`;
+    sections.forEach(sec => {
+      if (sec.when && !sec.when(r)) return;
+      const id = `${prefix}-${sec.key}`;
+      navItems.push({
+        href: `#${id}`,
+        label: `${title}: ${sec.label}`
+      });
+    });
+  });
+
+  const savedOptions = savedMaps.map(m => {
+    const fileName = m.fileName || '';
+    const rawNamePart = m.mapName || getBaseMapName(fileName) || 'Без имени';
+    const namePart = cleanMapTitle(rawNamePart) || 'Без имени';
+    const filePart = fileName ? ` (${fileName})` : '';
+    const label = namePart + filePart;
+    const value = fileName || namePart;
+    const selected = currentFileName && fileName &&
+      String(fileName).toLowerCase() === String(currentFileName).toLowerCase()
+      ? ' selected'
+      : '';
+    return `<option value="${esc(value)}"${selected}>${esc(label)}</option>`;
+  }).join('');
+
+  const haveMaps = savedMaps.length > 0;
+
+  // для "Сравнить с…": все карты, кроме текущей; карты с тем же названием — первыми
+  const currentDoc = currentFileName
+    ? savedMaps.find(m => m.fileName && m.fileName.toLowerCase() === String(currentFileName).toLowerCase())
+    : null;
+  const compareOptions = savedMaps
+    .filter(m => m.fileName && m !== currentDoc)
+    .map(m => ({ m, same: !!(currentDoc && currentDoc.mapName && m.mapName === currentDoc.mapName) }))
+    .sort((x, y) => Number(y.same) - Number(x.same))
+    .map(({ m }) => {
+      const namePart = cleanMapTitle(m.mapName || getBaseMapName(m.fileName)) || 'Без имени';
+      const versionPart = m.mapVersion ? ` v${m.mapVersion}` : '';
+      return `<option value="${esc(m.fileName)}">${esc(namePart + versionPart)} (${esc(m.fileName)})</option>`;
+    }).join('');
+
+  const fileBlocks = results.map((r, idx) => {
+    const prefix = `map${idx}`;
+    const rawTitle = r.mapName || getBaseMapName(r.file || '') || r.file || `Map ${idx + 1}`;
+    const title = cleanMapTitle(rawTitle) || rawTitle;
+    const displayMapName = cleanMapTitle(r.mapName) || r.mapName || '—';
+
+    return `
+    <div class="file">
+      <h2>${esc(title)}</h2>
+      <p class="file-subtitle">
+        <span class="muted">Файл:</span> <code>${esc(r.file || '—')}</code><br>
+        <span class="muted">Название карты:</span> ${esc(displayMapName)}<br>
+        <span class="muted">Версия:</span> ${esc(r.mapVersion || '—')}
+        ${r.format ? `<br><span class="muted">Формат BSP:</span> ${esc(r.format.label)}` : ''}
+        ${r.mod ? `<br><span class="muted">Игра / мод:</span> ${esc(r.mod.name)}${r.mod.evidence.length
+          ? ` <span class="muted">(по classname: ${r.mod.evidence.slice(0, 5).map(cls => `<code>${esc(cls)}</code>`).join(', ')}${r.mod.evidence.length > 5 ? ', …' : ''})</span>`
+          : ''}` : ''}
+        ${r.parserVersion !== undefined && r.parserVersion !== PARSER_VERSION
+          ? `<br><span class="muted">Разобрана старой версией анализатора (${esc(r.parserVersion || '—')}, текущая ${PARSER_VERSION})</span>`
+          : ''}
+        ${r.entities && r.entities.length
+          ? `<br><a href="/view/entities?map=${encodeURIComponent(r.file)}">Все сущности (${r.entities.length})</a>
+            · <a href="/view/logic?map=${encodeURIComponent(r.file)}">Логика (target → targetname)</a>`
+          : ''}
+        ${r.archive ? `<br><span class="muted">Архив:</span> <code>${esc(r.archive.name)}</code> → <code>${esc(r.archive.path)}</code>` : ''}
+        ${currentFileName ? `<br><a href="/package?map=${encodeURIComponent(currentFileName)}">Собрать пакет карты (.pak / .zip)</a>` : ''}
+        ${currentFileName ? `<br><span class="muted">Экспорт списка файлов:</span> ${Object.keys(EXPORT_FORMATS).map(f =>
+          `<a href="/api/v1/maps/${encodeURIComponent(currentFileName)}/export?format=${f}">${f}</a>`).join(' · ')}` : ''}
+        ${r.sha256 ? `<br><span class="muted">SHA-256:</span> <a href="/view?sha256=${esc(r.sha256)}"><code>${esc(r.sha256)}</code></a>` : ''}
+        ${r.originalStored && r.sha256 ? ` — <a href="/download?sha256=${esc(r.sha256)}">скачать BSP</a>` : ''}
+        ${r.mapChecksum != null ? `<br><span class="muted">Контрольная сумма (CS_MAPCHECKSUM):</span> <code>${esc(r.mapChecksum)}</code>` : ''}
+        ${r.aliases && r.aliases.length
+          ? `<br><span class="muted">Также известна как:</span> ${r.aliases.map(a => `<code>${esc(a)}</code>`).join(', ')}`
+          : ''}
+        ${r.curation ? renderCurationSummary(r.curation) : ''}
+      </p>
+      ${currentFileName && hasRole(user, 'admin') ? `
+        <form method="post" action="/view/delete?map=${encodeURIComponent(currentFileName)}"
+          onsubmit="return confirm('Удалить карту ${esc(currentFileName).replace(/'/g, '&#39;')} из базы?');">
+          <button type="submit">Удалить карту из базы</button>
+        </form>` : ''}
+
+      ${r.warnings && r.warnings.length ? `<div class="warn-block">
+        <strong>Предупреждения:</strong>
+        <ul>${r.warnings.map(w => `<li>${esc(w)}</li>`).join('')}</ul>
+      </div>` : ''}
+
+      ${r.errors && r.errors.length ? `<div class="err-block">
+        <strong>Ошибки:</strong>
+        <ul>${r.errors.map(e => `<li>${esc(e)}</li>`).join('')}</ul>
+      </div>` : ''}
+
+      ${r.lint && r.lint.length ? `<div class="lint-block">
+        <strong>Проверка сущностей (${r.lint.length}):</strong>
+        ${renderLint(r.lint, r.file)}
+      </div>` : ''}
+
+      ${r.curation ? `
+        <a id="${prefix}-curation"></a>
+        <details>
+          <summary>Каталог: автор, режимы, игроки, заметки, оценка</summary>
+          ${renderCuration(r.curation, r.file)}
+        </details>
+      ` : ''}
+
+      ${history && history.length ? `
+        <a id="${prefix}-history"></a>
+        <details>
+          <summary>История изменений (${history.length === MAP_HISTORY_LIMIT ? `последние ${MAP_HISTORY_LIMIT}` : history.length})</summary>
+          <table class="lump-table">
+            <thead><tr><th>Когда (UTC)</th><th>Кто</th><th>Что</th><th>Подробности</th></tr></thead>
+            <tbody>${renderAuditRows(history)}</tbody>
+          </table>
+        </details>
+      ` : ''}
+
+      <a id="${prefix}-textures"></a>
+      <details open>
+        <summary>Текстуры (из TEXINFO)</summary>
+        ${r.textureInfo && r.textureInfo.length
+          ? renderTextureInfo(r.textureInfo)
+          : r.textures && r.textures.length
+            ? `<ul>${r.textures.map(t => `<li>${resLink('textures', t)}</li>`).join('')}</ul>`
+            : '<p>—</p>'}
+      </details>
+
+      <a id="${prefix}-skies"></a>
+      <details>
+        <summary>Небо (sky) из ENTITIES</summary>
+        ${r.skies && r.skies.length
+          ? `<ul>${r.skies.map(s => `<li>${resLink('skies', s)}</li>`).join('')}</ul>`
+          : '<p>—</p>'}
+      </details>
+
+      <a id="${prefix}-sounds"></a>
+      <details>
+        <summary>Звуки из ENTITIES</summary>
+        ${r.sounds && r.sounds.length
+          ? `<ul>${r.sounds.map(s => `<li>${resLink('sounds', s)}</li>`).join('')}</ul>`
+          : '<p>—</p>'}
+      </details>
+
+      <a id="${prefix}-models"></a>
+      <details>
+        <summary>Модели из ENTITIES</summary>
+        ${r.models && r.models.length
+          ? `<ul>${r.models.map(m => `<li>${resLink('models', m)}</li>`).join('')}</ul>`
+          : '<p>—</p>'}
+      </details>
+
+      ${r.others && r.others.length ? `
+        <details>
+          <summary>Другие ссылки</summary>
+          <ul>${r.others.map(o => `<li><code>${esc(o)}</code></li>`).join('')}</ul>
+        </details>
+      ` : ''}
+
+      ${r.bspStructure ? `
+        <a id="${prefix}-structure"></a>
+        <details>
+          <summary>Структура BSP</summary>
+          ${renderBspStructure(r.bspStructure)}
+        </details>
+      ` : ''}
+
+      ${r.overview ? `
+        <a id="${prefix}-overview"></a>
+        <details>
+          <summary>План карты (вид сверху)</summary>
+          ${renderOverviewSvg(r.overview, r.entities || [])}
+        </details>
+      ` : ''}
+
+      ${r.stockCheck ? `
+        <a id="${prefix}-stock"></a>
+        <details>
+          <summary>Стандартные и свои ресурсы</summary>
+          ${renderStockCheck(r.stockCheck)}
+        </details>
+      ` : ''}
+
+      ${r.resourceCheck ? `
+        <a id="${prefix}-resources"></a>
+        <details open>
+          <summary>Ресурсы и содержимое архива</summary>
+          ${renderResourceCheck(r.resourceCheck)}
+        </details>
+      ` : ''}
+
+      ${r.entityStats ? `
+        <a id="${prefix}-weapons"></a>
+        <details>
+          <summary>Оружие на карте (по classname)</summary>
+          ${renderCountsList(r.entityStats.weapons)}
+        </details>
+
+        <a id="${prefix}-armors"></a>
+        <details>
+          <summary>Броня на карте (по classname)</summary>
+          ${renderCountsList(r.entityStats.armors)}
+        </details>
+
+        <a id="${prefix}-spawns"></a>
+        <details>
+          <summary>Точки появления игроков</summary>
+          ${renderSpawnPoints(r.entityStats.spawnPoints)}
+        </details>
+
+        <a id="${prefix}-items"></a>
+        <details>
+          <summary>Полезные предметы</summary>
+          ${renderCountsList(r.entityStats.items)}
+        </details>
+
+        ${countTotal(r.entityStats.monsters) ? `
+          <a id="${prefix}-monsters"></a>
+          <details>
+            <summary>Монстры (${countTotal(r.entityStats.monsters)})</summary>
+            ${renderCountsList(r.entityStats.monsters)}
+          </details>
+        ` : ''}
+
+        ${hasCtfStats(r.entityStats.ctf) ? `
+          <a id="${prefix}-ctf"></a>
+          <details>
+            <summary>Capture the Flag: флаги, команды, техи</summary>
+            ${renderCtfStats(r.entityStats.ctf)}
+          </details>
+        ` : ''}
+      ` : ''}
+
+      ${r.layout ? `
+        <a id="${prefix}-layout"></a>
+        <details>
+          <summary>Расстановка (DM): спавны, оружие, усилители</summary>
+          ${renderLayout(r.layout)}
+        </details>
+      ` : ''}
+    </div>`;
+  }).join('\n');
+
+  const navHtml = navItems.length ? `
+    <nav class="top-nav">
+      <strong>Разделы:</strong>
+      <div class="top-nav-links">
+        ${navItems.map(n => `<a href="${n.href}">${esc(n.label)}</a>`).join('')}
+      </div>
+    </nav>
+  ` : '';
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Результаты анализа карт</title>
+  <style>
+    body{
+      font-family:system-ui,Arial,sans-serif;
+      margin:2rem;
+      max-width:1100px;
+    }
+    .top-bar{
+      display:flex;
+      flex-wrap:wrap;
+      gap:1rem;
+      align-items:center;
+      margin-bottom:1rem;
+    }
+    .top-bar form{margin:0}
+    .home-link{
+      font-size:0.9rem;
+      text-decoration:none;
+      color:#0056b3;
+      margin-right:0.5rem;
+    }
+    .home-link:hover{text-decoration:underline;}
+    label{font-size:0.95rem}
+    input[type="file"]{max-width:280px}
+    select{padding:0.2rem 0.4rem}
+    button{padding:0.3rem 0.8rem;cursor:pointer}
+    .file{
+      border:1px solid #ddd;
+      padding:1rem 1.2rem;
+      margin:1.2rem 0;
+      border-radius:6px;
+      background:#fafafa;
+    }
+    .file-subtitle{
+      font-size:0.9rem;
+      color:#555;
+    }
+    .muted{color:#777}
+    code{
+      background:#f6f8fa;
+      padding:0 .2rem;
+      border-radius:3px;
+    }
+    details{
+      margin:0.4rem 0 0.6rem 0;
+      padding:0.4rem 0.6rem;
+      background:#fff;
+      border-radius:4px;
+      border:1px solid #e2e2e2;
+    }
+    summary{
+      cursor:pointer;
+      font-weight:600;
+      outline:none;
+    }
+    summary::-webkit-details-marker{margin-right:4px}
+    .warn-block{
+      border-left:4px solid #f0a500;
+      background:#fffaf0;
+      padding:0.4rem 0.6rem;
+      margin-bottom:0.6rem;
+    }
+    .curation-form label{display:inline-block;margin:0 1rem 0.4rem 0}
+    .curation-form input[type="text"]{padding:0.2rem 0.4rem}
+    .notes{white-space:pre-wrap;margin:0.3rem 0 0.6rem}
+    .lint-block{
+      border-left:4px solid #5b8def;
+      background:#f4f8ff;
+      padding:0.4rem 0.6rem;
+      margin-bottom:0.6rem;
+    }
+    .err-block{
+      border-left:4px solid #cc0000;
+      background:#fff5f5;
+      padding:0.4rem 0.6rem;
+      margin-bottom:0.6rem;
+    }
+    .top-nav{
+      position:sticky;
+      top:0;
+      z-index:10;
+      background:#ffffffee;
+      backdrop-filter:blur(4px);
+      padding:0.4rem 0.6rem;
+      border:1px solid #ddd;
+      border-radius:6px;
+      margin-bottom:1rem;
+      display:flex;
+      align-items:center;
+      gap:0.5rem;
+      flex-wrap:wrap;
+    }
+    .top-nav-links{
+      display:flex;
+      flex-wrap:wrap;
+      gap:0.4rem;
+    }
+    .top-nav a{
+      font-size:0.85rem;
+      text-decoration:none;
+      color:#0056b3;
+      padding:0.1rem 0.4rem;
+      border-radius:4px;
+    }
+    .top-nav a:hover{
+      background:#eaf3ff;
+    }
+    ul{margin:0.3rem 0 0.8rem 1.2rem}
+    .overview svg{width:100%;height:auto;max-height:80vh;background:#1b1f24;border-radius:4px}
+    .overview-legend{display:flex;flex-wrap:wrap;gap:0.8rem;font-size:0.85rem;margin-top:0.4rem}
+    .overview-legend span[style]::before{content:'';display:inline-block;width:0.7rem;height:0.7rem;border-radius:50%;margin-right:0.3rem;background:var(--c)}
+    .lump-table{border-collapse:collapse;font-size:0.85rem}
+    .lump-table th,.lump-table td{border:1px solid #e2e2e2;padding:0.2rem 0.5rem;text-align:right}
+    .lump-table th:nth-child(2),.lump-table td:nth-child(2){text-align:left}
+    .texture-table td{text-align:left}
+    .layout-table td:nth-child(3),.layout-table td:nth-child(4){text-align:left}
+    .ctf-table td:first-child,.ctf-table th:first-child{text-align:left}
+    .ctf-warning{color:#b26a00}
+    .sortable th[data-sort]{cursor:pointer;user-select:none}
+    .sortable th[data-sort]::after{content:' ↕';color:#aaa}
+    .texture-table td:nth-child(2){text-align:right}
+    .flag{display:inline-block;font-size:0.75rem;padding:0 0.3rem;border-radius:3px;background:#eee;color:#333}
+    .flag-light{background:#fff3c4}
+    .flag-sky{background:#d6ecff}
+    .flag-warp,.flag-flowing{background:#d9f2e6}
+    .flag-trans33,.flag-trans66{background:#efe3ff}
+    .flag-nodraw{background:#ffd9d9}
+    .res-link{text-decoration:none;color:inherit}
+    .res-link:hover code{background:#eaf3ff}
+    .status-bundled{color:#1a7f37}
+    .status-stock{color:#555}
+    .status-missing{color:#cc0000;font-weight:600}
+  </style>
+</head>
+<body>
+  ${renderAccountBar(user)}
+  <div class="top-bar">
+    <a href="/" class="home-link">← К выбору/поиску карт</a>
+
+    <form action="/analyze" method="post" enctype="multipart/form-data">
+      <label>
+        Загрузить BSP / архив:
+        <input type="file" name="maps" multiple accept=".bsp,.pak,.zip,.pkz" />
+      </label>
+      <button type="submit">Анализировать</button>
+    </form>
 
-  results.forEach((r, idx) => {
-    const rawTitle = r.mapName || getBaseMapName(r.file || '') || r.file || `Map ${idx + 1}`;
-    const title = cleanMapTitle(rawTitle) || rawTitle;
-    const prefix = `map${idx}`;
-    sections.forEach(sec => {
-      const id = `${prefix}-${sec.key}`;
-      navItems.push({
-        href: `#${id}`,
-        label: `${title}: ${sec.label}`
+    ${haveMaps && currentFileName ? `
+      <form action="/diff" method="get">
+        <input type="hidden" name="a" value="${esc(currentFileName)}" />
+        <label>
+          Сравнить с:
+          <select name="b">
+            <option value="">— выбрать карту —</option>
+            ${compareOptions}
+          </select>
+        </label>
+        <button type="submit">Сравнить</button>
+      </form>
+    ` : ''}
+
+    ${haveMaps ? `
+      <form action="/view" method="get" id="savedMapFormTop">
+        <label>
+          Сохранённые карты:
+          <select name="map" onchange="if(this.value) document.getElementById('savedMapFormTop').submit();">
+            <option value="">— выбрать карту —</option>
+            ${savedOptions}
+          </select>
+        </label>
+        <noscript><button type="submit">Открыть</button></noscript>
+      </form>
+    ` : ''}
+  </div>
+
+  <h1>Результаты анализа карт</h1>
+
+  ${navHtml}
+
+  ${fileBlocks}
+
+  <p><a href="/">← На главную (выбор/поиск карт)</a></p>
+
+  <script>
+    (function() {
+      function openDetailsForHash() {
+        var hash = window.location.hash;
+        if (!hash || hash.length < 2) return;
+        var id = hash.slice(1);
+        var anchor = document.getElementById(id);
+        if (!anchor) return;
+
+        var details = anchor.nextElementSibling;
+        if (details && details.tagName && details.tagName.toLowerCase() === 'details') {
+          details.open = true;
+        }
+      }
+
+      window.addEventListener('hashchange', openDetailsForHash);
+
+      // сортировка таблиц .sortable по data-value ячеек; пустые значения — в конце
+      function sortTable(th) {
+        var table = th.closest('table');
+        var col = Array.prototype.indexOf.call(th.parentNode.children, th);
+        var dir = th.dataset.dir === 'asc' ? -1 : 1;
+        th.parentNode.querySelectorAll('th').forEach(function(h) { delete h.dataset.dir; });
+        th.dataset.dir = dir === 1 ? 'asc' : 'desc';
+        var tbody = table.tBodies[0];
+        var rows = Array.prototype.slice.call(tbody.rows);
+        rows.sort(function(a, b) {
+          var x = a.cells[col].dataset.value;
+          var y = b.cells[col].dataset.value;
+          if (x === '' || y === '') return (x === '') - (y === '');
+          return (Number(x) - Number(y)) * dir;
+        });
+        rows.forEach(function(row) { tbody.appendChild(row); });
+      }
+
+      window.addEventListener('DOMContentLoaded', function() {
+        openDetailsForHash();
+
+        document.querySelectorAll('.sortable th[data-sort]').forEach(function(th) {
+          th.addEventListener('click', function() { sortTable(th); });
+        });
+
+        var navLinks = document.querySelectorAll('.top-nav a[href^="#"]');
+        navLinks.forEach(function(a) {
+          a.addEventListener('click', function() {
+            setTimeout(openDetailsForHash, 0);
+          });
+        });
       });
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+function matchesClassnameFilter(classname, filter) {
+  if (!filter) return true;
+  const cls = (classname || '').toLowerCase();
+  const f = filter.toLowerCase();
+  return f.endsWith('*') ? cls.startsWith(f.slice(0, -1)) : cls === f;
+}
+
+function renderEntitiesHtml(doc, { classnameFilter = '' } = {}) {
+  const esc = htmlEscape;
+  const fileName = doc.fileName || '';
+  const rawTitle = doc.mapName || getBaseMapName(fileName) || fileName;
+  const title = cleanMapTitle(rawTitle) || rawTitle;
+  const entities = doc.entities || [];
+
+  const classCounts = new Map();
+  for (const e of entities) {
+    const cls = e.classname || '(без classname)';
+    classCounts.set(cls, (classCounts.get(cls) || 0) + 1);
+  }
+  const classOptions = Array.from(classCounts.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([cls, count]) => {
+      const selected = cls === classnameFilter ? ' selected' : '';
+      return `<option value="${esc(cls)}"${selected}>${esc(cls)} (${count})</option>`;
+    }).join('');
+
+  const shown = entities
+    .map((e, index) => ({ e, index }))
+    .filter(({ e }) => matchesClassnameFilter(e.classname || '(без classname)', classnameFilter));
+
+  const rows = shown.map(({ e, index }) => `
+      <tr id="line-${e.line}">
+        <td>${index}</td>
+        <td><code>${esc(e.classname || '—')}</code></td>
+        <td>${e.origin ? `<code>${e.origin.map(n => esc(n)).join(' ')}</code>` : '—'}</td>
+        <td>
+          <ul class="keys">${Object.entries(e.keys || {}).map(([k, v]) =>
+            `<li><code>${esc(k)}</code> = <code>${esc(v)}</code></li>`).join('')}</ul>
+        </td>
+      </tr>`).join('');
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Сущности: ${esc(title)}</title>
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
+    .top-bar{display:flex;flex-wrap:wrap;gap:1rem;align-items:center;margin-bottom:1rem}
+    .top-bar form{margin:0}
+    label{font-size:0.95rem}
+    select,input[type="text"]{padding:0.2rem 0.4rem}
+    button{padding:0.3rem 0.8rem;cursor:pointer}
+    .muted{color:#777}
+    code{background:#f6f8fa;padding:0 .2rem;border-radius:3px}
+    table{border-collapse:collapse;width:100%;font-size:0.9rem}
+    th,td{border:1px solid #e2e2e2;padding:0.3rem 0.5rem;text-align:left;vertical-align:top}
+    tr:target{background:#fff8d6}
+    th{background:#f6f8fa}
+    ul.keys{list-style:none;margin:0;padding:0}
+  </style>
+</head>
+<body>
+  <div class="top-bar">
+    <a href="/view?map=${encodeURIComponent(fileName)}">← К карте</a>
+    <a href="/">На главную</a>
+  </div>
+
+  <h1>Сущности: ${esc(title)}</h1>
+  <p class="muted">Файл: <code>${esc(fileName || '—')}</code>. Всего сущностей: <strong>${entities.length}</strong></p>
+
+  ${entities.length ? `
+    <div class="top-bar">
+      <form action="/view/entities" method="get" id="classFilterForm">
+        <input type="hidden" name="map" value="${esc(fileName)}" />
+        <label>
+          classname:
+          <select name="classname" onchange="document.getElementById('classFilterForm').submit();">
+            <option value="">— все —</option>
+            ${classOptions}
+          </select>
+        </label>
+        <noscript><button type="submit">Показать</button></noscript>
+      </form>
+      <form action="/view/entities" method="get">
+        <input type="hidden" name="map" value="${esc(fileName)}" />
+        <label>
+          или префикс:
+          <input type="text" name="classname" value="${esc(classnameFilter)}" placeholder="например, weapon_*" />
+        </label>
+        <button type="submit">Фильтр</button>
+      </form>
+    </div>
+
+    <p class="muted">Показано: ${shown.length}</p>
+    <table>
+      <thead><tr><th>#</th><th>classname</th><th>origin</th><th>Ключи</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  ` : '<p>Сущности для этой карты не сохранены — загрузите карту заново.</p>'}
+</body>
+</html>`;
+}
+
+// Раскладка графа логики: каждая связная часть — отдельная полоса, внутри неё
+// сущности идут столбцами слева направо по расстоянию от начала цепочки.
+const LOGIC_NODE_W = 190;
+const LOGIC_NODE_H = 40;
+const LOGIC_COL_GAP = 70;
+const LOGIC_ROW_GAP = 14;
+const LOGIC_PART_GAP = 36;
+const LOGIC_PAD = 20;
+
+function layoutLogicGraph(graph) {
+  const neighbours = new Map(graph.nodes.map(n => [n.id, []]));
+  const outgoing = new Map(graph.nodes.map(n => [n.id, []]));
+  const inDegree = new Map(graph.nodes.map(n => [n.id, 0]));
+  for (const edge of graph.edges) {
+    neighbours.get(edge.from).push(edge.to);
+    neighbours.get(edge.to).push(edge.from);
+    outgoing.get(edge.from).push(edge.to);
+    inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+  }
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+
+  const positions = new Map(); // id -> { x, y, layer }
+  const seen = new Set();
+  let top = LOGIC_PAD;
+  let width = 0;
+
+  for (const start of graph.nodes) {
+    if (seen.has(start.id)) continue;
+
+    // связная часть без учёта направления
+    const part = [start.id];
+    seen.add(start.id);
+    for (let i = 0; i < part.length; i++) {
+      for (const next of neighbours.get(part[i])) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          part.push(next);
+        }
+      }
+    }
+    part.sort((a, b) => a - b);
+
+    // столбец — кратчайшее расстояние от начала цепочки; у замкнутых циклов начало — первая сущность
+    const layer = new Map();
+    const roots = part.filter(id => nodeById.get(id).source || inDegree.get(id) === 0);
+    for (const id of part) {
+      if (layer.has(id)) continue;
+      const queue = roots.length && !layer.size ? roots : [id];
+      for (const r of queue) layer.set(r, 0);
+      for (let i = 0; i < queue.length; i++) {
+        for (const next of outgoing.get(queue[i])) {
+          if (layer.has(next)) continue;
+          layer.set(next, layer.get(queue[i]) + 1);
+          queue.push(next);
+        }
+      }
+    }
+
+    // порядок в столбце — по средней строке уже расставленных предшественников
+    const columns = [];
+    for (const id of part) {
+      const l = layer.get(id);
+      (columns[l] = columns[l] || []).push(id);
+    }
+    const row = new Map();
+    const predecessors = new Map(part.map(id => [id, []]));
+    for (const edge of graph.edges) {
+      if (predecessors.has(edge.to)) predecessors.get(edge.to).push(edge.from);
+    }
+    let rows = 0;
+    columns.forEach((column = [], l) => {
+      const weight = id => {
+        const placed = predecessors.get(id).filter(p => row.has(p) && layer.get(p) < l);
+        return placed.length ? placed.reduce((sum, p) => sum + row.get(p), 0) / placed.length : Infinity;
+      };
+      column
+        .map(id => ({ id, w: weight(id) }))
+        .sort((a, b) => a.w - b.w || a.id - b.id)
+        .forEach(({ id }, r) => {
+          row.set(id, r);
+          positions.set(id, {
+            layer: l,
+            x: LOGIC_PAD + l * (LOGIC_NODE_W + LOGIC_COL_GAP),
+            y: top + r * (LOGIC_NODE_H + LOGIC_ROW_GAP)
+          });
+        });
+      rows = Math.max(rows, column.length);
+      width = Math.max(width, LOGIC_PAD * 2 + (l + 1) * LOGIC_NODE_W + l * LOGIC_COL_GAP);
     });
-  });
 
-  const savedOptions = savedMaps.map(m => {
-    const fileName = m.fileName || '';
-    const rawNamePart = m.mapName || getBaseMapName(fileName) || 'Без имени';
-    const namePart = cleanMapTitle(rawNamePart) || 'Без имени';
-    const filePart = fileName ? ` (${fileName})` : '';
-    const label = namePart + filePart;
-    const value = fileName || namePart;
-    const selected = currentFileName && fileName &&
-      String(fileName).toLowerCase() === String(currentFileName).toLowerCase()
-      ? ' selected'
-      : '';
-    return `<option value="${esc(value)}"${selected}>${esc(label)}</option>`;
+    top += rows * (LOGIC_NODE_H + LOGIC_ROW_GAP) - LOGIC_ROW_GAP + LOGIC_PART_GAP;
+  }
+
+  return { positions, width, height: top - LOGIC_PART_GAP + LOGIC_PAD };
+}
+
+function renderLogicSvg(graph) {
+  const esc = htmlEscape;
+  const { positions, width, height } = layoutLogicGraph(graph);
+  const unreachable = new Set(graph.unreachable);
+  const brokenFrom = new Set(graph.missing.map(m => m.from));
+  const short = (s, max) => (s.length > max ? s.slice(0, max - 1) + '…' : s);
+  let minY = 0; // дуги обратных связей могут подняться выше первой строки
+
+  const edges = graph.edges.map(edge => {
+    const a = positions.get(edge.from);
+    const b = positions.get(edge.to);
+    const x1 = a.x + LOGIC_NODE_W;
+    const y1 = a.y + LOGIC_NODE_H / 2;
+    const x2 = b.x;
+    const y2 = b.y + LOGIC_NODE_H / 2;
+    let d;
+    let labelX;
+    let labelY;
+    if (b.layer > a.layer) {
+      const bend = (x2 - x1) / 2;
+      d = `M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`;
+      labelX = (x1 + x2) / 2;
+      labelY = (y1 + y2) / 2 - 4;
+    } else {
+      // обратная связь: дуга над вершинами
+      const lift = LOGIC_NODE_H + 10 * (a.layer - b.layer + 1);
+      d = `M${x1},${y1} C${x1 + LOGIC_COL_GAP},${y1 - lift} ${x2 - LOGIC_COL_GAP},${y2 - lift} ${x2},${y2}`;
+      labelX = (x1 + x2) / 2;
+      labelY = Math.min(y1, y2) - lift * 0.75;
+      minY = Math.min(minY, labelY - 12);
+    }
+    const classes = ['edge', `key-${edge.key}`, edge.cycle ? 'cycle' : ''].filter(Boolean).join(' ');
+    return `<g class="${classes}" data-from="${edge.from}" data-to="${edge.to}">
+      <path d="${d}" marker-end="url(#arrow)" />
+      ${edge.key !== 'target' ? `<text x="${labelX}" y="${labelY}" text-anchor="middle">${esc(edge.key)}</text>` : ''}
+    </g>`;
+  }).join('');
+
+  const nodes = graph.nodes.map(n => {
+    const { x, y } = positions.get(n.id);
+    const classes = ['node',
+      n.source ? 'source' : '',
+      n.cycle !== null ? 'cycle' : '',
+      unreachable.has(n.id) ? 'unreachable' : '',
+      brokenFrom.has(n.id) ? 'broken' : ''].filter(Boolean).join(' ');
+    return `<g class="${classes}" id="node-${n.id}" data-id="${n.id}" transform="translate(${x},${y})">
+      <title>${esc(n.classname || 'без classname')}${n.targetname ? ` (${esc(n.targetname)})` : ''}, строка ${n.line}</title>
+      <rect width="${LOGIC_NODE_W}" height="${LOGIC_NODE_H}" rx="5" />
+      <text x="8" y="16" class="cls">${esc(short(n.classname || 'без classname', 26))}</text>
+      <text x="8" y="32" class="name">${n.targetname ? esc(short(n.targetname, 28)) : '—'}</text>
+    </g>`;
+  }).join('');
+
+  return `<svg class="logic-graph" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height - minY}" viewBox="0 ${minY} ${width} ${height - minY}">
+    <defs>
+      <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+        <path d="M0,0 L10,5 L0,10 z" />
+      </marker>
+    </defs>
+    ${edges}
+    ${nodes}
+  </svg>`;
+}
+
+function renderLogicHtml(doc, graph) {
+  const esc = htmlEscape;
+  const fileName = doc.fileName || '';
+  const rawTitle = doc.mapName || getBaseMapName(fileName) || fileName;
+  const title = cleanMapTitle(rawTitle) || rawTitle;
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+  const entitiesHref = `/view/entities?map=${encodeURIComponent(fileName)}`;
+
+  const nodeLink = id => {
+    const n = nodeById.get(id);
+    return `<a href="#node-${id}" data-node="${id}"><code>${esc(n.classname || 'без classname')}</code>${n.targetname ? ` «${esc(n.targetname)}»` : ''}</a>`;
+  };
+
+  const cycles = graph.cycles.map(cycle => `
+      <li>${cycle.nodes.map(nodeLink).join(' → ')}
+        ${cycle.trainRoute ? '<span class="muted">— замкнутый маршрут поезда, так и задумано</span>' : ''}</li>`).join('');
+  const unreachable = graph.unreachable.map(id => `<li>${nodeLink(id)}</li>`).join('');
+  const missing = graph.missing.map(m => `
+      <li>${nodeLink(m.from)}: ${esc(m.key)} «${esc(m.value)}» — нет сущности с таким targetname</li>`).join('');
+
+  // данные для панели ключей; «<» экранируется, чтобы значение не закрыло <script>
+  const data = JSON.stringify(Object.fromEntries(graph.nodes.map(n => [n.id, {
+    classname: n.classname,
+    line: n.line,
+    keys: n.keys
+  }]))).replace(/</g, '\\u003c');
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Логика: ${esc(title)}</title>
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem}
+    .top-bar{display:flex;flex-wrap:wrap;gap:1rem;align-items:center;margin-bottom:1rem}
+    .muted{color:#777}
+    code{background:#f6f8fa;padding:0 .2rem;border-radius:3px}
+    .legend span{display:inline-block;margin-right:1rem}
+    .swatch{display:inline-block;width:0.9rem;height:0.9rem;border:2px solid #888;border-radius:3px;vertical-align:middle;margin-right:0.3rem}
+    .layout{display:flex;gap:1.5rem;align-items:flex-start}
+    .graph-box{flex:1;overflow:auto;max-height:80vh;border:1px solid #e2e2e2;border-radius:6px;background:#fcfcfc}
+    .panel{width:320px;flex-shrink:0;position:sticky;top:1rem;font-size:0.9rem}
+    .panel table{border-collapse:collapse;width:100%}
+    .panel td{border:1px solid #e2e2e2;padding:0.2rem 0.4rem;vertical-align:top;word-break:break-all}
+    .logic-graph .node{cursor:pointer}
+    .logic-graph .node rect{fill:#fff;stroke:#9aa5b1;stroke-width:1.5}
+    .logic-graph .node.source rect{fill:#eef7ee;stroke:#43a047}
+    .logic-graph .node.unreachable rect{fill:#f2f2f2;stroke:#9e9e9e;stroke-dasharray:4 3}
+    .logic-graph .node.cycle rect{stroke:#e53935;stroke-width:2.5}
+    .logic-graph .node.broken rect{fill:#fff3e0}
+    .logic-graph .node.selected rect{stroke:#1e88e5;stroke-width:3}
+    .logic-graph .node text{font-size:12px;font-family:system-ui,Arial,sans-serif}
+    .logic-graph .node .name{fill:#555}
+    .logic-graph .edge path{fill:none;stroke:#90a4ae;stroke-width:1.5}
+    .logic-graph .edge text{font-size:11px;fill:#607d8b}
+    .logic-graph .edge.key-killtarget path{stroke:#8d6e63;stroke-dasharray:5 3}
+    .logic-graph .edge.cycle path{stroke:#e53935}
+    .logic-graph .edge.active path{stroke:#1e88e5;stroke-width:2.5}
+    .logic-graph marker path{fill:#90a4ae}
+    .issues ul{margin:0.3rem 0 1rem}
+  </style>
+</head>
+<body>
+  <div class="top-bar">
+    <a href="/view?map=${encodeURIComponent(fileName)}">← К карте</a>
+    <a href="${entitiesHref}">Все сущности</a>
+    <a href="/">На главную</a>
+  </div>
+
+  <h1>Логика: ${esc(title)}</h1>
+  <p class="muted">Файл: <code>${esc(fileName || '—')}</code>. Связанных сущностей: <strong>${graph.nodes.length}</strong>, связей: <strong>${graph.edges.length}</strong></p>
+
+  ${graph.nodes.length ? `
+    <p class="legend muted">
+      <span><i class="swatch" style="background:#eef7ee;border-color:#43a047"></i>срабатывает сама (касание, выстрел, смерть, подбор)</span>
+      <span><i class="swatch"></i>ждёт вызова</span>
+      <span><i class="swatch" style="border-color:#e53935"></i>в цикле</span>
+      <span><i class="swatch" style="background:#f2f2f2;border-style:dashed"></i>никогда не сработает</span>
+      <span><i class="swatch" style="background:#fff3e0"></i>ссылается на несуществующий targetname</span>
+    </p>
+
+    <div class="issues">
+      ${cycles ? `<strong>Циклы (${graph.cycles.length})</strong><ul>${cycles}</ul>` : ''}
+      ${unreachable ? `<strong>Не запускаются ничем (${graph.unreachable.length})</strong><ul>${unreachable}</ul>` : ''}
+      ${missing ? `<strong>Битые ссылки (${graph.missing.length})</strong><ul>${missing}</ul>` : ''}
+    </div>
+
+    <div class="layout">
+      <div class="graph-box">${renderLogicSvg(graph)}</div>
+      <div class="panel" id="nodeInfo">
+        <p class="muted">Нажмите на сущность, чтобы увидеть её ключи.</p>
+      </div>
+    </div>
+
+    <script type="application/json" id="logicData">${data}</script>
+    <script>
+      (function() {
+        var data = JSON.parse(document.getElementById('logicData').textContent);
+        var panel = document.getElementById('nodeInfo');
+        var entitiesHref = ${JSON.stringify(entitiesHref)};
+
+        function select(id) {
+          var entity = data[id];
+          if (!entity) return;
+          document.querySelectorAll('.logic-graph .selected, .logic-graph .active').forEach(function(el) {
+            el.classList.remove('selected', 'active');
+          });
+          var node = document.getElementById('node-' + id);
+          node.classList.add('selected');
+          document.querySelectorAll('.logic-graph .edge').forEach(function(edge) {
+            if (edge.dataset.from === String(id) || edge.dataset.to === String(id)) edge.classList.add('active');
+          });
+
+          panel.innerHTML = '';
+          var heading = document.createElement('h3');
+          heading.textContent = (entity.classname || 'без classname') + ' #' + id;
+          panel.appendChild(heading);
+          var link = document.createElement('a');
+          link.href = entitiesHref + '#line-' + entity.line;
+          link.textContent = 'Строка ' + entity.line + ' в списке сущностей';
+          panel.appendChild(link);
+          var table = document.createElement('table');
+          Object.keys(entity.keys).forEach(function(key) {
+            var row = table.insertRow();
+            row.insertCell().textContent = key;
+            row.insertCell().textContent = entity.keys[key];
+          });
+          panel.appendChild(table);
+        }
+
+        document.querySelectorAll('.logic-graph .node').forEach(function(node) {
+          node.addEventListener('click', function() { select(node.dataset.id); });
+        });
+        document.querySelectorAll('a[data-node]').forEach(function(a) {
+          a.addEventListener('click', function(ev) {
+            ev.preventDefault();
+            select(a.dataset.node);
+            document.getElementById('node-' + a.dataset.node).scrollIntoView({ block: 'center', inline: 'center' });
+          });
+        });
+      })();
+    </script>
+  ` : `<p>${doc.entities && doc.entities.length
+    ? 'На этой карте нет связей target → targetname.'
+    : 'Сущности для этой карты не сохранены — загрузите карту заново.'}</p>`}
+</body>
+</html>`;
+}
+
+const OVERVIEW_ICONS = {
+  spawn: { color: '#4fc3f7', label: 'Спавны' },
+  weapon: { color: '#ff7043', label: 'Оружие' },
+  armor: { color: '#66bb6a', label: 'Броня' },
+  item: { color: '#ffd54f', label: 'Предметы' },
+  monster: { color: '#ab47bc', label: 'Монстры' },
+  flag: { color: '#ef5350', label: 'Флаги CTF' }
+};
+
+// Категории словаря classname, которые рисуются значком «Предметы»
+const OVERVIEW_ITEM_CATEGORIES = new Set(['health', 'powerup', 'item']);
+
+function overviewIconKey(classname) {
+  const category = entityCategory(classname);
+  return OVERVIEW_ITEM_CATEGORIES.has(category) ? 'item' : category;
+}
+
+// SVG-план: грани пола раскрашены по высоте (синие — низ, красные — верх),
+// поверх — значки сущностей по их origin. Ось Y карты направлена вверх.
+function renderOverviewSvg(overview, entities) {
+  const esc = htmlEscape;
+  if (!overview || !overview.faces || !overview.faces.length) {
+    return '<p>—</p>';
+  }
+
+  const [minX, minY, minZ] = overview.mins;
+  const [maxX, maxY, maxZ] = overview.maxs;
+  const width = Math.max(1, maxX - minX);
+  const height = Math.max(1, maxY - minY);
+  const pad = Math.round(Math.max(width, height) * 0.02);
+  const zRange = Math.max(1, maxZ - minZ);
+  const iconSize = Math.max(1, Math.round(Math.max(width, height) / 120));
+
+  const faces = overview.faces.slice().sort((a, b) => a[0] - b[0]);
+  const polygons = faces.map(face => {
+    const t = Math.min(1, Math.max(0, (face[0] - minZ) / zRange));
+    const hue = Math.round(240 - 240 * t);
+    const points = [];
+    for (let i = 1; i + 1 < face.length; i += 2) {
+      points.push(`${face[i]},${-face[i + 1]}`);
+    }
+    return `<polygon points="${points.join(' ')}" fill="hsl(${hue},55%,45%)" />`;
   }).join('');
 
-  const haveMaps = savedMaps.length > 0;
+  const icons = entities
+    .filter(e => e.classname && e.origin)
+    .map(e => ({ e, category: overviewIconKey(e.classname) }))
+    .filter(x => x.category && OVERVIEW_ICONS[x.category])
+    .map(({ e, category }) => {
+      const [x, y] = e.origin;
+      const title = `${e.classname} (${e.origin.join(' ')})`;
+      const color = OVERVIEW_ICONS[category].color;
+      if (category === 'spawn') {
+        // треугольник — чтобы спавны отличались от предметов
+        const s = Math.round(iconSize * 1.3);
+        return `<polygon points="${x},${-y - s} ${x - s},${-y + s} ${x + s},${-y + s}" fill="${color}" stroke="#000" stroke-width="${iconSize / 4}"><title>${esc(title)}</title></polygon>`;
+      }
+      return `<circle cx="${x}" cy="${-y}" r="${iconSize}" fill="${color}" stroke="#000" stroke-width="${iconSize / 4}"><title>${esc(title)}</title></circle>`;
+    }).join('');
 
-  const fileBlocks = results.map((r, idx) => {
-    const prefix = `map${idx}`;
-    const rawTitle = r.mapName || getBaseMapName(r.file || '') || r.file || `Map ${idx + 1}`;
-    const title = cleanMapTitle(rawTitle) || rawTitle;
-    const displayMapName = cleanMapTitle(r.mapName) || r.mapName || '—';
+  const viewBox = [minX - pad, -maxY - pad, width + pad * 2, height + pad * 2].join(' ');
 
-    return `
-    <div class="file">
-      <h2>${esc(title)}</h2>
-      <p class="file-subtitle">
-        <span class="muted">Файл:</span> <code>${esc(r.file || '—')}</code><br>
-        <span class="muted">Название карты:</span> ${esc(displayMapName)}<br>
-        <span class="muted">Версия:</span> ${esc(r.mapVersion || '—')}
-      </p>
+  return `<div class="overview">
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}" preserveAspectRatio="xMidYMid meet">
+      <g fill-opacity="0.85">${polygons}</g>
+      <g>${icons}</g>
+    </svg>
+    <div class="overview-legend">
+      ${Object.values(OVERVIEW_ICONS).map(i => `<span style="--c:${i.color}">${i.label}</span>`).join('')}
+      <span class="muted">Цвет пола: синий — ниже, красный — выше (Z ${minZ}…${maxZ})</span>
+    </div>
+  </div>`;
+}
 
-      ${r.warnings && r.warnings.length ? `<div class="warn-block">
-        <strong>Предупреждения:</strong>
-        <ul>${r.warnings.map(w => `<li>${esc(w)}</li>`).join('')}</ul>
-      </div>` : ''}
+function renderDiffHtml(diff, savedMaps = []) {
+  const esc = htmlEscape;
 
-      ${r.errors && r.errors.length ? `<div class="err-block">
-        <strong>Ошибки:</strong>
-        <ul>${r.errors.map(e => `<li>${esc(e)}</li>`).join('')}</ul>
-      </div>` : ''}
+  const sideTitle = side => {
+    const rawTitle = side.mapName || getBaseMapName(side.fileName || '') || side.fileName || '—';
+    return cleanMapTitle(rawTitle) || rawTitle;
+  };
 
-      <a id="${prefix}-textures"></a>
-      <details open>
-        <summary>Текстуры (из TEXINFO)</summary>
-        ${r.textures && r.textures.length
-          ? `<ul>${r.textures.map(t => `<li><code>${esc(t)}</code></li>`).join('')}</ul>`
-          : '<p>—</p>'}
-      </details>
+  const resourceGroups = [
+    { key: 'textures', label: 'Текстуры' },
+    { key: 'skies', label: 'Небо' },
+    { key: 'sounds', label: 'Звуки' },
+    { key: 'models', label: 'Модели' }
+  ];
+  const statGroups = [
+    { key: 'weapons', label: 'Оружие' },
+    { key: 'armors', label: 'Броня' },
+    { key: 'items', label: 'Предметы' },
+    { key: 'monsters', label: 'Монстры' },
+    { key: 'spawnPoints', label: 'Точки появления' }
+  ];
 
-      <a id="${prefix}-skies"></a>
-      <details>
-        <summary>Небо (sky) из ENTITIES</summary>
-        ${r.skies && r.skies.length
-          ? `<ul>${r.skies.map(s => `<li><code>${esc(s)}</code></li>`).join('')}</ul>`
-          : '<p>—</p>'}
-      </details>
+  const resourcesHtml = resourceGroups.map(g => {
+    const r = diff.resources[g.key];
+    if (!r.added.length && !r.removed.length) return '';
+    return `<details open>
+        <summary>${g.label}: +${r.added.length} / −${r.removed.length}</summary>
+        <ul>
+          ${r.added.map(x => `<li class="diff-added">+ <code>${esc(x)}</code></li>`).join('')}
+          ${r.removed.map(x => `<li class="diff-removed">− <code>${esc(x)}</code></li>`).join('')}
+        </ul>
+      </details>`;
+  }).join('');
 
-      <a id="${prefix}-sounds"></a>
-      <details>
-        <summary>Звуки из ENTITIES</summary>
-        ${r.sounds && r.sounds.length
-          ? `<ul>${r.sounds.map(s => `<li><code>${esc(s)}</code></li>`).join('')}</ul>`
-          : '<p>—</p>'}
-      </details>
+  const statsHtml = statGroups.map(g => {
+    const list = diff.entityStats[g.key];
+    if (!list.length) return '';
+    return `<details open>
+        <summary>${g.label}</summary>
+        <table class="diff-table">
+          <thead><tr><th>classname</th><th>A</th><th>B</th><th>Δ</th></tr></thead>
+          <tbody>${list.map(x => `
+            <tr>
+              <td><code>${esc(x.name)}</code></td>
+              <td>${x.a}</td>
+              <td>${x.b}</td>
+              <td class="${x.delta > 0 ? 'diff-added' : 'diff-removed'}">${x.delta > 0 ? '+' : ''}${x.delta}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </details>`;
+  }).join('');
 
-      <a id="${prefix}-models"></a>
-      <details>
-        <summary>Модели из ENTITIES</summary>
-        ${r.models && r.models.length
-          ? `<ul>${r.models.map(m => `<li><code>${esc(m)}</code></li>`).join('')}</ul>`
-          : '<p>—</p>'}
-      </details>
+  const options = selected => savedMaps.map(m => {
+    const fileName = m.fileName || '';
+    if (!fileName) return '';
+    const namePart = cleanMapTitle(m.mapName || getBaseMapName(fileName)) || 'Без имени';
+    const sel = fileName.toLowerCase() === String(selected || '').toLowerCase() ? ' selected' : '';
+    return `<option value="${esc(fileName)}"${sel}>${esc(namePart)} (${esc(fileName)})</option>`;
+  }).join('');
 
-      ${r.others && r.others.length ? `
-        <details>
-          <summary>Другие ссылки</summary>
-          <ul>${r.others.map(o => `<li><code>${esc(o)}</code></li>`).join('')}</ul>
-        </details>
-      ` : ''}
+  const jsonHref = `/diff?a=${encodeURIComponent(diff.a.fileName || '')}&b=${encodeURIComponent(diff.b.fileName || '')}&json=1`;
 
-      ${r.entityStats ? `
-        <a id="${prefix}-weapons"></a>
-        <details>
-          <summary>Оружие на карте (по classname)</summary>
-          ${renderCountsList(r.entityStats.weapons)}
-        </details>
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Сравнение: ${esc(sideTitle(diff.a))} → ${esc(sideTitle(diff.b))}</title>
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
+    .top-bar{display:flex;flex-wrap:wrap;gap:1rem;align-items:center;margin-bottom:1rem}
+    .top-bar form{margin:0}
+    label{font-size:0.95rem}
+    select{padding:0.2rem 0.4rem;max-width:320px}
+    button{padding:0.3rem 0.8rem;cursor:pointer}
+    .muted{color:#777}
+    code{background:#f6f8fa;padding:0 .2rem;border-radius:3px}
+    details{margin:0.4rem 0 0.6rem 0;padding:0.4rem 0.6rem;border-radius:4px;border:1px solid #e2e2e2}
+    summary{cursor:pointer;font-weight:600}
+    ul{margin:0.3rem 0 0.8rem 1.2rem;list-style:none;padding:0}
+    .sides{display:grid;grid-template-columns:1fr 1fr;gap:1rem}
+    .side{border:1px solid #ddd;border-radius:6px;padding:0.6rem 0.8rem;background:#fafafa}
+    .diff-added{color:#1a7f37}
+    .diff-removed{color:#cc0000}
+    .diff-table{border-collapse:collapse;font-size:0.9rem}
+    .diff-table th,.diff-table td{border:1px solid #e2e2e2;padding:0.2rem 0.5rem;text-align:right}
+    .diff-table th:first-child,.diff-table td:first-child{text-align:left}
+  </style>
+</head>
+<body>
+  <div class="top-bar">
+    <a href="/">← На главную</a>
+    <form action="/diff" method="get">
+      <label>A: <select name="a">${options(diff.a.fileName)}</select></label>
+      <label>B: <select name="b">${options(diff.b.fileName)}</select></label>
+      <button type="submit">Сравнить</button>
+    </form>
+    <a href="${jsonHref}">JSON</a>
+  </div>
 
-        <a id="${prefix}-armors"></a>
-        <details>
-          <summary>Броня на карте (по classname)</summary>
-          ${renderCountsList(r.entityStats.armors)}
-        </details>
+  <h1>Сравнение карт</h1>
 
-        <a id="${prefix}-spawns"></a>
-        <details>
-          <summary>Точки появления игроков</summary>
-          ${renderSpawnPoints(r.entityStats.spawnPoints)}
-        </details>
+  <div class="sides">
+    ${[['A', diff.a], ['B', diff.b]].map(([label, side]) => `
+      <div class="side">
+        <strong>${label}:</strong> <a href="/view?map=${encodeURIComponent(side.fileName || '')}">${esc(sideTitle(side))}</a><br>
+        <span class="muted">Файл:</span> <code>${esc(side.fileName || '—')}</code><br>
+        <span class="muted">Версия:</span> ${esc(side.mapVersion || '—')}
+      </div>`).join('')}
+  </div>
 
-        <a id="${prefix}-items"></a>
-        <details>
-          <summary>Полезные предметы</summary>
-          ${renderCountsList(r.entityStats.items)}
-        </details>
-      ` : ''}
-    </div>`;
-  }).join('\n');
+  ${diff.identical
+    ? '<p><strong>Различий в ресурсах и игровых объектах нет.</strong></p>'
+    : `<h2>Ресурсы</h2>
+       ${resourcesHtml || '<p>—</p>'}
+       <h2>Игровые объекты</h2>
+       ${statsHtml || '<p>—</p>'}`}
+</body>
+</html>`;
+}
 
-  const navHtml = navItems.length ? `
-    <nav class="top-nav">
-      <strong>Разделы:</strong>
-      <div class="top-nav-links">
-        ${navItems.map(n => `<a href="${n.href}">${esc(n.label)}</a>`).join('')}
-      </div>
-    </nav>
-  ` : '';
+function renderResourceSearchHtml(query, result, { errorMessage = null } = {}) {
+  const esc = htmlEscape;
+  const kindLabels = { textures: 'текстура', skies: 'небо', sounds: 'звук', models: 'модель' };
+
+  let resultsHtml = '';
+  if (errorMessage) {
+    resultsHtml = `<p class="search-msg">${esc(errorMessage)}</p>`;
+  } else if (result && !result.items.length) {
+    resultsHtml = '<p>Ни одна сохранённая карта не ссылается на этот ресурс.</p>';
+  } else if (result) {
+    resultsHtml = `
+      <p>Карт: <strong>${result.total}</strong>${result.total > result.items.length
+        ? ` <span class="muted">(показаны первые ${result.items.length})</span>` : ''}</p>
+      <ul class="maps">
+        ${result.items.map(item => {
+          const rawTitle = item.mapName || getBaseMapName(item.fileName || '') || item.fileName || '—';
+          const title = cleanMapTitle(rawTitle) || rawTitle;
+          return `<li>
+            <a href="/view?map=${encodeURIComponent(item.fileName || '')}">${esc(title)}</a>
+            <span class="muted">(${esc(item.fileName || '—')})</span>
+            <ul>${item.matches.map(m =>
+              `<li><span class="muted">${kindLabels[m.kind] || esc(m.kind)}:</span> <code>${esc(m.path)}</code></li>`).join('')}</ul>
+          </li>`;
+        }).join('')}
+      </ul>`;
+  }
+
+  const modeLabels = { exact: 'точный путь', prefix: 'префикс', wildcard: 'маска' };
 
   return `
 <!doctype html>
 <html lang="ru">
 <head>
   <meta charset="utf-8">
-  <title>Результаты анализа карт</title>
+  <title>Поиск по ресурсам${query ? `: ${esc(query)}` : ''}</title>
   <style>
-    body{
-      font-family:system-ui,Arial,sans-serif;
-      margin:2rem;
-      max-width:1100px;
-    }
-    .top-bar{
-      display:flex;
-      flex-wrap:wrap;
-      gap:1rem;
-      align-items:center;
-      margin-bottom:1rem;
-    }
-    .top-bar form{margin:0}
-    .home-link{
-      font-size:0.9rem;
-      text-decoration:none;
-      color:#0056b3;
-      margin-right:0.5rem;
-    }
-    .home-link:hover{text-decoration:underline;}
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
     label{font-size:0.95rem}
-    input[type="file"]{max-width:280px}
-    select{padding:0.2rem 0.4rem}
+    input[type="text"]{padding:0.2rem 0.4rem;width:28rem;max-width:100%}
     button{padding:0.3rem 0.8rem;cursor:pointer}
-    .file{
-      border:1px solid #ddd;
-      padding:1rem 1.2rem;
-      margin:1.2rem 0;
-      border-radius:6px;
-      background:#fafafa;
-    }
-    .file-subtitle{
-      font-size:0.9rem;
-      color:#555;
-    }
     .muted{color:#777}
-    code{
-      background:#f6f8fa;
-      padding:0 .2rem;
-      border-radius:3px;
-    }
-    details{
-      margin:0.4rem 0 0.6rem 0;
-      padding:0.4rem 0.6rem;
-      background:#fff;
-      border-radius:4px;
-      border:1px solid #e2e2e2;
-    }
-    summary{
-      cursor:pointer;
-      font-weight:600;
-      outline:none;
-    }
-    summary::-webkit-details-marker{margin-right:4px}
-    .warn-block{
-      border-left:4px solid #f0a500;
-      background:#fffaf0;
-      padding:0.4rem 0.6rem;
-      margin-bottom:0.6rem;
-    }
-    .err-block{
-      border-left:4px solid #cc0000;
-      background:#fff5f5;
-      padding:0.4rem 0.6rem;
-      margin-bottom:0.6rem;
-    }
-    .top-nav{
-      position:sticky;
-      top:0;
-      z-index:10;
-      background:#ffffffee;
-      backdrop-filter:blur(4px);
-      padding:0.4rem 0.6rem;
-      border:1px solid #ddd;
-      border-radius:6px;
-      margin-bottom:1rem;
-      display:flex;
-      align-items:center;
-      gap:0.5rem;
-      flex-wrap:wrap;
-    }
-    .top-nav-links{
-      display:flex;
-      flex-wrap:wrap;
-      gap:0.4rem;
-    }
-    .top-nav a{
-      font-size:0.85rem;
-      text-decoration:none;
-      color:#0056b3;
-      padding:0.1rem 0.4rem;
-      border-radius:4px;
+    .search-msg{color:#b00020}
+    code{background:#f6f8fa;padding:0 .2rem;border-radius:3px}
+    ul.maps > li{margin-bottom:0.5rem}
+    ul{margin:0.3rem 0 0.3rem 1.2rem}
+  </style>
+</head>
+<body>
+  <p><a href="/">← На главную</a></p>
+  <h1>Какие карты используют ресурс</h1>
+
+  <form action="/resources" method="get">
+    <label>
+      Путь, префикс или маска:
+      <input type="text" name="q" value="${esc(query)}" placeholder="textures/e1u1/floor1_3.wal, sound/world/, models/*/tris.md2" />
+    </label>
+    <button type="submit">Найти</button>
+  </form>
+  <p class="muted">
+    Без учёта регистра. Звуки — с префиксом <code>sound/</code>, небо — файлами граней
+    (<code>env/unit1_rt.tga</code>) или префиксом (<code>env/unit1_*</code>).
+    Путь на <code>/</code> или <code>*</code> — поиск по префиксу, <code>*</code> и <code>?</code> в середине — маска.
+    ${result && result.matcher ? `Режим: ${modeLabels[result.matcher.mode]}.` : ''}
+    JSON: <code>/api/v1/resources?q=…</code>
+  </p>
+
+  ${resultsHtml}
+</body>
+</html>`;
+}
+
+// ---- Обзор коллекции с фильтрами (/browse) ----
+
+const BROWSE_PAGE_SIZE = 50;
+// Параметры страницы — те же, что у GET /api/v1/maps
+const BROWSE_PARAMS = [
+  'q', 'format', 'mod', 'dmMin', 'dmMax', 'weapon',
+  'customSky', 'customResources', 'hasErrors', 'hasWarnings',
+  'tag', 'author', 'notes', 'minRating', 'players',
+  'sort', 'order', 'limit', 'page'
+];
+const BROWSE_SORT_LABELS = {
+  mapName: 'названию',
+  fileName: 'имени файла',
+  updatedAt: 'дате обновления',
+  createdAt: 'дате загрузки',
+  fileSize: 'размеру файла'
+};
+
+// Ссылка на /browse с текущими фильтрами; changes заменяют параметры (null — убрать).
+// Пустые значения не пишутся, чтобы ссылкой было удобно делиться.
+function browseHref(query, changes = {}) {
+  const params = new URLSearchParams();
+  const merged = { ...query, ...changes };
+  for (const key of BROWSE_PARAMS) {
+    const value = merged[key];
+    if (value === null || value === undefined) continue;
+    for (const v of Array.isArray(value) ? value : [value]) {
+      if ((typeof v === 'string' && v !== '') || typeof v === 'number') params.append(key, String(v));
     }
-    .top-nav a:hover{
-      background:#eaf3ff;
+  }
+  const qs = params.toString();
+  return '/browse' + (qs ? `?${qs}` : '');
+}
+
+// Оружие из всех словарей classname: [{ classname, name }] без повторов
+function listWeaponClassnames() {
+  const seen = new Map();
+  for (const dict of listDictionaries()) {
+    for (const [cls, entry] of Object.entries(dict.classnames)) {
+      if (entry.category === 'weapon' && !seen.has(cls)) seen.set(cls, entry.name || cls);
     }
-    ul{margin:0.3rem 0 0.8rem 1.2rem}
+  }
+  return Array.from(seen, ([classname, name]) => ({ classname, name }));
+}
+
+function renderBrowseHtml(query, { items, total, sort, order, page, limit }) {
+  const esc = htmlEscape;
+  const value = key => typeof query[key] === 'string' ? query[key] : '';
+  const selectedWeapons = new Set(queryList(query.weapon));
+  const selectedTags = new Set(queryList(query.tag));
+  const pages = Math.max(1, Math.ceil(total / limit));
+
+  const option = (key, optValue, label) =>
+    `<option value="${esc(optValue)}"${value(key) === optValue ? ' selected' : ''}>${esc(label)}</option>`;
+  const boolSelect = (key, label, yes, no) => `
+      <label>${label}:
+        <select name="${key}">
+          ${option(key, '', 'неважно')}
+          ${option(key, 'true', yes)}
+          ${option(key, 'false', no)}
+        </select>
+      </label>`;
+
+  const formatOptions = Object.entries(BSP_FORMATS)
+    .map(([id, f]) => option('format', id, f.label)).join('');
+  const modOptions = listDictionaries()
+    .map(d => option('mod', d.id, d.name)).join('');
+  const sortOptions = Object.entries(BROWSE_SORT_LABELS)
+    .map(([field, label]) => `<option value="${field}"${field === sort ? ' selected' : ''}>${label}</option>`).join('');
+  const ratingOptions = Array.from({ length: MAX_RATING }, (_, i) => String(i + 1))
+    .map(n => option('minRating', n, `от ${renderRating(Number(n))}`)).join('');
+  const tagBoxes = CURATION_TAGS.map(tag => `
+      <label><input type="checkbox" name="tag" value="${tag}"${selectedTags.has(tag) ? ' checked' : ''}> ${esc(CURATION_TAG_LABELS[tag])}</label>`).join('');
+  const weaponBoxes = listWeaponClassnames().map(w => `
+      <label class="weapon" title="${esc(w.classname)}">
+        <input type="checkbox" name="weapon" value="${esc(w.classname)}"${selectedWeapons.has(w.classname) ? ' checked' : ''}>
+        ${esc(w.name)}
+      </label>`).join('');
+
+  const weaponName = cls => {
+    const entry = lookupClassname(cls);
+    return entry ? entry.name : cls;
+  };
+  const formatKb = n => n == null ? '—' : Math.round(n / 1024).toLocaleString('ru-RU');
+  const formatDate = d => d ? new Date(d).toISOString().slice(0, 10) : '—';
+
+  const rows = items.map(doc => {
+    const fileName = doc.fileName || '';
+    const rawTitle = doc.mapName || getBaseMapName(fileName) || 'Без имени';
+    const title = cleanMapTitle(rawTitle) || 'Без имени';
+    const stats = doc.entityStats || {};
+    const weapons = Object.keys(stats.weapons || {}).sort();
+    const customSkies = doc.stockCheck && doc.stockCheck.skies ? doc.stockCheck.skies.custom : [];
+    const errors = (doc.errors || []).length;
+    const warnings = (doc.warnings || []).length;
+    const curation = doc.curation || createEmptyCuration();
+    const catalog = [
+      curation.tags.map(t => esc(CURATION_TAG_LABELS[t])).join(', '),
+      curation.players ? `${formatPlayers(curation.players)} игр.` : '',
+      curation.rating ? `<span title="${curation.rating} из ${MAX_RATING}">${renderRating(curation.rating)}</span>` : '',
+      curation.author ? `<span class="muted">${esc(curation.author)}</span>` : ''
+    ].filter(Boolean);
+    return `
+      <tr>
+        <td><a href="/view?map=${encodeURIComponent(fileName)}">${esc(title)}</a>
+          <div class="muted">${esc(fileName || '—')}</div></td>
+        <td>${esc(doc.format ? doc.format.label : '—')}</td>
+        <td>${esc(doc.mod ? doc.mod.name : '—')}</td>
+        <td class="num">${stats.spawnPoints ? stats.spawnPoints.deathmatch : 0}</td>
+        <td>${weapons.length ? weapons.map(cls => `<span title="${esc(cls)}">${esc(weaponName(cls))}</span>`).join(', ') : '—'}</td>
+        <td>${(doc.skies || []).map(sky => `<code>${esc(sky)}</code>`).join(' ') || '—'}${customSkies.length ? ' <span class="badge">своё</span>' : ''}</td>
+        <td class="num">${formatKb(doc.bspStructure ? doc.bspStructure.fileSize : null)}</td>
+        <td>${catalog.join('<br>') || '—'}</td>
+        <td>${formatDate(doc.updatedAt)}</td>
+        <td>${errors ? `<span class="err">ошибок: ${errors}</span>` : ''}${errors && warnings ? '<br>' : ''}${warnings ? `<span class="warn">предупреждений: ${warnings}</span>` : ''}${!errors && !warnings ? '—' : ''}</td>
+      </tr>`;
+  }).join('');
+
+  const pageLink = (n, label) => n === page
+    ? `<strong>${label}</strong>`
+    : `<a href="${esc(browseHref(query, { page: n === 1 ? null : n }))}">${label}</a>`;
+  // первая, последняя и соседние страницы
+  const pageNumbers = Array.from({ length: pages }, (_, i) => i + 1)
+    .filter(n => n === 1 || n === pages || Math.abs(n - page) <= 2);
+  const pagination = pages > 1 ? `
+    <p class="pages">
+      ${page > 1 ? pageLink(page - 1, '← назад') : ''}
+      ${pageNumbers.map((n, i) => (i && n - pageNumbers[i - 1] > 1 ? '… ' : '') + pageLink(n, n)).join(' ')}
+      ${page < pages ? pageLink(page + 1, 'вперёд →') : ''}
+    </p>` : '';
+
+  const apiQuery = browseHref(query, { page: page === 1 ? null : page }).slice('/browse'.length);
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Карты в базе</title>
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1300px}
+    label{font-size:0.95rem}
+    select,input{padding:0.2rem 0.4rem}
+    input[type="number"]{width:4.5rem}
+    button{padding:0.3rem 0.8rem;cursor:pointer}
+    fieldset{border:1px solid #ddd;border-radius:4px;margin:0 0 0.8rem;padding:0.5rem 0.8rem}
+    .filters{display:flex;flex-wrap:wrap;gap:0.6rem 1.2rem;align-items:center}
+    .weapon{display:inline-block;margin-right:0.8rem;white-space:nowrap}
+    .muted{color:#777}
+    .err{color:#b00020}
+    .warn{color:#a15c00}
+    .badge{font-size:0.8rem;background:#eef;border-radius:3px;padding:0 .3rem}
+    code{background:#f6f8fa;padding:0 .2rem;border-radius:3px}
+    table{border-collapse:collapse;width:100%;font-size:0.92rem}
+    th,td{border-bottom:1px solid #eee;padding:0.3rem 0.5rem;text-align:left;vertical-align:top}
+    th{background:#fafafa}
+    td.num{text-align:right}
+    .pages a,.pages strong{margin-right:0.4rem}
   </style>
 </head>
 <body>
-  <div class="top-bar">
-    <a href="/" class="home-link">← К выбору/поиску карт</a>
+  <p><a href="/">← На главную</a></p>
+  <h1>Карты в базе</h1>
 
-    <form action="/analyze" method="post" enctype="multipart/form-data">
-      <label>
-        Загрузить BSP:
-        <input type="file" name="maps" multiple accept=".bsp" />
-      </label>
-      <button type="submit">Анализировать</button>
-    </form>
-
-    ${haveMaps ? `
-      <form action="/view" method="get" id="savedMapFormTop">
-        <label>
-          Сохранённые карты:
-          <select name="map" onchange="if(this.value) document.getElementById('savedMapFormTop').submit();">
-            <option value="">— выбрать карту —</option>
-            ${savedOptions}
-          </select>
+  <form action="/browse" method="get">
+    <fieldset>
+      <legend>Фильтры</legend>
+      <div class="filters">
+        <label>Имя файла или название: <input type="text" name="q" value="${esc(value('q'))}"></label>
+        <label>Формат BSP:
+          <select name="format">${option('format', '', 'любой')}${formatOptions}</select>
         </label>
-        <noscript><button type="submit">Открыть</button></noscript>
-      </form>
-    ` : ''}
-  </div>
+        <label>Игра / мод:
+          <select name="mod">${option('mod', '', 'любой')}${modOptions}</select>
+        </label>
+        <label>DM-спавнов: от <input type="number" name="dmMin" min="0" value="${esc(value('dmMin'))}"></label>
+        <label>до <input type="number" name="dmMax" min="0" value="${esc(value('dmMax'))}"></label>
+      </div>
+      <div class="filters">
+        ${boolSelect('customSky', 'Небо', 'своё', 'стандартное')}
+        ${boolSelect('customResources', 'Свои ресурсы', 'есть', 'нет')}
+        ${boolSelect('hasErrors', 'Ошибки разбора', 'есть', 'нет')}
+        ${boolSelect('hasWarnings', 'Предупреждения', 'есть', 'нет')}
+      </div>
+    </fieldset>
+    <fieldset>
+      <legend>Каталог</legend>
+      <div class="filters">
+        <span>Режимы (все отмеченные): ${tagBoxes}</span>
+        <label>Автор: <input type="text" name="author" value="${esc(value('author'))}"></label>
+        <label>Заметки: <input type="text" name="notes" value="${esc(value('notes'))}"></label>
+        <label>Оценка: <select name="minRating">${option('minRating', '', 'любая')}${ratingOptions}</select></label>
+        <label>Подходит для игроков: <input type="number" name="players" min="1" value="${esc(value('players'))}"></label>
+      </div>
+    </fieldset>
+    <fieldset>
+      <legend>Есть оружие (все отмеченные)</legend>
+      ${weaponBoxes}
+    </fieldset>
+    <label>Сортировать по <select name="sort">${sortOptions}</select></label>
+    <select name="order">
+      <option value="asc"${order === 1 ? ' selected' : ''}>по возрастанию</option>
+      <option value="desc"${order === -1 ? ' selected' : ''}>по убыванию</option>
+    </select>
+    <button type="submit">Показать</button>
+    <a href="/browse">сбросить</a>
+  </form>
 
-  <h1>Результаты анализа карт</h1>
+  <p>Найдено карт: <strong>${total}</strong>${pages > 1 ? `, страница ${page} из ${pages}` : ''}
+    <span class="muted">— JSON: <code>/api/v1/maps${esc(apiQuery)}</code></span></p>
 
-  ${navHtml}
+  ${items.length ? `
+  <table>
+    <thead><tr>
+      <th>Карта</th><th>Формат</th><th>Игра / мод</th><th>DM-спавнов</th><th>Оружие</th>
+      <th>Небо</th><th>Размер, КБ</th><th>Каталог</th><th>Обновлена</th><th>Проблемы</th>
+    </tr></thead>
+    <tbody>${rows}</tbody>
+  </table>` : '<p>Под фильтры не подошла ни одна карта.</p>'}
 
-  ${fileBlocks}
+  ${pagination}
+</body>
+</html>`;
+}
 
-  <p><a href="/">← На главную (выбор/поиск карт)</a></p>
+function renderPackageHtml(doc, plan) {
+  const esc = htmlEscape;
+  const kindLabels = { map: 'карта', textures: 'текстура', skies: 'небо', sounds: 'звук', models: 'модель' };
+  const fileName = doc.fileName || '';
+  const rawTitle = doc.mapName || getBaseMapName(fileName) || fileName;
+  const title = cleanMapTitle(rawTitle) || rawTitle;
+  const href = format => `/package?map=${encodeURIComponent(fileName)}&format=${format}`;
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Пакет карты: ${esc(title)}</title>
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
+    .muted{color:#777}
+    .warn-block{background:#fff8e1;border:1px solid #f0c36d;padding:0.5rem 0.8rem;border-radius:4px}
+    code{background:#f6f8fa;padding:0 .2rem;border-radius:3px}
+    table{border-collapse:collapse}
+    th,td{border:1px solid #ddd;padding:0.2rem 0.5rem;text-align:left;font-size:0.9rem}
+    ul{margin:0.3rem 0 0.3rem 1.2rem}
+  </style>
+</head>
+<body>
+  <p><a href="/view?map=${encodeURIComponent(fileName)}">← К карте</a></p>
+  <h1>Пакет карты: ${esc(title)}</h1>
+
+  <p class="muted">
+    ${plan.dirs.length
+      ? `Каталоги игры: ${plan.dirs.map(d => `<code>${esc(d)}</code>`).join(', ')}`
+      : 'Каталог игры не настроен (GAME_DATA_DIR) — свой контент карты искать негде.'}
+    Стандартные ресурсы в пакет не входят.
+  </p>
+
+  ${plan.missing.length ? `<div class="warn-block">
+    <strong>Не найдено (${plan.missing.length}):</strong>
+    <ul>${plan.missing.map(m =>
+      `<li><span class="muted">${kindLabels[m.kind] || esc(m.kind)}:</span> <code>${esc(m.path)}</code></li>`).join('')}</ul>
+  </div>` : '<p>Все зависимости найдены.</p>'}
+
+  <h2>Войдёт в пакет (${plan.files.length})</h2>
+  ${plan.files.length ? `
+  <p>Скачать: <a href="${href('pak')}">.pak</a> · <a href="${href('zip')}">.zip</a></p>
+  <table>
+    <tr><th>Файл</th><th>Тип</th><th>Откуда</th></tr>
+    ${plan.files.map(f => `<tr>
+      <td><code>${esc(f.path)}</code></td>
+      <td>${kindLabels[f.kind] || esc(f.kind)}</td>
+      <td class="muted">${esc(f.source)}</td>
+    </tr>`).join('')}
+  </table>` : '<p>Нечего упаковывать.</p>'}
+</body>
+</html>`;
+}
+
+const JOB_STATUS_LABELS = { queued: 'в очереди', running: 'выполняется', done: 'завершена', failed: 'прервана с ошибкой' };
+const JOB_FILE_STATUS_LABELS = { pending: 'ждёт', running: 'разбор…', done: 'готово', failed: 'ошибка' };
+
+const isJobFinished = job => job.status === 'done' || job.status === 'failed';
+
+function renderJobFileRow(file, index) {
+  const esc = htmlEscape;
+  const sum = key => file.maps.reduce((total, m) => total + m[key], 0);
+  const errors = sum('errorCount') + (file.status === 'failed' && !file.maps.length ? 1 : 0);
+  const problem = file.status === 'failed' || errors > 0;
+
+  const maps = file.maps.map(m => {
+    const name = m.saved
+      ? `<a href="/view?map=${encodeURIComponent(m.file)}">${esc(m.file)}</a>`
+      : esc(m.file);
+    const title = m.mapName ? ` <span class="muted">${esc(cleanMapTitle(m.mapName) || m.mapName)}</span>` : '';
+    const copy = m.duplicateOf ? ` <span class="muted">(копия ${esc(m.duplicateOf)})</span>` : '';
+    return `<div>${name}${title}${copy}</div>`;
+  }).join('');
+
+  const errorTitle = file.error || file.maps.flatMap(m => m.errors).join('\n');
+
+  return `<tr id="job-file-${index}" class="status-${esc(file.status)}"${problem ? ' data-problem="1"' : ''}>
+      <td>${index + 1}</td>
+      <td><code>${esc(file.name)}</code></td>
+      <td>${esc(JOB_FILE_STATUS_LABELS[file.status] || file.status)}</td>
+      <td>${maps || (file.error ? `<span class="err">${esc(file.error)}</span>` : '—')}</td>
+      <td${errorTitle ? ` title="${esc(errorTitle)}"` : ''}>${errors || ''}</td>
+      <td>${sum('warnings') || ''}</td>
+      <td>${sum('lint') || ''}</td>
+    </tr>`;
+}
+
+function renderJobSummary(job) {
+  if (!isJobFinished(job)) return '';
+  const maps = job.files.flatMap(f => f.maps);
+  const saved = maps.filter(m => m.saved);
+  const seconds = job.startedAt && job.finishedAt
+    ? ((new Date(job.finishedAt) - new Date(job.startedAt)) / 1000).toFixed(1)
+    : null;
+
+  return `<h2>Итог</h2>
+    <ul>
+      <li>Файлов: <strong>${job.total}</strong>, разобрано: <strong>${job.total - job.failed}</strong>${job.failed ? `, не удалось: <strong class="err">${job.failed}</strong>` : ''}</li>
+      <li>Карт сохранено: <strong>${saved.length}</strong>${saved.some(m => m.duplicateOf) ? `, из них уже были в базе под другим именем: <strong>${saved.filter(m => m.duplicateOf).length}</strong>` : ''}</li>
+      <li>Карт с ошибками разбора: <strong>${maps.filter(m => m.errorCount).length}</strong></li>
+      ${seconds !== null ? `<li class="muted">Время: ${seconds} с</li>` : ''}
+      ${job.error ? `<li class="err">Задача прервана: ${htmlEscape(job.error)}</li>` : ''}
+    </ul>`;
+}
+
+// Куда перейти после загрузки одной карты — сразу на её страницу
+function jobRedirectHref(job) {
+  const maps = job.files.flatMap(f => f.maps);
+  return job.status === 'done' && job.total === 1 && maps.length === 1 && maps[0].saved
+    ? `/view?map=${encodeURIComponent(maps[0].file)}`
+    : null;
+}
+
+function renderJobHtml(job, { position = 0 } = {}) {
+  const esc = htmlEscape;
+  const finished = isJobFinished(job);
+  const statusText = job.status === 'queued' && position
+    ? `${JOB_STATUS_LABELS.queued} (место ${position})`
+    : JOB_STATUS_LABELS[job.status] || job.status;
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Загрузка: ${job.total} ${job.total === 1 ? 'файл' : 'файлов'}</title>
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
+    .top-bar{display:flex;flex-wrap:wrap;gap:1rem;align-items:center;margin-bottom:1rem}
+    .muted{color:#777}
+    .err{color:#b00020}
+    code{background:#f6f8fa;padding:0 .2rem;border-radius:3px}
+    progress{width:28rem;max-width:100%}
+    table{border-collapse:collapse;width:100%;font-size:0.9rem}
+    th,td{border:1px solid #e2e2e2;padding:0.3rem 0.5rem;text-align:left;vertical-align:top}
+    th{background:#f6f8fa}
+    td:nth-child(n+5){text-align:right}
+    tr.status-running{background:#f4f8ff}
+    tr.status-failed{background:#fff5f5}
+    .only-problems tbody tr:not([data-problem]){display:none}
+  </style>
+</head>
+<body>
+  <div class="top-bar">
+    <a href="/">← На главную</a>
+  </div>
+
+  <h1>Загрузка: ${job.total} ${job.total === 1 ? 'файл' : 'файлов'}</h1>
+  <p>Задача: <strong id="jobStatus">${esc(statusText)}</strong>${job.user ? ` <span class="muted">— загрузил ${esc(job.user)}</span>` : ''}</p>
+  <p>
+    <progress id="jobProgress" max="${job.total || 1}" value="${job.done}"></progress>
+    <span id="jobCounts">${job.done} из ${job.total}${job.failed ? `, с ошибкой: ${job.failed}` : ''}</span>
+  </p>
+
+  <div id="jobSummary">${renderJobSummary(job)}</div>
+
+  <p><label><input type="checkbox" id="onlyProblems" /> Только файлы с ошибками</label></p>
+  <table id="jobFiles">
+    <thead><tr><th>#</th><th>Файл</th><th>Статус</th><th>Карты</th><th>Ошибки</th><th>Предупреждения</th><th>Проверка сущностей</th></tr></thead>
+    <tbody>${job.files.map(renderJobFileRow).join('')}</tbody>
+  </table>
 
   <script>
     (function() {
-      function openDetailsForHash() {
-        var hash = window.location.hash;
-        if (!hash || hash.length < 2) return;
-        var id = hash.slice(1);
-        var anchor = document.getElementById(id);
-        if (!anchor) return;
+      var table = document.getElementById('jobFiles');
+      document.getElementById('onlyProblems').addEventListener('change', function(ev) {
+        table.classList.toggle('only-problems', ev.target.checked);
+      });
+      ${finished ? '' : `
+      if (!window.EventSource) return;
+      var labels = ${JSON.stringify(JOB_STATUS_LABELS)};
+      var source = new EventSource(${JSON.stringify(`/jobs/${encodeURIComponent(job.id)}/events`)});
 
-        var details = anchor.nextElementSibling;
-        if (details && details.tagName && details.tagName.toLowerCase() === 'details') {
-          details.open = true;
-        }
+      function progress(data) {
+        document.getElementById('jobStatus').textContent = labels[data.status] || data.status;
+        document.getElementById('jobProgress').value = data.done;
+        document.getElementById('jobCounts').textContent =
+          data.done + ' из ' + data.total + (data.failed ? ', с ошибкой: ' + data.failed : '');
       }
 
-      window.addEventListener('hashchange', openDetailsForHash);
-
-      window.addEventListener('DOMContentLoaded', function() {
-        openDetailsForHash();
-
-        var navLinks = document.querySelectorAll('.top-nav a[href^="#"]');
-        navLinks.forEach(function(a) {
-          a.addEventListener('click', function() {
-            setTimeout(openDetailsForHash, 0);
-          });
-        });
+      source.addEventListener('progress', function(ev) { progress(JSON.parse(ev.data)); });
+      source.addEventListener('file', function(ev) {
+        var data = JSON.parse(ev.data);
+        var row = document.getElementById('job-file-' + data.index);
+        if (row) row.outerHTML = data.html;
+      });
+      source.addEventListener('end', function(ev) {
+        var data = JSON.parse(ev.data);
+        source.close();
+        progress(data);
+        document.getElementById('jobSummary').innerHTML = data.summaryHtml;
+        if (data.redirect) window.location.href = data.redirect;
       });
+      `}
     })();
   </script>
 </body>
 </html>`;
 }
 
+function renderReanalyzeHtml(status) {
+  const esc = htmlEscape;
+  const job = status.job;
+  const running = job && job.status === 'running';
+  const statusLabels = { running: 'идёт', done: 'завершён', failed: 'прерван с ошибкой' };
+  const percent = job && job.total ? Math.floor(job.done * 100 / job.total) : 0;
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Повторный анализ карт</title>
+  ${running ? '<meta http-equiv="refresh" content="2">' : ''}
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
+    button{padding:0.3rem 0.8rem;cursor:pointer}
+    .muted{color:#777}
+    .err-block{color:#b00020}
+    progress{width:28rem;max-width:100%}
+  </style>
+</head>
+<body>
+  <p><a href="/">← На главную</a></p>
+  <h1>Повторный анализ карт</h1>
+
+  <p>Текущая версия анализатора: <strong>${status.parserVersion}</strong></p>
+  <ul>
+    <li>Устаревших карт с сохранённым исходником: <strong>${status.stale}</strong></li>
+    <li>Устаревших карт без исходника: <strong>${status.withoutOriginal}</strong>
+      <span class="muted">— их нужно загрузить заново</span></li>
+  </ul>
+
+  ${job ? `
+  <h2>Задача: ${esc(statusLabels[job.status] || job.status)}</h2>
+  <p>
+    <progress max="${job.total || 1}" value="${job.done}"></progress>
+    ${job.done} из ${job.total} (${percent}%)${job.failed ? `, ошибок: ${job.failed}` : ''}
+  </p>
+  <p class="muted">
+    Начата: ${esc(job.startedAt.toISOString())}${job.user ? `, запустил ${esc(job.user)}` : ''}
+    ${job.finishedAt ? `<br>Завершена: ${esc(job.finishedAt.toISOString())}` : ''}
+  </p>
+  ${job.errors.length ? `<div class="err-block">
+    <strong>Ошибки:</strong>
+    <ul>${job.errors.map(e => `<li>${esc(e)}</li>`).join('')}</ul>
+  </div>` : ''}` : ''}
+
+  ${running ? '' : `
+  <form action="/admin/reanalyze" method="post">
+    <button type="submit"${status.stale ? '' : ' disabled'}>Запустить повторный анализ</button>
+  </form>`}
+</body>
+</html>`;
+}
+
+function renderLoginHtml({ next = '/', user = null, name = '', error = null } = {}) {
+  const esc = htmlEscape;
+
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Вход</title>
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
+    label{display:block;margin:0.5rem 0}
+    input[type=text],input[type=password]{width:20rem;max-width:100%;padding:0.3rem}
+    button{padding:0.3rem 0.8rem;cursor:pointer}
+    .muted{color:#777}
+    .err-block{color:#b00020}
+  </style>
+</head>
+<body>
+  <p><a href="/">← На главную</a></p>
+  <h1>Вход</h1>
+
+  ${user && user.name ? `<p>Вы уже вошли как <strong>${esc(user.name)}</strong> (${ROLE_LABELS[user.role]}).</p>` : ''}
+  ${error ? `<p class="err-block">${esc(error)}</p>` : ''}
+
+  <form action="/login" method="post">
+    <input type="hidden" name="next" value="${esc(next)}">
+    <label>Имя<br><input type="text" name="name" value="${esc(name)}" autocomplete="username" autofocus></label>
+    <label>Пароль<br><input type="password" name="password" autocomplete="current-password" required></label>
+    <button type="submit">Войти</button>
+  </form>
+  <p class="muted">Вместо пароля можно ввести API-токен; имя тогда можно не указывать.</p>
+</body>
+</html>`;
+}
+
+function renderAuditHtml(entries, { limit = AUDIT_PAGE_LIMIT } = {}) {
+  return `
+<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Журнал изменений</title>
+  <style>
+    body{font-family:system-ui,Arial,sans-serif;margin:2rem;max-width:1100px}
+    table{border-collapse:collapse;font-size:0.9rem}
+    th,td{border:1px solid #e2e2e2;padding:0.2rem 0.5rem;text-align:left;vertical-align:top}
+    th{background:#f5f5f5}
+    .muted{color:#777}
+  </style>
+</head>
+<body>
+  <p><a href="/">← На главную</a></p>
+  <h1>Журнал изменений</h1>
+
+  <p class="muted">Загрузки, повторный анализ, правка каталога и удаление карт — новые сверху${entries.length === limit ? `, последние ${limit} записей` : ''}.</p>
+
+  ${entries.length ? `
+  <table>
+    <thead><tr><th>Когда (UTC)</th><th>Кто</th><th>Что</th><th>Карта</th><th>Подробности</th></tr></thead>
+    <tbody>${renderAuditRows(entries, { withMap: true })}</tbody>
+  </table>` : '<p>Записей пока нет.</p>'}
+</body>
+</html>`;
+}
+
 function htmlEscape(s) {
   return String(s).replace(/[&<>"']/g, c => ({
     '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'
   }[c]));
 }
 
-// ---- BSP parsing (Quake 2 IBSP v38) ----
+// Ссылка на поиск карт по ресурсу (для списков ресурсов на странице карты)
+function resourceSearchHref(kind, resPath) {
+  const query = kind === 'skies'
+    ? normalizeArchivePath(resPath).replace(/\*?$/, '*')
+    : (resourceKeysFor(kind, resPath)[0] || resPath);
+  return '/resources?q=' + encodeURIComponent(query);
+}
 
-const Q2_MAGIC = 'IBSP';
-const Q2_VERSION = 38;
-const LUMP = {
-  ENTITIES: 0,
-  TEXINFO: 5
-};
-// dtexinfo_t size in bytes for Quake 2: 32 (vecs) + 4 (flags) + 4 (value) + 32 (texture) + 4 (nexttexinfo) = 76
-const DTEXINFO_SIZE = 76;
+// ---- Экспорт списков файлов для сервера ----
 
-function createEmptyEntityStats() {
-  return {
-    weapons: {},        // weapon_* -> count
-    armors: {},         // item_armor_* -> count
-    spawnPoints: {      // info_player_* counters
-      deathmatch: 0,
-      coop: 0,
-      start: 0,
-      intermission: 0
-    },
-    items: {}           // полезные item_*
-  };
-}
+const EXPORT_FORMATS = {
+  txt: { ext: 'txt', type: 'text/plain; charset=utf-8' },
+  csv: { ext: 'csv', type: 'text/csv; charset=utf-8' },
+  json: { ext: 'json', type: 'application/json; charset=utf-8' },
+  // .filelist для HTTP-закачки q2pro/r1q2: путь от каталога игры на строку
+  filelist: { ext: 'filelist', type: 'text/plain; charset=utf-8' }
+};
 
-function inc(map, key) {
-  map[key] = (map[key] || 0) + 1;
-}
+// Файлы, которые нужны клиенту для карты: сам BSP, текстуры, грани неба, звуки, модели.
+// -> [{ path, kind, stock }]
+function exportFilesForMap(doc) {
+  const manifest = getStockManifest();
+  const files = [];
 
-function classifyClassname(cls, entityStats) {
-  // Оружие
-  if (cls.startsWith('weapon_')) {
-    inc(entityStats.weapons, cls);
-    return;
+  if (doc.fileName) {
+    const bspPath = 'maps/' + normalizeArchivePath(doc.fileName);
+    files.push({ path: bspPath, kind: 'map', stock: !!manifest && manifest.files.has(bspPath) });
   }
 
-  // Броня
-  if (cls.startsWith('item_armor_')) {
-    inc(entityStats.armors, cls);
-    return;
+  // у Quake 1 текстуры встроены в BSP, у Quake 3 это шейдеры — в список не попадают
+  const kinds = isQuake2Family(doc) ? ['textures', 'skies', 'sounds', 'models'] : ['sounds', 'models'];
+  for (const kind of kinds) {
+    for (const resPath of doc[kind] || []) {
+      const stock = isStockResource(kind, resPath);
+      if (kind === 'skies') {
+        for (const facePath of skyFacePaths(resPath).flat()) {
+          files.push({ path: facePath, kind, stock });
+        }
+        continue;
+      }
+      const candidates = resourceCandidatePaths(kind, resPath);
+      if (candidates) files.push({ path: candidates[0], kind, stock });
+    }
   }
+  return files;
+}
 
-  // Спавны игроков
-  if (cls.startsWith('info_player_')) {
-    if (cls === 'info_player_deathmatch') {
-      entityStats.spawnPoints.deathmatch++;
-    } else if (cls === 'info_player_start') {
-      entityStats.spawnPoints.start++;
-    } else if (cls === 'info_player_coop') {
-      entityStats.spawnPoints.coop++;
-    } else if (cls === 'info_player_intermission') {
-      entityStats.spawnPoints.intermission++;
+// Объединяет списки нескольких карт: один путь — одна строка со списком карт
+function buildExportList(docs, { includeStock = true } = {}) {
+  const byPath = new Map();
+  for (const doc of docs) {
+    for (const file of exportFilesForMap(doc)) {
+      if (!includeStock && file.stock) continue;
+      let entry = byPath.get(file.path);
+      if (!entry) {
+        entry = { ...file, maps: [] };
+        byPath.set(file.path, entry);
+      }
+      if (doc.fileName && !entry.maps.includes(doc.fileName)) entry.maps.push(doc.fileName);
     }
-    return;
   }
+  return Array.from(byPath.values()).sort((a, b) => a.path.localeCompare(b.path));
+}
 
-  // Полезные предметы (минимально интересный набор)
-  const interestingItems = new Set([
-    'item_health',
-    'item_health_large',
-    'item_health_mega',
-    'item_quad',
-    'item_invulnerability',
-    'item_adrenaline',
-    'item_bandolier',
-    'item_pack',
-    'item_power_screen',
-    'item_power_shield'
-  ]);
-  if (interestingItems.has(cls)) {
-    inc(entityStats.items, cls);
+function csvField(value) {
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function renderExport(format, files, mapNames) {
+  if (format === 'json') {
+    return JSON.stringify({ maps: mapNames, files }, null, 2);
   }
+  if (format === 'csv') {
+    const rows = files.map(f => [f.path, f.kind, f.stock ? 'yes' : 'no', f.maps.join(';')].map(csvField).join(','));
+    return ['path,kind,stock,maps', ...rows].join('\r\n') + '\r\n';
+  }
+  return files.map(f => f.path + '\n').join('');
+}
+
+function sendExport(res, docs, format, { includeStock, baseName }) {
+  const info = EXPORT_FORMATS[format];
+  // стандартный контент у клиентов уже есть — в .filelist он только лишние проверки
+  const files = buildExportList(docs, { includeStock: includeStock && format !== 'filelist' });
+  res.attachment(`${baseName}.${info.ext}`);
+  res.type(info.type);
+  res.send(renderExport(format, files, docs.map(d => d.fileName)));
 }
 
-function analyzeBspBuffer(buf) {
-  const errors = [];
-  const warnings = [];
+// ---- Сборка пакета карты (.pak / .zip) ----
+//
+// GAME_DATA_DIR — игровые каталоги (через path.delimiter), откуда берётся свой контент карты:
+// свободные файлы и содержимое архивов в корне. Стандартные ресурсы в пакет не кладутся,
+// поэтому BASEQ2_DIR сюда не подставляется — всё в нём считается стандартным.
 
-  if (buf.length < 8) {
-    throw new Error('Файл слишком мал для BSP заголовка');
-  }
+const GAME_DATA_DIR = process.env.GAME_DATA_DIR;
+
+function gameDataDirs() {
+  return (GAME_DATA_DIR || '').split(path.delimiter).map(d => d.trim()).filter(Boolean);
+}
 
-  const magic = buf.toString('ascii', 0, 4);
-  const version = buf.readInt32LE(4);
-  if (magic !== Q2_MAGIC) {
-    errors.push(`Неверная сигнатура: ожидается "${Q2_MAGIC}", получено "${magic}"`);
+// Индекс каталогов игры строится один раз и пересобирается, только когда они изменились:
+// { signature, index, checkedAt }. Содержимое свободных файлов читается при сборке пакета,
+// поэтому для них важны только добавление и удаление (они меняют mtime каталога); архивы
+// открываются при построении индекса — для них учитываются mtime и размер. Обход всех
+// каталогов недешёв, поэтому делается не чаще раза в GAME_DATA_RECHECK_MS.
+const GAME_DATA_RECHECK_MS = (Number(process.env.GAME_DATA_RECHECK_SECONDS) || 10) * 1000;
+
+let gameDataIndexCache = null;
+
+function gameDataSignature(dirs) {
+  const parts = [];
+  const walk = (abs, root) => {
+    parts.push(`${abs}:${fs.statSync(abs).mtimeMs}`);
+    for (const dirent of fs.readdirSync(abs, { withFileTypes: true })) {
+      const childAbs = path.join(abs, dirent.name);
+      if (dirent.isDirectory()) {
+        walk(childAbs, false);
+      } else if (root && dirent.isFile() && isArchiveFileName(dirent.name)) {
+        const stat = fs.statSync(childAbs);
+        parts.push(`${childAbs}:${stat.mtimeMs}:${stat.size}`);
+      }
+    }
+  };
+  for (const dir of dirs) walk(dir, true);
+  return parts.join('\n');
+}
+
+function getGameDataIndex() {
+  const now = Date.now();
+  if (gameDataIndexCache && now - gameDataIndexCache.checkedAt < GAME_DATA_RECHECK_MS) {
+    return gameDataIndexCache.index;
   }
-  if (version !== Q2_VERSION) {
-    warnings.push(`Версия BSP ${version}. Ожидалась ${Q2_VERSION} (Quake 2). Попытаюсь разобрать дальше.`);
+  const signature = gameDataSignature(gameDataDirs());
+  if (!gameDataIndexCache || gameDataIndexCache.signature !== signature) {
+    gameDataIndexCache = { signature, index: buildGameDataIndex(), checkedAt: now };
   }
+  gameDataIndexCache.checkedAt = now;
+  return gameDataIndexCache.index;
+}
 
-  // Лумпы (offset/length) начинаются с 8 байта, каждая запись: int32 offset + int32 length
-  const lumps = [];
-  let off = 8;
-  for (let i = 0; i < 19; i++) {
-    if (off + 8 > buf.length) {
-      errors.push('Неожиданный конец файла в таблице лумпов');
-      break;
+// Путь -> { source, read() }. Приоритет как в движке: каталоги по порядку, внутри каталога
+// pak-файлы с большим номером перекрывают меньшие, а архивы — свободные файлы.
+function buildGameDataIndex() {
+  const index = new Map();
+  const add = (p, entry) => {
+    const key = normalizeArchivePath(p);
+    if (!index.has(key)) index.set(key, entry);
+  };
+
+  for (const dir of gameDataDirs()) {
+    const loose = [];
+    const archives = [];
+    walkGameDirectory(dir,
+      (rel, abs) => loose.push({ rel, abs }),
+      abs => archives.push(abs));
+
+    archives.sort((a, b) => b.localeCompare(a));
+    for (const abs of archives) {
+      let archive;
+      try {
+        archive = openArchiveFile(abs);
+      } catch (err) {
+        console.error(`Не удалось открыть ${abs}:`, err.message);
+        continue;
+      }
+      for (const [p, entry] of archive.entries) {
+        add(p, { source: abs, read: () => archive.read(entry) });
+      }
+    }
+    for (const { rel, abs } of loose) {
+      add(rel, { source: abs, read: () => fs.readFileSync(abs) });
     }
-    const lo = buf.readInt32LE(off);
-    const ll = buf.readInt32LE(off + 4);
-    lumps.push({ offset: lo, length: ll });
-    off += 8;
   }
+  return index;
+}
+
+// Что войдёт в пакет: BSP (из хранилища исходников или каталога игры) и свой контент.
+// -> { dirs, files: [{ path, kind, source, read }], missing: [{ kind, path }] }
+function planMapPackage(doc) {
+  const index = getGameDataIndex();
+  const files = [];
+  const missing = [];
+  const seen = new Set();
 
-  const textures = new Set();
-  const skies = new Set();
-  const sounds = new Set();
-  const models = new Set();
-  const others = new Set();
-  const entityStats = createEmptyEntityStats();
-  const worldInfo = { name: null, version: null };
+  const addFile = (p, kind, source, read) => {
+    if (seen.has(p)) return;
+    seen.add(p);
+    files.push({ path: p, kind, source, read });
+  };
 
-  // ENTITIES
-  const ent = lumps[LUMP.ENTITIES];
-  if (ent && ent.length > 0 && ent.offset + ent.length <= buf.length) {
-    const entsTxt = buf.toString('ascii', ent.offset, ent.offset + ent.length);
-    extractFromEntities(entsTxt, { skies, sounds, models, others, entityStats, worldInfo });
+  const bspPath = 'maps/' + normalizeArchivePath(doc.fileName || (doc.mapName || 'map') + '.bsp');
+  if (doc.originalStored) {
+    addFile(bspPath, 'map', 'хранилище исходников', () => fs.readFileSync(originalBspPath(doc.sha256)));
+  } else if (index.has(bspPath)) {
+    const found = index.get(bspPath);
+    addFile(bspPath, 'map', found.source, found.read);
   } else {
-    warnings.push('ENTITIES лумп отсутствует или поврежден');
-  }
-
-  // TEXINFO -> texture names (char[32]) => textures/<name>.wal
-  const tix = lumps[LUMP.TEXINFO];
-  if (tix && tix.length > 0 && tix.offset + tix.length <= buf.length) {
-    const count = Math.floor(tix.length / DTEXINFO_SIZE);
-    for (let i = 0; i < count; i++) {
-      const base = tix.offset + i * DTEXINFO_SIZE;
-      const name = readCString(buf, base + 32 + 4 + 4, 32); // vecs(32) + flags(4) + value(4) = 40 -> name at +40
-      if (name) {
-        const normalized = name.replace(/^textures[\\/]+/i, '').replace(/\\/g, '/');
-        textures.add(`textures/${normalized}.wal`);
+    missing.push({ kind: 'map', path: bspPath });
+  }
+
+  const kinds = isQuake2Family(doc) ? ['textures', 'skies', 'sounds', 'models'] : ['sounds', 'models'];
+  for (const kind of kinds) {
+    for (const resPath of doc[kind] || []) {
+      if (isStockResource(kind, resPath)) continue;
+      // у неба каждая грань — отдельная группа вариантов (.tga/.pcx)
+      const groups = kind === 'skies' ? skyFacePaths(resPath) : [resourceCandidatePaths(kind, resPath)];
+      for (const candidates of groups) {
+        if (!candidates) continue;
+        const found = candidates.filter(p => index.has(p));
+        if (!found.length) {
+          missing.push({ kind, path: candidates[0] });
+          continue;
+        }
+        // кладём все найденные варианты: .tga рядом с .wal — это замена высокого разрешения
+        for (const p of found) {
+          addFile(p, kind, index.get(p).source, index.get(p).read);
+        }
       }
     }
-  } else {
-    warnings.push('TEXINFO лумп отсутствует или поврежден — текстуры могут быть не найдены');
   }
 
-  const mapName = worldInfo.name || null;
-  const mapVersion = worldInfo.version || null;
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  return { dirs: gameDataDirs(), files, missing };
+}
 
-  return {
-    errors,
-    warnings,
-    mapName,
-    mapVersion,
-    textures: Array.from(textures).sort(),
-    skies: Array.from(skies).sort(),
-    sounds: Array.from(sounds).sort(),
-    models: Array.from(models).sort(),
-    others: Array.from(others).sort(),
-    entityStats
-  };
+// entries: [{ path, data }]
+function writePak(entries) {
+  const dir = Buffer.alloc(entries.length * PAK_DIR_ENTRY_SIZE);
+  const chunks = [Buffer.alloc(12)];
+  let offset = 12;
+
+  entries.forEach((entry, i) => {
+    // имя в каталоге PAK — байты без кодировки; не-ASCII движок всё равно не найдёт
+    if (!/^[\x20-\x7e]+$/.test(entry.path)) {
+      throw new Error(`PAK: имя ${entry.path} содержит символы не из ASCII — соберите .zip`);
+    }
+    if (entry.path.length >= 56) {
+      throw new Error(`PAK: имя ${entry.path} длиннее 55 байт — соберите .zip`);
+    }
+    const base = i * PAK_DIR_ENTRY_SIZE;
+    dir.write(entry.path, base, 56, 'ascii');
+    dir.writeInt32LE(offset, base + 56);
+    dir.writeInt32LE(entry.data.length, base + 60);
+    chunks.push(entry.data);
+    offset += entry.data.length;
+  });
+
+  chunks[0].write(PAK_MAGIC, 0, 'ascii');
+  chunks[0].writeInt32LE(offset, 4);
+  chunks[0].writeInt32LE(dir.length, 8);
+  chunks.push(dir);
+  return Buffer.concat(chunks);
 }
 
-function readCString(buf, start, maxLen) {
-  const end = Math.min(start + maxLen, buf.length);
-  let i = start;
-  for (; i < end; i++) {
-    if (buf[i] === 0) break;
+// Дата в заголовках ZIP фиксированная (1980-01-01), чтобы одинаковые пакеты совпадали побайтно
+const ZIP_DOS_DATE = (1 << 5) | 1;
+
+function writeZip(entries) {
+  const chunks = [];
+  const cdir = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path, 'utf8');
+    const deflated = zlib.deflateRawSync(entry.data);
+    const stored = deflated.length >= entry.data.length;
+    const data = stored ? entry.data : deflated;
+    const crc = crc32(entry.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(ZIP_LOCAL_SIG, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(ZIP_DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(ZIP_CDIR_SIG, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(ZIP_DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    chunks.push(local, name, data);
+    cdir.push(central, name);
+    offset += local.length + name.length + data.length;
   }
-  return buf.toString('ascii', start, i).replace(/\0/g, '').trim();
+
+  const cdirBuf = Buffer.concat(cdir);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(ZIP_EOCD_SIG, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(cdirBuf.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...chunks, cdirBuf, eocd]);
 }
 
-// Очень упрощенный парсер key/value из ENTITIES
-function extractFromEntities(txt, out) {
-  const re = /"([^"]+)"\s*"([^"]*)"/g;
-  const pairs = [];
-  let m;
-  while ((m = re.exec(txt)) !== null) {
-    const k = m[1].toLowerCase();
-    const v = m[2];
-    pairs.push([k, v]);
-  }
+// ----- Сравнение версий карты -----
 
-  if (!out.worldInfo) {
-    out.worldInfo = { name: null, version: null };
-  }
+function diffLists(a = [], b = []) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  return {
+    added: b.filter(x => !setA.has(x)).sort(),
+    removed: a.filter(x => !setB.has(x)).sort()
+  };
+}
 
-  for (const [k, v] of pairs) {
-    if (!v) continue;
-    const vv = v.replace(/\\/g, '/');
+// Изменившиеся счётчики: [{ name, a, b, delta }]
+function diffCounts(a = {}, b = {}) {
+  const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Array.from(names)
+    .map(name => ({ name, a: a[name] || 0, b: b[name] || 0 }))
+    .filter(x => x.a !== x.b)
+    .map(x => ({ ...x, delta: x.b - x.a }))
+    .sort((x, y) => x.name.localeCompare(y.name));
+}
 
-    // Название карты / версия (worldspawn)
-    if ((k === 'message' || k === 'map' || k === 'mapname') && !out.worldInfo.name) {
-      out.worldInfo.name = v;
-    }
-    if ((k === 'mapversion' || k === 'version') && !out.worldInfo.version) {
-      out.worldInfo.version = v;
-    }
+function mapDiffSide(doc) {
+  return {
+    fileName: doc.fileName || null,
+    mapName: doc.mapName || null,
+    mapVersion: doc.mapVersion || null,
+    updatedAt: doc.updatedAt || null
+  };
+}
 
-    // Классы сущностей — считаем оружие/броню/спавны/предметы
-    if (k === 'classname' && out.entityStats) {
-      const cls = v.toLowerCase();
-      classifyClassname(cls, out.entityStats);
-    }
+function computeMapDiff(docA, docB) {
+  const statsA = docA.entityStats || createEmptyEntityStats();
+  const statsB = docB.entityStats || createEmptyEntityStats();
 
-    if (k === 'sky') {
-      out.skies.add(`env/${vv}*`);
-    } else if (k === 'sound' || k === 'noise' || k === 'snd' || /^sound/.test(k)) {
-      if (/^sound\//i.test(vv) || /\.(wav|ogg|mp3)$/i.test(vv)) out.sounds.add(vv);
-      else out.others.add(`${k}=${vv}`);
-    } else if (k === 'model') {
-      if (/^models\//i.test(vv) || /\.(md2|sp2|iqm|md3)$/i.test(vv)) out.models.add(vv);
-      else out.others.add(`${k}=${vv}`);
-    } else if (k === 'music' || k === 'cdtrack' || k === 'wav') {
-      out.sounds.add(vv);
-    } else if (k === 'wad') {
-      out.others.add(`wad=${vv}`);
-    } else if (/^path|file|script|shader$/i.test(k)) {
-      out.others.add(`${k}=${vv}`);
-    }
+  const resources = {};
+  for (const key of ['textures', 'skies', 'sounds', 'models']) {
+    resources[key] = diffLists(docA[key], docB[key]);
   }
+
+  const entityStats = {
+    weapons: diffCounts(statsA.weapons, statsB.weapons),
+    armors: diffCounts(statsA.armors, statsB.armors),
+    items: diffCounts(statsA.items, statsB.items),
+    monsters: diffCounts(statsA.monsters, statsB.monsters),
+    spawnPoints: diffCounts(statsA.spawnPoints, statsB.spawnPoints)
+  };
+
+  const identical = Object.values(resources).every(r => !r.added.length && !r.removed.length) &&
+    Object.values(entityStats).every(list => !list.length);
+
+  return {
+    a: mapDiffSide(docA),
+    b: mapDiffSide(docB),
+    identical,
+    resources,
+    entityStats
+  };
 }
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`Q2 BSP Resource Inspector: http://localhost:${PORT}`);
-});
+
+// require('./server') из тестов получает приложение без запуска сервера
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Q2 BSP Resource Inspector: http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { app, cleanMapTitle, writePak, writeZip, crc32 };
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { analyzeBspBuffer, classifyClassname, createEmptyEntityStats } = require('../lib/analyzer');
+const { buildBsp, squareRoomLumps, truncate, lumpOffset } = require('./fixtures/bsp');
+
+const ROOM = {
+  entities: [
+    { classname: 'worldspawn', message: 'Test Room', sky: 'unit1_' },
+    { classname: 'info_player_deathmatch', origin: '64 64 24' },
+    { classname: 'weapon_railgun', origin: '32 32 16' }
+  ],
+  texinfo: [
+    { name: 'e1u1/floor1_1' },
+    { name: 'e1u1/light1', flags: 0x1, value: 300, next: 2 },
+    { name: 'e1u1/light2', flags: 0x1, value: 200, next: 1 },
+    { name: 'e1u1/sky1', flags: 0x4 }
+  ],
+  lumps: squareRoomLumps()
+};
+
+test('analyzeBspBuffer: обычная карта Quake 2', () => {
+  const buf = buildBsp(ROOM);
+  const a = analyzeBspBuffer(buf);
+
+  assert.deepEqual(a.errors, []);
+  assert.deepEqual(a.warnings, []);
+  assert.equal(a.format.id, 'quake2');
+  assert.equal(a.format.version, 38);
+  assert.equal(a.mapName, 'Test Room');
+  assert.deepEqual(a.textures, [
+    'textures/e1u1/floor1_1.wal',
+    'textures/e1u1/light1.wal',
+    'textures/e1u1/light2.wal',
+    'textures/e1u1/sky1.wal'
+  ]);
+  assert.deepEqual(a.skies, ['env/unit1_*']);
+  assert.equal(a.entities.length, 3);
+  assert.equal(a.sha256, crypto.createHash('sha256').update(buf).digest('hex'));
+  assert.equal(a.mapChecksum, analyzeBspBuffer(Buffer.from(buf)).mapChecksum);
+});
+
+test('analyzeBspBuffer: флаги, свет и анимация текстур', () => {
+  const { textureInfo } = analyzeBspBuffer(buildBsp(ROOM));
+  const byPath = Object.fromEntries(textureInfo.map(t => [t.path, t]));
+
+  assert.deepEqual(byPath['textures/e1u1/light1.wal'].flags, ['LIGHT']);
+  assert.deepEqual(byPath['textures/e1u1/light1.wal'].lightValues, [300]);
+  assert.deepEqual(byPath['textures/e1u1/light1.wal'].animation, [
+    'textures/e1u1/light1.wal',
+    'textures/e1u1/light2.wal'
+  ]);
+  assert.deepEqual(byPath['textures/e1u1/sky1.wal'].flags, ['SKY']);
+  // обе грани комнаты ссылаются на texinfo 0
+  assert.equal(byPath['textures/e1u1/floor1_1.wal'].faces, 2);
+});
+
+test('analyzeBspBuffer: план и габариты мира', () => {
+  const a = analyzeBspBuffer(buildBsp({ ...ROOM, lumps: squareRoomLumps({ size: 256, z: 16 }) }));
+
+  // потолок смотрит вниз и на план не попадает
+  assert.deepEqual(a.overview.faces, [[16, 0, 0, 256, 0, 256, 256, 0, 256]]);
+  assert.deepEqual(a.bspStructure.worldBounds, { mins: [0, 0, 16], maxs: [256, 256, 144], size: [256, 256, 128] });
+  assert.equal(a.bspStructure.inlineModels, 0);
+  assert.equal(a.bspStructure.hasVis, false);
+});
+
+test('analyzeBspBuffer: без геометрии план не строится', () => {
+  const a = analyzeBspBuffer(buildBsp({ entities: ROOM.entities, texinfo: ROOM.texinfo }));
+  assert.equal(a.overview, null);
+  assert.match(a.warnings.join('\n'), /план карты не построен/);
+});
+
+test('analyzeBspBuffer: слишком короткий файл', () => {
+  assert.throws(() => analyzeBspBuffer(Buffer.from('IBSP')), /слишком мал/);
+});
+
+test('analyzeBspBuffer: неверная сигнатура и версия', () => {
+  const a = analyzeBspBuffer(buildBsp({ ...ROOM, magic: 'XXXX', version: 99 }));
+  assert.match(a.errors.join('\n'), /Неверная сигнатура/);
+  assert.match(a.warnings.join('\n'), /Версия BSP 99/);
+  // разбор всё равно продолжается как для Quake 2
+  assert.equal(a.textures.length, 4);
+});
+
+test('analyzeBspBuffer: обрезанная таблица лумпов', () => {
+  const a = analyzeBspBuffer(truncate(buildBsp(ROOM), 8 + 5 * 8 + 4));
+  assert.match(a.errors.join('\n'), /конец файла в таблице лумпов/);
+  assert.deepEqual(a.textures, []);
+});
+
+test('analyzeBspBuffer: файл обрезан посреди данных', () => {
+  const buf = buildBsp(ROOM);
+  const texinfo = lumpOffset(buf, 'TEXINFO');
+  const a = analyzeBspBuffer(truncate(buf, texinfo.offset + 10));
+
+  assert.deepEqual(a.errors, []);
+  assert.equal(a.mapName, 'Test Room');
+  assert.match(a.warnings.join('\n'), /TEXINFO лумп отсутствует или поврежден/);
+  assert.equal(a.overview, null);
+});
+
+test('analyzeBspBuffer: лумпы за пределами файла', () => {
+  const a = analyzeBspBuffer(buildBsp({
+    ...ROOM,
+    lumpTable: {
+      ENTITIES: { offset: 1 << 20, length: 100 },
+      TEXINFO: { offset: -4, length: 76 }
+    }
+  }));
+
+  assert.match(a.warnings.join('\n'), /ENTITIES лумп отсутствует или поврежден/);
+  assert.match(a.warnings.join('\n'), /TEXINFO лумп отсутствует или поврежден/);
+  assert.equal(a.mapName, null);
+  const lumps = Object.fromEntries(a.bspStructure.lumps.map(l => [l.name, l]));
+  assert.equal(lumps.ENTITIES.valid, false);
+  assert.equal(lumps.TEXINFO.valid, false);
+});
+
+test('analyzeBspBuffer: битые индексы граней', () => {
+  const lumps = squareRoomLumps();
+  // первая грань ссылается на несуществующие рёбра
+  lumps.FACES.writeInt32LE(1000, 4);
+  const a = analyzeBspBuffer(buildBsp({ ...ROOM, lumps }));
+
+  assert.deepEqual(a.overview.faces, []);
+  assert.match(a.warnings.join('\n'), /пропущено повреждённых граней: 1/);
+});
+
+test('analyzeBspBuffer: испорченные байты не роняют разбор', () => {
+  const buf = buildBsp(ROOM);
+  // детерминированный ГПСЧ, чтобы падение можно было повторить
+  let seed = 1;
+  const next = () => (seed = (Math.imul(seed, 1103515245) + 12345) >>> 0);
+
+  for (let i = 0; i < 200; i++) {
+    const copy = Buffer.from(buf);
+    for (let j = 0; j < 16; j++) {
+      copy[8 + next() % (copy.length - 8)] = next() & 0xff;
+    }
+    assert.doesNotThrow(() => analyzeBspBuffer(copy), `вариант ${i}`);
+  }
+});
+
+test('classifyClassname', () => {
+  const stats = createEmptyEntityStats();
+  for (const cls of [
+    'weapon_railgun', 'weapon_railgun', 'item_armor_body', 'item_quad',
+    'info_player_deathmatch', 'info_player_start', 'info_player_coop',
+    'info_player_intermission', 'info_intermission', 'light', 'func_door'
+  ]) {
+    classifyClassname(cls, stats);
+  }
+
+  assert.deepEqual(stats.weapons, { weapon_railgun: 2 });
+  assert.deepEqual(stats.armors, { item_armor_body: 1 });
+  assert.deepEqual(stats.items, { item_quad: 1 });
+  assert.deepEqual(stats.spawnPoints, { deathmatch: 1, coop: 1, start: 1, intermission: 2 });
+});
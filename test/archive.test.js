@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeUpload, openArchive } = require('../lib/analyzer');
+const { buildBsp } = require('./fixtures/bsp');
+const { buildPak, buildZip } = require('./fixtures/archive');
+
+const MAP = buildBsp({
+  entities: [{ classname: 'worldspawn', message: 'Packed', sky: 'pack_' }],
+  texinfo: [{ name: 'e1u1/floor1_1' }, { name: 'custom/wall' }, { name: 'custom/floor' }]
+});
+const WAL = Buffer.from('wal');
+const SKY_FACES = ['rt', 'bk', 'lf', 'ft', 'up', 'dn'];
+
+// maps/packed.bsp с текстурой custom/wall и всеми гранями неба pack_, но без custom/floor
+function mapFiles(root = '') {
+  const files = {
+    [`${root}maps/packed.bsp`]: MAP,
+    [`${root}textures/custom/wall.wal`]: WAL
+  };
+  for (const side of SKY_FACES) files[`${root}env/pack_${side}.tga`] = WAL;
+  return files;
+}
+
+function statuses(check, kind) {
+  return Object.fromEntries(check[kind].map(r => [r.path, r.status]));
+}
+
+test('openArchive: pak и zip (со сжатием и без)', () => {
+  const files = { 'maps/a.bsp': MAP, 'Textures\\Custom\\Wall.wal': WAL };
+  for (const buf of [buildPak(files), buildZip(files), buildZip(files, { deflate: true })]) {
+    const archive = openArchive(buf);
+    assert.deepEqual(Array.from(archive.entries.keys()).sort(), ['maps/a.bsp', 'textures/custom/wall.wal']);
+    assert.ok(archive.read(archive.entries.get('maps/a.bsp')).equals(MAP));
+  }
+  assert.equal(openArchive(buildPak(files)).type, 'pak');
+  assert.equal(openArchive(buildZip(files)).type, 'zip');
+});
+
+test('analyzeUpload: карта в .pak и сверка ресурсов с архивом', () => {
+  const [item] = analyzeUpload(buildPak(mapFiles()), 'packed.pak');
+
+  assert.equal(item.file, 'packed.bsp');
+  assert.equal(item.save, true);
+  assert.ok(item.bsp.equals(MAP));
+  assert.deepEqual(item.analysis.archive, { name: 'packed.pak', type: 'pak', path: 'maps/packed.bsp' });
+
+  const check = item.analysis.resourceCheck;
+  assert.deepEqual(statuses(check, 'textures'), {
+    'textures/e1u1/floor1_1.wal': 'stock',
+    'textures/custom/wall.wal': 'bundled',
+    'textures/custom/floor.wal': 'missing'
+  });
+  assert.deepEqual(statuses(check, 'skies'), { 'env/pack_*': 'bundled' });
+});
+
+test('analyzeUpload: .zip, собранный из папки игры (baseq2/maps/...)', () => {
+  const [item] = analyzeUpload(buildZip(mapFiles('baseq2/'), { deflate: true }), 'packed.zip');
+
+  assert.equal(item.file, 'packed.bsp');
+  assert.equal(item.analysis.mapName, 'Packed');
+  assert.equal(item.analysis.archive.path, 'baseq2/maps/packed.bsp');
+
+  const check = item.analysis.resourceCheck;
+  assert.equal(statuses(check, 'textures')['textures/custom/wall.wal'], 'bundled');
+  assert.equal(check.textures.find(r => r.status === 'bundled').archivePath, 'baseq2/textures/custom/wall.wal');
+  assert.deepEqual(statuses(check, 'skies'), { 'env/pack_*': 'bundled' });
+  assert.deepEqual(check.summary, { bundled: 2, stock: 1, missing: 1 });
+});
+
+test('analyzeUpload: архив без карт', () => {
+  const [item] = analyzeUpload(buildZip({ 'textures/custom/wall.wal': WAL }), 'textures.zip');
+  assert.equal(item.save, false);
+  assert.deepEqual(item.analysis.errors, ['В архиве нет карт (maps/*.bsp)']);
+});
+
+test('openArchive: битые архивы', () => {
+  assert.throws(() => openArchive(Buffer.from('definitely not an archive')), /Неизвестный формат архива/);
+
+  const pak = buildPak(mapFiles());
+  const shortDir = Buffer.from(pak);
+  shortDir.writeInt32LE(pak.length, 8); // каталог длиннее файла
+  assert.throws(() => openArchive(shortDir), /PAK: каталог файлов выходит за пределы архива/);
+
+  const zip = buildZip({ 'maps/a.bsp': MAP });
+  const brokenDir = Buffer.from(zip);
+  brokenDir.writeUInt32LE(zip.length - 22 - 10, zip.length - 22 + 16); // каталог не там
+  assert.throws(() => openArchive(brokenDir), /ZIP: повреждён центральный каталог/);
+
+  // повреждены данные одной карты — ошибка в её результате, а не во всём архиве
+  const corrupt = buildZip({ 'maps/a.bsp': MAP, 'maps/b.bsp': MAP }, { deflate: true });
+  const damaged = Buffer.from(corrupt);
+  damaged.fill(0xff, 30 + 'maps/a.bsp'.length, 30 + 'maps/a.bsp'.length + 8);
+  const [a, b] = analyzeUpload(damaged, 'damaged.zip');
+  assert.equal(a.save, false);
+  assert.equal(a.analysis.errors.length, 1);
+  assert.equal(b.save, true);
+
+  // без сжатия порча видна только по CRC
+  const stored = buildZip({ 'maps/a.bsp': MAP });
+  const flipped = Buffer.from(stored);
+  flipped[30 + 'maps/a.bsp'.length + 100] ^= 0xff;
+  const archive = openArchive(flipped);
+  assert.throws(() => archive.read(archive.entries.get('maps/a.bsp')), /ZIP: неверная контрольная сумма maps\/a\.bsp/);
+});
+
+test('openArchive: zip-бомба не распаковывается дальше заявленного размера', () => {
+  // 64 МБ нулей сжимаются в десятки килобайт; в каталоге — размер в 1 КБ
+  const bomb = buildZip({ 'maps/bomb.bsp': Buffer.alloc(64 * 1024 * 1024) }, { deflate: true });
+  const cdirOffset = bomb.readUInt32LE(bomb.length - 22 + 16);
+  bomb.writeUInt32LE(1024, cdirOffset + 24);
+  const archive = openArchive(bomb);
+  assert.throws(() => archive.read(archive.entries.get('maps/bomb.bsp')), /ZIP: размер maps\/bomb\.bsp не совпадает/);
+
+  // заявленный размер больше предела — не распаковывается вовсе
+  bomb.writeUInt32LE(0xffffffff, cdirOffset + 24);
+  const huge = openArchive(bomb);
+  assert.throws(() => huge.read(huge.entries.get('maps/bomb.bsp')), /слишком большой/);
+});
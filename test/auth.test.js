@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// до загрузки сервера: lib/auth.js и lib/db.js читают настройки при подключении
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'q2mapinfo-auth-'));
+const UPLOADER_TOKEN = 'uploader-token-0123456789';
+process.env.STORAGE = 'memory';
+process.env.BSP_STORAGE_DIR = path.join(dataDir, 'bsp');
+process.env.AUTH_USERS_FILE = path.join(dataDir, 'users.json');
+process.env.AUTH_TOKENS = `ci:uploader:${UPLOADER_TOKEN}`;
+process.env.AUTH_SECRET = 'test-secret';
+process.env.AUTH_ANONYMOUS_ROLE = 'viewer';
+
+const { app } = require('../server');
+const { hashPassword, verifyPassword, saveAccount } = require('../lib/auth');
+const { buildBsp } = require('./fixtures/bsp');
+
+const MAP = buildBsp({ entities: [{ classname: 'worldspawn', message: 'Guarded' }] });
+
+let server;
+let base;
+
+test.before(async () => {
+  await saveAccount('root', 'admin', 'admin-password');
+  await saveAccount('guest', 'viewer', 'guest-password');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function uploadForm(name = 'guarded.bsp') {
+  const form = new FormData();
+  form.append('maps', new Blob([MAP]), name);
+  return form;
+}
+
+// Вход через форму: значение cookie сессии или null
+async function loginAs(name, password) {
+  const res = await fetch(`${base}/login`, {
+    method: 'POST',
+    body: new URLSearchParams({ name, password, next: '/browse' }),
+    redirect: 'manual'
+  });
+  const cookie = res.headers.get('set-cookie');
+  return res.status === 303 ? cookie.split(';')[0] : null;
+}
+
+test('hashPassword / verifyPassword', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+  assert.equal(await verifyPassword('correct horse', stored), true);
+  assert.equal(await verifyPassword('wrong horse', stored), false);
+  assert.equal(await verifyPassword('correct horse', 'plain'), false);
+  // испорченные записи в файле учётных записей — неверный пароль, а не исключение
+  const [, salt, hash] = stored.split('$');
+  assert.equal(await verifyPassword('correct horse', `scrypt$${salt}$zz`), false);
+  assert.equal(await verifyPassword('correct horse', `scrypt$${salt}$${hash.slice(1)}`), false);
+  assert.equal(await verifyPassword('correct horse', `scrypt$${salt}$${hash.slice(0, 16)}`), false);
+  assert.equal(await verifyPassword('correct horse', `scrypt$abc$${hash}`), false);
+});
+
+test('без входа: просмотр можно, загрузку нельзя', async () => {
+  assert.equal((await fetch(`${base}/`)).status, 200);
+
+  const page = await fetch(`${base}/analyze`, { method: 'POST', body: uploadForm(), redirect: 'manual' });
+  assert.equal(page.status, 303);
+  // POST после входа не повторить — возврат на главную
+  assert.equal(page.headers.get('location'), '/login?next=%2F');
+  const view = await fetch(`${base}/admin/audit`, { redirect: 'manual' });
+  assert.equal(view.headers.get('location'), '/login?next=%2Fadmin%2Faudit');
+
+  const api = await fetch(`${base}/api/v1/analyze`, { method: 'POST', body: uploadForm() });
+  assert.equal(api.status, 401);
+  assert.equal(api.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await api.json()).error.code, 'unauthorized');
+
+  const me = await (await fetch(`${base}/api/v1/me`)).json();
+  assert.deepEqual(me, { authEnabled: true, user: null });
+});
+
+test('вход: неверный пароль и подделанная cookie', async () => {
+  const res = await fetch(`${base}/login`, {
+    method: 'POST',
+    body: new URLSearchParams({ name: 'root', password: 'nope' }),
+    redirect: 'manual'
+  });
+  assert.equal(res.status, 401);
+  assert.ok((await res.text()).includes('Неверное имя пользователя'));
+
+  const cookie = await loginAs('root', 'admin-password');
+  assert.ok(cookie);
+  const [name, value] = cookie.split('=');
+  const [payload] = value.split('.');
+  const forged = `${name}=${payload}.AAAA`;
+  const me = await (await fetch(`${base}/api/v1/me`, { headers: { cookie: forged } })).json();
+  assert.equal(me.user, null);
+});
+
+test('роль viewer не может загружать', async () => {
+  const cookie = await loginAs('guest', 'guest-password');
+  const res = await fetch(`${base}/analyze?json=1`, {
+    method: 'POST', body: uploadForm(), headers: { cookie }, redirect: 'manual'
+  });
+  assert.equal(res.status, 403);
+  assert.ok((await res.text()).includes('uploader'));
+});
+
+test('токен uploader: загрузка, но не удаление; admin удаляет; всё в журнале', async () => {
+  const bearer = { authorization: `Bearer ${UPLOADER_TOKEN}` };
+  const uploaded = await fetch(`${base}/api/v1/analyze`, { method: 'POST', body: uploadForm(), headers: bearer });
+  assert.equal(uploaded.status, 200);
+  const [result] = (await uploaded.json()).results;
+
+  const denied = await fetch(`${base}/api/v1/maps/guarded.bsp`, { method: 'DELETE', headers: bearer });
+  assert.equal(denied.status, 403);
+
+  const admin = await loginAs('root', 'admin-password');
+  const page = await (await fetch(`${base}/view?map=guarded.bsp`, { headers: { cookie: admin } })).text();
+  assert.ok(page.includes('Удалить карту из базы'));
+  assert.ok(page.includes('История изменений'));
+
+  const deleted = await fetch(`${base}/view/delete?map=guarded.bsp`, {
+    method: 'POST', headers: { cookie: admin }, redirect: 'manual'
+  });
+  assert.equal(deleted.status, 303);
+  assert.equal((await fetch(`${base}/api/v1/maps/guarded.bsp`)).status, 404);
+
+  assert.equal((await fetch(`${base}/api/v1/audit`, { headers: bearer })).status, 403);
+  const { items } = await (await fetch(`${base}/api/v1/audit?sha256=${result.sha256}`, { headers: { cookie: admin } })).json();
+  assert.deepEqual(items.map(e => [e.action, e.user]), [['delete', 'root'], ['upload', 'ci']]);
+  assert.equal(items[1].details.created, true);
+});
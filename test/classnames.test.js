@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lookupClassname, knownClassnames, detectMod, listDictionaries } = require('../lib/classnames');
+const { classifyClassname, createEmptyEntityStats, entityCategory } = require('../lib/analyzer');
+
+const ents = (...classnames) => classnames.map(classname => ({ classname, keys: { classname } }));
+
+test('словари: записи и включения', () => {
+  assert.deepEqual(lookupClassname('weapon_railgun'),
+    { category: 'weapon', name: 'Railgun', icon: 'w_railgun', dictionary: 'baseq2' });
+  assert.equal(lookupClassname('item_flag_team2').team, 2);
+  assert.equal(lookupClassname('weapon_unknown'), null);
+
+  assert.ok(knownClassnames('rogue').has('weapon_railgun'));
+  assert.ok(!knownClassnames('rogue').has('weapon_boomer'));
+  // ремастер знает содержимое обоих дополнений
+  assert.ok(knownClassnames('rerelease').has('weapon_boomer'));
+  assert.ok(knownClassnames('rerelease').has('monster_stalker'));
+
+  assert.deepEqual(listDictionaries().map(d => d.id), ['baseq2', 'xatrix', 'rogue', 'ctf', 'rerelease']);
+});
+
+test('detectMod', () => {
+  assert.deepEqual(detectMod(ents('worldspawn', 'weapon_railgun')), { id: 'baseq2', name: 'Quake II', evidence: [] });
+  assert.deepEqual(detectMod(ents('worldspawn', 'monster_stalker', 'weapon_etf_rifle', 'monster_stalker')),
+    { id: 'rogue', name: 'Ground Zero (Rogue)', evidence: ['monster_stalker', 'weapon_etf_rifle'] });
+  assert.equal(detectMod(ents('item_flag_team1', 'item_flag_team2', 'info_player_team1')).id, 'ctf');
+  // trigger_teleport есть и в CTF, и в Ground Zero — это не улика
+  assert.equal(detectMod(ents('trigger_teleport')).id, 'baseq2');
+  // сущности обоих дополнений и ремастера — ремастер
+  assert.deepEqual(detectMod(ents('weapon_boomer', 'monster_stalker', 'monster_shambler')),
+    { id: 'rerelease', name: 'Quake II (2023 remaster)', evidence: ['monster_shambler', 'monster_stalker', 'weapon_boomer'] });
+  assert.equal(detectMod(undefined).id, 'baseq2');
+});
+
+test('entityCategory: словарь и префиксы для прочих игр', () => {
+  assert.equal(entityCategory('weapon_boomer'), 'weapon');
+  assert.equal(entityCategory('item_sphere_hunter'), 'powerup');
+  assert.equal(entityCategory('item_tech3'), 'tech');
+  // Quake 1
+  assert.equal(entityCategory('item_armor2'), 'armor');
+  assert.equal(entityCategory('monster_shalrath'), 'monster');
+  assert.equal(entityCategory('func_door'), 'world');
+  assert.equal(entityCategory('func_bobbing'), null);
+});
+
+test('classifyClassname: монстры и CTF', () => {
+  const stats = createEmptyEntityStats();
+  for (const cls of [
+    'monster_soldier', 'monster_soldier', 'monster_gekk', 'monster_zombie',
+    'item_flag_team1', 'item_flag_team2', 'info_player_team1', 'info_player_team1', 'info_player_team2',
+    'item_tech2', 'weapon_grapple', 'item_health_small', 'info_player_coop_lava'
+  ]) {
+    classifyClassname(cls, stats);
+  }
+
+  assert.deepEqual(stats.monsters, { monster_soldier: 2, monster_gekk: 1, monster_zombie: 1 });
+  assert.deepEqual(stats.ctf, {
+    flags: { team1: 1, team2: 1 },
+    spawns: { team1: 2, team2: 1 },
+    techs: { item_tech2: 1 }
+  });
+  assert.deepEqual(stats.weapons, { weapon_grapple: 1 });
+  assert.deepEqual(stats.items, { item_health_small: 1 });
+  assert.equal(stats.spawnPoints.coop, 1);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { buildBsp } = require('./fixtures/bsp');
+
+const CLI = path.join(__dirname, '..', 'bin', 'q2mapinfo.js');
+
+let dir;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'q2mapinfo-cli-'));
+  fs.writeFileSync(path.join(dir, 'edge.bsp'), buildBsp({
+    entities: [{ classname: 'worldspawn', message: 'The Edge', sky: 'unit9_' }],
+    texinfo: [{ name: 'e1u1/floor1_1' }, { name: 'custom/edge_wall' }]
+  }));
+  fs.writeFileSync(path.join(dir, 'stock.json'), JSON.stringify(['textures/e1u1/floor1_1.wal']));
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// stdout и stderr CLI; с манифестом стандартного контента, который пишет о себе при загрузке.
+// Хранилище — в памяти и во временном каталоге, чтобы CLI ничего не писал в data/ репозитория
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [CLI, ...args], {
+      env: {
+        ...process.env,
+        STOCK_MANIFEST: path.join(dir, 'stock.json'),
+        STORAGE: 'memory',
+        BSP_STORAGE_DIR: path.join(dir, 'bsp'),
+        FILE_STORAGE_DIR: path.join(dir, 'maps')
+      },
+      timeout: 30000
+    }, (err, stdout, stderr) => {
+      if (err && typeof err.code !== 'number') return reject(err);
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('analyze --format json: в stdout только JSON', async () => {
+  const { code, stdout, stderr } = await runCli(['analyze', path.join(dir, 'edge.bsp'), '--format', 'json']);
+  assert.equal(code, 0, stderr);
+  const results = JSON.parse(stdout);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].mapName, 'The Edge');
+  assert.ok(stderr.includes('Манифест стандартного контента'));
+});
+
+test('analyze --format csv: первая строка — заголовок', async () => {
+  const { code, stdout } = await runCli(['analyze', path.join(dir, 'edge.bsp'), '--format', 'csv']);
+  assert.equal(code, 0);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], 'source,file,map_name,kind,path,stock');
+  assert.ok(lines.some(l => l.endsWith(',textures,textures/e1u1/floor1_1.wal,yes')));
+  assert.ok(lines.some(l => l.endsWith(',textures,textures/custom/edge_wall.wal,no')));
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCuration, createEmptyCuration, formatPlayers } = require('../lib/curation');
+
+test('normalizeCuration: форма и JSON', () => {
+  // из формы: теги строкой или массивом, числа строками
+  assert.deepEqual(normalizeCuration({
+    author: '  id Software ', tags: ['ctf', 'DM'], players: '4 - 8', notes: ' Классика\n', rating: '5'
+  }), {
+    curation: { author: 'id Software', tags: ['dm', 'ctf'], players: { min: 4, max: 8 }, notes: 'Классика', rating: 5 },
+    errors: []
+  });
+  assert.deepEqual(normalizeCuration({ tags: 'coop', players: '2' }).curation.players, { min: 2, max: 2 });
+  assert.deepEqual(normalizeCuration({ tags: 'sp, coop' }).curation.tags, ['coop', 'sp']);
+  assert.deepEqual(normalizeCuration({ players: { min: 2, max: 16 }, rating: 3 }).curation.players, { min: 2, max: 16 });
+
+  // отсутствующие поля очищаются
+  assert.deepEqual(normalizeCuration({}), { curation: createEmptyCuration(), errors: [] });
+  assert.deepEqual(normalizeCuration(null).curation, createEmptyCuration());
+});
+
+test('normalizeCuration: ошибки', () => {
+  const { errors } = normalizeCuration({
+    author: 'x'.repeat(201), tags: ['dm', 'race'], players: '8-4', rating: '6'
+  });
+  assert.deepEqual(errors.map(e => e.field), ['author', 'tags', 'players', 'rating']);
+  assert.match(errors[1].message, /Неизвестные теги: race/);
+
+  assert.deepEqual(normalizeCuration({ players: 'много' }).errors.map(e => e.field), ['players']);
+  assert.deepEqual(normalizeCuration({ players: '0' }).errors.map(e => e.field), ['players']);
+  assert.deepEqual(normalizeCuration({ rating: 2.5 }).errors.map(e => e.field), ['rating']);
+});
+
+test('formatPlayers', () => {
+  assert.equal(formatPlayers({ min: 4, max: 8 }), '4–8');
+  assert.equal(formatPlayers({ min: 2, max: 2 }), '2');
+  assert.equal(formatPlayers(null), '');
+});
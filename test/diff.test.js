@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBsp } = require('./fixtures/bsp');
+const { useTestServer } = require('./fixtures/server');
+
+// Две версии одной карты: сменилась текстура и небо, добавились спавны и рейлган, пропал BFG
+const V1 = buildBsp({
+  entities: [
+    { classname: 'worldspawn', message: 'Arena v1', sky: 'unit1_' },
+    { classname: 'info_player_deathmatch', origin: '0 0 24' },
+    { classname: 'info_player_deathmatch', origin: '64 0 24' },
+    { classname: 'weapon_bfg', origin: '32 32 16' },
+    { classname: 'weapon_railgun', origin: '0 64 16' }
+  ],
+  texinfo: [{ name: 'e1u1/floor1_1' }, { name: 'custom/old_wall' }]
+});
+const V2 = buildBsp({
+  entities: [
+    { classname: 'worldspawn', message: 'Arena v2', sky: 'unit2_' },
+    { classname: 'info_player_deathmatch', origin: '0 0 24' },
+    { classname: 'info_player_deathmatch', origin: '64 0 24' },
+    { classname: 'info_player_deathmatch', origin: '128 0 24' },
+    { classname: 'weapon_railgun', origin: '0 64 16' },
+    { classname: 'weapon_railgun', origin: '64 64 16' }
+  ],
+  texinfo: [{ name: 'e1u1/floor1_1' }, { name: 'custom/new_wall' }]
+});
+
+const server = useTestServer('diff', { maps: { 'arena_v1.bsp': V1, 'arena_v2.bsp': V2 } });
+
+test('GET /diff?json=1: ресурсы и счётчики сущностей', async () => {
+  const res = await fetch(`${server.base}/diff?a=arena_v1.bsp&b=arena_v2.bsp&json=1`);
+  assert.equal(res.status, 200);
+  const diff = await res.json();
+
+  assert.equal(diff.a.fileName, 'arena_v1.bsp');
+  assert.equal(diff.b.mapName, 'Arena v2');
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.resources.textures, {
+    added: ['textures/custom/new_wall.wal'],
+    removed: ['textures/custom/old_wall.wal']
+  });
+  assert.deepEqual(diff.resources.skies, { added: ['env/unit2_*'], removed: ['env/unit1_*'] });
+  assert.deepEqual(diff.entityStats.weapons, [
+    { name: 'weapon_bfg', a: 1, b: 0, delta: -1 },
+    { name: 'weapon_railgun', a: 1, b: 2, delta: 1 }
+  ]);
+  assert.deepEqual(diff.entityStats.spawnPoints, [{ name: 'deathmatch', a: 2, b: 3, delta: 1 }]);
+  assert.deepEqual(diff.entityStats.monsters, []);
+});
+
+test('GET /diff: карта сама с собой и ошибки', async () => {
+  const same = await (await fetch(`${server.base}/diff?a=arena_v1.bsp&b=arena_v1.bsp&json=1`)).json();
+  assert.equal(same.identical, true);
+  assert.deepEqual(same.resources.textures, { added: [], removed: [] });
+
+  assert.equal((await fetch(`${server.base}/diff?a=arena_v1.bsp`)).status, 400);
+  const missing = await fetch(`${server.base}/diff?a=arena_v1.bsp&b=nope.bsp`);
+  assert.equal(missing.status, 404);
+  assert.match(await missing.text(), /nope\.bsp/);
+  // имена из запроса возвращаются экранированными
+  const injected = await fetch(`${server.base}/diff?a=arena_v1.bsp&b=${encodeURIComponent('<script>alert(1)</script>.bsp')}`);
+  assert.equal(injected.status, 404);
+  const text = await injected.text();
+  assert.ok(!text.includes('<script>'));
+  assert.ok(text.includes('&lt;script&gt;alert(1)&lt;/script&gt;.bsp'));
+
+  const html = await (await fetch(`${server.base}/diff?a=arena_v1.bsp&b=arena_v2.bsp`)).text();
+  assert.ok(html.includes('textures/custom/new_wall.wal'));
+});
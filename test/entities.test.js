@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractFromEntities, parseEntities, createEmptyEntityStats } = require('../lib/analyzer');
+
+function extract(txt) {
+  const out = {
+    skies: new Set(),
+    sounds: new Set(),
+    models: new Set(),
+    others: new Set(),
+    entityStats: createEmptyEntityStats(),
+    warnings: []
+  };
+  extractFromEntities(txt, out);
+  return out;
+}
+
+test('extractFromEntities: ресурсы из ключей сущностей', () => {
+  const out = extract(`
+{
+"classname" "worldspawn"
+"message" "The Edge"
+"sky" "unit9_"
+"mapversion" "2"
+}
+{
+"classname" "target_speaker"
+"noise" "sound\\world\\amb10.wav"
+}
+{
+"classname" "misc_model"
+"model" "models/objects/barrels/tris.md2"
+}
+{
+"classname" "func_door"
+"model" "*3"
+"sounds" "2"
+}
+{
+"classname" "target_cd"
+"music" "music/track02.ogg"
+}
+`);
+
+  assert.deepEqual(out.worldInfo, { name: 'The Edge', version: '2' });
+  assert.deepEqual([...out.skies], ['env/unit9_*']);
+  assert.deepEqual([...out.sounds].sort(), ['music/track02.ogg', 'sound/world/amb10.wav']);
+  assert.deepEqual([...out.models], ['models/objects/barrels/tris.md2']);
+  // встроенные brush-модели и номера наборов звуков — не файлы
+  assert.deepEqual([...out.others].sort(), ['model=*3', 'sounds=2']);
+  assert.equal(out.entities.length, 5);
+  assert.deepEqual(out.warnings, []);
+});
+
+test('extractFromEntities: статистика классов и предупреждения с префиксом', () => {
+  const out = extract(`
+{ "classname" "worldspawn" }
+{ "classname" "WEAPON_Rocketlauncher" "origin" "0 0 0" }
+{ "classname" "info_player_deathmatch" "origin" "1 2 3" }
+{ "classname" "info_player_deathmatch" "origin" "bad" }
+}
+`);
+
+  assert.deepEqual(out.entityStats.weapons, { weapon_rocketlauncher: 1 });
+  assert.equal(out.entityStats.spawnPoints.deathmatch, 2);
+  assert.deepEqual(out.entities[2].origin, [1, 2, 3]);
+  assert.equal(out.entities[3].origin, null);
+  assert.deepEqual(out.warnings, ['ENTITIES: Строка 6: лишняя закрывающая скобка']);
+  // названия нет — worldInfo всё равно заполняется
+  assert.deepEqual(out.worldInfo, { name: null, version: null });
+});
+
+test('parseEntities: комментарии, экранированные кавычки и значения без кавычек', () => {
+  const { entities, warnings } = parseEntities(`
+// комментарий
+{
+"classname" "worldspawn"
+"message" "Say \\"hi\\""
+angle 90
+}
+`);
+
+  assert.deepEqual(warnings, []);
+  assert.equal(entities.length, 1);
+  assert.deepEqual(entities[0].keys, { classname: 'worldspawn', message: 'Say "hi"', angle: '90' });
+  assert.equal(entities[0].line, 3);
+});
+
+test('parseEntities: битые блоки не теряют сущности', () => {
+  const { entities, warnings } = parseEntities(`
+{
+"classname" "light"
+"light" "200"
+"light" "300"
+{
+"classname" "info_null"
+"target"
+}
+stray
+{
+"classname" "worldspawn
+`);
+
+  assert.deepEqual(entities.map(e => e.classname), ['light', 'info_null', 'worldspawn']);
+  assert.equal(entities[0].keys.light, '300');
+  // незакрытая кавычка находится ещё при разборе на лексемы
+  assert.deepEqual(warnings, [
+    'Строка 12: незакрытая кавычка',
+    'Строка 5: ключ "light" повторяется',
+    'Строка 6: сущность со строки 2 не закрыта',
+    'Строка 8: ключ "target" без значения',
+    'Строка 10: данные вне сущности ("stray")',
+    'Сущность со строки 11 не закрыта до конца лумпа'
+  ]);
+});
+
+test('parseEntities: управляющие пробельные символы', () => {
+  const { entities } = parseEntities('{\v"classname"\f"light"\v}');
+  assert.deepEqual(entities[0].keys, { classname: 'light' });
+});
+
+test('parseEntities: число предупреждений ограничено', () => {
+  const { warnings } = parseEntities('}'.repeat(50));
+  assert.equal(warnings.length, 21);
+  assert.equal(warnings[20], '…и ещё 30 предупреждений разбора ENTITIES');
+});
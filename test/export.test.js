@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBsp } = require('./fixtures/bsp');
+const { useTestServer } = require('./fixtures/server');
+
+// стандартные текстура e1u1 и небо unit9_, свои — текстура custom/shared и небо space_
+const ALPHA = buildBsp({
+  entities: [{ classname: 'worldspawn', message: 'Alpha', sky: 'space_' }],
+  texinfo: [{ name: 'e1u1/floor1_1' }, { name: 'custom/shared' }]
+});
+const BETA = buildBsp({
+  entities: [{ classname: 'worldspawn', message: 'Beta', sky: 'unit9_' }],
+  texinfo: [{ name: 'custom/shared' }, { name: 'custom/beta' }]
+});
+const FACES = ['bk', 'dn', 'ft', 'lf', 'rt', 'up'];
+const skyFiles = name => FACES.flatMap(side => [`env/${name}${side}.pcx`, `env/${name}${side}.tga`]);
+
+const server = useTestServer('export', { maps: { 'alpha.bsp': ALPHA, 'beta.bsp': BETA } });
+
+async function exportOf(query) {
+  const res = await fetch(`${server.base}/api/v1/${query}`);
+  assert.equal(res.status, 200);
+  return { res, body: await res.text() };
+}
+
+test('export txt: все файлы карты, небо — шесть граней в .tga и .pcx', async () => {
+  const { res, body } = await exportOf('maps/alpha.bsp/export?format=txt');
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="alpha.txt"');
+  assert.deepEqual(body.trimEnd().split('\n'), [
+    ...skyFiles('space_'),
+    'maps/alpha.bsp',
+    'textures/custom/shared.wal',
+    'textures/e1u1/floor1_1.wal'
+  ]);
+
+  const withoutStock = await exportOf('maps/alpha.bsp/export?format=txt&stock=0');
+  assert.ok(!withoutStock.body.includes('textures/e1u1/floor1_1.wal'));
+  assert.ok(withoutStock.body.includes('env/space_up.tga'));
+});
+
+test('export filelist: стандартный контент не попадает даже без stock=0', async () => {
+  const { res, body } = await exportOf('maps/beta.bsp/export?format=filelist');
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="beta.filelist"');
+  assert.deepEqual(body.trimEnd().split('\n'), [
+    'maps/beta.bsp',
+    'textures/custom/beta.wal',
+    'textures/custom/shared.wal'
+  ]);
+});
+
+test('export csv и json: общий список нескольких карт', async () => {
+  const csv = (await exportOf('export?map=alpha.bsp,beta.bsp&format=csv')).body.split('\r\n');
+  assert.equal(csv[0], 'path,kind,stock,maps');
+  assert.ok(csv.includes('textures/custom/shared.wal,textures,no,alpha.bsp;beta.bsp'));
+  assert.ok(csv.includes('textures/e1u1/floor1_1.wal,textures,yes,alpha.bsp'));
+  assert.ok(csv.includes('env/unit9_up.tga,skies,yes,beta.bsp'));
+
+  const { res, body } = await exportOf('export?map=alpha.bsp&map=beta.bsp&format=json&stock=0');
+  assert.match(res.headers.get('content-type'), /^application\/json/);
+  const json = JSON.parse(body);
+  assert.deepEqual(json.maps, ['alpha.bsp', 'beta.bsp']);
+  assert.ok(json.files.every(f => !f.stock));
+  assert.equal(json.files.filter(f => f.kind === 'skies').length, 12);
+  assert.deepEqual(json.files.find(f => f.path === 'textures/custom/shared.wal'),
+    { path: 'textures/custom/shared.wal', kind: 'textures', stock: false, maps: ['alpha.bsp', 'beta.bsp'] });
+});
+
+test('export: неизвестный формат и карта', async () => {
+  const bad = await fetch(`${server.base}/api/v1/maps/alpha.bsp/export?format=xml`);
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error.code, 'invalid_format');
+  assert.equal((await fetch(`${server.base}/api/v1/maps/nope.bsp/export`)).status, 404);
+  assert.equal((await fetch(`${server.base}/api/v1/export?map=alpha.bsp,nope.bsp`)).status, 404);
+});
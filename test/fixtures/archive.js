@@ -0,0 +1,82 @@
+// Сборка .pak и .zip для тестов, независимо от писателей пакетов в server.js:
+//
+//   buildPak({ 'maps/test.bsp': buf, 'textures/custom/wall.wal': buf })
+//   buildZip({ 'baseq2/maps/test.bsp': buf }, { deflate: true })
+//
+// CRC считается тем же crc32, что проверяет openArchive (он сверен с контрольными
+// значениями в package.test.js).
+
+const zlib = require('zlib');
+const { crc32 } = require('../../lib/analyzer');
+
+function buildPak(files) {
+  const names = Object.keys(files);
+  const data = Buffer.concat(names.map(n => files[n]));
+  const header = Buffer.alloc(12);
+  const dir = Buffer.alloc(names.length * 64);
+  header.write('PACK', 0, 'ascii');
+  header.writeInt32LE(12 + data.length, 4);
+  header.writeInt32LE(dir.length, 8);
+
+  let offset = 12;
+  names.forEach((name, i) => {
+    dir.write(name, i * 64, 56, 'ascii');
+    dir.writeInt32LE(offset, i * 64 + 56);
+    dir.writeInt32LE(files[name].length, i * 64 + 60);
+    offset += files[name].length;
+  });
+  return Buffer.concat([header, data, dir]);
+}
+
+function buildZip(files, { deflate = false } = {}) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const data = deflate ? zlib.deflateRawSync(content) : content;
+    const method = deflate ? 8 : 0;
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x800, 8);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(content.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBuf);
+
+    offset += local.length + nameBuf.length + data.length;
+  }
+
+  const cdir = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(cdir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cdir, eocd]);
+}
+
+module.exports = {
+  buildPak,
+  buildZip
+};
@@ -0,0 +1,142 @@
+// Сборка синтетических BSP (IBSP v38) для тестов: заголовок, таблица из 19 лумпов
+// и данные лумпов. Всё, что не передано, остаётся пустым лумпом.
+//
+//   buildBsp({
+//     entities: [{ classname: 'worldspawn', message: 'Test' }],   // или готовая строка
+//     texinfo: [{ name: 'e1u1/floor1_1', flags: 0x1, value: 300, next: -1 }],
+//     lumps: { PLANES: buf, ... },          // сырые данные любых лумпов
+//     lumpTable: { TEXINFO: { offset, length } },  // подмена записей таблицы (битые файлы)
+//     magic: 'IBSP', version: 38
+//   })
+
+const LUMP_NAMES = [
+  'ENTITIES', 'PLANES', 'VERTEXES', 'VISIBILITY', 'NODES', 'TEXINFO', 'FACES',
+  'LIGHTING', 'LEAFS', 'LEAFFACES', 'LEAFBRUSHES', 'EDGES', 'SURFEDGES', 'MODELS',
+  'BRUSHES', 'BRUSHSIDES', 'POP', 'AREAS', 'AREAPORTALS'
+];
+const HEADER_SIZE = 8 + LUMP_NAMES.length * 8;
+const TEXINFO_SIZE = 76;
+
+// { key: value } или [{ ... }] -> текст лумпа ENTITIES
+function entityString(entities) {
+  return entities.map(keys => {
+    const lines = Object.entries(keys).map(([k, v]) => `"${k}" "${v}"`);
+    return `{\n${lines.join('\n')}\n}\n`;
+  }).join('');
+}
+
+function texinfoLump(entries) {
+  const buf = Buffer.alloc(entries.length * TEXINFO_SIZE);
+  entries.forEach((ti, i) => {
+    const base = i * TEXINFO_SIZE;
+    buf.writeInt32LE(ti.flags || 0, base + 32);
+    buf.writeInt32LE(ti.value || 0, base + 36);
+    buf.write(ti.name || '', base + 40, 32, 'ascii');
+    buf.writeInt32LE(ti.next === undefined ? -1 : ti.next, base + 72);
+  });
+  return buf;
+}
+
+function buildBsp({ entities = [], texinfo = [], lumps = {}, lumpTable = {}, magic = 'IBSP', version = 38 } = {}) {
+  const data = { ...lumps };
+  if (data.ENTITIES === undefined) {
+    const txt = typeof entities === 'string' ? entities : entityString(entities);
+    data.ENTITIES = Buffer.from(txt + '\0', 'ascii');
+  }
+  if (data.TEXINFO === undefined) data.TEXINFO = texinfoLump(texinfo);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write(magic, 0, 4, 'ascii');
+  header.writeInt32LE(version, 4);
+
+  const chunks = [header];
+  let offset = HEADER_SIZE;
+  LUMP_NAMES.forEach((name, i) => {
+    const chunk = data[name] || Buffer.alloc(0);
+    const entry = { offset, length: chunk.length, ...lumpTable[name] };
+    header.writeInt32LE(entry.offset, 8 + i * 8);
+    header.writeInt32LE(entry.length, 12 + i * 8);
+    chunks.push(chunk);
+    offset += chunk.length;
+    // лумпы выровнены по 4 байта, как у компиляторов карт
+    const pad = (4 - chunk.length % 4) % 4;
+    if (pad) {
+      chunks.push(Buffer.alloc(pad));
+      offset += pad;
+    }
+  });
+  return Buffer.concat(chunks);
+}
+
+// Геометрия одной квадратной комнаты: пол size×size на высоте z (грань смотрит вверх)
+// и потолок над ним. Грани ссылаются на texinfo 0.
+function squareRoomLumps({ size = 128, z = 0, height = 128 } = {}) {
+  const floats = values => {
+    const buf = Buffer.alloc(values.length * 4);
+    values.forEach((v, i) => buf.writeFloatLE(v, i * 4));
+    return buf;
+  };
+
+  const corners = [[0, 0], [size, 0], [size, size], [0, size]];
+  const VERTEXES = floats([
+    ...corners.flatMap(([x, y]) => [x, y, z]),
+    ...corners.flatMap(([x, y]) => [x, y, z + height])
+  ]);
+
+  // dplane_t: normal, dist, type; пол смотрит вверх, потолок — вниз
+  const PLANES = Buffer.alloc(40);
+  floats([0, 0, 1, z]).copy(PLANES, 0);
+  PLANES.writeInt32LE(2, 16);
+  floats([0, 0, -1, -(z + height)]).copy(PLANES, 20);
+  PLANES.writeInt32LE(2, 36);
+
+  // ребро 0 по соглашению не используется
+  const EDGES = Buffer.alloc(9 * 4);
+  for (let e = 0; e < 4; e++) {
+    EDGES.writeUInt16LE(e, (e + 1) * 4);
+    EDGES.writeUInt16LE((e + 1) % 4, (e + 1) * 4 + 2);
+    EDGES.writeUInt16LE(4 + e, (e + 5) * 4);
+    EDGES.writeUInt16LE(4 + (e + 1) % 4, (e + 5) * 4 + 2);
+  }
+  const SURFEDGES = Buffer.alloc(8 * 4);
+  [1, 2, 3, 4, -8, -7, -6, -5].forEach((se, i) => SURFEDGES.writeInt32LE(se, i * 4));
+
+  // dface_t: planenum, side, firstedge, numedges, texinfo, styles, lightofs
+  const FACES = Buffer.alloc(40);
+  for (let f = 0; f < 2; f++) {
+    FACES.writeUInt16LE(f, f * 20);
+    FACES.writeInt32LE(f * 4, f * 20 + 4);
+    FACES.writeUInt16LE(4, f * 20 + 8);
+    FACES.writeInt32LE(-1, f * 20 + 16);
+  }
+
+  // dmodel_t мира: mins, maxs, origin, headnode, firstface, numfaces
+  const MODELS = Buffer.alloc(48);
+  floats([0, 0, z, size, size, z + height]).copy(MODELS, 0);
+  MODELS.writeInt32LE(0, 40);
+  MODELS.writeInt32LE(2, 44);
+
+  return { PLANES, VERTEXES, EDGES, SURFEDGES, FACES, MODELS };
+}
+
+// Испорченные варианты готового файла
+function truncate(buf, length) {
+  return Buffer.from(buf.subarray(0, length));
+}
+
+function lumpOffset(buf, name) {
+  const i = LUMP_NAMES.indexOf(name);
+  return { offset: buf.readInt32LE(8 + i * 8), length: buf.readInt32LE(12 + i * 8) };
+}
+
+module.exports = {
+  LUMP_NAMES,
+  HEADER_SIZE,
+  TEXINFO_SIZE,
+  entityString,
+  texinfoLump,
+  buildBsp,
+  squareRoomLumps,
+  truncate,
+  lumpOffset
+};
@@ -0,0 +1,11 @@
+// Рабочий поток для проверки пула из lib/jobs.js: возвращает сообщение,
+// на { exit: code } завершается, не ответив.
+// node --test запускает и файлы из test/fixtures — вне потока здесь нечего делать
+const { parentPort } = require('worker_threads');
+
+if (parentPort) {
+  parentPort.on('message', message => {
+    if (message.exit !== undefined) process.exit(message.exit);
+    parentPort.postMessage({ echo: message.value });
+  });
+}
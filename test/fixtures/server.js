@@ -0,0 +1,60 @@
+// Сервер для HTTP-тестов: хранилище в памяти, исходные BSP и учётные записи — во временном
+// каталоге, вход выключен. Вызывать до подключения ../server: lib/db.js и lib/auth.js читают
+// настройки при подключении, поэтому свои переменные окружения передаются в env.
+//
+//   const server = useTestServer('export', { maps: { 'alpha.bsp': ALPHA } });
+//   const res = await fetch(`${server.base}/api/v1/maps/alpha.bsp`);
+//
+// Сам файл ничего не запускает (node --test подключает и его).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// name — часть имени временного каталога; maps — { имя файла: Buffer }, загружаются до тестов;
+// env(dataDir) — дополнительные переменные окружения.
+// -> { dataDir, base, upload }; base известен после запуска сервера (в test.before)
+function useTestServer(name, { maps = {}, env = () => ({}) } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `q2mapinfo-${name}-`));
+  Object.assign(process.env, {
+    STORAGE: 'memory',
+    BSP_STORAGE_DIR: path.join(dataDir, 'bsp'),
+    AUTH_USERS_FILE: path.join(dataDir, 'users.json'),
+    AUTH_TOKENS: ''
+  }, env(dataDir));
+  const { app } = require('../../server');
+
+  let listener = null;
+  const server = { dataDir, base: null, upload };
+
+  // { имя файла: Buffer } -> ответ POST /analyze?json=1
+  function upload(files) {
+    const form = new FormData();
+    for (const [fileName, buf] of Object.entries(files)) {
+      form.append('maps', new Blob([buf]), fileName);
+    }
+    return fetch(`${server.base}/analyze?json=1`, { method: 'POST', body: form });
+  }
+
+  test.before(async () => {
+    listener = app.listen(0);
+    await new Promise(resolve => listener.once('listening', resolve));
+    server.base = `http://127.0.0.1:${listener.address().port}`;
+    if (Object.keys(maps).length) {
+      assert.equal((await upload(maps)).status, 200);
+    }
+  });
+
+  test.after(() => {
+    if (listener) listener.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  return server;
+}
+
+module.exports = {
+  useTestServer
+};
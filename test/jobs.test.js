@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// lib/jobs.js подключает lib/db.js — хранилище во временном каталоге, а не в data/ репозитория
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'q2mapinfo-jobs-'));
+process.env.STORAGE = 'memory';
+process.env.BSP_STORAGE_DIR = path.join(dataDir, 'bsp');
+
+const { createWorkerPool, analyzeUploadInWorker } = require('../lib/jobs');
+const { buildBsp } = require('./fixtures/bsp');
+
+const ECHO_WORKER = path.join(__dirname, 'fixtures', 'echo-worker.js');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('createWorkerPool: задачи сверх числа потоков ждут в очереди', async () => {
+  const pool = createWorkerPool(2, ECHO_WORKER);
+  const results = await Promise.all([1, 2, 3, 4, 5].map(value => pool.run({ value })));
+  assert.deepEqual(results.map(r => r.echo), [1, 2, 3, 4, 5]);
+  await pool.close();
+});
+
+test('createWorkerPool: упавший поток заменяется новым', async () => {
+  const pool = createWorkerPool(1, ECHO_WORKER);
+  await assert.rejects(pool.run({ exit: 3 }), /завершился с кодом 3/);
+  assert.deepEqual(await pool.run({ value: 'ok' }), { echo: 'ok' });
+  await pool.close();
+});
+
+test('analyzeUploadInWorker', async () => {
+  const [item] = await analyzeUploadInWorker(buildBsp({ entities: [{ classname: 'worldspawn', message: 'Worker' }] }), 'w.bsp');
+  assert.equal(item.file, 'w.bsp');
+  assert.equal(item.analysis.mapName, 'Worker');
+  // исходник возвращается как Buffer — его сохраняет основной поток
+  assert.ok(Buffer.isBuffer(item.bsp));
+
+  await assert.rejects(analyzeUploadInWorker(Buffer.from('IBSP'), 'tiny.bsp'), /слишком мал/);
+});
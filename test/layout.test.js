@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeDmLayout, analyzeBspBuffer } = require('../lib/analyzer');
+const { buildBsp } = require('./fixtures/bsp');
+
+const at = (classname, origin, keys = {}) => ({
+  classname,
+  origin,
+  line: 1,
+  keys: { classname, origin: origin.join(' '), ...keys }
+});
+
+const ENTITIES = [
+  at('info_player_deathmatch', [0, 0, 24]),
+  at('info_player_deathmatch', [100, 0, 24]),
+  at('info_player_deathmatch', [1000, 0, 280], { targetname: 'tele1' }),
+  at('weapon_railgun', [0, 300, 16]),
+  at('weapon_shotgun', [1000, 400, 272]),
+  at('item_armor_body', [1000, 0, 600]),
+  at('item_quad', [500, 500, 16]),
+  at('item_invulnerability', [500, 1100, 16]),
+  at('item_health', [0, 0, 0]),
+  { classname: 'weapon_bfg', origin: null, line: 1, keys: {} }
+];
+
+test('analyzeDmLayout: без DM-спавнов — null', () => {
+  assert.equal(analyzeDmLayout([at('info_player_start', [0, 0, 0])]), null);
+  assert.equal(analyzeDmLayout(undefined), null);
+});
+
+test('analyzeDmLayout: ближайшие оружие, броня и спавн', () => {
+  const layout = analyzeDmLayout(ENTITIES);
+  const [a, b, c] = layout.spawns;
+
+  assert.equal(layout.spawns.length, 3);
+  assert.deepEqual(a.nearestWeapon, { classname: 'weapon_railgun', origin: [0, 300, 16], distance: 300 });
+  assert.equal(b.nearestSpawn, 100);
+  assert.equal(c.nearestWeapon.classname, 'weapon_shotgun');
+  assert.equal(c.nearestArmor.distance, 320);
+  assert.equal(c.targetname, 'tele1');
+  // у оружия без origin расстояния нет — оно не учитывается
+  assert.ok(layout.spawns.every(s => s.nearestWeapon.classname !== 'weapon_bfg'));
+  assert.equal(layout.avgNearestWeapon, Math.round((300 + 316 + 400) / 3));
+});
+
+test('analyzeDmLayout: спавны рядом друг с другом', () => {
+  assert.deepEqual(analyzeDmLayout(ENTITIES).spawnClusters, [[1, 2]]);
+
+  // цепочка: 1–2 и 2–3 близко, значит все трое в одной группе
+  const chain = analyzeDmLayout([
+    at('info_player_deathmatch', [0, 0, 0]),
+    at('info_player_deathmatch', [200, 0, 0]),
+    at('info_player_deathmatch', [400, 0, 0]),
+    at('info_player_deathmatch', [2000, 0, 0])
+  ]);
+  assert.deepEqual(chain.spawnClusters, [[1, 2, 3]]);
+});
+
+test('analyzeDmLayout: усилители и распределение по высоте', () => {
+  const layout = analyzeDmLayout(ENTITIES);
+
+  assert.deepEqual(layout.powerups.map(p => p.classname), ['item_quad', 'item_invulnerability']);
+  assert.equal(layout.powerups[0].nearestSpawn, 640);
+  assert.deepEqual(layout.powerupSpread, { min: 600, max: 600 });
+
+  // от z=16 до z=600 — пять слоёв по 128
+  assert.deepEqual(layout.levels.map(l => l.from), [16, 144, 272, 400, 528]);
+  assert.deepEqual(layout.levels[0], { from: 16, to: 144, spawns: 2, weapons: 1, armors: 0, powerups: 2 });
+  assert.deepEqual(layout.levels[2], { from: 272, to: 400, spawns: 1, weapons: 1, armors: 0, powerups: 0 });
+  assert.equal(layout.levels[4].armors, 1);
+});
+
+test('analyzeDmLayout: точка далеко за пределами мира не раздувает список этажей', () => {
+  const layout = analyzeDmLayout([
+    at('info_player_deathmatch', [0, 0, 24]),
+    at('item_quad', [0, 0, 1e12]),
+    at('weapon_railgun', [0, 0, -1e12])
+  ]);
+  assert.deepEqual(layout.levels.map(l => [l.spawns, l.weapons, l.powerups]), [[0, 1, 0], [1, 0, 0], [0, 0, 1]]);
+  assert.equal(layout.levels[0].from, -1e12);
+});
+
+test('analyzeBspBuffer: расстановка в результате анализа', () => {
+  const analysis = analyzeBspBuffer(buildBsp({
+    entities: [
+      { classname: 'worldspawn' },
+      ...ENTITIES.filter(e => e.origin).map(e => e.keys)
+    ]
+  }));
+  assert.equal(analysis.layout.spawns.length, 3);
+  assert.deepEqual(analysis.layout.spawnClusters, [[1, 2]]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintEntities } = require('../lib/lint');
+const { parseEntities } = require('../lib/analyzer');
+const { entityString } = require('./fixtures/bsp');
+
+const Q2 = { id: 'quake2' };
+
+// сущности в виде, как после разбора лумпа: с номерами строк и разобранным origin
+const parse = list => parseEntities(entityString(list)).entities;
+const messages = (findings, category) => findings.filter(f => f.category === category).map(f => f.message);
+
+const DM_BASE = [
+  { classname: 'worldspawn' },
+  { classname: 'info_player_deathmatch', origin: '0 0 24' },
+  { classname: 'info_player_intermission', origin: '0 0 128' }
+];
+
+test('lintEntities: чистая DM-карта без замечаний', () => {
+  assert.deepEqual(lintEntities(parse(DM_BASE), Q2), []);
+});
+
+test('lintEntities: target без targetname и targetname без ссылок', () => {
+  const findings = lintEntities(parse([
+    ...DM_BASE,
+    { classname: 'trigger_multiple', target: 'door1', killtarget: 'nothing' },
+    { classname: 'func_door', targetname: 'door1' },
+    { classname: 'func_train', target: 'p1', targetname: 'lonely' },
+    { classname: 'path_corner', targetname: 'p1', target: 'p1', origin: '0 0 0' },
+    { classname: 'info_player_start', targetname: 'from_base2', origin: '0 0 0' }
+  ]), Q2);
+
+  const targets = findings.filter(f => f.category === 'targets');
+  assert.equal(targets.length, 2);
+  assert.match(targets[0].message, /^killtarget "nothing" \(trigger_multiple, строка \d+\): нет сущности с таким targetname$/);
+  assert.match(targets[1].message, /^targetname "lonely" \(func_train, строка \d+\): на эту сущность никто не ссылается$/);
+  assert.equal(targets[0].line, parse(DM_BASE.concat({ classname: 'trigger_multiple' }))[3].line);
+});
+
+test('lintEntities: точки появления', () => {
+  const dmOnly = lintEntities(parse(DM_BASE.slice(0, 2)), Q2);
+  assert.match(messages(dmOnly, 'spawns')[0], /без info_player_intermission/);
+
+  const sp = lintEntities(parse([
+    { classname: 'worldspawn' },
+    { classname: 'monster_soldier', origin: '0 0 0' }
+  ]), Q2);
+  assert.match(messages(sp, 'spawns')[0], /без info_player_start/);
+
+  const empty = lintEntities(parse([{ classname: 'worldspawn' }]), Q2);
+  assert.deepEqual(messages(empty, 'spawns'), ['Нет ни info_player_start, ни info_player_deathmatch']);
+
+  // Quake 1: точка для паузы называется info_intermission
+  const q1 = lintEntities(parse([
+    { classname: 'worldspawn' },
+    { classname: 'info_player_deathmatch', origin: '0 0 0' },
+    { classname: 'info_intermission', origin: '0 0 0' }
+  ]), { id: 'quake1' });
+  assert.deepEqual(messages(q1, 'spawns'), []);
+});
+
+test('lintEntities: неизвестные classname только для Quake 2', () => {
+  const entities = parse([
+    ...DM_BASE,
+    { classname: 'item_lightning_gun', origin: '10 0 0' },
+    { classname: 'item_lightning_gun', origin: '20 0 0' },
+    { origin: '30 0 0' }
+  ]);
+
+  const q2 = messages(lintEntities(entities, Q2), 'classnames');
+  assert.equal(q2.length, 2);
+  assert.match(q2[0], /^Сущность без classname/);
+  assert.match(q2[1], /^Неизвестный classname "item_lightning_gun" \(2 шт\., строки \d+, \d+\) — Quake II его не создаст/);
+
+  const kingpin = messages(lintEntities(entities, { id: 'kingpin' }), 'classnames');
+  assert.equal(kingpin.length, 1);
+});
+
+test('lintEntities: classname проверяются по словарю мода', () => {
+  const entities = parse([
+    ...DM_BASE,
+    { classname: 'item_flag_team1', origin: '10 0 0' },
+    { classname: 'item_flag_team2', origin: '20 0 0' },
+    { classname: 'weapon_boomer', origin: '30 0 0' }
+  ]);
+
+  // флаги выдают CTF, а оружие The Reckoning в CTF не создаётся
+  const found = messages(lintEntities(entities, Q2), 'classnames');
+  assert.equal(found.length, 1);
+  assert.match(found[0], /^Неизвестный classname "weapon_boomer" .* — Capture the Flag его не создаст/);
+});
+
+test('lintEntities: дубликаты и испорченные origin', () => {
+  const findings = lintEntities(parse([
+    ...DM_BASE,
+    { classname: 'weapon_railgun', origin: '64 64 16' },
+    { classname: 'weapon_railgun', origin: '64 64 16' },
+    { classname: 'weapon_shotgun', origin: '64 64 16' },
+    { classname: 'light', origin: '1 2' },
+    { classname: 'item_health' }
+  ]), Q2);
+
+  assert.deepEqual(messages(findings, 'duplicates').length, 1);
+  assert.match(messages(findings, 'duplicates')[0], /^2 × weapon_railgun в точке 64 64 16/);
+  const origins = messages(findings, 'origins');
+  assert.match(origins[0], /^origin "1 2" \(light, строка \d+\): ожидаются три числа/);
+  assert.match(origins[1], /^item_health, строка \d+: нет origin/);
+});
+
+test('lintEntities: число замечаний в категории ограничено', () => {
+  const many = Array.from({ length: 150 }, (_, i) => ({ classname: 'trigger_once', target: `t${i}` }));
+  const targets = messages(lintEntities(parse([...DM_BASE, ...many]), Q2), 'targets');
+  assert.equal(targets.length, 101);
+  assert.equal(targets[100], '…и ещё 50 замечаний');
+});
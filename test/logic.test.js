@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLogicGraph, isSelfActivated } = require('../lib/logic');
+
+let line = 0;
+const ent = keys => ({ classname: keys.classname, origin: null, line: ++line, keys });
+
+const ENTITIES = [
+  ent({ classname: 'worldspawn' }),
+  ent({ classname: 'trigger_once', target: 'open' }), // 1
+  ent({ classname: 'trigger_relay', targetname: 'open', target: 'door', killtarget: 'wall' }), // 2
+  ent({ classname: 'func_door', targetname: 'door' }), // 3
+  ent({ classname: 'func_wall', targetname: 'wall' }), // 4
+  ent({ classname: 'target_relay', targetname: 'forgotten', target: 'noise' }), // 5
+  ent({ classname: 'target_speaker', targetname: 'noise' }), // 6
+  ent({ classname: 'func_train', target: 'p1' }), // 7
+  ent({ classname: 'path_corner', targetname: 'p1', target: 'p2' }), // 8
+  ent({ classname: 'path_corner', targetname: 'p2', target: 'p1' }), // 9
+  ent({ classname: 'trigger_relay', targetname: 'ping', target: 'pong' }), // 10
+  ent({ classname: 'trigger_relay', targetname: 'pong', target: 'ping' }), // 11
+  ent({ classname: 'trigger_multiple', target: 'nowhere' }), // 12
+  ent({ classname: 'light', targetname: 'lonely' })
+];
+
+test('buildLogicGraph: вершины и рёбра', () => {
+  const graph = buildLogicGraph(ENTITIES);
+
+  // worldspawn и сущность без связей в граф не попадают
+  assert.deepEqual(graph.nodes.map(n => n.id), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  assert.deepEqual(
+    graph.edges.filter(e => e.from === 2).map(e => [e.key, e.to]),
+    [['target', 3], ['killtarget', 4]]
+  );
+  assert.deepEqual(graph.missing, [{ from: 12, key: 'target', value: 'nowhere' }]);
+  assert.deepEqual(graph.nodes.filter(n => n.source).map(n => n.id), [1, 7, 12]);
+});
+
+test('buildLogicGraph: циклы', () => {
+  const graph = buildLogicGraph(ENTITIES);
+
+  assert.deepEqual(graph.cycles, [
+    { nodes: [8, 9], trainRoute: true },
+    { nodes: [10, 11], trainRoute: false }
+  ]);
+  assert.equal(graph.nodes.find(n => n.id === 10).cycle, 1);
+  assert.deepEqual(graph.edges.filter(e => e.cycle).map(e => e.from), [8, 9, 10, 11]);
+
+  // сущность, вызывающая саму себя
+  const self = buildLogicGraph([ent({ classname: 'trigger_relay', targetname: 'x', target: 'x' })]);
+  assert.deepEqual(self.cycles, [{ nodes: [0], trainRoute: false }]);
+});
+
+test('buildLogicGraph: цепочки, которые ничто не запускает', () => {
+  const graph = buildLogicGraph(ENTITIES);
+
+  // func_wall только удаляют — это не мёртвая цепочка
+  assert.deepEqual(graph.unreachable, [5, 6, 10, 11]);
+  assert.equal(graph.nodes.find(n => n.id === 3).reached, true);
+  assert.equal(graph.nodes.find(n => n.id === 4).reached, false);
+});
+
+test('isSelfActivated: классы и spawnflags', () => {
+  const check = keys => isSelfActivated({ classname: keys.classname, keys });
+
+  assert.equal(check({ classname: 'func_button', targetname: 'b' }), true);
+  assert.equal(check({ classname: 'func_door' }), true);
+  assert.equal(check({ classname: 'func_door', targetname: 'd' }), false);
+  assert.equal(check({ classname: 'trigger_multiple', spawnflags: '4' }), false);
+  assert.equal(check({ classname: 'monster_soldier', spawnflags: '2' }), false);
+  assert.equal(check({ classname: 'monster_soldier', spawnflags: '1' }), true);
+  assert.equal(check({ classname: 'func_timer' }), false);
+  assert.equal(check({ classname: 'func_timer', spawnflags: '1' }), true);
+  assert.equal(check({ classname: 'func_train', targetname: 't' }), false);
+  assert.equal(check({ classname: 'target_crosslevel_target' }), true);
+  assert.equal(check({ classname: 'target_relay' }), false);
+});
+
+test('buildLogicGraph: длинная цепочка не переполняет стек', () => {
+  // trigger_once -> r1 -> r2 -> ... -> rN, последний замыкает цепочку на r1
+  const N = 50000;
+  const chain = [ent({ classname: 'trigger_once', target: 'r1' })];
+  for (let i = 1; i <= N; i++) {
+    chain.push(ent({ classname: 'trigger_relay', targetname: `r${i}`, target: `r${i === N ? 1 : i + 1}` }));
+  }
+  const graph = buildLogicGraph(chain);
+
+  assert.equal(graph.nodes.length, N + 1);
+  assert.deepEqual(graph.unreachable, []);
+  assert.equal(graph.cycles.length, 1);
+  assert.equal(graph.cycles[0].nodes.length, N);
+  assert.equal(graph.cycles[0].nodes[0], 1);
+});
+
+test('buildLogicGraph: без сущностей', () => {
+  assert.deepEqual(buildLogicGraph(undefined), { nodes: [], edges: [], cycles: [], unreachable: [], missing: [] });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { openArchive } = require('../lib/analyzer');
+const { buildBsp } = require('./fixtures/bsp');
+const { buildZip } = require('./fixtures/archive');
+const { useTestServer } = require('./fixtures/server');
+
+const MAP = buildBsp({
+  entities: [{ classname: 'worldspawn', message: 'Packed', sky: 'pack_' }],
+  texinfo: [{ name: 'e1u1/floor1_1' }, { name: 'custom/wall' }, { name: 'custom/floor' }]
+});
+const SKY_FACES = ['rt', 'bk', 'lf', 'ft', 'up', 'dn'];
+const WALL = Buffer.from('wall texture');
+
+const server = useTestServer('package', {
+  maps: { 'packed.bsp': MAP },
+  // каталог игры читается при подключении сервера
+  env: dataDir => ({ GAME_DATA_DIR: path.join(dataDir, 'baseq2'), GAME_DATA_RECHECK_SECONDS: '0.1' })
+});
+const gameDir = process.env.GAME_DATA_DIR;
+const { writePak, writeZip, crc32 } = require('../server');
+
+test.before(() => {
+  fs.mkdirSync(path.join(gameDir, 'textures', 'custom'), { recursive: true });
+  fs.writeFileSync(path.join(gameDir, 'textures', 'custom', 'wall.wal'), WALL);
+  const faces = Object.fromEntries(SKY_FACES.map(side => [`env/pack_${side}.tga`, Buffer.from(`face ${side}`)]));
+  fs.writeFileSync(path.join(gameDir, 'pak-sky.zip'), buildZip(faces, { deflate: true }));
+});
+
+function entriesOf(buf) {
+  const archive = openArchive(buf);
+  return Object.fromEntries(Array.from(archive.entries, ([p, entry]) => [p, archive.read(entry).toString('latin1')]));
+}
+
+test('crc32: контрольные значения', () => {
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+test('writePak / writeZip: записанное читается обратно', () => {
+  const entries = [
+    { path: 'maps/test.bsp', data: MAP },
+    { path: 'textures/custom/wall.wal', data: Buffer.alloc(4096, 'a') }, // сожмётся
+    { path: 'sound/custom/noise.wav', data: crypto.randomBytes(512) } // останется как есть
+  ];
+  const expected = Object.fromEntries(entries.map(e => [e.path, e.data.toString('latin1')]));
+
+  const pak = writePak(entries);
+  assert.equal(openArchive(pak).type, 'pak');
+  assert.deepEqual(entriesOf(pak), expected);
+
+  const zip = writeZip(entries);
+  assert.equal(openArchive(zip).type, 'zip');
+  assert.deepEqual(entriesOf(zip), expected);
+  // CRC в центральном каталоге — от распакованных данных
+  const cdirOffset = zip.readUInt32LE(zip.length - 22 + 16);
+  assert.equal(zip.readUInt32LE(cdirOffset + 16), crc32(MAP));
+});
+
+test('writePak: имена не из ASCII и длинные имена отклоняются, zip их принимает', () => {
+  const unicode = [{ path: 'maps/карта.bsp', data: MAP }];
+  assert.throws(() => writePak(unicode), /не из ASCII/);
+  assert.throws(() => writePak([{ path: `maps/${'x'.repeat(60)}.bsp`, data: MAP }]), /длиннее 55 байт/);
+  assert.deepEqual(Object.keys(entriesOf(writeZip(unicode))), ['maps/карта.bsp']);
+});
+
+test('GET /package: состав пакета из каталога игры и архивов в нём', async () => {
+  const plan = await (await fetch(`${server.base}/package?map=packed.bsp&json=1`)).json();
+  assert.deepEqual(plan.files.map(f => f.path), [
+    ...SKY_FACES.map(side => `env/pack_${side}.tga`).sort(),
+    'maps/packed.bsp',
+    'textures/custom/wall.wal'
+  ]);
+  assert.deepEqual(plan.missing, [{ kind: 'textures', path: 'textures/custom/floor.wal' }]);
+
+  const zip = entriesOf(Buffer.from(await (await fetch(`${server.base}/package?map=packed.bsp&format=zip`)).arrayBuffer()));
+  const pak = entriesOf(Buffer.from(await (await fetch(`${server.base}/package?map=packed.bsp&format=pak`)).arrayBuffer()));
+  assert.deepEqual(zip, pak);
+  assert.equal(zip['maps/packed.bsp'], MAP.toString('latin1'));
+  assert.equal(zip['textures/custom/wall.wal'], 'wall texture');
+  assert.equal(zip['env/pack_up.tga'], 'face up');
+});
+
+test('GET /package: новый файл в каталоге игры виден без перезапуска', async () => {
+  fs.writeFileSync(path.join(gameDir, 'textures', 'custom', 'floor.wal'), Buffer.from('floor'));
+  // каталог проверяется не чаще раза в GAME_DATA_RECHECK_SECONDS
+  await new Promise(resolve => setTimeout(resolve, 150));
+  const plan = await (await fetch(`${server.base}/package?map=packed.bsp&json=1`)).json();
+  assert.deepEqual(plan.missing, []);
+  assert.ok(plan.files.some(f => f.path === 'textures/custom/floor.wal'));
+});
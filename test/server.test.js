@@ -0,0 +1,396 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// до загрузки сервера: lib/db.js читает настройки при подключении
+const bspDir = fs.mkdtempSync(path.join(os.tmpdir(), 'q2mapinfo-test-'));
+process.env.STORAGE = 'memory';
+process.env.BSP_STORAGE_DIR = bspDir;
+// вход выключен: ни учётных записей, ни токенов (проверки входа — в auth.test.js)
+process.env.AUTH_USERS_FILE = path.join(bspDir, 'users.json');
+process.env.AUTH_TOKENS = '';
+
+const { app, cleanMapTitle } = require('../server');
+const { saveAnalysisToDb } = require('../lib/db');
+const { buildBsp, squareRoomLumps } = require('./fixtures/bsp');
+
+const EDGE = buildBsp({
+  entities: [
+    { classname: 'worldspawn', message: 'The\\nEdge', sky: 'unit9_' },
+    { classname: 'info_player_deathmatch', origin: '64 64 24' },
+    { classname: 'weapon_rocketlauncher', origin: '32 32 16' }
+  ],
+  texinfo: [{ name: 'e1u1/floor1_1' }, { name: 'custom/edge_wall' }],
+  lumps: squareRoomLumps()
+});
+const EDGE_COPY_NAME = 'edge_final.bsp';
+const BASE = buildBsp({ entities: [{ classname: 'worldspawn', message: 'Base' }] });
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(bspDir, { recursive: true, force: true });
+});
+
+function upload(files, { json = true } = {}) {
+  // без json=1 ответ — переадресация на страницу задачи
+  const form = new FormData();
+  for (const [name, buf] of Object.entries(files)) {
+    form.append('maps', new Blob([buf]), name);
+  }
+  return fetch(`${base}/analyze${json ? '?json=1' : ''}`, { method: 'POST', body: form, redirect: 'manual' });
+}
+
+test('cleanMapTitle', () => {
+  assert.equal(cleanMapTitle('The\\nEdge'), 'The Edge');
+  assert.equal(cleanMapTitle('  Q2\x01DM1\u200B  \t'), 'Q2 DM1');
+  assert.equal(cleanMapTitle(null), '');
+});
+
+test('POST /analyze: без файлов', async () => {
+  const res = await fetch(`${base}/analyze`, { method: 'POST' });
+  assert.equal(res.status, 400);
+  assert.equal(await res.text(), 'Файлы не загружены');
+});
+
+test('POST /analyze: результат в JSON и сохранение', async () => {
+  const res = await upload({ 'edge.bsp': EDGE, 'base1.bsp': BASE });
+  assert.equal(res.status, 200);
+  const { results } = await res.json();
+
+  assert.deepEqual(results.map(r => r.file), ['edge.bsp', 'base1.bsp']);
+  const edge = results[0];
+  assert.equal(edge.mapName, 'The\\nEdge');
+  assert.equal(edge.format.id, 'quake2');
+  assert.deepEqual(edge.skies, ['env/unit9_*']);
+  assert.ok(edge.textures.includes('textures/custom/edge_wall.wal'));
+  assert.equal(edge.originalStored, true);
+  assert.ok(fs.existsSync(path.join(bspDir, edge.sha256.slice(0, 2), edge.sha256 + '.bsp')));
+});
+
+test('POST /analyze: та же карта под другим именем становится псевдонимом', async () => {
+  const res = await upload({ [EDGE_COPY_NAME]: EDGE });
+  const { results } = await res.json();
+  assert.equal(results[0].duplicateOf, 'edge.bsp');
+
+  const page = await (await fetch(`${base}/view?map=${EDGE_COPY_NAME}`)).text();
+  assert.match(page, /Также известна как/);
+});
+
+// SSE-поток задачи: после события end сервер закрывает соединение
+async function jobEvents(id) {
+  const res = await fetch(`${base}/jobs/${id}/events`);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+  const text = await res.text();
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.*)$/m);
+    const [, data] = block.match(/^data: (.*)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+test('POST /analyze: HTML-форма ставит загрузку в очередь', async () => {
+  const res = await upload({ 'edge.bsp': EDGE, 'broken.bsp': Buffer.from('IBSP') }, { json: false });
+  assert.equal(res.status, 303);
+  const [, id] = res.headers.get('location').match(/^\/jobs\/([0-9a-f]+)$/);
+
+  const events = await jobEvents(id);
+  const files = events.filter(e => e.event === 'file');
+  assert.deepEqual(files.map(e => e.data.index).sort(), [0, 1]);
+  assert.match(files.find(e => e.data.index === 0).data.html, /<a href="\/view\?map=edge\.bsp">edge\.bsp<\/a>/);
+  const end = events[events.length - 1];
+  assert.equal(end.event, 'end');
+  assert.equal(end.data.redirect, null);
+  assert.match(end.data.summaryHtml, /не удалось: <strong class="err">1<\/strong>/);
+
+  const job = await (await fetch(`${base}/jobs/${id}?json=1`)).json();
+  assert.equal(job.status, 'done');
+  assert.deepEqual([job.total, job.done, job.failed], [2, 2, 1]);
+  assert.equal(job.files[0].maps[0].saved, true);
+  assert.equal(job.files[0].maps[0].textures, 2);
+  assert.match(job.files[1].error, /слишком мал/);
+
+  const html = await (await fetch(`${base}/jobs/${id}`)).text();
+  assert.match(html, /Загрузка: 2 файлов/);
+  assert.match(html, /<tr id="job-file-1" class="status-failed" data-problem="1">/);
+  assert.match(html, /Итог/);
+});
+
+test('POST /analyze: после загрузки одной карты — переход на её страницу', async () => {
+  const res = await upload({ 'edge.bsp': EDGE }, { json: false });
+  const id = res.headers.get('location').split('/').pop();
+  const events = await jobEvents(id);
+  assert.equal(events[events.length - 1].data.redirect, '/view?map=edge.bsp');
+});
+
+test('/api/v1/jobs', async () => {
+  const form = new FormData();
+  form.append('maps', new Blob([BASE]), 'base1.bsp');
+  const res = await fetch(`${base}/api/v1/jobs`, { method: 'POST', body: form });
+  assert.equal(res.status, 202);
+  const job = await res.json();
+  assert.equal(res.headers.get('location'), `/api/v1/jobs/${job.id}`);
+  assert.equal(job.total, 1);
+
+  await jobEvents(job.id);
+  const done = await (await fetch(`${base}/api/v1/jobs/${job.id}`)).json();
+  assert.equal(done.status, 'done');
+  assert.equal(done.files[0].maps[0].duplicateOf, null);
+
+  assert.equal((await fetch(`${base}/api/v1/jobs/nope`)).status, 404);
+  assert.equal((await fetch(`${base}/jobs/nope`)).status, 404);
+});
+
+test('POST /analyze: неподдерживаемый файл', async () => {
+  const res = await upload({ 'readme.txt': Buffer.from('hello') });
+  assert.equal(res.status, 500);
+});
+
+test('POST /analyze?json=1: битый архив не отменяет остальные файлы', async () => {
+  const good = buildBsp({ entities: [{ classname: 'worldspawn', message: 'Good' }] });
+  const res = await upload({ 'good.bsp': good, 'bad.zip': Buffer.from('definitely not a zip') });
+  assert.equal(res.status, 200);
+  const { results } = await res.json();
+
+  assert.deepEqual(results.map(r => r.file), ['good.bsp', 'bad.zip']);
+  assert.equal(results[0].mapName, 'Good');
+  assert.equal(results[1].error.code, 'analysis_failed');
+  assert.match(results[1].error.message, /Неизвестный формат архива/);
+  assert.equal((await fetch(`${base}/api/v1/maps/good.bsp`)).status, 200);
+
+  // API отвечает так же
+  const form = new FormData();
+  form.append('maps', new Blob([good]), 'good.bsp');
+  form.append('maps', new Blob([Buffer.from('definitely not a zip')]), 'bad.zip');
+  const api = await (await fetch(`${base}/api/v1/analyze`, { method: 'POST', body: form })).json();
+  assert.deepEqual(api.results[1], { file: 'bad.zip', error: results[1].error });
+});
+
+test('GET /: список сохранённых карт', async () => {
+  const res = await fetch(`${base}/`);
+  assert.equal(res.status, 200);
+  const html = await res.text();
+  assert.match(html, /edge\.bsp/);
+  assert.match(html, /base1\.bsp/);
+});
+
+test('GET /?map=: одна найденная карта открывается сразу', async () => {
+  const res = await fetch(`${base}/?map=base`, { redirect: 'manual' });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/view?map=base1.bsp');
+});
+
+test('GET /?map=: ничего не найдено', async () => {
+  const html = await (await fetch(`${base}/?map=nothing`)).text();
+  assert.match(html, /Карта с именем файла, содержащим &quot;nothing&quot;, не найдена в базе/);
+});
+
+test('GET /view', async () => {
+  const res = await fetch(`${base}/view?map=EDGE.bsp`);
+  assert.equal(res.status, 200);
+  const html = await res.text();
+  assert.match(html, /The Edge/);
+  assert.match(html, /textures\/custom\/edge_wall\.wal/);
+  assert.match(html, /weapon_rocketlauncher/);
+  assert.match(html, /Расстановка \(DM\)/);
+  assert.match(html, /Проверка сущностей \(1\)/);
+  assert.match(html, /без info_player_intermission/);
+  assert.match(html, /<td data-value="46">46 <span class="muted">weapon_rocketlauncher<\/span><\/td>/);
+});
+
+test('GET /view/logic', async () => {
+  const logic = buildBsp({
+    entities: [
+      { classname: 'worldspawn' },
+      { classname: 'trigger_once', target: 'door1' },
+      { classname: 'func_door', targetname: 'door1' },
+      { classname: 'trigger_relay', targetname: 'a', target: 'b' },
+      { classname: 'trigger_relay', targetname: 'b', target: 'a<script>' }
+    ]
+  });
+  await upload({ 'logic.bsp': logic });
+
+  let html = await (await fetch(`${base}/view?map=logic.bsp`)).text();
+  assert.match(html, /href="\/view\/logic\?map=logic\.bsp"/);
+
+  const res = await fetch(`${base}/view/logic?map=logic.bsp`);
+  assert.equal(res.status, 200);
+  html = await res.text();
+  assert.match(html, /Связанных сущностей: <strong>4<\/strong>, связей: <strong>2<\/strong>/);
+  assert.match(html, /<g class="node source" id="node-1"/);
+  assert.match(html, /Не запускаются ничем \(2\)/);
+  assert.match(html, /Битые ссылки \(1\)/);
+  assert.doesNotMatch(html, /a<script>/);
+
+  html = await (await fetch(`${base}/view/logic?map=edge.bsp`)).text();
+  assert.match(html, /нет связей target → targetname/);
+
+  assert.equal((await fetch(`${base}/view/logic?map=missing.bsp`)).status, 404);
+});
+
+test('GET /view: мод, монстры и CTF', async () => {
+  const ctf = buildBsp({
+    entities: [
+      { classname: 'worldspawn' },
+      { classname: 'item_flag_team1', origin: '0 0 0' },
+      { classname: 'item_flag_team2', origin: '512 0 0' },
+      { classname: 'info_player_team1', origin: '0 64 0' },
+      { classname: 'item_tech1', origin: '256 0 0' },
+      { classname: 'monster_soldier', origin: '256 256 0' }
+    ]
+  });
+  const { results } = await (await upload({ 'ctf1.bsp': ctf })).json();
+  assert.deepEqual(results[0].mod, { id: 'ctf', name: 'Capture the Flag', evidence: ['info_player_team1', 'item_flag_team1', 'item_flag_team2', 'item_tech1'] });
+
+  const html = await (await fetch(`${base}/view?map=ctf1.bsp`)).text();
+  assert.match(html, /Игра \/ мод:<\/span> Capture the Flag/);
+  assert.match(html, /Монстры \(1\)/);
+  assert.match(html, /<code>item_tech1<\/code> <span class="muted" title="pics\/tech1\.pcx">Disruptor Shield<\/span>/);
+  assert.match(html, /у команд разное число точек появления/);
+
+  const { dictionaries } = await (await fetch(`${base}/api/v1/classnames`)).json();
+  assert.equal(dictionaries.find(d => d.id === 'xatrix').classnames.weapon_boomer.name, 'Ion Ripper');
+});
+
+test('GET /view: по SHA-256 и старой ссылке по id', async () => {
+  const api = await (await fetch(`${base}/api/v1/maps/edge.bsp`)).json();
+
+  let res = await fetch(`${base}/view?sha256=${api.sha256}`);
+  assert.equal(res.status, 200);
+
+  res = await fetch(`${base}/view?id=${api.id}`, { redirect: 'manual' });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/view?map=edge.bsp');
+});
+
+test('GET /view: карта не найдена', async () => {
+  let res = await fetch(`${base}/view?map=missing.bsp`);
+  assert.equal(res.status, 404);
+  assert.equal(await res.text(), 'Карта с таким именем файла не найдена в базе');
+
+  res = await fetch(`${base}/view`, { redirect: 'manual' });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/');
+});
+
+test('GET /browse и фильтры /api/v1/maps', async () => {
+  const spawn = origin => ({ classname: 'info_player_deathmatch', origin });
+  const bfg = buildBsp({
+    entities: [
+      { classname: 'worldspawn', message: 'Browse BFG', sky: 'browsesky' },
+      spawn('0 0 24'), spawn('128 0 24'), spawn('256 0 24'),
+      { classname: 'weapon_bfg', origin: '64 64 16' }
+    ],
+    lumps: squareRoomLumps()
+  });
+  const plain = buildBsp({
+    entities: [{ classname: 'worldspawn', message: 'Browse Plain' }, spawn('0 0 24')]
+  });
+  await upload({ 'browse_bfg.bsp': bfg, 'browse_plain.bsp': plain });
+
+  const list = async qs => {
+    const body = await (await fetch(`${base}/api/v1/maps?q=browse_&${qs}`)).json();
+    return body.items.map(m => m.fileName);
+  };
+  assert.deepEqual(await list('weapon=weapon_bfg'), ['browse_bfg.bsp']);
+  assert.deepEqual(await list('customSky=true'), ['browse_bfg.bsp']);
+  assert.deepEqual(await list('customSky=false'), ['browse_plain.bsp']);
+  assert.deepEqual(await list('dmMin=2&dmMax=3'), ['browse_bfg.bsp']);
+  assert.deepEqual(await list('dmMax=1'), ['browse_plain.bsp']);
+  assert.deepEqual(await list('sort=-fileSize'), ['browse_bfg.bsp', 'browse_plain.bsp']);
+
+  const res = await fetch(`${base}/api/v1/maps?weapon=weapon_bfg.x`);
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'invalid_filter');
+
+  let html = await (await fetch(`${base}/browse?q=browse_&weapon=weapon_bfg&customSky=true`)).text();
+  assert.match(html, /Найдено карт: <strong>1<\/strong>/);
+  assert.match(html, /<a href="\/view\?map=browse_bfg\.bsp">Browse BFG<\/a>/);
+  assert.match(html, /<input type="checkbox" name="weapon" value="weapon_bfg" checked>/);
+  assert.match(html, /<option value="true" selected>своё<\/option>/);
+  assert.match(html, /<span class="badge">своё<\/span>/);
+  assert.doesNotMatch(html, /browse_plain\.bsp/);
+
+  // страницы: ссылки сохраняют фильтры и сортировку, пустые параметры не пишутся
+  html = await (await fetch(`${base}/browse?q=browse_&format=&sort=mapName&order=desc&limit=1`)).text();
+  assert.match(html, /страница 1 из 2/);
+  assert.match(html, /Browse Plain/);
+  assert.match(html, /href="\/browse\?q=browse_&amp;sort=mapName&amp;order=desc&amp;limit=1&amp;page=2"/);
+
+  html = await (await fetch(`${base}/`)).text();
+  assert.match(html, /href="\/browse"/);
+});
+
+test('каталог: правка со страницы карты, API, поиск и повторный анализ', async () => {
+  const catalog = buildBsp({ entities: [{ classname: 'worldspawn', message: 'Catalog' }] });
+  await upload({ 'catalog.bsp': catalog });
+
+  let html = await (await fetch(`${base}/view?map=catalog.bsp`)).text();
+  assert.match(html, /<form method="post" action="\/view\/curation\?map=catalog\.bsp"/);
+
+  const form = new URLSearchParams([
+    ['author', 'Sponge <b>'], ['tags', 'dm'], ['tags', 'tdm'], ['players', '4-8'], ['rating', '4'], ['notes', 'Для турниров']
+  ]);
+  let res = await fetch(`${base}/view/curation?map=catalog.bsp`, { method: 'POST', body: form, redirect: 'manual' });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get('location'), '/view?map=catalog.bsp#map0-curation');
+
+  html = await (await fetch(`${base}/view?map=catalog.bsp`)).text();
+  assert.match(html, /Автор:<\/span> Sponge &lt;b&gt; · <span class="muted">Режимы:<\/span> Deathmatch, Team DM · <span class="muted">Игроков:<\/span> 4–8 · <span class="muted">Оценка:<\/span> ★★★★☆/);
+  assert.match(html, /<div class="notes">Для турниров<\/div>/);
+
+  res = await fetch(`${base}/view/curation?map=catalog.bsp`, { method: 'POST', body: new URLSearchParams({ rating: '9' }) });
+  assert.equal(res.status, 400);
+  assert.equal(await res.text(), 'Оценка — целое от 1 до 5');
+
+  // повторная загрузка той же карты не трогает каталог
+  await upload({ 'catalog.bsp': catalog });
+  let map = await (await fetch(`${base}/api/v1/maps/catalog.bsp`)).json();
+  assert.deepEqual(map.curation, {
+    author: 'Sponge <b>', tags: ['dm', 'tdm'], players: { min: 4, max: 8 }, notes: 'Для турниров', rating: 4
+  });
+
+  res = await fetch(`${base}/api/v1/maps/catalog.bsp/curation`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ tags: ['ctf'], players: 16, rating: 5 })
+  });
+  assert.equal(res.status, 200);
+  map = await (await fetch(`${base}/api/v1/maps/catalog.bsp`)).json();
+  assert.deepEqual(map.curation, { author: null, tags: ['ctf'], players: { min: 16, max: 16 }, notes: null, rating: 5 });
+
+  res = await fetch(`${base}/api/v1/maps/catalog.bsp/curation`, {
+    method: 'PUT', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ tags: ['race'] })
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'invalid_curation');
+
+  const { items } = await (await fetch(`${base}/api/v1/maps?tag=ctf&minRating=5&players=16`)).json();
+  assert.deepEqual(items.map(m => m.fileName), ['catalog.bsp']);
+
+  html = await (await fetch(`${base}/browse?tag=ctf`)).text();
+  assert.match(html, /Найдено карт: <strong>1<\/strong>/);
+  assert.match(html, /<td>CTF<br>16 игр\.<br><span title="5 из 5">★★★★★<\/span><\/td>/);
+});
+
+test('saveAnalysisToDb: одновременные сохранения одной карты дают один документ', async () => {
+  const analysis = { sha256: 'c0ffee'.repeat(10) + 'c0ff', mapName: 'Race', errors: [], warnings: [] };
+  const saved = await Promise.all([
+    saveAnalysisToDb({ ...analysis }, 'race_a.bsp'),
+    saveAnalysisToDb({ ...analysis }, 'race_b.bsp')
+  ]);
+  assert.deepEqual(saved.map(r => r.created), [true, false]);
+  assert.equal(saved[1].duplicateOf, 'race_a.bsp');
+  const doc = await (await fetch(`${base}/api/v1/maps/by-hash/${analysis.sha256}`)).json();
+  assert.deepEqual(doc.aliases, ['race_b.bsp']);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { createFileStorage } = require('../lib/storage/file');
+const { resourceKeysFor, buildResourceKeys, parseResourceQuery, matchResources } = require('../lib/analyzer');
+
+// Документы в том виде, в каком их пишет saveAnalysisToDb (только нужные фильтрам поля)
+const DOCS = [
+  {
+    fileName: 'q2dm1.bsp', mapName: 'The Edge', format: { id: 'quake2' }, mod: { id: 'baseq2' },
+    entityStats: { spawnPoints: { deathmatch: 12 }, weapons: { weapon_bfg: 1, weapon_railgun: 2 } },
+    stockCheck: { summary: { stock: 40, custom: 0 }, skies: { stock: ['env/unit9_*'], custom: [] } },
+    bspStructure: { fileSize: 900000 }, errors: [], warnings: []
+  },
+  {
+    fileName: 'ztn2dm1.bsp', mapName: 'Tokay', format: { id: 'quake2' }, mod: { id: 'baseq2' },
+    entityStats: { spawnPoints: { deathmatch: 6 }, weapons: { weapon_railgun: 1 } },
+    stockCheck: { summary: { stock: 10, custom: 5 }, skies: { stock: [], custom: ['env/ztn_*'] } },
+    bspStructure: { fileSize: 1200000 }, errors: [], warnings: ['Не удалось сохранить исходный файл']
+  },
+  {
+    fileName: 'rdm1.bsp', mapName: 'Rogue DM', format: { id: 'quake2' }, mod: { id: 'rogue' },
+    entityStats: { spawnPoints: {}, weapons: {} },
+    bspStructure: { fileSize: 300000 }, errors: ['ENTITIES: обрезан'], warnings: []
+  },
+  // документ без entityStats и stockCheck (Quake 3 или сохранённый старой версией)
+  { fileName: 'q3dm17.bsp', mapName: 'The Longest Yard', format: { id: 'quake3' }, errors: [], warnings: [] }
+];
+
+async function storageWithDocs() {
+  const storage = createMemoryStorage();
+  for (const doc of DOCS) await storage.insertMap(structuredClone(doc));
+  return storage;
+}
+
+const names = docs => docs.map(d => d.fileName);
+
+test('фильтры обзора коллекции', async () => {
+  const storage = await storageWithDocs();
+  const list = filter => storage.listMaps(filter, { sort: { fileName: 1 } }).then(names);
+
+  assert.deepEqual(await list({ customSky: true }), ['ztn2dm1.bsp']);
+  assert.deepEqual(await list({ customSky: false }), ['q2dm1.bsp', 'q3dm17.bsp', 'rdm1.bsp']);
+  assert.deepEqual(await list({ customResources: true }), ['ztn2dm1.bsp']);
+  assert.deepEqual(await list({ dmSpawns: { min: 6 } }), ['q2dm1.bsp', 'ztn2dm1.bsp']);
+  assert.deepEqual(await list({ dmSpawns: { min: 4, max: 8 } }), ['ztn2dm1.bsp']);
+  // без спавнов — это 0
+  assert.deepEqual(await list({ dmSpawns: { max: 0 } }), ['q3dm17.bsp', 'rdm1.bsp']);
+  assert.deepEqual(await list({ weapons: ['weapon_railgun'] }), ['q2dm1.bsp', 'ztn2dm1.bsp']);
+  assert.deepEqual(await list({ weapons: ['weapon_railgun', 'weapon_bfg'] }), ['q2dm1.bsp']);
+  assert.deepEqual(await list({ hasWarnings: true }), ['ztn2dm1.bsp']);
+  assert.deepEqual(await list({ hasErrors: true }), ['rdm1.bsp']);
+  assert.deepEqual(await list({ mod: 'rogue' }), ['rdm1.bsp']);
+  assert.deepEqual(await list({ format: 'quake2', mod: 'baseq2', customResources: false }), ['q2dm1.bsp']);
+  assert.equal(await storage.countMaps({ format: 'quake2', dmSpawns: { min: 1 } }), 2);
+});
+
+test('сортировка по вложенному полю', async () => {
+  const storage = await storageWithDocs();
+  const bySize = await storage.listMaps({}, { sort: { 'bspStructure.fileSize': -1, fileName: 1 } });
+  // без размера — в конце при сортировке по убыванию, как в MongoDB
+  assert.deepEqual(names(bySize), ['ztn2dm1.bsp', 'q2dm1.bsp', 'rdm1.bsp', 'q3dm17.bsp']);
+
+  const page = await storage.listMaps({}, { sort: { 'bspStructure.fileSize': 1 }, skip: 1, limit: 2 });
+  assert.deepEqual(names(page), ['rdm1.bsp', 'q2dm1.bsp']);
+});
+
+test('фильтры по данным каталога', async () => {
+  const storage = createMemoryStorage();
+  const curated = (fileName, curation) => storage.insertMap({ fileName, curation });
+  await curated('a.bsp', { author: 'Tim Willits', tags: ['dm', 'tdm'], players: { min: 4, max: 8 }, notes: 'Быстрая', rating: 5 });
+  await curated('b.bsp', { author: 'American McGee', tags: ['dm'], players: { min: 2, max: 4 }, notes: null, rating: 3 });
+  await storage.insertMap({ fileName: 'c.bsp' });
+  const list = filter => storage.listMaps(filter, { sort: { fileName: 1 } }).then(names);
+
+  assert.deepEqual(await list({ tags: ['dm'] }), ['a.bsp', 'b.bsp']);
+  assert.deepEqual(await list({ tags: ['dm', 'tdm'] }), ['a.bsp']);
+  assert.deepEqual(await list({ authorContains: 'mcgee' }), ['b.bsp']);
+  assert.deepEqual(await list({ notesContains: 'быстр' }), ['a.bsp']);
+  assert.deepEqual(await list({ minRating: 4 }), ['a.bsp']);
+  assert.deepEqual(await list({ players: 4 }), ['a.bsp', 'b.bsp']);
+  assert.deepEqual(await list({ players: 6 }), ['a.bsp']);
+});
+
+test('журнал изменений: новые записи первыми, фильтр по sha256', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'q2mapinfo-audit-'));
+  try {
+    for (const storage of [createMemoryStorage(), createFileStorage(dir)]) {
+      const at = n => new Date(Date.UTC(2024, 0, n));
+      await storage.insertAuditEntry({ at: at(1), user: 'alice', action: 'upload', sha256: 'aa', fileName: 'a.bsp', details: {} });
+      await storage.insertAuditEntry({ at: at(2), user: 'bob', action: 'upload', sha256: 'bb', fileName: 'b.bsp', details: {} });
+      await storage.insertAuditEntry({ at: at(3), user: 'alice', action: 'delete', sha256: 'aa', fileName: 'a.bsp', details: {} });
+
+      const all = await storage.listAuditEntries({});
+      assert.deepEqual(all.map(e => e.action + ' ' + e.fileName), ['delete a.bsp', 'upload b.bsp', 'upload a.bsp']);
+      assert.ok(all[0].at instanceof Date);
+      assert.equal(all[0].at.getTime(), at(3).getTime());
+
+      const forA = await storage.listAuditEntries({ sha256: 'aa' }, { limit: 1 });
+      assert.deepEqual(forA.map(e => e.action), ['delete']);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Ресурсы в том виде, в каком их пишет анализатор; resourceKeys — как в saveAnalysisToDb
+const RESOURCE_DOCS = [
+  { fileName: 'edge.bsp', textures: ['textures/e1u1/floor1_1.wal', 'textures/Custom/Wall.wal'], skies: ['env/unit9_*'], sounds: ['world/amb10.wav'], models: [] },
+  { fileName: 'base1.bsp', textures: ['textures/e1u1/floor1_2.wal'], skies: [], sounds: ['sound/world/amb10.wav'], models: ['models/items/armor/body/tris.md2'] },
+  { fileName: 'space.bsp', textures: ['textures/custom/space.wal'], skies: ['env/space1'], sounds: [], models: [] }
+];
+
+test('resourceKeysFor: звуки с sound/, небо — шесть граней .tga/.pcx', () => {
+  assert.deepEqual(resourceKeysFor('sounds', 'World/Amb10.wav'), ['sound/world/amb10.wav']);
+  assert.deepEqual(resourceKeysFor('textures', 'textures\\Custom\\Wall.wal'), ['textures/custom/wall.wal']);
+  const faces = resourceKeysFor('skies', 'env/unit9_*');
+  assert.equal(faces.length, 12);
+  assert.ok(faces.includes('env/unit9_up.tga') && faces.includes('env/unit9_dn.pcx'));
+});
+
+test('поиск карт по ресурсу: точный путь, префикс и маски', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'q2mapinfo-resources-'));
+  try {
+    for (const storage of [createMemoryStorage(), createFileStorage(dir)]) {
+      for (const doc of RESOURCE_DOCS) {
+        await storage.insertMap({ ...structuredClone(doc), resourceKeys: buildResourceKeys(doc) });
+      }
+      const find = async query => {
+        const filter = { resource: parseResourceQuery(query) };
+        const docs = await storage.listMaps(filter, { sort: { fileName: 1 } });
+        assert.equal(await storage.countMaps(filter), docs.length);
+        return names(docs);
+      };
+
+      assert.deepEqual(await find('sound/world/amb10.wav'), ['base1.bsp', 'edge.bsp']);
+      assert.deepEqual(await find('TEXTURES/custom/wall.wal'), ['edge.bsp']);
+      assert.deepEqual(await find('textures/custom/wall'), []);
+      assert.deepEqual(await find('textures/custom/'), ['edge.bsp', 'space.bsp']);
+      assert.deepEqual(await find('textures/e1u1/*'), ['base1.bsp', 'edge.bsp']);
+      assert.deepEqual(await find('*/floor1_?.wal'), ['base1.bsp', 'edge.bsp']);
+      assert.deepEqual(await find('env/unit9_up.tga'), ['edge.bsp']);
+      assert.deepEqual(await find('*.md2'), ['base1.bsp']);
+      await storage.close();
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('parseResourceQuery и matchResources', () => {
+  assert.equal(parseResourceQuery('  '), null);
+  assert.equal(parseResourceQuery('textures/e1u1/').mode, 'prefix');
+  assert.equal(parseResourceQuery('textures/e1u1/*').mode, 'prefix');
+  assert.equal(parseResourceQuery('textures/*/wall.wal').mode, 'wildcard');
+  assert.equal(parseResourceQuery('Textures\\E1U1\\floor1_1.wal').query, 'textures/e1u1/floor1_1.wal');
+  // точки и скобки в пути — не спецсимволы регулярного выражения
+  assert.equal(parseResourceQuery('models/a.b*').test('models/aXb/tris.md2'), false);
+
+  assert.deepEqual(matchResources(RESOURCE_DOCS[0], parseResourceQuery('env/*')), [{ kind: 'skies', path: 'env/unit9_*' }]);
+  assert.deepEqual(matchResources(RESOURCE_DOCS[0], parseResourceQuery('sound/world/')), [{ kind: 'sounds', path: 'world/amb10.wav' }]);
+});